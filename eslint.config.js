@@ -16,9 +16,17 @@ export default [
         performance: 'readonly',
         requestAnimationFrame: 'readonly',
         TextEncoder: 'readonly',
+        TextDecoder: 'readonly',
         ClipboardItem: 'readonly',
         HTMLMediaElement: 'readonly',
         btoa: 'readonly',
+        fetch: 'readonly',
+        atob: 'readonly',
+        crypto: 'readonly',
+        indexedDB: 'readonly',
+        Blob: 'readonly',
+        BroadcastChannel: 'readonly',
+        AbortController: 'readonly',
         // jQuery
         $: 'readonly',
         jQuery: 'readonly',
@@ -44,6 +52,7 @@ export default [
         IntersectionObserver: 'readonly',
         // Other
         URL: 'readonly',
+        URLSearchParams: 'readonly',
         Intl: 'readonly',
         html2canvas: 'readonly',
         Lock: 'readonly',
@@ -1,16 +1,20 @@
 // ConfigWrapper.js - Config management using GM_setValue/GM_getValue with custom modal UI
 
 import { ConfigModal, CONFIG_SCHEMA, HIDDEN_FIELDS } from './components/ConfigModal.js';
+import { AccountNamespace, claimLegacyStorage, getSharedSections } from './accounts.js';
 
 const STORAGE_KEY = 'bluesky_navigator_config';
 const OLD_GM_CONFIG_KEY = 'GM_config'; // Legacy key for migration from old versions
 
 /**
- * Config wrapper that manages settings storage and provides ConfigModal UI
+ * Config wrapper that manages settings storage and provides ConfigModal UI.
+ * Rules and remote sync settings are kept per account (see accounts.js).
  */
 export class ConfigWrapper {
   constructor(options = {}) {
     this.id = options.id || 'config';
+    this.account = options.account || null; // DID of the logged-in account
+    this.namespace = new AccountNamespace(this.account);
     this.onSave = options.onSave || null;
     this.onInit = options.onInit || null;
     this.values = {};
@@ -116,13 +120,33 @@ export class ConfigWrapper {
   }
 
   /**
-   * Load config from GM_getValue
+   * Read a stored config record
+   * @param {string} key
+   * @returns {object}
+   */
+  readRecord(key) {
+    const stored = GM_getValue(key, '{}');
+    return (typeof stored === 'string' ? JSON.parse(stored) : stored) || {};
+  }
+
+  /**
+   * Load config from GM_getValue, with the logged-in account's rules and sync settings
    */
   load() {
     try {
-      const stored = GM_getValue(STORAGE_KEY, '{}');
-      const parsed = typeof stored === 'string' ? JSON.parse(stored) : stored;
-      this.values = { ...this.defaults, ...parsed };
+      this.values = { ...this.defaults, ...this.readRecord(STORAGE_KEY) };
+      this.namespace = new AccountNamespace(
+        this.account,
+        claimLegacyStorage(this.account),
+        getSharedSections(this)
+      );
+      for (const key of Object.keys(this.values)) {
+        const storageKey = this.namespace.configKey(key, STORAGE_KEY);
+        if (storageKey !== STORAGE_KEY) {
+          const record = this.readRecord(storageKey);
+          this.values[key] = key in record ? record[key] : this.defaults[key];
+        }
+      }
     } catch (e) {
       console.error('Failed to load config:', e);
       this.values = { ...this.defaults };
@@ -130,16 +154,36 @@ export class ConfigWrapper {
   }
 
   /**
-   * Save config to GM_setValue
+   * Save config to GM_setValue. Each value goes to the record for its account
+   * (or the shared one); other accounts' values in those records are kept.
    */
   save() {
     try {
-      GM_setValue(STORAGE_KEY, JSON.stringify(this.values));
+      const records = {};
+      for (const [key, value] of Object.entries(this.values)) {
+        const storageKey = this.namespace.configKey(key, STORAGE_KEY);
+        records[storageKey] ??= this.readRecord(storageKey);
+        records[storageKey][key] = value;
+      }
+      for (const [storageKey, record] of Object.entries(records)) {
+        GM_setValue(storageKey, JSON.stringify(record));
+      }
     } catch (e) {
       console.error('Failed to save config:', e);
     }
   }
 
+  /**
+   * Share different sections between accounts: this account's copy of newly
+   * shared sections becomes the shared copy, and sections no longer shared
+   * start from the shared copy
+   * @param {string[]} sharedSections - Names from ACCOUNT_SECTIONS
+   */
+  setSharedSections(sharedSections) {
+    this.namespace = this.namespace.withSharedSections(sharedSections);
+    this.save();
+  }
+
   /**
    * Get a config value
    */
@@ -163,19 +207,21 @@ export class ConfigWrapper {
 
   /**
    * Open the config modal
+   * @param {string|null} tab - Tab to open on (see CONFIG_SCHEMA); the last one shown if null
    */
-  open() {
-    if (this.modal) {
-      this.modal.show();
-    } else {
+  open(tab = null) {
+    if (!this.modal) {
       // Modal not ready yet, create it now
       this.modal = new ConfigModal(this, (changes) => {
         if (this.onSave) {
           this.onSave(changes);
         }
       });
-      this.modal.show();
     }
+    if (tab) {
+      this.modal.activeTab = tab;
+    }
+    this.modal.show();
   }
 
   /**
@@ -0,0 +1,139 @@
+// PostCache.js - LRU cache of hydrated post views, persisted across page loads
+
+import constants from './constants.js';
+
+/**
+ * Caches hydrated post views (app.bsky.feed.defs#postView) keyed by AT URI.
+ * Entries are kept in least-recently-used order in memory and persisted with
+ * GM_setValue so previews and tooltips survive a reload without refetching.
+ */
+export class PostCache {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEntries - Maximum number of cached posts
+   * @param {number} options.ttlMs - How long a cached post is considered fresh
+   * @param {string} options.storageKey - GM storage key (null disables persistence)
+   */
+  constructor({
+    maxEntries = constants.POST_CACHE_MAX_ENTRIES,
+    ttlMs = constants.POST_CACHE_TTL_MS,
+    storageKey = constants.POST_CACHE_KEY,
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.storageKey = storageKey;
+
+    // Map iteration order is insertion order, so re-inserting on access gives LRU order
+    // uri -> { post, fetchedAt }
+    this.entries = new Map();
+    this.saveTimeout = null;
+
+    this.load();
+  }
+
+  /**
+   * Load persisted entries, dropping any that have expired
+   * @private
+   */
+  load() {
+    if (!this.storageKey || typeof GM_getValue === 'undefined') return;
+    try {
+      const stored = JSON.parse(GM_getValue(this.storageKey, '[]'));
+      const now = Date.now();
+      for (const [uri, entry] of stored) {
+        if (entry?.post && now - entry.fetchedAt < this.ttlMs) {
+          this.entries.set(uri, entry);
+        }
+      }
+      this.evict();
+    } catch (error) {
+      console.warn('Failed to load post cache:', error);
+    }
+  }
+
+  /**
+   * Debounce persisting so a batch of inserts results in a single write
+   * @private
+   */
+  scheduleSave() {
+    if (!this.storageKey || typeof GM_setValue === 'undefined') return;
+    if (this.saveTimeout) clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      try {
+        GM_setValue(this.storageKey, JSON.stringify([...this.entries]));
+      } catch (error) {
+        console.warn('Failed to save post cache:', error);
+      }
+    }, 2000);
+  }
+
+  /**
+   * Drop least-recently-used entries beyond maxEntries
+   * @private
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Get a cached post view
+   * @param {string} uri - AT URI of the post
+   * @returns {object|null} The post view, or null if missing or stale
+   */
+  get(uri) {
+    const entry = this.entries.get(uri);
+    if (!entry) return null;
+    if (Date.now() - entry.fetchedAt >= this.ttlMs) {
+      this.entries.delete(uri);
+      return null;
+    }
+    // Move to most-recently-used position
+    this.entries.delete(uri);
+    this.entries.set(uri, entry);
+    return entry.post;
+  }
+
+  /**
+   * Check whether a fresh entry exists without touching LRU order
+   * @param {string} uri - AT URI of the post
+   * @returns {boolean}
+   */
+  has(uri) {
+    const entry = this.entries.get(uri);
+    return !!entry && Date.now() - entry.fetchedAt < this.ttlMs;
+  }
+
+  /**
+   * Add or replace a post view
+   * @param {object} post - Hydrated post view (must have a uri)
+   */
+  set(post) {
+    if (!post?.uri) return;
+    this.entries.delete(post.uri);
+    this.entries.set(post.uri, { post, fetchedAt: Date.now() });
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove a post view (e.g., after liking it, so counts are refetched)
+   * @param {string} uri - AT URI of the post
+   */
+  delete(uri) {
+    if (this.entries.delete(uri)) {
+      this.scheduleSave();
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.scheduleSave();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
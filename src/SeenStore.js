@@ -0,0 +1,282 @@
+// SeenStore.js - Read history kept in IndexedDB, with an in-memory hot cache
+
+import constants from './constants.js';
+
+const STORE_NAME = 'seen';
+const TIMESTAMP_INDEX = 'timestamp';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Stores every read post as a {postId, timestamp} record in IndexedDB, indexed
+ * by timestamp, so read history is no longer capped.
+ *
+ * Lookups are synchronous so filtering stays fast: they are answered from a
+ * hot cache holding the most recently read posts plus any looked up since. A
+ * miss returns undefined and queues a batched IndexedDB lookup; posts found
+ * that way are added to the cache and reported through onLoad, so callers can
+ * re-apply read state.
+ *
+ * Without IndexedDB (e.g. some private browsing modes) the store works from
+ * the cache alone, and the caller persists it some other way.
+ */
+export class SeenStore {
+  /**
+   * @param {object} options
+   * @param {number} options.hotCacheSize - Read posts kept in memory
+   * @param {Function} options.onLoad - Called with {postId: timestamp} for posts found by a lookup
+   * @param {string} options.dbName - IndexedDB database name
+   */
+  constructor({ hotCacheSize, onLoad = () => {}, dbName = constants.SEEN_DB_NAME } = {}) {
+    this.hotCacheSize = hotCacheSize;
+    this.onLoad = onLoad;
+    this.dbName = dbName;
+    this.db = null;
+    // Map iteration order is insertion order, so the oldest insertions are evicted first
+    this.cache = new Map(); // postId -> ISO timestamp
+    this.unread = new Set(); // Posts known not to be in IndexedDB
+    this.pendingLookups = new Set();
+    this.lookupTimeout = null;
+  }
+
+  /**
+   * Whether entries are persisted in IndexedDB.
+   * @returns {boolean}
+   */
+  get persistent() {
+    return Boolean(this.db);
+  }
+
+  /**
+   * Opens the database and fills the hot cache with the most recently read posts.
+   */
+  async open() {
+    try {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'postId' });
+        store.createIndex(TIMESTAMP_INDEX, 'timestamp');
+      };
+      this.db = await promisify(request);
+    } catch (error) {
+      console.warn('[SeenStore] IndexedDB unavailable, keeping read history in memory:', error);
+      this.db = null;
+      return;
+    }
+
+    const recent = [];
+    const index = this.db.transaction(STORE_NAME).objectStore(STORE_NAME).index(TIMESTAMP_INDEX);
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || recent.length >= this.hotCacheSize) {
+          resolve();
+          return;
+        }
+        recent.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    // Oldest first, so they are evicted first
+    for (const { postId, timestamp } of recent.reverse()) {
+      this.cache.set(postId, timestamp);
+    }
+  }
+
+  /**
+   * Gets a post's read timestamp from the hot cache, queueing a lookup on a miss.
+   * @param {string} postId
+   * @returns {string|undefined} ISO timestamp if read; undefined if unread or not cached yet
+   */
+  get(postId) {
+    const timestamp = this.cache.get(postId);
+    if (timestamp === undefined && this.db && !this.unread.has(postId)) {
+      this.pendingLookups.add(postId);
+      if (!this.lookupTimeout) {
+        this.lookupTimeout = setTimeout(() => this.lookupPending(), constants.SEEN_LOOKUP_DELAY);
+      }
+    }
+    return timestamp;
+  }
+
+  /**
+   * Looks up queued cache misses in one transaction.
+   * @private
+   */
+  async lookupPending() {
+    this.lookupTimeout = null;
+    const postIds = [...this.pendingLookups];
+    this.pendingLookups.clear();
+    const found = {};
+    try {
+      const store = this.db.transaction(STORE_NAME).objectStore(STORE_NAME);
+      const records = await Promise.all(postIds.map((postId) => promisify(store.get(postId))));
+      records.forEach((record, i) => {
+        if (record) {
+          found[record.postId] = record.timestamp;
+        } else {
+          this.unread.add(postIds[i]);
+        }
+      });
+    } catch (error) {
+      console.warn('[SeenStore] Lookup failed:', error);
+      return;
+    }
+    // Marked read or unread while the lookup was in flight
+    for (const postId of Object.keys(found)) {
+      if (this.cache.has(postId) || this.unread.has(postId)) {
+        delete found[postId];
+      } else {
+        this.cacheEntry(postId, found[postId]);
+      }
+    }
+    if (this.unread.size > constants.SEEN_UNREAD_CACHE_SIZE) {
+      this.unread.clear();
+    }
+    if (Object.keys(found).length) {
+      this.onLoad(found);
+    }
+  }
+
+  /**
+   * @private
+   */
+  cacheEntry(postId, timestamp) {
+    this.cache.delete(postId);
+    this.cache.set(postId, timestamp);
+    while (this.cache.size > this.hotCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Marks a post read or unread.
+   * @param {string} postId
+   * @param {string|null} timestamp - ISO read timestamp, or null to mark unread
+   * @returns {Promise<void>} Resolves when persisted
+   */
+  set(postId, timestamp) {
+    return this.setMany({ [postId]: timestamp });
+  }
+
+  /**
+   * Marks several posts read or unread in one transaction.
+   * @param {object} entries - Post ID -> ISO timestamp, or null to mark unread
+   * @returns {Promise<void>} Resolves when persisted
+   */
+  async setMany(entries) {
+    this.cacheMany(entries);
+    if (!this.db) return;
+
+    const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    for (const [postId, timestamp] of Object.entries(entries)) {
+      if (timestamp) {
+        store.put({ postId, timestamp });
+      } else {
+        store.delete(postId);
+      }
+    }
+    await transactionDone(transaction);
+  }
+
+  /**
+   * Updates the cache for changes already persisted elsewhere (e.g. by another tab).
+   * @param {object} entries - Post ID -> ISO timestamp, or null if marked unread
+   */
+  cacheMany(entries) {
+    for (const [postId, timestamp] of Object.entries(entries)) {
+      if (timestamp) {
+        this.unread.delete(postId);
+        this.cacheEntry(postId, timestamp);
+      } else {
+        this.cache.delete(postId);
+        this.unread.add(postId);
+      }
+    }
+  }
+
+  /**
+   * Gets read timestamps for a set of posts, from IndexedDB if not cached.
+   * @param {string[]} postIds
+   * @returns {Promise<object>} Post ID -> ISO timestamp for the posts that are read
+   */
+  async getMany(postIds) {
+    const result = {};
+    const uncached = [];
+    for (const postId of postIds) {
+      if (this.cache.has(postId)) {
+        result[postId] = this.cache.get(postId);
+      } else if (!this.unread.has(postId)) {
+        uncached.push(postId);
+      }
+    }
+    if (this.db && uncached.length) {
+      const store = this.db.transaction(STORE_NAME).objectStore(STORE_NAME);
+      const records = await Promise.all(uncached.map((postId) => promisify(store.get(postId))));
+      for (const record of records) {
+        if (record) result[record.postId] = record.timestamp;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Gets the whole read history.
+   * @returns {Promise<object>} Post ID -> ISO timestamp
+   */
+  async getAll() {
+    if (!this.db) {
+      return Object.fromEntries(this.cache);
+    }
+    const records = await promisify(this.db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+    return Object.fromEntries(records.map(({ postId, timestamp }) => [postId, timestamp]));
+  }
+
+  /**
+   * Merges read posts from elsewhere (remote state, or history kept in GM
+   * storage by older versions) as an observed-remove set: the newer read wins,
+   * and a removal (mark as unread) deletes any read it is at least as new as.
+   * @param {object} seen - Post ID -> ISO read timestamp
+   * @param {object} seenRemoved - Post ID -> read timestamp removed by marking unread
+   * @returns {Promise<{added: number, removed: number, changes: object}>} Posts that
+   *   became read, posts that became unread, and the changes made (as for setMany())
+   */
+  async merge(seen = {}, seenRemoved = {}) {
+    const time = (timestamp) => (timestamp ? new Date(timestamp).getTime() : 0);
+    const postIds = [...new Set([...Object.keys(seen), ...Object.keys(seenRemoved)])];
+    const local = await this.getMany(postIds);
+    const changes = {};
+    let added = 0;
+    let removed = 0;
+    for (const postId of postIds) {
+      let merged = time(seen[postId]) > time(local[postId]) ? seen[postId] : local[postId];
+      if (merged && postId in seenRemoved && time(merged) <= time(seenRemoved[postId])) {
+        merged = null;
+      }
+      if ((merged || null) === (local[postId] || null)) continue;
+      changes[postId] = merged || null;
+      if (!local[postId]) added++;
+      if (!merged) removed++;
+    }
+    if (Object.keys(changes).length) {
+      await this.setMany(changes);
+    }
+    return { added, removed, changes };
+  }
+}
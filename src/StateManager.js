@@ -1,15 +1,33 @@
 // StateManager.js
 import constants from './constants.js';
+import {
+  createRemoteBackend,
+  EncryptedBackend,
+  LOCAL_ONLY_FIELDS,
+  getRemoteStateError,
+  getSeenEntryError,
+  isEncryptedEnvelope,
+  wrongPassphraseError,
+} from './sync/index.js';
+import { mergeStates, mergeChangedLocal } from './stateMerge.js';
+import { SeenStore } from './SeenStore.js';
+import { TabSync } from './TabSync.js';
+import { AccountNamespace } from './accounts.js';
 
 const DEFAULT_HISTORY_MAX = 5000;
+// Fields that aren't last-writer-wins registers, so updateState() doesn't version them
+const UNVERSIONED_FIELDS = ['seen', 'seenRemoved', 'timeouts', 'timeoutsRemoved', 'fieldVersions', 'lastUpdated'];
 
 export class StateManager {
   constructor(key, _defaultState = {}, config = {}) {
-    this.key = key;
     this.config = config;
     if (!this.config) {
       console.warn('StateManager: config is undefined');
     }
+    // Where the logged-in account's state is kept (see accounts.js)
+    this.namespace = this.config.namespace || new AccountNamespace();
+    this.key = this.namespace.key(key);
+    this.sharedKey = this.namespace.sharedKey(key); // Sections shared by every account
     this.listeners = [];
     this.debounceTimeout = null;
     this.maxEntries = this.config.maxEntries || DEFAULT_HISTORY_MAX;
@@ -19,32 +37,47 @@ export class StateManager {
     this.localSaveTimeout = null; // Timer for local state save
     this.remoteSyncTimeout = null; // Timer for remote state sync
     this.dirtySeenEntries = new Map(); // Tracks seen entries that need to be synced to remote
-    this.lastSeenSnapshot = null; // Snapshot of seen object to detect changes
+    this.inFlightSeenEntries = new Map(); // Seen entries being sent, kept in the saved queue until confirmed
+    this.seenStore = new SeenStore({
+      hotCacheSize: this.maxEntries,
+      dbName: this.namespace.key(constants.SEEN_DB_NAME, 'readHistory'),
+      onLoad: () => this.notifySeenChanged(),
+    });
     this.seenSyncCount = 0; // Counter for periodic cleanup
+    this.remoteBackend = null; // Remote state backend, created from stateSyncConfig on first use
+    this.remoteBackendConfig = null; // Config the backend was created from
+    this.remoteEncrypted = false; // Whether the last remote state loaded was still encrypted
+    this.remoteSync = null; // Promise of the sync in progress
+    this.remoteSyncRequested = false; // Whether another sync was asked for while one was in progress
+    this.syncStatus = 'ready'; // Status shown on the preferences icon
+    this.syncHistory = this.loadSyncHistory(); // Last push and pull, and recent failures
+    this.retryCount = 0; // Consecutive failed syncs
+    this.retryTimeout = null; // Timer for the next retry
+    this.nextRetryAt = null; // When the next retry is due (ms)
+    this.leaderSyncStatus = null; // Sync status last reported by the leader tab
+    this.tabSync = new TabSync({
+      channelName: this.namespace.key(constants.TAB_CHANNEL_NAME),
+      lockName: this.namespace.key(constants.TAB_LEADER_LOCK),
+      onMessage: (message) => this.handleTabMessage(message),
+      onLeader: () => this.takeOverSync(),
+    });
     this.handleBlockListResponse = this.handleBlockListResponse.bind(this);
     this.saveStateImmediately = this.saveStateImmediately.bind(this);
-    this.saveRemoteStateSync = this.saveRemoteStateSync.bind(this);
-
-    // Save state on beforeunload - local is synchronous, remote uses keepalive fetch
-    window.addEventListener('beforeunload', () => {
-      this.saveStateImmediately();
-      // Also save remote if there's pending sync (must happen after local save)
-      if (this.config.stateSyncEnabled && this.isRemoteSyncPending) {
-        this.saveRemoteStateSync();
-      }
-    });
 
-    // Save remote state when page becomes hidden (more reliable for async)
+    // Unsynced changes are saved with the local state and sent by the next sync,
+    // even after a reload, so nothing has to reach the remote while the page unloads
+    window.addEventListener('beforeunload', () => this.saveStateImmediately());
+    window.addEventListener('pagehide', () => this.saveStateImmediately());
+
+    // Sync when the page is hidden (unless waiting to retry), and as soon as the connection is back
     document.addEventListener('visibilitychange', () => {
-      if (document.visibilityState === 'hidden' && this.config.stateSyncEnabled && this.isRemoteSyncPending) {
-        this.saveRemoteStateSync();
+      if (document.visibilityState === 'hidden') {
+        this.saveStateImmediately(true, this.hasUnsyncedChanges() && !this.retryTimeout);
       }
     });
-
-    // Fallback: attempt keepalive fetch on pagehide
-    window.addEventListener('pagehide', () => {
-      if (this.config.stateSyncEnabled && this.isRemoteSyncPending) {
-        this.saveRemoteStateSync();
+    window.addEventListener('online', () => {
+      if (this.hasUnsyncedChanges()) {
+        this.syncNow();
       }
     });
   }
@@ -56,9 +89,27 @@ export class StateManager {
   }
 
   async initializeState(defaultState) {
+    await this.seenStore.open();
+    if (await this.tabSync.electLeader()) {
+      this.loadSyncQueue();
+    } else {
+      this.tabSync.post({ type: 'sync-status-request' });
+    }
     this.state = await this.loadState(defaultState);
     this.ensureBlockState();
     this.updateBlockList();
+    // Send changes an earlier page couldn't (e.g. made offline)
+    if (this.hasUnsyncedChanges()) {
+      this.scheduleRemoteSync();
+    }
+  }
+
+  /**
+   * Whether this tab syncs with the remote. Other tabs hand their changes to it.
+   * @returns {boolean}
+   */
+  get isLeader() {
+    return this.tabSync.isLeader;
   }
 
   ensureBlockState() {
@@ -80,12 +131,14 @@ export class StateManager {
   }
 
   setSyncStatus(status, title) {
+    this.syncStatus = status;
+    this.notifySyncStatus();
     const overlay = $('.preferences-icon-overlay');
     if (!overlay) {
       return;
     }
     $(overlay).attr('title', `sync: ${status} ${title || ''}`);
-    for (const s of ['ready', 'pending', 'success', 'failure']) {
+    for (const s of ['ready', 'pending', 'success', 'failure', 'offline']) {
       $(overlay).removeClass(`preferences-icon-overlay-sync-${s}`);
     }
 
@@ -96,194 +149,531 @@ export class StateManager {
   }
 
   /**
-   * Executes a query against the remote database.
-   * @param {string} query - The query string to execute.
-   * @param {string} successStatus - The status to set on successful execution (e.g., "success").
-   * @returns {Promise<Object>} - Resolves with the parsed result of the query.
-   */
-  async executeRemoteQuery(query, successStatus = 'success') {
-    const {
-      url,
-      namespace = 'bluesky_navigator',
-      database = 'state',
-      username,
-      password,
-    } = JSON.parse(this.config.stateSyncConfig);
-
-    return new Promise((resolve, reject) => {
-      GM_xmlhttpRequest({
-        method: 'POST',
-        url: `${url.replace(/\/$/, '')}/sql`,
-        headers: {
-          Accept: 'application/json',
-          Authorization: 'Basic ' + btoa(`${username}:${password}`),
-        },
-        data: `USE NS ${namespace} DB ${database}; ${query}`,
-        onload: (response) => {
-          try {
-            if (response.status !== 200) {
-              throw new Error(response.statusText);
-            }
-            const result = JSON.parse(response.responseText)[1]?.result[0];
-            this.setSyncStatus(successStatus);
-            resolve(result);
-          } catch (error) {
-            console.error('Error executing query:', error.message);
-            this.setSyncStatus('failure', error.message);
-            reject(error);
-          }
-        },
-        onerror: (error) => {
-          console.error('Network error executing query:', error.message);
-          this.setSyncStatus('failure', error.message);
-          reject(error);
-        },
-      });
-    });
+   * Tells the sync status panel that something it shows changed.
+   */
+  notifySyncStatus() {
+    window.dispatchEvent(new window.CustomEvent('bsky-nav-sync-status'));
+    if (this.isLeader) {
+      this.tabSync.post({ type: 'sync-status', status: this.getSyncStatus() });
+    }
   }
 
   /**
-   * Executes a query and returns ALL results (not just the first one).
-   * @param {string} query - The query string to execute.
-   * @param {string} successStatus - The status to set on successful execution.
-   * @returns {Promise<Array>} - Resolves with all results from the query.
-   */
-  async executeRemoteQueryAll(query, successStatus = 'success') {
-    const {
-      url,
-      namespace = 'bluesky_navigator',
-      database = 'state',
-      username,
-      password,
-    } = JSON.parse(this.config.stateSyncConfig);
-
-    return new Promise((resolve, reject) => {
-      GM_xmlhttpRequest({
-        method: 'POST',
-        url: `${url.replace(/\/$/, '')}/sql`,
-        headers: {
-          Accept: 'application/json',
-          Authorization: 'Basic ' + btoa(`${username}:${password}`),
-        },
-        data: `USE NS ${namespace} DB ${database}; ${query}`,
-        onload: (response) => {
-          try {
-            if (response.status !== 200) {
-              throw new Error(response.statusText);
-            }
-            const result = JSON.parse(response.responseText)[1]?.result || [];
-            this.setSyncStatus(successStatus);
-            resolve(result);
-          } catch (error) {
-            console.error('Error executing query:', error.message);
-            this.setSyncStatus('failure', error.message);
-            reject(error);
-          }
-        },
-        onerror: (error) => {
-          console.error('Network error executing query:', error.message);
-          this.setSyncStatus('failure', error.message);
-          reject(error);
-        },
-      });
-    });
+   * Describes the state of remote sync for the sync status panel.
+   * In other tabs, this is what the leader tab last reported.
+   * @returns {object} Status, queued changes, last push and pull (ISO timestamps),
+   *   recent failures ({at, operation, message}, oldest first), the next retry,
+   *   and whether this tab is the one syncing
+   */
+  getSyncStatus() {
+    if (!this.isLeader && this.leaderSyncStatus) {
+      return { ...this.leaderSyncStatus, enabled: Boolean(this.config.stateSyncEnabled), leader: false };
+    }
+    return {
+      enabled: Boolean(this.config.stateSyncEnabled),
+      leader: this.isLeader,
+      status: this.syncStatus,
+      online: navigator.onLine !== false,
+      syncing: Boolean(this.remoteSync),
+      pendingSeen: new Set([...this.dirtySeenEntries.keys(), ...this.inFlightSeenEntries.keys()]).size,
+      statePending: this.isRemoteSyncPending,
+      retryCount: this.retryCount,
+      nextRetryAt: this.nextRetryAt,
+      ...(this.isLeader ? this.syncHistory : this.loadSyncHistory()),
+    };
   }
 
-  async getRemoteStateUpdated() {
-    const sinceResult = await this.executeRemoteQuery(`SELECT lastUpdated FROM state:current;`);
-    return sinceResult['lastUpdated'];
+  /**
+   * Whether there are changes the remote doesn't have yet (always false outside the leader tab).
+   * @returns {boolean}
+   */
+  hasUnsyncedChanges() {
+    return (
+      Boolean(this.config.stateSyncEnabled) &&
+      this.isLeader &&
+      (this.isRemoteSyncPending || this.dirtySeenEntries.size > 0)
+    );
+  }
+
+  /**
+   * Restores changes left unsynced by an earlier page.
+   */
+  loadSyncQueue() {
+    try {
+      const queue = JSON.parse(GM_getValue(this.namespace.key(constants.SYNC_QUEUE_KEY), '{}'));
+      for (const [postId, timestamp] of Object.entries(queue.seen || {})) {
+        if (!this.dirtySeenEntries.has(postId)) {
+          this.dirtySeenEntries.set(postId, timestamp);
+        }
+      }
+      this.isRemoteSyncPending = this.isRemoteSyncPending || Boolean(queue.statePending);
+    } catch (error) {
+      console.warn('Failed to load sync queue:', error);
+    }
+  }
+
+  /**
+   * Saves unsynced changes (including ones being sent) so they survive a reload.
+   * Only the leader tab has a queue.
+   */
+  saveSyncQueue() {
+    if (!this.isLeader) {
+      return;
+    }
+    try {
+      const seen = Object.fromEntries([...this.inFlightSeenEntries, ...this.dirtySeenEntries]);
+      const queue = { seen, statePending: this.isRemoteSyncPending };
+      GM_setValue(this.namespace.key(constants.SYNC_QUEUE_KEY), JSON.stringify(queue));
+    } catch (error) {
+      console.warn('Failed to save sync queue:', error);
+    }
+  }
+
+  loadSyncHistory() {
+    const history = { lastPush: null, lastPull: null, failures: [] };
+    try {
+      return { ...history, ...JSON.parse(GM_getValue(this.namespace.key(constants.SYNC_HISTORY_KEY), '{}')) };
+    } catch {
+      return history;
+    }
+  }
+
+  /**
+   * Records a successful push or pull, or a failed sync operation.
+   * @param {string} operation - "push" or "pull"
+   * @param {string} [failure] - Error message, if the operation failed
+   */
+  recordSync(operation, failure) {
+    const at = new Date().toISOString();
+    if (failure) {
+      const failures = [...this.syncHistory.failures, { at, operation, message: failure }];
+      this.syncHistory.failures = failures.slice(-constants.SYNC_FAILURES_MAX_ENTRIES);
+    } else {
+      this.syncHistory[operation === 'pull' ? 'lastPull' : 'lastPush'] = at;
+    }
+    try {
+      GM_setValue(this.namespace.key(constants.SYNC_HISTORY_KEY), JSON.stringify(this.syncHistory));
+    } catch (error) {
+      console.warn('Failed to save sync history:', error);
+    }
+    this.notifySyncStatus();
+  }
+
+  /**
+   * Retries a failed sync with exponential backoff, or later if the server
+   * asked for it (e.g. when rate limited). A wrong passphrase won't fix itself,
+   * so that waits for the next change or a manual sync.
+   * @param {Error} error
+   */
+  scheduleRetry(error) {
+    if (error.isWrongPassphrase) {
+      return;
+    }
+    const backoff = Math.min(constants.SYNC_RETRY_BASE_DELAY * 2 ** this.retryCount, constants.SYNC_RETRY_MAX_DELAY);
+    const delay = Math.max(backoff, (error.retryAfter || 0) * 1000);
+    this.retryCount++;
+    this.nextRetryAt = Date.now() + delay;
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => this.syncNow(), delay);
+    this.notifySyncStatus();
+  }
+
+  /**
+   * Gets the remote backend for the current sync config, creating it on first use.
+   * @returns {RemoteBackend}
+   * @throws {Error} If the sync config is invalid
+   */
+  getRemoteBackend() {
+    const configText = this.config.stateSyncConfig;
+    if (!this.remoteBackend || this.remoteBackendConfig !== configText) {
+      this.remoteBackend = createRemoteBackend(configText, { api: this.config.api });
+      this.remoteBackendConfig = configText;
+    }
+    return this.remoteBackend;
+  }
+
+  /**
+   * Runs an operation against the remote backend and reflects the outcome in the sync status.
+   * @param {Function} operation - Receives the backend and returns a promise
+   * @param {string} successStatus - The status to set on success (e.g., "success").
+   * @returns {Promise<any>} - Resolves with the operation's result.
+   */
+  async runRemote(operation, successStatus = 'success') {
+    try {
+      const result = await operation(this.getRemoteBackend());
+      this.setSyncStatus(successStatus);
+      return result;
+    } catch (error) {
+      console.error('Remote sync error:', error.message);
+      this.setSyncStatus('failure', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Loads the remote state record.
+   * @param {RemoteBackend} backend
+   * @returns {Promise<object|null>}
+   * @throws {Error} If the remote is encrypted but the sync config has no passphrase,
+   *   so encrypted state is never merged or overwritten as if it were plaintext
+   */
+  async fetchRemoteState(backend) {
+    const remoteState = await backend.loadState();
+    this.remoteEncrypted = isEncryptedEnvelope(remoteState);
+    if (!(backend instanceof EncryptedBackend) && this.remoteEncrypted) {
+      throw wrongPassphraseError('Synced state is encrypted: add its "passphrase" to the sync config');
+    }
+    return remoteState;
   }
 
   /**
    * Loads state from storage or initializes with the default state.
-   * Compares local and remote timestamps to use whichever is newer.
+   * With sync enabled, local and remote state are merged field by field (see stateMerge.js).
    */
   async loadState(defaultState) {
     try {
-      const savedState = JSON.parse(GM_getValue(this.key, '{}'));
-      const localLastUpdated = savedState.lastUpdated;
+      const savedState = this.readSavedState();
+
+      // Read history used to be kept in GM storage (and still is without IndexedDB)
+      if (savedState.seen) {
+        const { added } = await this.seenStore.merge(savedState.seen);
+        if (added && this.seenStore.persistent) {
+          console.log(`[StateManager] Moved ${added} read posts to IndexedDB`);
+        }
+        delete savedState.seen;
+      }
 
-      if (this.config.stateSyncEnabled) {
+      // Other tabs get remote changes from the leader
+      if (this.config.stateSyncEnabled && this.isLeader) {
         const remoteState = await this.loadRemoteState();
         if (remoteState) {
-          const remoteLastUpdated = remoteState.lastUpdated;
-
-          // Compare timestamps - use whichever is newer
-          const localTime = localLastUpdated ? new Date(localLastUpdated).getTime() : 0;
-          const remoteTime = remoteLastUpdated ? new Date(remoteLastUpdated).getTime() : 0;
-
-          if (localTime > remoteTime) {
-            return { ...defaultState, ...savedState };
-          } else {
-            // Preserve filter from local state - it's session/device-specific
-            const { filter: remoteFilter, ...remoteWithoutFilter } = remoteState;
-
-            // Merge seen entries from both local and remote to prevent data loss
-            // Local may have entries not yet synced to remote, remote may have entries from other sessions
-            const mergedSeen = { ...(savedState.seen || {}) };
-            const remoteSeen = remoteWithoutFilter.seen || {};
-            for (const [postId, timestamp] of Object.entries(remoteSeen)) {
-              // Take remote entry if local doesn't have it, or if remote is newer
-              if (!mergedSeen[postId] || new Date(timestamp) > new Date(mergedSeen[postId])) {
-                mergedSeen[postId] = timestamp;
-              }
+          const { seen: remoteSeen, ...remoteRest } = remoteState;
+          const { state: mergedState, log } = mergeStates(savedState, remoteRest);
+          delete mergedState.seen;
+          await this.mergeSeen(remoteSeen, mergedState.seenRemoved, savedState.seenRemoved, log);
+          this.recordMerge('load', log);
+
+          // Upload recent reads the remote doesn't have (e.g. made before sync was enabled)
+          for (const [postId, timestamp] of this.seenStore.cache) {
+            if (remoteSeen?.[postId] !== timestamp) {
+              this.dirtySeenEntries.set(postId, timestamp);
             }
-
-            // Merge timeouts from both local and remote
-            // Take the later expiration time for each handle
-            const mergedTimeouts = { ...(savedState.timeouts || {}) };
-            const remoteTimeouts = remoteWithoutFilter.timeouts || {};
-            for (const [handle, expiresAt] of Object.entries(remoteTimeouts)) {
-              if (!mergedTimeouts[handle] || expiresAt > mergedTimeouts[handle]) {
-                mergedTimeouts[handle] = expiresAt;
-              }
-            }
-
-            return {
-              ...defaultState,
-              ...remoteWithoutFilter,
-              filter: savedState.filter || defaultState.filter || '',
-              timeouts: mergedTimeouts,
-              seen: mergedSeen
-            };
           }
-        } else {
-          return { ...defaultState, ...savedState };
+          return {
+            ...defaultState,
+            ...mergedState,
+            filter: savedState.filter || defaultState.filter || '',
+          };
         }
-      } else {
-        return { ...defaultState, ...savedState };
       }
+      return { ...defaultState, ...savedState };
     } catch (error) {
       console.error('Error loading state, using defaults:', error);
       return defaultState;
     }
   }
 
+  /**
+   * Reads the account's saved state, taking shared sections from the copy
+   * every account uses.
+   * @returns {object}
+   */
+  readSavedState() {
+    const savedState = JSON.parse(GM_getValue(this.key, '{}'));
+    const sharedFields = this.namespace.sharedStateFields();
+    if (sharedFields.length) {
+      const sharedState = JSON.parse(GM_getValue(this.sharedKey, '{}'));
+      const fieldVersions = { ...savedState.fieldVersions };
+      for (const field of sharedFields.filter((field) => field in sharedState)) {
+        savedState[field] = sharedState[field];
+        if (sharedState.fieldVersions?.[field]) {
+          fieldVersions[field] = sharedState.fieldVersions[field];
+        }
+      }
+      savedState.fieldVersions = fieldVersions;
+    }
+    return savedState;
+  }
+
+  /**
+   * Saves shared sections to the copy every account uses, merged with what
+   * other accounts saved there since.
+   * @param {object} savedState - State as saved for this account
+   */
+  saveSharedState(savedState) {
+    const sharedFields = this.namespace.sharedStateFields().filter((field) => field in savedState);
+    if (!sharedFields.length) {
+      return;
+    }
+    const pick = (obj = {}) =>
+      Object.fromEntries(sharedFields.filter((field) => field in obj).map((field) => [field, obj[field]]));
+    const stored = JSON.parse(GM_getValue(this.sharedKey, '{}'));
+    const { state: merged } = mergeStates(stored, {
+      ...pick(savedState),
+      fieldVersions: pick(savedState.fieldVersions),
+      lastUpdated: savedState.lastUpdated,
+    });
+    GM_setValue(
+      this.sharedKey,
+      JSON.stringify({ ...pick(merged), fieldVersions: pick(merged.fieldVersions), lastUpdated: merged.lastUpdated })
+    );
+  }
+
+  /**
+   * Shares different sections between accounts: this account's copy of newly
+   * shared sections is saved as the shared copy, and sections no longer shared
+   * are saved as this account's own. Read history is merged rather than
+   * replaced. Takes effect once the page is reloaded.
+   * @param {string[]} sharedSections - Names from ACCOUNT_SECTIONS
+   */
+  async setSharedSections(sharedSections) {
+    this.namespace = this.namespace.withSharedSections(sharedSections);
+    await this.saveLocalState();
+    const dbName = this.namespace.key(constants.SEEN_DB_NAME, 'readHistory');
+    if (dbName !== this.seenStore.dbName) {
+      const target = new SeenStore({ hotCacheSize: this.maxEntries, dbName });
+      await target.open();
+      const { added } = await target.merge(await this.seenStore.getAll());
+      console.log(`[StateManager] Copied ${added} read posts to ${dbName}`);
+      target.db?.close();
+    }
+  }
+
+  /**
+   * Applies the seen part of a merge to the seen store, replacing the counts in
+   * its log (mergeStates() never sees the full read history).
+   * @param {object} remoteSeen - Remote read posts (undefined when only the state record was fetched)
+   * @param {object} seenRemoved - Merged unread marks
+   * @param {object} localRemoved - Unread marks already applied locally
+   * @param {object} log - Log from mergeStates(), updated in place
+   */
+  async mergeSeen(remoteSeen, seenRemoved = {}, localRemoved = {}, log) {
+    const newRemovals = Object.fromEntries(
+      Object.entries(seenRemoved).filter(([postId, timestamp]) => localRemoved[postId] !== timestamp)
+    );
+    const { added, removed, changes } = await this.seenStore.merge(remoteSeen, newRemovals);
+    if (added || removed) {
+      this.tabSync.post({ type: 'seen', seen: changes });
+    }
+    log.seenAdded = added;
+    log.seenRemoved = removed;
+  }
+
+  /**
+   * Tells handlers that read state changed outside of their own actions
+   * (posts found in IndexedDB after a cache miss, or a merge from remote).
+   */
+  notifySeenChanged() {
+    window.dispatchEvent(new window.CustomEvent('bsky-nav-seen-changed'));
+  }
+
+  /**
+   * Gets a post's read timestamp. Answered from the seen store's hot cache; a
+   * miss returns undefined and dispatches bsky-nav-seen-changed if the post
+   * turns out to be read.
+   * @param {string} postId
+   * @returns {string|undefined} ISO timestamp if read
+   */
+  getSeen(postId) {
+    return this.seenStore.get(postId);
+  }
+
+  /**
+   * Marks a post read or unread, recording the change for remote sync and
+   * sharing it with the other tabs.
+   * @param {string} postId
+   * @param {string|null} timestamp - ISO read timestamp, or null to mark unread
+   */
+  markSeen(postId, timestamp) {
+    const previous = this.seenStore.get(postId);
+    const update = {};
+    // Remember which read an unread mark removed, so merges don't bring it back
+    if (previous && !timestamp) {
+      update.seenRemoved = { ...this.state.seenRemoved, [postId]: previous };
+    }
+    this.seenStore.set(postId, timestamp).catch((error) => {
+      console.error('Failed to save read state:', error);
+    });
+    if (this.config.stateSyncEnabled && this.isLeader) {
+      this.dirtySeenEntries.set(postId, timestamp);
+    }
+    this.tabSync.post({ type: 'seen', seen: { [postId]: timestamp } });
+    this.updateState(update);
+  }
+
+  /**
+   * Marks many posts read or unread at once (e.g. when importing a backup),
+   * recording the changes for remote sync.
+   * @param {object} changes - Post ID -> ISO read timestamp, or null to mark unread
+   */
+  async importSeen(changes) {
+    const postIds = Object.keys(changes);
+    if (!postIds.length) return;
+    const previous = await this.seenStore.getMany(postIds);
+    const seenRemoved = { ...this.state.seenRemoved };
+    for (const postId of postIds) {
+      if (previous[postId] && !changes[postId]) {
+        seenRemoved[postId] = previous[postId];
+      }
+      if (this.config.stateSyncEnabled && this.isLeader) {
+        this.dirtySeenEntries.set(postId, changes[postId]);
+      }
+    }
+    await this.seenStore.setMany(changes);
+    this.tabSync.post({ type: 'seen', seen: changes });
+    this.updateState({ seenRemoved });
+    this.notifySeenChanged();
+  }
+
+  /**
+   * Removes author timeouts, recording the expirations removed so merges
+   * with other tabs and devices don't bring them back.
+   * @param {string[]} handles
+   */
+  removeTimeouts(handles) {
+    const timeouts = { ...this.state.timeouts };
+    const timeoutsRemoved = { ...this.state.timeoutsRemoved };
+    for (const handle of handles.filter((handle) => handle in timeouts)) {
+      timeoutsRemoved[handle] = timeouts[handle];
+      delete timeouts[handle];
+    }
+    this.updateState({ timeouts, timeoutsRemoved });
+  }
+
+  /**
+   * Handles a message from another tab (see TabSync.js).
+   * @param {object} message
+   */
+  handleTabMessage(message) {
+    switch (message?.type) {
+      case 'seen':
+        this.receiveSeen(message.seen);
+        break;
+      case 'state':
+        this.receiveState(message.state);
+        break;
+      case 'sync':
+        if (this.isLeader) {
+          this.syncNow();
+        }
+        break;
+      case 'sync-status-request':
+        if (this.isLeader) {
+          this.notifySyncStatus();
+        }
+        break;
+      case 'sync-status':
+        if (!this.isLeader) {
+          this.leaderSyncStatus = message.status;
+          this.notifySyncStatus();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Applies read/unread changes another tab already saved to the seen store.
+   * The leader queues them for remote sync.
+   * @param {object} seen - Post ID -> ISO read timestamp, or null if marked unread
+   */
+  receiveSeen(seen) {
+    this.seenStore.cacheMany(seen);
+    if (this.config.stateSyncEnabled && this.isLeader) {
+      for (const [postId, timestamp] of Object.entries(seen)) {
+        this.dirtySeenEntries.set(postId, timestamp);
+      }
+      this.saveSyncQueue();
+      this.scheduleRemoteSync();
+    }
+    this.notifySeenChanged();
+  }
+
+  /**
+   * Merges state another tab just saved, so this tab's next save keeps its
+   * changes. The leader syncs them to the remote.
+   * @param {object} otherState - The other tab's state (without seen entries)
+   */
+  receiveState(otherState) {
+    const { state: mergedState } = mergeStates(this.state, otherState);
+    delete mergedState.seen;
+    const changed = mergedState.lastUpdated !== this.state.lastUpdated;
+    this.state = { ...this.state, ...mergedState };
+    if (changed && this.config.stateSyncEnabled && this.isLeader) {
+      this.isRemoteSyncPending = true;
+      this.saveSyncQueue();
+      this.scheduleRemoteSync();
+    }
+    this.notifyListeners();
+  }
+
+  /**
+   * Starts syncing with the remote after the leader tab closed, picking up the
+   * changes it left queued.
+   */
+  takeOverSync() {
+    console.log('[StateManager] This tab now syncs with the remote');
+    this.leaderSyncStatus = null;
+    this.syncHistory = this.loadSyncHistory();
+    this.loadSyncQueue();
+    if (this.hasUnsyncedChanges()) {
+      this.scheduleRemoteSync();
+    }
+    this.notifySyncStatus();
+  }
+
+  /**
+   * Appends a merge to the merge log kept in GM storage.
+   * @param {string} reason - What triggered the merge ("load" or "sync")
+   * @param {object} log - Log from mergeStates()
+   */
+  recordMerge(reason, log) {
+    const entry = { at: new Date().toISOString(), reason, ...log };
+    console.log('[StateManager] Merged remote state:', entry);
+    try {
+      const entries = [...this.getMergeLog(), entry].slice(-constants.MERGE_LOG_MAX_ENTRIES);
+      GM_setValue(this.namespace.key(constants.MERGE_LOG_KEY), JSON.stringify(entries));
+    } catch (error) {
+      console.warn('Failed to save merge log:', error);
+    }
+  }
+
+  /**
+   * Returns recent merges, oldest first.
+   * Inspect from the console with unsafeWindow.blueskyNavigatorState.stateManager.getMergeLog()
+   * @returns {Array<object>}
+   */
+  getMergeLog() {
+    try {
+      return JSON.parse(GM_getValue(this.namespace.key(constants.MERGE_LOG_KEY), '[]'));
+    } catch {
+      return [];
+    }
+  }
+
   async loadRemoteState() {
     try {
       this.setSyncStatus('pending');
-      const result = await this.executeRemoteQuery('SELECT * FROM state:current;');
-      const stateObj = result || {};
-      delete stateObj.id;
-
-      // Load seen entries from separate table
-      const seenRecords = await this.executeRemoteQueryAll('SELECT postId, timestamp FROM seen;');
-      if (seenRecords && seenRecords.length > 0) {
-        stateObj.seen = {};
-        for (const record of seenRecords) {
-          if (record.postId && record.timestamp) {
-            stateObj.seen[record.postId] = record.timestamp;
-          }
-        }
+      const stateObj = (await this.runRemote((backend) => this.fetchRemoteState(backend))) || {};
+
+      // Seen entries are stored separately from the rest of the state
+      const remoteSeen = await this.runRemote((backend) => backend.loadSeen());
+      const seenCount = Object.keys(remoteSeen).length;
+      if (seenCount > 0) {
+        stateObj.seen = remoteSeen;
       }
 
       const stateSize = (JSON.stringify(stateObj).length / 1024).toFixed(2);
       const seenSize = stateObj.seen ? (JSON.stringify(stateObj.seen).length / 1024).toFixed(2) : '0';
-      console.log(`[StateManager] Loaded remote state: ${stateSize} KB total, ${seenSize} KB seen (${seenRecords?.length || 0} entries)`);
+      console.log(`[StateManager] Loaded remote state: ${stateSize} KB total, ${seenSize} KB seen (${seenCount} entries)`);
+      this.recordSync('pull');
 
       return stateObj;
     } catch (error) {
       console.error('Failed to load remote state:', error);
+      this.recordSync('pull', error.message);
+      // Local changes are pushed (after merging remote state) once the remote can be reached
+      this.isRemoteSyncPending = true;
+      this.scheduleRetry(error);
       return null;
     }
   }
@@ -292,29 +682,18 @@ export class StateManager {
    * Updates the state and schedules a chained local and remote save.
    */
   updateState(newState) {
-    // Track dirty seen entries for efficient remote sync
-    if (newState.seen && this.config.stateSyncEnabled) {
-      const oldSeen = this.lastSeenSnapshot || {};
-      const newSeen = newState.seen;
-      // Find new or changed entries
-      for (const [postId, timestamp] of Object.entries(newSeen)) {
-        if (oldSeen[postId] !== timestamp) {
-          this.dirtySeenEntries.set(postId, timestamp);
-        }
-      }
-      // Find deleted entries (in old but not in new)
-      for (const postId of Object.keys(oldSeen)) {
-        if (!(postId in newSeen)) {
-          // Mark for deletion with null
-          this.dirtySeenEntries.set(postId, null);
-        }
+    const now = new Date().toISOString();
+
+    // Version each changed field so merges can resolve conflicts per field
+    const fieldVersions = { ...this.state.fieldVersions };
+    for (const key of Object.keys(newState)) {
+      if (!UNVERSIONED_FIELDS.includes(key) && !LOCAL_ONLY_FIELDS.includes(key)) {
+        fieldVersions[key] = now;
       }
-      // Update snapshot for next comparison
-      this.lastSeenSnapshot = { ...newSeen };
     }
 
-    this.state = { ...this.state, ...newState };
-    this.state.lastUpdated = new Date().toISOString();
+    this.state = { ...this.state, ...newState, fieldVersions };
+    this.state.lastUpdated = now;
     this.isLocalStateDirty = true; // Mark local state as dirty
     this.isRemoteSyncPending = true; // Mark remote sync as pending
     this.scheduleLocalSave(); // Schedule local save
@@ -338,24 +717,31 @@ export class StateManager {
   }
 
   /**
-   * Saves the local state and resolves a promise.
+   * Saves the local state and shares it with the other tabs.
    * @returns {Promise<void>}
    */
   async saveLocalState() {
     this.cleanupState(); // Ensure state is pruned before saving
     // Exclude non-serializable fields (objects with circular refs or complex instances)
     const { listCache, rules, ...serializableState } = this.state;
-    const stateJson = JSON.stringify(serializableState);
+    const savedState = this.seenStore.persistent
+      ? serializableState
+      : { ...serializableState, seen: Object.fromEntries(this.seenStore.cache) };
+    const stateJson = JSON.stringify(savedState);
     GM_setValue(this.key, stateJson);
+    this.saveSharedState(savedState);
+    this.tabSync.post({ type: 'state', state: serializableState });
+    this.saveSyncQueue();
     this.isLocalStateDirty = false; // Reset dirty flag
     this.notifyListeners();
   }
 
   /**
    * Schedules a remote state synchronization after a longer delay.
+   * While a failed sync waits to be retried, changes are left for the retry.
    */
   scheduleRemoteSync() {
-    if (!this.config.stateSyncEnabled) {
+    if (!this.config.stateSyncEnabled || !this.isLeader || this.retryTimeout) {
       return;
     }
 
@@ -366,78 +752,169 @@ export class StateManager {
   }
 
   /**
-   * Saves the remote state if needed.
+   * Builds the state object stored remotely.
+   * Excludes session-only fields (filter), seen (synced separately), and non-serializable objects.
+   * @returns {object|null} The state, or null if it failed validation and must not be sent
+   */
+  getRemoteStateSnapshot() {
+    const stateToSync = Object.fromEntries(
+      Object.entries(this.state).filter(([key]) => !LOCAL_ONLY_FIELDS.includes(key))
+    );
+    stateToSync.created_at = new Date().toISOString();
+    const error = getRemoteStateError(stateToSync);
+    if (error) {
+      console.error('[StateManager] Not syncing malformed state:', error);
+      this.setSyncStatus('failure', error);
+      this.recordSync('push', `Not syncing malformed state: ${error}`);
+      return null;
+    }
+    return stateToSync;
+  }
+
+  /**
+   * Takes the dirty seen entries, clearing the dirty map.
+   * Malformed entries are dropped here so they can't block later syncs.
+   * @returns {{entries: Array, upserts: Array<[string, string]>, deletes: string[]}}
+   */
+  takeDirtySeenEntries() {
+    const entries = Array.from(this.dirtySeenEntries.entries()).filter(([postId, timestamp]) => {
+      const error = getSeenEntryError(postId, timestamp);
+      if (error) {
+        console.warn('[StateManager] Dropping malformed seen entry:', error);
+      }
+      return !error;
+    });
+    this.dirtySeenEntries.clear();
+    return {
+      entries,
+      upserts: entries.filter(([, timestamp]) => timestamp != null),
+      deletes: entries.filter(([, timestamp]) => timestamp == null).map(([postId]) => postId),
+    };
+  }
+
+  /**
+   * Syncs with the remote: merges remote state, then sends local state and
+   * queued seen entries. Only one sync runs at a time; one requested meanwhile
+   * runs after it. Failures are retried with backoff, and while offline,
+   * changes stay queued until the connection is back. Only the leader tab syncs.
+   * @param {string} since - Local lastUpdated; nothing is synced without it
+   * @returns {Promise<void>} Resolves when the sync is over (it never rejects)
    */
-  async saveRemoteState(since) {
+  saveRemoteState(since) {
+    if (!since || !this.config.stateSyncEnabled || !this.isLeader) {
+      return Promise.resolve();
+    }
+    if (this.remoteSync) {
+      this.remoteSyncRequested = true;
+      return this.remoteSync;
+    }
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+    this.nextRetryAt = null;
+    this.remoteSync = this.pushRemoteState().finally(() => {
+      this.remoteSync = null;
+      this.saveSyncQueue();
+      this.notifySyncStatus();
+      if (this.remoteSyncRequested) {
+        this.remoteSyncRequested = false;
+        this.scheduleRemoteSync();
+      }
+    });
+    this.notifySyncStatus();
+    return this.remoteSync;
+  }
+
+  /**
+   * Syncs right away, without waiting for a scheduled sync or retry. Other tabs
+   * ask the leader to.
+   * @returns {Promise<void>}
+   */
+  syncNow() {
+    if (!this.isLeader) {
+      this.tabSync.post({ type: 'sync' });
+      return Promise.resolve();
+    }
+    clearTimeout(this.remoteSyncTimeout);
+    return this.saveRemoteState(this.state.lastUpdated || new Date().toISOString());
+  }
+
+  /**
+   * @private
+   */
+  async pushRemoteState() {
+    if (navigator.onLine === false) {
+      this.setSyncStatus('offline', 'changes will sync when the connection is back');
+      return;
+    }
     try {
-      const lastUpdated = await this.getRemoteStateUpdated();
-      if (!since || !lastUpdated || new Date(since) < new Date(lastUpdated)) {
-        return;
+      // Merge first so changes saved by other devices since our last sync aren't overwritten.
+      // A remote without state yet (e.g. a new backend) gets seeded from local state.
+      const remoteState = await this.runRemote((backend) => this.fetchRemoteState(backend), 'pending');
+      this.recordSync('pull');
+      if (remoteState) {
+        await this.mergeRemoteState(remoteState);
       }
 
+      const stateToSync = this.getRemoteStateSnapshot();
+      if (!stateToSync) {
+        return;
+      }
       this.setSyncStatus('pending');
-      // Exclude session-only fields (filter), seen (synced separately), and non-serializable objects
-      const { filter, seen, listCache, rules, ...stateToSync } = this.state;
-      stateToSync.created_at = new Date().toISOString();
-      const stateJson = JSON.stringify(stateToSync);
-      const stateSize = (stateJson.length / 1024).toFixed(2);
+      const stateSize = (JSON.stringify(stateToSync).length / 1024).toFixed(2);
       console.log(`[StateManager] Saving remote state: ${stateSize} KB (excluding seen)`);
-      // Use CONTENT instead of MERGE to fully replace state (MERGE doesn't remove cleared fields)
-      await this.executeRemoteQuery(
-        `UPSERT state:current CONTENT ${stateJson}`,
-        'success'
-      );
-      this.isRemoteSyncPending = false; // Clear pending flag on success
+      await this.runRemote((backend) => backend.saveState(stateToSync));
+      // Changes made while saving still need a sync
+      if (this.state.lastUpdated === stateToSync.lastUpdated) {
+        this.isRemoteSyncPending = false;
+      }
 
       // Sync dirty seen entries separately
       await this.syncSeenToRemote();
+      this.recordSync('push');
+      this.retryCount = 0;
     } catch (error) {
       console.error('Failed to save remote state:', error);
+      this.recordSync('push', error.message);
+      this.scheduleRetry(error);
     }
   }
 
   /**
-   * Syncs dirty seen entries to remote as individual records.
-   * Each entry is stored as seen:<postId> with timestamp value.
-   * Entries with null timestamp are deleted from remote.
+   * Merges remote state (without seen entries) into local state during a sync.
+   * @param {object} remoteState - State loaded from the backend
    */
-  async syncSeenToRemote() {
-    if (this.dirtySeenEntries.size === 0) {
+  async mergeRemoteState(remoteState) {
+    const { state: mergedState, log } = mergeStates(this.state, remoteState);
+    delete mergedState.seen;
+    await this.mergeSeen(undefined, mergedState.seenRemoved, this.state.seenRemoved, log);
+    if (!mergeChangedLocal(log)) {
       return;
     }
-
-    const entries = Array.from(this.dirtySeenEntries.entries());
-    this.dirtySeenEntries.clear(); // Clear immediately to avoid re-syncing on failure
-
-    // Separate entries into upserts and deletes
-    const upserts = entries.filter(([, timestamp]) => timestamp != null);
-    const deletes = entries.filter(([, timestamp]) => timestamp == null);
-
-    // Build statements for both operations
-    const statements = [];
-
-    // Upsert entries with timestamps
-    for (const [postId, timestamp] of upserts) {
-      const safeId = postId.replace(/[^a-zA-Z0-9_-]/g, '_');
-      statements.push(`UPSERT seen:${safeId} SET postId = "${postId}", timestamp = "${timestamp}", updated_at = time::now();`);
-    }
-
-    // Delete entries marked as unread
-    for (const [postId] of deletes) {
-      const safeId = postId.replace(/[^a-zA-Z0-9_-]/g, '_');
-      statements.push(`DELETE seen:${safeId};`);
+    this.recordMerge('sync', log);
+    this.state = { ...this.state, ...mergedState };
+    this.saveLocalState();
+    if (log.seenRemoved) {
+      this.notifySeenChanged();
     }
+  }
 
-    if (statements.length === 0) {
+  /**
+   * Syncs dirty seen entries to the remote backend.
+   * Entries with null timestamp are deleted from remote.
+   * @throws {Error} If the sync failed (the entries stay queued)
+   */
+  async syncSeenToRemote() {
+    if (this.dirtySeenEntries.size === 0) {
       return;
     }
 
-    const query = statements.join(' ');
-    const querySize = (query.length / 1024).toFixed(2);
+    // Clear immediately so entries marked while the sync is in flight aren't lost
+    const { entries, upserts, deletes } = this.takeDirtySeenEntries();
+    this.inFlightSeenEntries = new Map(entries);
 
     try {
-      await this.executeRemoteQuery(query, 'success');
-      console.log(`[StateManager] Synced ${upserts.length} seen, deleted ${deletes.length} unseen entries (${querySize} KB)`);
+      await this.runRemote((backend) => backend.saveSeen(upserts, deletes));
+      console.log(`[StateManager] Synced ${upserts.length} seen, deleted ${deletes.length} unseen entries`);
 
       // Trigger cleanup every 10 syncs
       this.seenSyncCount++;
@@ -446,11 +923,16 @@ export class StateManager {
         this.cleanupRemoteSeenEntries();
       }
     } catch (error) {
-      // On failure, add entries back to dirty map for retry
+      // On failure, add entries back to dirty map for retry (newer changes win)
       entries.forEach(([postId, timestamp]) => {
-        this.dirtySeenEntries.set(postId, timestamp);
+        if (!this.dirtySeenEntries.has(postId)) {
+          this.dirtySeenEntries.set(postId, timestamp);
+        }
       });
       console.error('Failed to sync seen entries:', error);
+      throw error;
+    } finally {
+      this.inFlightSeenEntries.clear();
     }
   }
 
@@ -464,22 +946,12 @@ export class StateManager {
     }
 
     try {
-      // Get count of remote seen entries
-      const countResult = await this.executeRemoteQuery('SELECT count() FROM seen GROUP ALL;');
-      const count = countResult?.count || 0;
-
-      if (count <= this.maxEntries) {
+      const { count, deleted } = await this.runRemote((backend) => backend.cleanupSeen(this.maxEntries));
+      if (deleted) {
+        console.log(`[StateManager] Remote cleanup: deleted ${deleted} old entries (${count} → ${count - deleted})`);
+      } else {
         console.log(`[StateManager] Remote seen entries: ${count}/${this.maxEntries} (no cleanup needed)`);
-        return;
       }
-
-      // Delete oldest entries beyond maxEntries
-      // SurrealDB supports ORDER BY and LIMIT in DELETE
-      const toDelete = count - this.maxEntries;
-      await this.executeRemoteQuery(
-        `DELETE FROM seen ORDER BY timestamp ASC LIMIT ${toDelete};`
-      );
-      console.log(`[StateManager] Remote cleanup: deleted ${toDelete} old entries (${count} → ${this.maxEntries})`);
     } catch (error) {
       console.error('Failed to cleanup remote seen entries:', error);
     }
@@ -498,94 +970,18 @@ export class StateManager {
   }
 
   /**
-   * Saves remote state using fetch with keepalive for page unload scenarios.
-   * This method is designed to be called during visibilitychange/pagehide events
-   * where GM_xmlhttpRequest may not complete.
-   */
-  saveRemoteStateSync() {
-    if (!this.config.stateSyncEnabled || !this.config.stateSyncConfig) {
-      return;
-    }
-
-    // Clear flag immediately to prevent duplicate saves from multiple event handlers
-    this.isRemoteSyncPending = false;
-
-    try {
-      const {
-        url,
-        namespace = 'bluesky_navigator',
-        database = 'state',
-        username,
-        password,
-      } = JSON.parse(this.config.stateSyncConfig);
-
-      const sqlUrl = `${url.replace(/\/$/, '')}/sql`;
-      const headers = {
-        'Accept': 'application/json',
-        'Authorization': 'Basic ' + btoa(`${username}:${password}`),
-      };
-
-      // Exclude session-only fields (filter), seen (synced separately), and non-serializable objects
-      const { filter, seen, listCache, rules, ...stateToSync } = this.state;
-      stateToSync.created_at = new Date().toISOString();
-      const stateJson = JSON.stringify(stateToSync);
-      // Use CONTENT instead of MERGE to fully replace state (MERGE doesn't remove cleared fields)
-      const stateQuery = `USE NS ${namespace} DB ${database}; UPSERT state:current CONTENT ${stateJson}`;
-
-      const stateSize = (stateJson.length / 1024).toFixed(2);
-      console.log(`[StateManager] Saving remote state on unload: ${stateSize} KB (excluding seen)`);
-
-      // Use fetch with keepalive to ensure request completes during page unload
-      fetch(sqlUrl, {
-        method: 'POST',
-        headers,
-        body: stateQuery,
-        keepalive: true,
-      }).catch(() => {});
-
-      // Also sync any dirty seen entries
-      if (this.dirtySeenEntries.size > 0) {
-        const entries = Array.from(this.dirtySeenEntries.entries());
-        this.dirtySeenEntries.clear();
-
-        // Separate upserts and deletes
-        const upserts = entries.filter(([, timestamp]) => timestamp != null);
-        const deletes = entries.filter(([, timestamp]) => timestamp == null);
-
-        const statements = [];
-        for (const [postId, timestamp] of upserts) {
-          const safeId = postId.replace(/[^a-zA-Z0-9_-]/g, '_');
-          statements.push(`UPSERT seen:${safeId} SET postId = "${postId}", timestamp = "${timestamp}", updated_at = time::now();`);
-        }
-        for (const [postId] of deletes) {
-          const safeId = postId.replace(/[^a-zA-Z0-9_-]/g, '_');
-          statements.push(`DELETE seen:${safeId};`);
-        }
-
-        if (statements.length > 0) {
-          const seenQuery = `USE NS ${namespace} DB ${database}; ${statements.join(' ')}`;
-          const seenSize = (statements.join(' ').length / 1024).toFixed(2);
-          console.log(`[StateManager] Syncing ${upserts.length} seen, ${deletes.length} unseen on unload (${seenSize} KB)`);
-
-          fetch(sqlUrl, {
-            method: 'POST',
-            headers,
-            body: seenQuery,
-            keepalive: true,
-          }).catch(() => {});
-        }
-      }
-    } catch (error) {
-      console.error('Error preparing remote state save:', error);
-    }
-  }
-
-  /**
-   * Keeps only the most recent N entries in the state.
+   * Keeps only the most recent N unread marks (read history itself is in the seen store),
+   * and drops removed timeouts that would have expired by now.
    */
   cleanupState() {
-    if (this.state.seen) {
-      this.state.seen = this.keepMostRecentValues(this.state.seen, this.maxEntries);
+    if (this.state.seenRemoved) {
+      this.state.seenRemoved = this.keepMostRecentValues(this.state.seenRemoved, this.maxEntries);
+    }
+    if (this.state.timeoutsRemoved) {
+      const now = Date.now();
+      this.state.timeoutsRemoved = Object.fromEntries(
+        Object.entries(this.state.timeoutsRemoved).filter(([, expiresAt]) => expiresAt > now)
+      );
     }
   }
 
@@ -0,0 +1,105 @@
+// TabSync.js - Shares state changes between open tabs and elects one to sync with the remote
+
+import constants from './constants.js';
+
+/**
+ * Connects the tabs running the script, so a change made in one shows up in
+ * the others right away instead of being overwritten by their next save.
+ *
+ * Messages go over a BroadcastChannel, which doesn't deliver them back to the
+ * sending tab. One tab at a time is the leader: it holds a Web Lock for as long
+ * as it is open, and when it closes the lock passes to a tab waiting for it.
+ * Only the leader talks to the remote sync backend.
+ *
+ * Without BroadcastChannel every tab works alone, and without Web Locks every
+ * tab leads (as before tabs were connected).
+ */
+export class TabSync {
+  /**
+   * @param {object} options
+   * @param {Function} options.onMessage - Called with each message from another tab
+   * @param {Function} options.onLeader - Called when this tab takes over as leader
+   *   after another one closed
+   * @param {string} options.channelName - BroadcastChannel name
+   * @param {string} options.lockName - Web Lock held by the leader
+   * @param {LockManager} options.locks - Lock manager (navigator.locks)
+   */
+  constructor({
+    onMessage = () => {},
+    onLeader = () => {},
+    channelName = constants.TAB_CHANNEL_NAME,
+    lockName = constants.TAB_LEADER_LOCK,
+    locks = navigator.locks,
+  } = {}) {
+    this.onMessage = onMessage;
+    this.onLeader = onLeader;
+    this.lockName = lockName;
+    this.locks = locks;
+    this.isLeader = false;
+    this.releaseLock = null; // Releases the leader lock (or stops waiting for it)
+    this.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(channelName);
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.onMessage(event.data);
+    }
+  }
+
+  /**
+   * Finds out whether this tab leads. A tab that doesn't waits in line, and
+   * onLeader is called if it takes over.
+   * @returns {Promise<boolean>} Whether this tab is the leader
+   */
+  electLeader() {
+    if (!this.locks) {
+      this.isLeader = true;
+      return Promise.resolve(true);
+    }
+    // Held until the tab closes (or close() is called)
+    const hold = () =>
+      new Promise((resolve) => {
+        this.releaseLock = resolve;
+      });
+    return new Promise((resolve) => {
+      this.locks.request(this.lockName, { ifAvailable: true }, (lock) => {
+        if (lock) {
+          this.isLeader = true;
+          resolve(true);
+          return hold();
+        }
+        resolve(false);
+        const controller = new AbortController();
+        this.releaseLock = () => controller.abort();
+        this.locks
+          .request(this.lockName, { signal: controller.signal }, () => {
+            this.isLeader = true;
+            this.onLeader();
+            return hold();
+          })
+          .catch(() => {}); // Aborted by close()
+        return undefined;
+      });
+    });
+  }
+
+  /**
+   * Sends a message to the other tabs.
+   * @param {object} message - Must be structured-cloneable
+   */
+  post(message) {
+    try {
+      this.channel?.postMessage(message);
+    } catch (error) {
+      console.warn('[TabSync] Failed to send message:', error);
+    }
+  }
+
+  /**
+   * Disconnects from the other tabs, handing leadership to the next one.
+   */
+  close() {
+    this.channel?.close();
+    this.channel = null;
+    this.releaseLock?.();
+    this.releaseLock = null;
+    this.isLeader = false;
+  }
+}
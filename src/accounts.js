@@ -0,0 +1,162 @@
+// accounts.js - Per-account storage namespaces, keyed by the logged-in account's DID
+
+import constants from './constants.js';
+
+/**
+ * Sections that can be shared by every account instead of kept per account.
+ * `setting` is the checkbox that shares the section; `config` and `state` are
+ * the config and state fields it covers. Read history also covers the read
+ * posts in IndexedDB.
+ */
+export const ACCOUNT_SECTIONS = {
+  rules: { setting: 'shareAccountRules', config: ['rulesConfig', 'rulesetColors'], state: [] },
+  // `seen` is only saved with the state when IndexedDB is unavailable
+  readHistory: { setting: 'shareAccountReadHistory', config: [], state: ['seenRemoved', 'seen'] },
+  timeouts: { setting: 'shareAccountTimeouts', config: [], state: ['timeoutsRemoved', 'timeouts'] },
+  savedSearches: { setting: 'shareAccountSavedSearches', config: [], state: ['savedSearches'] },
+};
+
+// Config fields kept per account, mapped to their section (null: never shared).
+// Remote sync settings always are, so one account's history never syncs into another's.
+const ACCOUNT_CONFIG_FIELDS = {
+  ...Object.fromEntries(
+    Object.entries(ACCOUNT_SECTIONS).flatMap(([name, { config }]) => config.map((field) => [field, name]))
+  ),
+  stateSyncEnabled: null,
+  stateSyncConfig: null,
+};
+
+/**
+ * Gets the account logged in to bsky.app, from the session the app keeps in localStorage.
+ * @param {Storage} storage
+ * @returns {{did: string, handle: string}|null} Null when logged out
+ */
+export function getCurrentAccount(storage = window.localStorage) {
+  try {
+    const { session } = JSON.parse(storage.getItem(constants.BSKY_STORAGE_KEY) || '{}');
+    const { did, handle } = session?.currentAccount || {};
+    return did ? { did, handle } : null;
+  } catch (error) {
+    console.warn('[accounts] Failed to read the bsky.app session:', error);
+    return null;
+  }
+}
+
+/**
+ * Calls onChange when another account logs in (or the account logs out),
+ * whether in this tab or another one.
+ * @param {string|null} did - The account the page was loaded for
+ * @param {Function} onChange - Called with the new account, or null
+ */
+export function watchAccount(did, onChange) {
+  const check = () => {
+    const account = getCurrentAccount();
+    if ((account?.did || null) !== did) {
+      did = account?.did || null;
+      onChange(account);
+    }
+  };
+  window.addEventListener('storage', (event) => {
+    if (event.key === constants.BSKY_STORAGE_KEY) check();
+  });
+  setInterval(check, constants.ACCOUNT_CHECK_INTERVAL);
+}
+
+/**
+ * Gets the account that owns the storage from before accounts were kept
+ * apart, making the first account to log in its owner.
+ * @param {string|null} did - Logged-in account
+ * @returns {string|null} The owner's DID
+ */
+export function claimLegacyStorage(did) {
+  const owner = GM_getValue(constants.ACCOUNT_OWNER_KEY, null);
+  if (owner || !did) {
+    return owner;
+  }
+  GM_setValue(constants.ACCOUNT_OWNER_KEY, did);
+  console.log(`[accounts] Existing settings and history now belong to ${did}`);
+  return did;
+}
+
+/**
+ * Gets the sections the share settings say to share.
+ * @param {object} config - Anything with get(key)
+ * @returns {string[]} Names from ACCOUNT_SECTIONS
+ */
+export function getSharedSections(config) {
+  return Object.keys(ACCOUNT_SECTIONS).filter((name) => config.get(ACCOUNT_SECTIONS[name].setting));
+}
+
+/**
+ * Maps storage keys to the logged-in account's copy, or to the copy shared by
+ * every account. The account that owned the storage before accounts were kept
+ * apart (and anyone logged out) keeps using the original keys, so nothing has
+ * to be moved; other accounts get keys suffixed with their DID.
+ */
+export class AccountNamespace {
+  /**
+   * @param {string|null} did - Logged-in account
+   * @param {string|null} owner - Account that owns the original keys (see claimLegacyStorage())
+   * @param {string[]} sharedSections - Names from ACCOUNT_SECTIONS shared by every account
+   */
+  constructor(did = null, owner = null, sharedSections = []) {
+    this.did = did;
+    this.owner = owner;
+    this.sharedSections = Object.keys(ACCOUNT_SECTIONS).filter((name) => sharedSections.includes(name));
+  }
+
+  /**
+   * Gets the same namespace with other sections shared.
+   * @param {string[]} sharedSections
+   * @returns {AccountNamespace}
+   */
+  withSharedSections(sharedSections) {
+    return new AccountNamespace(this.did, this.owner, sharedSections);
+  }
+
+  /**
+   * @param {string[]} sharedSections
+   * @returns {boolean} Whether exactly these sections are shared
+   */
+  sharesSections(sharedSections) {
+    return this.withSharedSections(sharedSections).sharedSections.join() === this.sharedSections.join();
+  }
+
+  /**
+   * Gets the storage key (or IndexedDB name, channel name...) to use.
+   * @param {string} base - The key used before accounts were kept apart
+   * @param {string|null} section - Section the data belongs to, if it can be shared
+   * @returns {string}
+   */
+  key(base, section = null) {
+    if (section && this.sharedSections.includes(section)) {
+      return this.sharedKey(base);
+    }
+    return !this.did || this.did === this.owner ? base : `${base}:${this.did}`;
+  }
+
+  /**
+   * @param {string} base
+   * @returns {string} Key of the copy shared by every account
+   */
+  sharedKey(base) {
+    return `${base}:shared`;
+  }
+
+  /**
+   * Gets the storage key a config field is saved under.
+   * @param {string} field
+   * @param {string} base - Key of the config record
+   * @returns {string} The base key for settings that apply to every account
+   */
+  configKey(field, base) {
+    return field in ACCOUNT_CONFIG_FIELDS ? this.key(base, ACCOUNT_CONFIG_FIELDS[field]) : base;
+  }
+
+  /**
+   * @returns {string[]} State fields kept in the shared copy
+   */
+  sharedStateFields() {
+    return this.sharedSections.flatMap((name) => ACCOUNT_SECTIONS[name].state);
+  }
+}
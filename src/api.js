@@ -1,4 +1,6 @@
 import { BskyAgent } from '@atproto/api';
+import constants from './constants.js';
+import { PostCache } from './PostCache.js';
 
 export class BlueskyAPI {
   constructor(service = 'https://bsky.social', identifier, password) {
@@ -10,6 +12,16 @@ export class BlueskyAPI {
     // Rate limit tracking
     this.rateLimitedAt = null;
     this.rateLimitCooldownMs = 60 * 1000; // 1 minute cooldown after 429
+
+    // Hydrated post views shared by everything that needs post data
+    this.postCache = new PostCache();
+    // Handle -> DID, so repeated URL -> AT URI conversions don't re-resolve
+    this.didCache = new Map();
+    // Pending getPost() requests waiting to be batched: uri -> [{ resolve, reject }]
+    this.pendingPostRequests = new Map();
+    this.postBatchTimeout = null;
+    // In-flight login, shared by concurrent callers
+    this.loginPromise = null;
   }
 
   /**
@@ -72,15 +84,148 @@ export class BlueskyAPI {
   }
 
   async login() {
-    return this.agent.login({
-      identifier: this.identifier,
-      password: this.password,
+    // Share one login between callers that race at startup
+    if (!this.loginPromise) {
+      this.loginPromise = this.agent
+        .login({
+          identifier: this.identifier,
+          password: this.password,
+        })
+        .finally(() => {
+          this.loginPromise = null;
+        });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * Logs in if there's no session yet
+   * @returns {Promise<Object>} The agent's session
+   */
+  async ensureSession() {
+    if (!this.agent.session) {
+      await this.login();
+    }
+    return this.agent.session;
+  }
+
+  /**
+   * Fetches a single hydrated post view, using the post cache when possible.
+   * Concurrent calls are batched into app.bsky.feed.getPosts requests.
+   * @param {string} uri - AT URI of the post
+   * @param {object} options
+   * @param {boolean} options.force - Skip the cache and refetch
+   * @returns {Promise<Object|null>} Post view, or null if the post doesn't exist
+   */
+  async getPost(uri, { force = false } = {}) {
+    if (!force) {
+      const cached = this.postCache.get(uri);
+      if (cached) return cached;
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this.pendingPostRequests.has(uri)) {
+        this.pendingPostRequests.set(uri, []);
+      }
+      this.pendingPostRequests.get(uri).push({ resolve, reject });
+
+      if (this.pendingPostRequests.size >= constants.POST_BATCH_SIZE) {
+        this.flushPostRequests();
+      } else if (!this.postBatchTimeout) {
+        this.postBatchTimeout = setTimeout(() => this.flushPostRequests(), constants.POST_BATCH_DELAY);
+      }
     });
   }
 
-  async getPost(_uri) {
-    // TODO: implement this method
-    const _res = await this.agent.getPostThread({ uri: 'at://...' });
+  /**
+   * Fetches hydrated post views for many URIs, using the post cache when possible
+   * @param {string[]} uris - AT URIs of the posts
+   * @returns {Promise<Array<Object|null>>} Post views in the same order (null if not found)
+   */
+  async getPosts(uris) {
+    const missing = [...new Set(uris.filter((uri) => !this.postCache.has(uri)))];
+    for (let i = 0; i < missing.length; i += constants.POST_BATCH_SIZE) {
+      await this.fetchPostBatch(missing.slice(i, i + constants.POST_BATCH_SIZE));
+    }
+    return uris.map((uri) => this.postCache.get(uri));
+  }
+
+  /**
+   * Send all pending getPost() requests, up to POST_BATCH_SIZE URIs per call
+   * @private
+   */
+  async flushPostRequests() {
+    if (this.postBatchTimeout) {
+      clearTimeout(this.postBatchTimeout);
+      this.postBatchTimeout = null;
+    }
+
+    const pending = this.pendingPostRequests;
+    this.pendingPostRequests = new Map();
+    const uris = [...pending.keys()];
+
+    for (let i = 0; i < uris.length; i += constants.POST_BATCH_SIZE) {
+      const batch = uris.slice(i, i + constants.POST_BATCH_SIZE);
+      try {
+        const posts = await this.fetchPostBatch(batch);
+        for (const uri of batch) {
+          pending.get(uri).forEach(({ resolve }) => resolve(posts.get(uri) || null));
+        }
+      } catch (error) {
+        for (const uri of batch) {
+          pending.get(uri).forEach(({ reject }) => reject(error));
+        }
+      }
+    }
+  }
+
+  /**
+   * Fetch one batch of posts and add them to the cache
+   * @private
+   * @param {string[]} uris - At most POST_BATCH_SIZE AT URIs
+   * @returns {Promise<Map<string, Object>>} uri -> post view for posts that exist
+   */
+  async fetchPostBatch(uris) {
+    this.checkRateLimit();
+
+    try {
+      const { data } = await this.agent.getPosts({ uris });
+      const posts = new Map();
+      for (const post of data.posts) {
+        this.cachePost(post);
+        posts.set(post.uri, post);
+      }
+      return posts;
+    } catch (error) {
+      this.handleApiError(error);
+    }
+  }
+
+  /**
+   * Add a post view to the cache, remembering its author's handle -> DID mapping
+   * so the post can later be found from a handle-based URL
+   * @private
+   */
+  cachePost(post) {
+    this.postCache.set(post);
+    if (post?.author?.handle && post.author.did) {
+      this.didCache.set(post.author.handle, post.author.did);
+    }
+  }
+
+  /**
+   * Add every post view in a thread (the post, its parents and replies) to the cache
+   * @private
+   */
+  cacheThreadPosts(thread) {
+    if (!thread?.post) return;
+    this.cachePost(thread.post);
+    for (let parent = thread.parent; parent?.post; parent = parent.parent) {
+      this.cachePost(parent.post);
+    }
+    for (const reply of thread.replies || []) {
+      if (reply?.post) this.cachePost(reply.post);
+    }
   }
 
   async getTimeline(cursor = null, limit = 100) {
@@ -92,6 +237,9 @@ export class BlueskyAPI {
         params.cursor = cursor;
       }
       const { data } = await this.agent.getTimeline(params);
+      for (const item of data.feed) {
+        this.cachePost(item.post);
+      }
       return data;
     } catch (error) {
       this.handleApiError(error);
@@ -150,12 +298,16 @@ export class BlueskyAPI {
     const postId = match[2]; // The post ID (e.g., "xyz123")
 
     if (handle.startsWith('did:')) {
-      return null;
+      return `at://${handle}/app.bsky.feed.post/${postId}`;
     }
     try {
-      // Resolve the handle to a DID
-      const { data } = await this.agent.resolveHandle({ handle });
-      const did = data.did; // Extract the DID
+      // Resolve the handle to a DID (cached, since handles rarely change)
+      let did = this.didCache.get(handle);
+      if (!did) {
+        const { data } = await this.agent.resolveHandle({ handle });
+        did = data.did;
+        this.didCache.set(handle, did);
+      }
 
       // Construct the atproto URI
       const atprotoUri = `at://${did}/app.bsky.feed.post/${postId}`;
@@ -172,6 +324,7 @@ export class BlueskyAPI {
     try {
       const res = await this.agent.getPostThread({ uri: uri });
       const { thread } = res.data;
+      this.cacheThreadPosts(thread);
       return thread;
     } catch (error) {
       this.handleApiError(error);
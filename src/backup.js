@@ -0,0 +1,400 @@
+// backup.js - Export and import of settings and state as a versioned JSON bundle
+
+import { getSeenEntryError } from './sync/index.js';
+
+export const BACKUP_FORMAT = 'bluesky-navigator-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * Settings that hold credentials. They are left out of exports unless asked
+ * for, and replacing settings never resets them when a backup doesn't have them.
+ */
+export const SECRET_SETTINGS = ['atprotoPassword', 'stateSyncConfig'];
+
+// Config values exported as sections of their own, or that aren't settings at all
+const NON_SETTINGS = ['rulesConfig', 'rulesetColors', 'savedSearches', '_migrationComplete'];
+
+// Category header: [name], [name -> List Name] or [name → List Name]
+const RULES_HEADER = /^\[([^\]]+?)(?:\s*(?:->|→)\s*.*?)?\]$/;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isSameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function time(timestamp) {
+  return timestamp ? new Date(timestamp).getTime() : 0;
+}
+
+/**
+ * Splits rules text into categories, keeping each line as written.
+ * @param {string} text - Rules config text
+ * @returns {{preamble: string[], categories: Map<string, {header: string, lines: string[]}>}}
+ */
+function splitRules(text) {
+  const preamble = [];
+  const categories = new Map();
+  let category = null;
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const header = line.match(RULES_HEADER);
+    if (header) {
+      const name = header[1].trim();
+      category = categories.get(name);
+      if (!category) {
+        category = { header: line, lines: [] };
+        categories.set(name, category);
+      }
+      continue;
+    }
+    (category ? category.lines : preamble).push(line);
+  }
+  return { preamble, categories };
+}
+
+function joinRules({ preamble, categories }) {
+  const blocks = [...categories.values()].map(({ header, lines }) => [header, ...lines].join('\n'));
+  return [...(preamble.length ? [preamble.join('\n')] : []), ...blocks].join('\n\n');
+}
+
+/**
+ * Adds the backup's categories and rules missing from the current rules text.
+ * The current text is returned untouched if nothing is missing.
+ */
+function mergeRules(current, incoming) {
+  const local = splitRules(current);
+  let changed = false;
+  for (const [name, { header, lines }] of splitRules(incoming).categories) {
+    const category = local.categories.get(name);
+    if (!category) {
+      local.categories.set(name, { header, lines: [...lines] });
+      changed = true;
+      continue;
+    }
+    for (const line of lines) {
+      if (!category.lines.includes(line)) {
+        category.lines.push(line);
+        changed = true;
+      }
+    }
+  }
+  return changed ? joinRules(local) : current;
+}
+
+function isSettingValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function getObjectError(value, isValid, description) {
+  if (!isPlainObject(value)) return 'must be an object';
+  const bad = Object.entries(value).find(([, entry]) => !isValid(entry));
+  return bad ? `"${bad[0]}" must be ${description}` : null;
+}
+
+/**
+ * The sections of a backup. Each one describes how to compare it (entries),
+ * check it (validate) and merge it; replacing a section takes the backup's
+ * value as is, except for settings (see replaceSettings).
+ */
+export const BACKUP_SECTIONS = {
+  settings: {
+    label: 'Settings',
+    unit: ['setting', 'settings'],
+    validate: (value) => getObjectError(value, isSettingValue, 'a string, number or boolean'),
+    entries: (value) => value,
+    // Settings this version doesn't know are dropped
+    merge: (current, incoming) => ({
+      ...current,
+      ...Object.fromEntries(Object.entries(incoming).filter(([key]) => key in current)),
+    }),
+  },
+  rules: {
+    label: 'Rules',
+    unit: ['category', 'categories'],
+    validate: (value) => (typeof value === 'string' ? null : 'must be text'),
+    entries: (value) =>
+      Object.fromEntries(
+        [...splitRules(value).categories].map(([name, category]) => [
+          name,
+          [category.header, ...category.lines],
+        ])
+      ),
+    merge: mergeRules,
+  },
+  ruleColors: {
+    label: 'Category colors',
+    unit: ['color', 'colors'],
+    validate: (value) =>
+      getObjectError(value, (entry) => Number.isInteger(entry) && entry >= 0, 'a color index'),
+    entries: (value) => value,
+    merge: (current, incoming) => ({ ...current, ...incoming }),
+  },
+  savedSearches: {
+    label: 'Saved searches',
+    unit: ['search', 'searches'],
+    validate: (value) =>
+      Array.isArray(value) && value.every((search) => typeof search === 'string')
+        ? null
+        : 'must be a list of strings',
+    entries: (value) => Object.fromEntries(value.map((search) => [search, true])),
+    merge: (current, incoming) => [...new Set([...current, ...incoming])],
+  },
+  timeouts: {
+    label: 'Timeouts',
+    unit: ['timeout', 'timeouts'],
+    validate: (value) => getObjectError(value, Number.isFinite, 'a timestamp in milliseconds'),
+    entries: (value) => value,
+    // The later expiration wins, as in remote sync
+    merge: (current, incoming) => {
+      const merged = { ...current };
+      for (const [handle, expiresAt] of Object.entries(incoming)) {
+        if (!(handle in merged) || expiresAt > merged[handle]) merged[handle] = expiresAt;
+      }
+      return merged;
+    },
+  },
+  seen: {
+    label: 'Read history',
+    unit: ['read post', 'read posts'],
+    validate: (value) => {
+      if (!isPlainObject(value)) return 'must be an object';
+      for (const [postId, timestamp] of Object.entries(value)) {
+        const error = getSeenEntryError(postId, timestamp);
+        if (error) return error;
+        if (timestamp === null) return `"${postId}" must have a read timestamp`;
+      }
+      return null;
+    },
+    entries: (value) => value,
+    // The newer read wins, as in remote sync
+    merge: (current, incoming) => {
+      const merged = { ...current };
+      for (const [postId, timestamp] of Object.entries(incoming)) {
+        if (time(timestamp) > time(merged[postId])) merged[postId] = timestamp;
+      }
+      return merged;
+    },
+  },
+};
+
+/**
+ * Replaces settings with the backup's. Settings missing from the backup go
+ * back to their defaults, except credentials, which are kept.
+ */
+function replaceSettings(current, incoming, defaults) {
+  return Object.fromEntries(
+    Object.keys(current).map((key) => {
+      if (key in incoming) return [key, incoming[key]];
+      return [key, SECRET_SETTINGS.includes(key) ? current[key] : defaults[key]];
+    })
+  );
+}
+
+/**
+ * Counts the entries a change would add, change and remove.
+ * @returns {{added: number, changed: number, removed: number}}
+ */
+function diffEntries(current, next) {
+  const diff = { added: 0, changed: 0, removed: 0 };
+  for (const [key, value] of Object.entries(next)) {
+    if (!(key in current)) diff.added++;
+    else if (!isSameValue(current[key], value)) diff.changed++;
+  }
+  diff.removed = Object.keys(current).filter((key) => !(key in next)).length;
+  return diff;
+}
+
+/**
+ * Reads everything a backup covers.
+ * @param {ConfigWrapper} config
+ * @param {StateManager} stateManager
+ * @param {object} options
+ * @param {boolean} options.includeSecrets - Include SECRET_SETTINGS
+ * @returns {Promise<object>} Section name -> value
+ */
+export async function readBackupSections(config, stateManager, { includeSecrets = true } = {}) {
+  const settings = {};
+  for (const key of Object.keys(config.defaults)) {
+    if (NON_SETTINGS.includes(key) || (!includeSecrets && SECRET_SETTINGS.includes(key))) continue;
+    settings[key] = config.get(key);
+  }
+
+  let ruleColors = {};
+  try {
+    ruleColors = JSON.parse(config.get('rulesetColors') || '{}');
+  } catch (error) {
+    console.warn('[Backup] Ignoring unreadable category colors:', error);
+  }
+
+  // Saved searches fall back to the legacy config value until first saved to state
+  let savedSearches = stateManager.state.savedSearches;
+  if (!Array.isArray(savedSearches)) {
+    try {
+      savedSearches = JSON.parse(config.get('savedSearches') || '[]');
+    } catch {
+      savedSearches = [];
+    }
+  }
+
+  return {
+    settings,
+    rules: config.get('rulesConfig') || '',
+    ruleColors,
+    savedSearches: [...savedSearches],
+    timeouts: { ...stateManager.state.timeouts },
+    seen: await stateManager.seenStore.getAll(),
+  };
+}
+
+/**
+ * Wraps sections in a backup bundle.
+ * @param {object} sections - From readBackupSections()
+ * @returns {object} Bundle, ready for JSON.stringify
+ */
+export function createBackup(sections) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    sections,
+  };
+}
+
+/**
+ * Parses and validates a backup file.
+ * @param {string} text - File contents
+ * @returns {{bundle: object|null, error: string|null}} Sections this version doesn't know
+ *   are dropped
+ */
+export function parseBackup(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    return { bundle: null, error: `Invalid JSON: ${error.message}` };
+  }
+  if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT) {
+    return { bundle: null, error: 'Not a Bluesky Navigator backup' };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    return { bundle: null, error: 'Backup has no valid version' };
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    return {
+      bundle: null,
+      error: `Backup version ${bundle.version} is from a newer version of Bluesky Navigator`,
+    };
+  }
+  if (!isPlainObject(bundle.sections)) {
+    return { bundle: null, error: 'Backup has no sections' };
+  }
+
+  const sections = {};
+  for (const [name, section] of Object.entries(BACKUP_SECTIONS)) {
+    if (bundle.sections[name] === undefined) continue;
+    const error = section.validate(bundle.sections[name]);
+    if (error) {
+      return { bundle: null, error: `${section.label}: ${error}` };
+    }
+    sections[name] = bundle.sections[name];
+  }
+  return { bundle: { ...bundle, sections }, error: null };
+}
+
+/**
+ * Computes a section's value after importing it.
+ * @param {string} name - Section name
+ * @param {any} current - Current value
+ * @param {any} incoming - Value from the backup
+ * @param {string} mode - "merge" or "replace"
+ * @param {object} defaults - Default config values, used when replacing settings
+ * @returns {any}
+ */
+export function importSection(name, current, incoming, mode, defaults = {}) {
+  if (mode === 'merge') {
+    return BACKUP_SECTIONS[name].merge(current, incoming);
+  }
+  return name === 'settings' ? replaceSettings(current, incoming, defaults) : incoming;
+}
+
+/**
+ * Describes what importing each section of a backup would change.
+ * @param {object} current - From readBackupSections()
+ * @param {object} bundle - From parseBackup()
+ * @param {object} defaults - Default config values
+ * @returns {object[]} For each section in the backup: {name, label, unit, count, merge, replace},
+ *   where count is the number of entries in the backup and merge/replace are diffs
+ */
+export function previewImport(current, bundle, defaults = {}) {
+  return Object.entries(BACKUP_SECTIONS)
+    .filter(([name]) => name in bundle.sections)
+    .map(([name, section]) => {
+      const incoming = bundle.sections[name];
+      const currentEntries = section.entries(current[name]);
+      const diff = (mode) => {
+        const next = importSection(name, current[name], incoming, mode, defaults);
+        return diffEntries(currentEntries, section.entries(next));
+      };
+      return {
+        name,
+        label: section.label,
+        unit: section.unit,
+        count: Object.keys(section.entries(incoming)).length,
+        merge: diff('merge'),
+        replace: diff('replace'),
+      };
+    });
+}
+
+/**
+ * Imports sections of a backup.
+ * @param {ConfigWrapper} config
+ * @param {StateManager} stateManager
+ * @param {object} current - From readBackupSections(), read before the import
+ * @param {object} bundle - From parseBackup()
+ * @param {object} modes - Section name -> "merge", "replace" or "skip"
+ * @returns {Promise<string[]>} Names of the sections that changed
+ */
+export async function applyImport(config, stateManager, current, bundle, modes) {
+  const changed = [];
+  const stateUpdate = {};
+  for (const name of Object.keys(BACKUP_SECTIONS)) {
+    const mode = modes[name];
+    if (!(name in bundle.sections) || (mode !== 'merge' && mode !== 'replace')) continue;
+    const next = importSection(name, current[name], bundle.sections[name], mode, config.defaults);
+    if (isSameValue(current[name], next)) continue;
+    changed.push(name);
+
+    if (name === 'settings') {
+      for (const [key, value] of Object.entries(next)) {
+        if (!isSameValue(current.settings[key], value)) config.set(key, value);
+      }
+    } else if (name === 'rules') {
+      config.set('rulesConfig', next);
+    } else if (name === 'ruleColors') {
+      config.set('rulesetColors', JSON.stringify(next));
+    } else if (name === 'seen') {
+      const changes = Object.fromEntries(
+        Object.entries(next).filter(([postId, timestamp]) => current.seen[postId] !== timestamp)
+      );
+      for (const postId of Object.keys(current.seen)) {
+        if (!(postId in next)) changes[postId] = null;
+      }
+      await stateManager.importSeen(changes);
+    } else {
+      stateUpdate[name] = next;
+    }
+  }
+
+  if (Object.keys(stateUpdate).length) {
+    stateManager.updateState(stateUpdate);
+  }
+  if (changed.length) {
+    stateManager.saveStateImmediately(true, true);
+  }
+  return changed;
+}
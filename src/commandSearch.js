@@ -0,0 +1,66 @@
+// commandSearch.js - Fuzzy matching and ranking for the command palette
+
+/**
+ * Matches a query against text: every character of the query has to appear in
+ * the text in order, not necessarily next to each other. Characters that follow
+ * the previous match, or start a word, score higher.
+ * @param {string} query - Spaces are ignored
+ * @param {string} text
+ * @returns {{score: number, indices: number[]}|null} Null if the text doesn't match;
+ *   indices are the positions of the matched characters
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  for (const char of needle) {
+    const previous = indices.length ? indices[indices.length - 1] : -1;
+    const index = haystack.indexOf(char, previous + 1);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (previous !== -1 && index === previous + 1) {
+      score += 3;
+    }
+    if (index === 0 || !/[a-z0-9]/i.test(text[index - 1])) {
+      score += 2;
+    }
+    indices.push(index);
+  }
+  // Between equal matches, the shorter text is the closer one
+  return { score: score - text.length / 1000, indices };
+}
+
+/**
+ * Orders commands for the palette: recently used ones that match come first,
+ * most recent first, then the others by how well they match. A command matches
+ * on its label, or failing that on its group and label together.
+ * @param {Array<{id: string, label: string, group: string}>} commands
+ * @param {string} query
+ * @param {string[]} recent - Ids of recently used commands, most recent first
+ * @returns {Array<{command: object, indices: number[]}>} Matching commands, with the
+ *   matched characters of their label
+ */
+export function rankCommands(commands, query, recent = []) {
+  const blank = !query.trim();
+  return commands
+    .map((command, order) => {
+      let match = blank ? { score: 0, indices: [] } : fuzzyMatch(query, command.label);
+      if (!match) {
+        const grouped = fuzzyMatch(query, `${command.group} ${command.label}`);
+        match = grouped && { score: grouped.score - 1, indices: [] };
+      }
+      const recency = recent.indexOf(command.id);
+      return match && { command, order, ...match, recency: recency === -1 ? Infinity : recency };
+    })
+    .filter(Boolean)
+    .sort((a, b) => {
+      if (a.recency !== b.recency) {
+        return a.recency < b.recency ? -1 : 1;
+      }
+      return b.score - a.score || a.order - b.order;
+    })
+    .map(({ command, indices }) => ({ command, indices }));
+}
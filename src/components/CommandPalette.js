@@ -0,0 +1,328 @@
+// CommandPalette.js - Fuzzy-searchable list of every command, opened with Ctrl+K
+
+import constants from '../constants.js';
+import { announceToScreenReader } from '../utils.js';
+import { ACTIONS, eventKey, formatKey, getKeymap, inContext } from '../keymap.js';
+import { rankCommands } from '../commandSearch.js';
+import { CONFIG_SCHEMA } from './ConfigModal.js';
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Creates and manages the command palette (singleton). Besides the keymap's
+ * actions it lists commands that have no key: feed tabs, saved searches, rule
+ * categories, settings and the config tabs.
+ */
+export class CommandPalette {
+  constructor(config) {
+    // Return existing instance if it exists
+    if (instance) {
+      instance.config = config;
+      return instance;
+    }
+
+    this.config = config;
+    this.isVisible = false;
+    this.paletteEl = null;
+    this.previousActiveElement = null;
+    this.commands = [];
+    this.results = [];
+    this.selectedIndex = 0;
+
+    instance = this;
+  }
+
+  /**
+   * Show the palette
+   * @param {object} options
+   * @param {string} options.context - The current handler context ('default' off item pages)
+   * @param {Handler} options.handler - Handler for the context, which runs its actions
+   * @param {function(string): void} options.runAction - Runs a keymap action by id
+   */
+  show({ context, handler, runAction }) {
+    if (this.isVisible) return;
+
+    this.previousActiveElement = document.activeElement;
+    this.isVisible = true;
+    this.commands = this.buildCommands(context, handler, runAction);
+
+    this.paletteEl = this.createPalette();
+    document.body.appendChild(this.paletteEl);
+    this.input = this.paletteEl.querySelector('.command-palette-input');
+    this.input.focus();
+    this.search('');
+
+    announceToScreenReader('Command palette opened. Type to search, Enter to run.');
+  }
+
+  /**
+   * Hide the palette and give focus back to where it was
+   */
+  hide() {
+    if (!this.isVisible || !this.paletteEl) return;
+
+    this.paletteEl.remove();
+    this.paletteEl = null;
+    this.input = null;
+    this.isVisible = false;
+    this.commands = [];
+    this.results = [];
+
+    if (this.previousActiveElement && document.contains(this.previousActiveElement)) {
+      this.previousActiveElement.focus();
+    }
+  }
+
+  /**
+   * Lists the commands available in a context
+   * @returns {Array<{id: string, group: string, label: string, keys: string[], run: function}>}
+   *   Ids stay the same between visits, so recently used commands can be found again
+   */
+  buildCommands(context, handler, runAction) {
+    const keymap = getKeymap(this.config);
+    const commands = [];
+    const add = (id, group, label, keys, run) => commands.push({ id, group, label, keys, run });
+
+    Object.entries(ACTIONS)
+      .filter(([id, action]) => !action.fixed && id !== 'commandPalette' && inContext(id, context))
+      .forEach(([id, action]) => {
+        add(`action:${id}`, action.group, action.label, keymap.displayKeys(id), () =>
+          runAction(id)
+        );
+      });
+
+    if (handler && typeof handler.getTabs === 'function') {
+      handler.getTabs().each((index, tab) => {
+        const name = $(tab).text().trim();
+        if (name) {
+          const keys = index < 9 ? [String(index + 1)] : [];
+          add(`tab:${name}`, 'Tabs', `Switch to ${name}`, keys, () => handler.switchToTab(index));
+        }
+      });
+    }
+
+    if (handler && typeof handler.applyFilter === 'function') {
+      handler.getSavedSearches().forEach((search) => {
+        add(`search:${search}`, 'Saved Searches', `Search: ${search}`, [], () =>
+          handler.applyFilter(search)
+        );
+      });
+      handler.getRuleNames().forEach((name, index) => {
+        const keys = index < 9 ? [formatKey(`Alt+${index + 1}`)] : [];
+        add(`rule:${name}`, 'Quick Filters', `Show rule: ${name}`, keys, () =>
+          handler.applyFilter(`$${name}`)
+        );
+      });
+      add(
+        'action:clearFilter',
+        'Quick Filters',
+        ACTIONS.clearFilter.label,
+        keymap.displayKeys('clearFilter'),
+        () => handler.clearFilter()
+      );
+    }
+
+    Object.values(CONFIG_SCHEMA).forEach((tab) => {
+      Object.entries(tab.fields).forEach(([key, field]) => {
+        const value = this.config.get(key) ?? field.default;
+        if (field.type === 'checkbox') {
+          const label = `${value ? 'Turn off' : 'Turn on'}: ${field.label}`;
+          add(`config:${key}`, 'Settings', label, [], () => this.setConfig(key, !value));
+        } else if (field.type === 'select') {
+          field.options
+            .filter((option) => option !== value)
+            .forEach((option) => {
+              add(`config:${key}:${option}`, 'Settings', `${field.label}: ${option}`, [], () =>
+                this.setConfig(key, option)
+              );
+            });
+        }
+      });
+    });
+
+    const openKeys = keymap.displayKeys('openPreferences');
+    Object.keys(CONFIG_SCHEMA).forEach((tab) => {
+      add(`settings:${tab}`, 'Settings', `Open settings: ${tab}`, openKeys, () =>
+        this.config.open(tab)
+      );
+    });
+
+    return commands;
+  }
+
+  /**
+   * Saves a setting the way the config modal does, so it takes effect right away
+   */
+  setConfig(key, value) {
+    this.config.set(key, value);
+    if (this.config.onSave) {
+      this.config.onSave({ [key]: value });
+    }
+  }
+
+  /**
+   * Create the palette DOM element
+   */
+  createPalette() {
+    const palette = document.createElement('div');
+    palette.className = 'command-palette';
+    palette.setAttribute('role', 'dialog');
+    palette.setAttribute('aria-modal', 'true');
+    palette.setAttribute('aria-label', 'Command palette');
+
+    palette.innerHTML = `
+      <div class="command-palette-backdrop"></div>
+      <div class="command-palette-content">
+        <input type="text" class="command-palette-input" placeholder="Type a command…"
+               role="combobox" aria-expanded="true" aria-controls="command-palette-list"
+               aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        <ul id="command-palette-list" class="command-palette-list" role="listbox" aria-label="Commands"></ul>
+        <div class="command-palette-footer">
+          <kbd>↑</kbd> <kbd>↓</kbd> to choose, <kbd>Enter</kbd> to run, <kbd>Esc</kbd> to close
+        </div>
+      </div>
+    `;
+
+    palette.querySelector('.command-palette-backdrop').addEventListener('click', () => this.hide());
+    const input = palette.querySelector('.command-palette-input');
+    input.addEventListener('input', () => this.search(input.value));
+    input.addEventListener('keydown', (e) => this.handleKey(e));
+    palette.querySelector('.command-palette-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.command-palette-item');
+      if (item) {
+        this.run(this.results[Number(item.dataset.index)].command);
+      }
+    });
+
+    return palette;
+  }
+
+  handleKey(event) {
+    // Keep the page's own handlers out while typing here
+    event.stopPropagation();
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.select(this.selectedIndex + (event.key === 'ArrowDown' ? 1 : -1));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      const result = this.results[this.selectedIndex];
+      if (result) {
+        this.run(result.command);
+      }
+    } else if (
+      event.key === 'Escape' ||
+      getKeymap(this.config).keysFor('commandPalette').includes(eventKey(event))
+    ) {
+      event.preventDefault();
+      this.hide();
+    }
+  }
+
+  /**
+   * Lists the commands matching a query, recently used ones first
+   */
+  search(query) {
+    this.results = rankCommands(this.commands, query, this.getRecent());
+    const list = this.paletteEl.querySelector('.command-palette-list');
+    list.innerHTML = this.results.length
+      ? this.results.map((result, index) => this.renderResult(result, index)).join('')
+      : '<li class="command-palette-empty">No matching commands</li>';
+    this.select(0);
+  }
+
+  /**
+   * Render a single command, with the characters the query matched marked
+   */
+  renderResult({ command, indices }, index) {
+    const matched = new Set(indices);
+    const label = [...command.label]
+      .map((char, i) =>
+        matched.has(i) ? `<mark>${this.escapeHtml(char)}</mark>` : this.escapeHtml(char)
+      )
+      .join('');
+    return `
+      <li id="command-palette-option-${index}" class="command-palette-item" role="option"
+          aria-selected="false" data-index="${index}">
+        <span class="command-palette-label">${label}</span>
+        <span class="command-palette-group">${this.escapeHtml(command.group)}</span>
+        <span class="command-palette-keys">${this.renderKeys(command.keys)}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Render the keys bound to a command; the keys of a sequence get one <kbd> each
+   * @param {string[]} keys - Formatted keys (see formatKey())
+   */
+  renderKeys(keys) {
+    return keys
+      .map((key) =>
+        key
+          .split(' ')
+          .map((step) => `<kbd>${this.escapeHtml(step)}</kbd>`)
+          .join(' ')
+      )
+      .join(' / ');
+  }
+
+  select(index) {
+    if (!this.results.length) {
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    this.selectedIndex = (index + this.results.length) % this.results.length;
+    this.paletteEl.querySelectorAll('.command-palette-item').forEach((item, i) => {
+      item.setAttribute('aria-selected', String(i === this.selectedIndex));
+      item.classList.toggle('selected', i === this.selectedIndex);
+    });
+    const selected = this.paletteEl.querySelector(`#command-palette-option-${this.selectedIndex}`);
+    this.input.setAttribute('aria-activedescendant', selected.id);
+    selected.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Close the palette and run a command, remembering it as recently used
+   */
+  run(command) {
+    this.addRecent(command.id);
+    this.hide();
+    try {
+      command.run();
+    } catch (e) {
+      console.error(`[bluesky-navigator] Command "${command.label}" failed:`, e);
+    }
+  }
+
+  /**
+   * @returns {string[]} Ids of recently used commands, most recent first
+   */
+  getRecent() {
+    try {
+      const recent = JSON.parse(GM_getValue(this.recentKey(), '[]'));
+      return Array.isArray(recent) ? recent : [];
+    } catch {
+      return [];
+    }
+  }
+
+  addRecent(id) {
+    const recent = [id, ...this.getRecent().filter((other) => other !== id)];
+    GM_setValue(this.recentKey(), JSON.stringify(recent.slice(0, constants.COMMAND_RECENT_MAX)));
+  }
+
+  // Recently used commands are kept per account, like the rest of its settings
+  recentKey() {
+    return this.config.namespace.key(constants.COMMAND_RECENT_KEY);
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -3,6 +3,47 @@
 import { announceToScreenReader, getAnimationDuration } from '../utils.js';
 import constants from '../constants.js';
 import { state } from '../state.js';
+import {
+  MATCH_MODES,
+  TEXT_RULE_TYPES,
+  THRESHOLD_RULE_TYPES,
+  PREDICATE_RULE_TYPES,
+  HAS_KINDS,
+  IS_KINDS,
+  PRESENTATION_ACTIONS,
+  RULE_ACTIONS,
+  isMatchableRuleType,
+  parseRuleLine,
+  getRuleError,
+} from '../ruleMatcher.js';
+import { createRemoteBackend, getRemoteConfigError, parseRemoteConfig } from '../sync/index.js';
+import { getCurrentAccount } from '../accounts.js';
+import { ACTIONS, Keymap, eventKey, formatKey } from '../keymap.js';
+import {
+  createBackup,
+  parseBackup,
+  previewImport,
+  applyImport,
+  readBackupSections,
+  BACKUP_SECTIONS,
+} from '../backup.js';
+
+// Results of EncryptedBackend.checkPassphrase()
+const PASSPHRASE_STATUS_MESSAGES = {
+  ok: 'Passphrase is correct.',
+  new: 'Nothing synced yet: state will be encrypted with this passphrase on the next sync.',
+  plaintext: 'Synced state is not encrypted yet: it will be encrypted on the next sync.',
+  rotation: 'Synced state will be re-encrypted with the new passphrase on the next sync.',
+};
+
+// Statuses from StateManager.setSyncStatus()
+const SYNC_STATUS_LABELS = {
+  ready: 'Idle',
+  pending: 'Syncing…',
+  success: 'Synced',
+  failure: 'Last sync failed',
+  offline: 'Offline',
+};
 
 /**
  * Configuration schema organized by tabs
@@ -553,7 +594,9 @@ const CONFIG_SCHEMA = {
         type: 'textarea',
         default: '',
         rows: 4,
-        help: 'Cloud sync provider configuration',
+        placeholder: '{"backend": "webdav", "url": "https://..."}',
+        help: 'Backend (surrealdb, webdav, couchdb, rest or atproto) and connection settings',
+        validate: getRemoteConfigError,
       },
       stateSyncTimeout: {
         label: 'Sync timeout (ms)',
@@ -588,6 +631,20 @@ const CONFIG_SCHEMA = {
         default: false,
         help: 'Automatically sort rules by type (all→include→from→content) then value',
       },
+      preferredLanguages: {
+        label: 'Preferred languages',
+        type: 'text',
+        default: '',
+        placeholder: 'e.g. en, es',
+        help: 'Language codes, comma-separated; leave empty to treat all languages alike',
+      },
+      otherLanguages: {
+        label: 'Other languages',
+        type: 'select',
+        options: ['Show', 'Dim', 'Hide'],
+        default: 'Dim',
+        help: 'Posts in other languages on the feed, search and profile pages',
+      },
     },
   },
   Timeouts: {
@@ -602,6 +659,10 @@ const CONFIG_SCHEMA = {
       },
     },
   },
+  Keys: {
+    icon: '⌨️',
+    fields: {},
+  },
   Advanced: {
     icon: '⚙️',
     collapsed: true,
@@ -657,7 +718,7 @@ const CONFIG_SCHEMA = {
         default: constants.DEFAULT_HISTORY_MAX,
         min: 100,
         max: 100000,
-        help: 'Maximum posts to track in history',
+        help: 'Read posts kept in memory and in remote sync (the full history stays in this browser)',
       },
       showDebuggingInfo: {
         label: 'Debug mode',
@@ -673,12 +734,46 @@ const CONFIG_SCHEMA = {
       },
     },
   },
+  Accounts: {
+    icon: '👥',
+    fields: {
+      shareAccountRules: {
+        label: 'Share rules',
+        type: 'checkbox',
+        default: false,
+        help: 'Use the same rule categories and colors on every account',
+      },
+      shareAccountReadHistory: {
+        label: 'Share read history',
+        type: 'checkbox',
+        default: false,
+        help: 'Posts read on one account show as read on the others',
+      },
+      shareAccountTimeouts: {
+        label: 'Share timeouts',
+        type: 'checkbox',
+        default: false,
+        help: 'Authors timed out on one account are timed out on the others',
+      },
+      shareAccountSavedSearches: {
+        label: 'Share saved searches',
+        type: 'checkbox',
+        default: false,
+        help: 'Use the same saved searches on every account',
+      },
+    },
+  },
+  Backup: {
+    icon: '💾',
+    fields: {},
+  },
 };
 
 // Hidden fields that need to be preserved but not shown in UI
 const HIDDEN_FIELDS = {
   savedSearches: { default: '[]' },
   rulesetColors: { default: '{}' }, // Maps category name to color index
+  keymap: { default: '{}' }, // Keys per action id, for rebound actions only (see keymap.js)
 };
 
 let instance = null;
@@ -700,6 +795,8 @@ export class ConfigModal {
     this.collapsedSections = {};
     this.rulesSubTab = 'visual'; // 'visual' or 'raw'
     this.parsedRules = []; // Parsed rule categories for visual editor
+    this.pendingBackup = null; // Backup file being previewed in the Backup panel
+    this.keyRecorder = null; // Key being bound in the Keys panel
     this.collapsedCategories = {}; // Track collapsed state of rule categories
     this.cachedListNames = []; // Cached Bluesky list names for dropdown
 
@@ -739,7 +836,8 @@ export class ConfigModal {
     announceToScreenReader('Configuration dialog opened. Press Escape to close.');
 
     this.escapeHandler = (e) => {
-      if (e.key === 'Escape') {
+      // Escape while binding a key only cancels that (see attachKeysEventListeners())
+      if (e.key === 'Escape' && !this.keyRecorder) {
         e.preventDefault();
         e.stopPropagation();
         this.hide();
@@ -747,6 +845,9 @@ export class ConfigModal {
     };
     document.addEventListener('keydown', this.escapeHandler, true);
 
+    this.syncStatusHandler = () => this.refreshSyncStatus();
+    window.addEventListener('bsky-nav-sync-status', this.syncStatusHandler);
+
     // Fetch list names and refresh visual editor (async)
     this.refreshVisualEditor();
   }
@@ -832,6 +933,7 @@ export class ConfigModal {
       }
       this.modalEl = null;
       this.isVisible = false;
+      this.keyRecorder = null;
       this._listNamesFetched = false; // Reset so next open fetches fresh list names
 
       if (this.previousActiveElement) {
@@ -840,6 +942,7 @@ export class ConfigModal {
     }, animDuration);
 
     document.removeEventListener('keydown', this.escapeHandler, true);
+    window.removeEventListener('bsky-nav-sync-status', this.syncStatusHandler);
     announceToScreenReader('Configuration dialog closed.');
   }
 
@@ -895,6 +998,7 @@ export class ConfigModal {
       input.addEventListener('change', (e) => this.handleInputChange(e));
       input.addEventListener('input', (e) => {
         if (e.target.type === 'range') this.handleInputChange(e);
+        this.updateFieldError(e.target);
       });
     });
 
@@ -909,6 +1013,9 @@ export class ConfigModal {
 
     // Rules panel event listeners (pass modal since this.modalEl not yet assigned)
     this.attachRulesEventListeners(modal);
+    this.attachStateSyncEventListeners(modal);
+    this.attachBackupEventListeners(modal);
+    this.attachKeysEventListeners(modal);
 
     return modal;
   }
@@ -949,6 +1056,7 @@ export class ConfigModal {
     } else {
       input.value = defaultValue;
     }
+    this.updateFieldError(input);
 
     // Track as pending change
     this.pendingChanges[key] = defaultValue;
@@ -963,6 +1071,19 @@ export class ConfigModal {
     announceToScreenReader(`${field.label} reset to default.`);
   }
 
+  /**
+   * Shows the error (if any) from a field's validate function below the input
+   * @param {HTMLElement} input - Field input element
+   */
+  updateFieldError(input) {
+    const field = this.getFieldSchema(input.name);
+    if (!field?.validate) return;
+    const errorEl = input.closest('.config-field')?.querySelector('.config-field-error');
+    if (errorEl) {
+      errorEl.textContent = field.validate(input.value) || '';
+    }
+  }
+
   renderTabs() {
     return Object.entries(CONFIG_SCHEMA)
       .map(
@@ -986,7 +1107,7 @@ export class ConfigModal {
         <div class="config-panel ${name === this.activeTab ? 'active' : ''}"
              role="tabpanel"
              data-panel="${name}">
-          ${name === 'Rules' ? this.renderRulesPanel() : name === 'Timeouts' ? this.renderTimeoutsPanel() : this.renderFields(schema.fields)}
+          ${name === 'Rules' ? this.renderRulesPanel() : name === 'Timeouts' ? this.renderTimeoutsPanel() : name === 'Keys' ? this.renderKeysPanel() : name === 'State Sync' ? this.renderStateSyncPanel(schema.fields) : name === 'Accounts' ? this.renderAccountsPanel(schema.fields) : name === 'Backup' ? this.renderBackupPanel() : this.renderFields(schema.fields)}
         </div>
       `
       )
@@ -1116,8 +1237,9 @@ export class ConfigModal {
             <label class="config-field">
               <span class="config-field-label">${field.label}</span>
               <textarea id="${id}" name="${key}" rows="${field.rows || 2}"
-                        placeholder="${field.placeholder || ''}">${this.escapeHtml(value)}</textarea>
+                        placeholder="${this.escapeHtml(field.placeholder || '')}">${this.escapeHtml(value)}</textarea>
               ${field.help ? `<span class="config-field-help">${field.help}</span>` : ''}
+              ${field.validate ? `<span class="config-field-error" role="alert">${this.escapeHtml(field.validate(value))}</span>` : ''}
             </label>
             ${resetBtn}
           </div>
@@ -1190,15 +1312,10 @@ export class ConfigModal {
 
       if (!currentCategory) continue;
 
-      // Match explicit allow/deny rules (including include and list types)
-      const ruleMatch = line.match(/^(allow|deny)\s+(all|from|content|include|list)\s*"?([^"]*)"?$/i);
-      if (ruleMatch) {
-        const [, action, type, value] = ruleMatch;
-        currentCategory.rules.push({
-          action: action.toLowerCase(),
-          type: type.toLowerCase(),
-          value: value || ''
-        });
+      // Match explicit rules, e.g. "deny content:word cat", "allow age < 6h" or "dim has:video"
+      const explicitRule = parseRuleLine(line);
+      if (explicitRule) {
+        currentCategory.rules.push(explicitRule);
         continue;
       }
 
@@ -1248,8 +1365,13 @@ export class ConfigModal {
       for (const rule of category.rules) {
         if (rule.type === 'all') {
           lines.push(`${rule.action} all`);
-        } else if (rule.action === 'deny') {
-          // Always use explicit format for deny
+        } else if (rule.type in PREDICATE_RULE_TYPES) {
+          lines.push(`${rule.action} ${rule.type}:${rule.value}`);
+        } else if (rule.mode && isMatchableRuleType(rule.type)) {
+          // Match mode requires the explicit format; quote so surrounding spaces survive
+          lines.push(`${rule.action} ${rule.type}:${rule.mode} "${rule.value}"`);
+        } else if (rule.action !== 'allow') {
+          // Shortcuts only exist for allow, so always use explicit format for other actions
           lines.push(`${rule.action} ${rule.type} ${rule.value}`);
         } else if (rule.type === 'include' && rule.action === 'allow') {
           // Shortcut for allow include category
@@ -1277,6 +1399,31 @@ export class ConfigModal {
     return lines.join('\n');
   }
 
+  /**
+   * Find rules whose patterns don't compile
+   * @param {string} text - Raw rules text
+   * @returns {string[]} Error messages, prefixed with the category name
+   */
+  findRuleErrors(text) {
+    const errors = [];
+    for (const category of this.parseRules(text)) {
+      for (const rule of category.rules) {
+        const error = getRuleError(rule);
+        if (error) errors.push(`[${category.name}] ${error}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Render the list of invalid patterns shown under the raw rules editor
+   */
+  renderRuleErrors(text) {
+    return this.findRuleErrors(text)
+      .map(error => `<div class="rules-row-error">${this.escapeHtml(error)}</div>`)
+      .join('');
+  }
+
   /**
    * Render the Rules panel with sub-tabs
    */
@@ -1314,6 +1461,7 @@ export class ConfigModal {
           <div class="rules-raw ${this.rulesSubTab === 'raw' ? 'active' : ''}">
             <textarea id="config-rulesConfig" name="rulesConfig" rows="12"
                       placeholder="Enter filter rules...">${this.escapeHtml(rulesConfig)}</textarea>
+            <div class="rules-raw-errors" role="alert">${this.renderRuleErrors(rulesConfig)}</div>
           </div>
         </div>
       </div>
@@ -1451,11 +1599,8 @@ export class ConfigModal {
    * Clear a single timeout
    */
   clearTimeout(handle) {
-    // Create new timeouts object without this handle
-    const { [handle]: _removed, ...remainingTimeouts } = state.timeouts || {};
-
-    // Use updateState for proper state persistence, sync to remote immediately
-    state.stateManager.updateState({ timeouts: remainingTimeouts });
+    // Sync to remote immediately
+    state.stateManager.removeTimeouts([handle]);
     state.stateManager.saveStateImmediately(true, true);
     this.refreshTimeoutsPanel();
 
@@ -1467,8 +1612,8 @@ export class ConfigModal {
    * Clear all timeouts
    */
   clearAllTimeouts() {
-    // Use updateState for proper state persistence, sync to remote immediately
-    state.stateManager.updateState({ timeouts: {} });
+    // Sync to remote immediately
+    state.stateManager.removeTimeouts(Object.keys(state.timeouts || {}));
     state.stateManager.saveStateImmediately(true, true);
     this.refreshTimeoutsPanel();
 
@@ -1476,6 +1621,610 @@ export class ConfigModal {
     window.dispatchEvent(new CustomEvent('bsky-nav-timeout-cleared', { detail: { all: true } }));
   }
 
+  /**
+   * Render the State Sync panel: the sync fields plus passphrase tools
+   */
+  renderStateSyncPanel(fields) {
+    return `
+      ${this.renderFields(fields)}
+      <div class="sync-status-panel">
+        <h4 class="sync-status-title">Status</h4>
+        <div class="sync-status-details" role="status" aria-live="polite">${this.renderSyncStatus()}</div>
+        <button type="button" class="config-btn config-btn-secondary sync-now-btn" ${this.canSyncNow() ? '' : 'disabled'}>
+          Sync now
+        </button>
+      </div>
+      <div class="sync-encryption">
+        <h4 class="sync-encryption-title">Encryption</h4>
+        <p class="config-field-help">
+          Add <code>"passphrase"</code> to the sync config to encrypt state and read posts before they leave
+          this browser. Every device needs the same passphrase, and it can't be recovered if lost.
+        </p>
+        <div class="sync-encryption-actions">
+          <button type="button" class="config-btn config-btn-secondary sync-passphrase-check">Check passphrase</button>
+          <button type="button" class="config-btn config-btn-secondary sync-passphrase-change">Change passphrase…</button>
+        </div>
+        <div class="sync-encryption-status" role="status" aria-live="polite"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach event listeners for the State Sync panel
+   */
+  attachStateSyncEventListeners(modal) {
+    modal.querySelector('.sync-now-btn')?.addEventListener('click', () => state.stateManager?.syncNow());
+    modal.querySelector('.sync-passphrase-check')?.addEventListener('click', () => this.checkSyncPassphrase());
+    modal.querySelector('.sync-passphrase-change')?.addEventListener('click', () => this.changeSyncPassphrase());
+  }
+
+  /**
+   * Render what remote sync is doing: queued changes, last push and pull,
+   * the next retry and recent failures
+   */
+  renderSyncStatus() {
+    const status = state.stateManager?.getSyncStatus();
+    if (!status) return '';
+    if (!status.enabled) {
+      return '<p class="config-field-help">Sync is off. Enable it above and save to start syncing.</p>';
+    }
+
+    const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Never');
+    const queued = [];
+    if (status.pendingSeen) {
+      queued.push(`${status.pendingSeen} read/unread change${status.pendingSeen === 1 ? '' : 's'}`);
+    }
+    if (status.statePending) {
+      queued.push('state changes');
+    }
+    let retry = null;
+    if (!status.online) {
+      retry = 'When the connection is back';
+    } else if (status.nextRetryAt) {
+      retry = `${new Date(status.nextRetryAt).toLocaleTimeString()} (attempt ${status.retryCount + 1})`;
+    }
+
+    const rows = [
+      ['Status', status.syncing ? SYNC_STATUS_LABELS.pending : SYNC_STATUS_LABELS[status.status] || status.status],
+      ['Waiting to sync', queued.length ? queued.join(' and ') : 'Nothing'],
+      ['Last push', formatTime(status.lastPush)],
+      ['Last pull', formatTime(status.lastPull)],
+      ...(retry ? [['Next retry', retry]] : []),
+      ...(status.leader ? [] : [['Synced by', 'Another open tab']]),
+    ];
+    const failures = [...status.failures].reverse();
+
+    return `
+      <dl class="sync-status-list">
+        ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+      </dl>
+      ${failures.length ? `
+        <details class="sync-failures">
+          <summary>Recent failures (${failures.length})</summary>
+          <ul>
+            ${failures.map((failure) => `
+              <li>
+                <span class="sync-failure-time">${this.escapeHtml(formatTime(failure.at))} · ${this.escapeHtml(failure.operation)}</span>
+                <span class="sync-failure-message">${this.escapeHtml(failure.message)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        </details>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Re-render the sync status, keeping the failure list open if it was
+   */
+  refreshSyncStatus() {
+    const details = this.modalEl?.querySelector('.sync-status-details');
+    if (!details) return;
+    const failuresOpen = details.querySelector('.sync-failures')?.open;
+    details.innerHTML = this.renderSyncStatus();
+    if (failuresOpen) {
+      details.querySelector('.sync-failures')?.setAttribute('open', '');
+    }
+    const button = this.modalEl.querySelector('.sync-now-btn');
+    if (button) {
+      button.disabled = !this.canSyncNow();
+    }
+  }
+
+  /**
+   * Whether "Sync now" can start a sync (sync is enabled and none is running)
+   */
+  canSyncNow() {
+    const status = state.stateManager?.getSyncStatus();
+    return Boolean(status?.enabled && !status.syncing);
+  }
+
+  /**
+   * Show a message under the passphrase buttons
+   * @param {string} message
+   * @param {string} type - "error", "success" or empty for neutral
+   */
+  setSyncEncryptionStatus(message, type = '') {
+    const statusEl = this.modalEl.querySelector('.sync-encryption-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `sync-encryption-status${type ? ` sync-encryption-status-${type}` : ''}`;
+  }
+
+  /**
+   * Check the passphrase in the (possibly unsaved) sync config against the remote
+   */
+  async checkSyncPassphrase() {
+    const configText = this.modalEl.querySelector('#config-stateSyncConfig').value;
+    const { options, error } = parseRemoteConfig(configText);
+    if (error) {
+      this.setSyncEncryptionStatus(error, 'error');
+      return;
+    }
+    if (options.passphrase === undefined) {
+      this.setSyncEncryptionStatus('No passphrase set: synced state is stored unencrypted.');
+      return;
+    }
+
+    this.setSyncEncryptionStatus('Checking…');
+    try {
+      const backend = createRemoteBackend(configText, { api: state.stateManager?.config.api });
+      const status = await backend.checkPassphrase();
+      let message = PASSPHRASE_STATUS_MESSAGES[status];
+      if (status === 'ok' && options.previousPassphrase !== undefined) {
+        message += ' Once every device has synced, "previousPassphrase" can be removed.';
+      }
+      this.setSyncEncryptionStatus(message, status === 'ok' ? 'success' : '');
+    } catch (checkError) {
+      if (checkError.isWrongPassphrase) {
+        this.setSyncEncryptionStatus(
+          `${checkError.message}. Use the passphrase from your other devices, or "Change passphrase…" after restoring it.`,
+          'error'
+        );
+      } else {
+        this.setSyncEncryptionStatus(`Couldn't reach the sync backend: ${checkError.message}`, 'error');
+      }
+    }
+  }
+
+  /**
+   * Prompt for a new passphrase and put it in the sync config, keeping the
+   * current one as previousPassphrase so synced data can be re-encrypted
+   */
+  changeSyncPassphrase() {
+    const input = this.modalEl.querySelector('#config-stateSyncConfig');
+    const { error } = parseRemoteConfig(input.value);
+    if (error) {
+      this.setSyncEncryptionStatus(error, 'error');
+      return;
+    }
+
+    const passphrase = window.prompt('New passphrase:');
+    if (passphrase === null) return;
+    if (window.prompt('Repeat the new passphrase:') !== passphrase) {
+      this.setSyncEncryptionStatus("Passphrases don't match.", 'error');
+      return;
+    }
+
+    const options = JSON.parse(input.value);
+    if (options.passphrase !== undefined) {
+      options.previousPassphrase = options.passphrase;
+    } else {
+      delete options.previousPassphrase;
+    }
+    options.passphrase = passphrase;
+    const configText = JSON.stringify(options, null, 2);
+    const configError = getRemoteConfigError(configText);
+    if (configError) {
+      this.setSyncEncryptionStatus(configError, 'error');
+      return;
+    }
+
+    input.value = configText;
+    this.handleInputChange({ target: input });
+    this.updateFieldError(input);
+    this.setSyncEncryptionStatus(
+      'Save to re-encrypt synced state with the new passphrase, then enter it on your other devices.',
+      'success'
+    );
+  }
+
+  /**
+   * Gets the keymap as edited in the Keys panel, saved or not
+   * @returns {Keymap}
+   */
+  getPendingKeymap() {
+    return Keymap.parse(this.pendingChanges.keymap ?? this.config.get('keymap'));
+  }
+
+  /**
+   * Render the Keys panel: the keys bound to each action, with conflicts flagged
+   */
+  renderKeysPanel() {
+    const keymap = this.getPendingKeymap();
+    const conflicts = keymap.findConflicts();
+    const groups = {};
+    Object.entries(ACTIONS).forEach(([id, action]) => {
+      groups[action.group] ||= [];
+      groups[action.group].push(id);
+    });
+
+    return `
+      <div class="keys-panel">
+        <p class="config-field-help">
+          Click <strong>+</strong> next to an action and press the key to bind to it. For a sequence
+          like <kbd>g</kbd> <kbd>g</kbd>, press the keys one after the other; <kbd>Esc</kbd> cancels.
+          A key can run one action per page.
+        </p>
+        ${conflicts.length ? `
+          <div class="keys-conflict-summary" role="alert">
+            ${conflicts.length === 1 ? 'A key is' : `${conflicts.length} keys are`} bound to more than
+            one action on the same page; only the first one listed will run.
+          </div>
+        ` : ''}
+        ${Object.entries(groups).map(([name, ids]) => `
+          <h3 class="keys-group-title">${name}</h3>
+          <div class="keys-list">
+            ${ids.map((id) => this.renderKeyRow(id, keymap, conflicts)).join('')}
+          </div>
+        `).join('')}
+        <button type="button" class="config-btn config-btn-secondary keys-reset-all-btn">
+          Reset all keys
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render one action's row in the Keys panel
+   * @param {string} id - Action id
+   * @param {Keymap} keymap
+   * @param {Array<{key: string, actions: string[]}>} conflicts - From Keymap.findConflicts()
+   */
+  renderKeyRow(id, keymap, conflicts) {
+    const { label, fixed } = ACTIONS[id];
+    const name = this.escapeHtml(label);
+    const kbd = (key) => `<kbd>${this.escapeHtml(formatKey(key))}</kbd>`;
+    const clashes = conflicts
+      .filter(({ actions }) => actions.includes(id))
+      .map(({ key, actions }) => {
+        const other = ACTIONS[actions.find((action) => action !== id)];
+        return `${kbd(key)} also runs "${this.escapeHtml(other.label)}" (${other.group})`;
+      });
+
+    let bindings;
+    if (fixed) {
+      bindings = `${keymap.displayKeys(id).map(kbd).join(' ')} <span class="keys-fixed">fixed</span>`;
+    } else {
+      bindings = `
+        ${keymap.keysFor(id).map((key) => `
+          <span class="keys-binding">
+            ${kbd(key)}
+            <button type="button" class="keys-remove-btn" data-key="${this.escapeHtml(key)}"
+                    aria-label="Unbind ${this.escapeHtml(formatKey(key))} from ${name}">✕</button>
+          </span>
+        `).join('')}
+        <button type="button" class="keys-add-btn" aria-label="Bind a key to ${name}">+</button>
+        ${keymap.isDefault(id) ? '' : '<button type="button" class="keys-reset-btn">Reset</button>'}
+      `;
+    }
+
+    return `
+      <div class="keys-row ${clashes.length ? 'keys-row-conflict' : ''}" data-action="${id}">
+        <span class="keys-label">${name}</span>
+        <span class="keys-bindings">${bindings}</span>
+        ${clashes.map((clash) => `<span class="keys-conflict">${clash}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Store an edited keymap as a pending change and redraw the Keys panel
+   * @param {Keymap} keymap
+   * @param {string|null} focusAction - Action whose + button gets the focus back
+   */
+  setPendingKeymap(keymap, focusAction = null) {
+    this.pendingChanges.keymap = keymap.serialize();
+    this.refreshKeysPanel(focusAction);
+    const conflicts = keymap.findConflicts();
+    if (conflicts.length) {
+      announceToScreenReader(`${conflicts.length} keys are bound to more than one action.`);
+    }
+  }
+
+  /**
+   * Refresh the Keys panel
+   * @param {string|null} focusAction - Action whose + button gets the focus
+   */
+  refreshKeysPanel(focusAction = null) {
+    const panel = this.modalEl?.querySelector('[data-panel="Keys"]');
+    if (!panel) return;
+    panel.innerHTML = this.renderKeysPanel();
+    if (focusAction) {
+      panel.querySelector(`.keys-row[data-action="${focusAction}"] .keys-add-btn`)?.focus();
+    }
+  }
+
+  /**
+   * Attach event listeners for the Keys panel. The panel is redrawn on every
+   * change, so events are handled on the panel element, which stays.
+   */
+  attachKeysEventListeners(modal) {
+    const panel = modal.querySelector('[data-panel="Keys"]');
+    if (!panel) return;
+
+    panel.addEventListener('click', (e) => {
+      const row = e.target.closest('.keys-row');
+      const keymap = this.getPendingKeymap();
+      if (e.target.closest('.keys-reset-all-btn')) {
+        this.setPendingKeymap(new Keymap());
+      } else if (!row) {
+        return;
+      } else if (e.target.closest('.keys-add-btn')) {
+        // Not redrawn, so the button keeps the focus
+        const button = e.target.closest('.keys-add-btn');
+        button.classList.add('recording');
+        button.textContent = 'Press a key…';
+        button.focus(); // Some browsers don't focus buttons on click
+        this.keyRecorder = { id: row.dataset.action, keys: [], timer: null };
+      } else if (e.target.closest('.keys-remove-btn')) {
+        const key = e.target.closest('.keys-remove-btn').dataset.key;
+        const keys = keymap.keysFor(row.dataset.action).filter((bound) => bound !== key);
+        this.setPendingKeymap(keymap.withKeys(row.dataset.action, keys));
+      } else if (e.target.closest('.keys-reset-btn')) {
+        this.setPendingKeymap(keymap.withKeys(row.dataset.action, null));
+      }
+    });
+
+    // Keys pressed while binding go to the + button, which has the focus
+    panel.addEventListener('keydown', (e) => {
+      const recorder = this.keyRecorder;
+      if (!recorder) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        this.stopKeyRecording(false);
+        return;
+      }
+      const key = eventKey(e);
+      if (!key) return; // Modifier on its own
+      recorder.keys.push(key);
+      clearTimeout(recorder.timer);
+      if (recorder.keys.length >= constants.KEY_RECORD_MAX_KEYS) {
+        this.stopKeyRecording(true);
+      } else {
+        recorder.timer = setTimeout(() => this.stopKeyRecording(true), constants.KEY_RECORD_TIMEOUT);
+      }
+    });
+
+    panel.addEventListener('focusout', () => {
+      if (this.keyRecorder) this.stopKeyRecording(true);
+    });
+  }
+
+  /**
+   * Stop binding a key, binding what was pressed unless cancelled
+   * @param {boolean} bind
+   */
+  stopKeyRecording(bind) {
+    const { id, keys, timer } = this.keyRecorder;
+    clearTimeout(timer);
+    this.keyRecorder = null;
+    const keymap = this.getPendingKeymap();
+    if (bind && keys.length) {
+      this.setPendingKeymap(keymap.withKeys(id, [...keymap.keysFor(id), keys.join(' ')]), id);
+    } else {
+      this.refreshKeysPanel(id);
+    }
+  }
+
+  /**
+   * Render the Accounts panel: which sections every account shares
+   */
+  renderAccountsPanel(fields) {
+    const account = getCurrentAccount();
+    return `
+      <div class="accounts-panel">
+        <p class="config-field-help accounts-current">
+          ${account ? `Signed in as <strong>@${this.escapeHtml(account.handle || account.did)}</strong>.` : 'Not signed in.'}
+          Rules, read history, timeouts, saved searches and remote sync settings are kept separately for
+          each account you use in this browser; other settings apply to all of them. Share a section to use
+          one copy on every account. Saving a change here reloads the page.
+        </p>
+        ${this.renderFields(fields)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the Backup panel: export to a file, and import with a preview
+   */
+  renderBackupPanel() {
+    return `
+      <div class="backup-panel">
+        <p class="config-field-help">
+          Backups hold settings, and the signed-in account's rules, category colors, saved searches,
+          timeouts and read history.
+        </p>
+        <label class="config-field-checkbox">
+          <span class="config-checkbox-label">Include App Password and sync config</span>
+          <input type="checkbox" class="backup-include-secrets">
+        </label>
+        <div class="backup-actions">
+          <button type="button" class="config-btn config-btn-secondary backup-export-btn">Export backup</button>
+          <button type="button" class="config-btn config-btn-secondary backup-choose-btn">Import backup…</button>
+          <input type="file" class="backup-file-input" accept=".json,application/json" hidden>
+        </div>
+        <div class="backup-preview"></div>
+        <div class="backup-status" role="status" aria-live="polite"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach event listeners for the Backup panel
+   */
+  attachBackupEventListeners(modal) {
+    const panel = modal.querySelector('.backup-panel');
+    if (!panel) return;
+    const fileInput = panel.querySelector('.backup-file-input');
+    panel.querySelector('.backup-export-btn').addEventListener('click', () => this.exportBackup());
+    panel.querySelector('.backup-choose-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = ''; // Choosing the same file again should preview it again
+      if (file) this.previewBackupFile(file);
+    });
+  }
+
+  /**
+   * Show a message in the Backup panel
+   * @param {string} message
+   * @param {string} type - "error", "success" or empty for neutral
+   */
+  setBackupStatus(message, type = '') {
+    const statusEl = this.modalEl.querySelector('.backup-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.className = `backup-status${type ? ` backup-status-${type}` : ''}`;
+  }
+
+  /**
+   * Download a backup of the saved settings and state
+   */
+  async exportBackup() {
+    const includeSecrets = this.modalEl.querySelector('.backup-include-secrets').checked;
+    try {
+      const sections = await readBackupSections(this.config, state.stateManager, { includeSecrets });
+      const json = JSON.stringify(createBackup(sections), null, 2);
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bluesky-navigator-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      const count = Object.keys(sections.seen).length;
+      this.setBackupStatus(
+        `Exported backup with ${count} read post${count === 1 ? '' : 's'}. Unsaved changes in this dialog are not included.`,
+        'success'
+      );
+    } catch (error) {
+      console.error('[ConfigModal] Backup export failed:', error);
+      this.setBackupStatus(`Export failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Read a backup file and show what importing each section would change
+   * @param {File} file
+   */
+  async previewBackupFile(file) {
+    const preview = this.modalEl.querySelector('.backup-preview');
+    preview.innerHTML = '';
+    this.pendingBackup = null;
+
+    let bundle, current, sections;
+    try {
+      const parsed = parseBackup(await file.text());
+      if (parsed.error) {
+        this.setBackupStatus(`Can't import ${file.name}: ${parsed.error}`, 'error');
+        return;
+      }
+      bundle = parsed.bundle;
+      current = await readBackupSections(this.config, state.stateManager);
+      sections = previewImport(current, bundle, this.config.defaults);
+    } catch (error) {
+      console.error('[ConfigModal] Backup preview failed:', error);
+      this.setBackupStatus(`Can't read ${file.name}: ${error.message}`, 'error');
+      return;
+    }
+    if (!sections.length) {
+      this.setBackupStatus(`${file.name} has nothing to import.`, 'error');
+      return;
+    }
+    this.pendingBackup = { bundle, current };
+
+    const describe = ({ added, changed, removed }) => {
+      const parts = [
+        added && `${added} added`,
+        changed && `${changed} changed`,
+        removed && `${removed} removed`,
+      ].filter(Boolean);
+      return parts.length ? parts.join(', ') : 'no changes';
+    };
+
+    preview.innerHTML = `
+      <table class="backup-preview-table">
+        <thead>
+          <tr><th>Section</th><th>In backup</th><th>Import</th></tr>
+        </thead>
+        <tbody>
+          ${sections.map((section) => `
+            <tr>
+              <td>${this.escapeHtml(section.label)}</td>
+              <td>${section.count} ${section.count === 1 ? section.unit[0] : section.unit[1]}</td>
+              <td>
+                <select class="backup-mode" data-section="${section.name}" aria-label="Import ${this.escapeHtml(section.label)}">
+                  <option value="merge">Merge (${describe(section.merge)})</option>
+                  <option value="replace">Replace (${describe(section.replace)})</option>
+                  <option value="skip">Skip</option>
+                </select>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <button type="button" class="config-btn config-btn-primary backup-import-btn">Import</button>
+    `;
+    preview.querySelector('.backup-import-btn').addEventListener('click', () => this.importBackup());
+
+    const exportedAt = bundle.exportedAt ? ` (exported ${new Date(bundle.exportedAt).toLocaleString()})` : '';
+    this.setBackupStatus(`Choose how to import each section of ${file.name}${exportedAt}.`);
+  }
+
+  /**
+   * Replace the dialog with a fresh one showing the saved values
+   */
+  rebuildModal() {
+    const modal = this.createModal();
+    this.modalEl.replaceWith(modal);
+    this.modalEl = modal;
+    this.refreshVisualEditor();
+  }
+
+  /**
+   * Import the previewed backup with the modes chosen for each section
+   */
+  async importBackup() {
+    if (!this.pendingBackup) return;
+    const { bundle, current } = this.pendingBackup;
+    const modes = {};
+    this.modalEl.querySelectorAll('.backup-mode').forEach((select) => {
+      modes[select.dataset.section] = select.value;
+    });
+
+    try {
+      const changed = await applyImport(this.config, state.stateManager, current, bundle, modes);
+      this.pendingBackup = null;
+      this.modalEl.querySelector('.backup-preview').innerHTML = '';
+      if (!changed.length) {
+        this.setBackupStatus('Nothing to import: everything already matches.', 'success');
+        return;
+      }
+      // Imported values are saved already; rebuild the dialog so stale fields can't overwrite them
+      this.pendingChanges = {};
+      this.rebuildModal();
+      const labels = changed.map((name) => BACKUP_SECTIONS[name].label).join(', ');
+      this.setBackupStatus(`Imported ${labels}. Reload the page to apply every change.`, 'success');
+      announceToScreenReader(`Imported ${labels}.`);
+    } catch (error) {
+      console.error('[ConfigModal] Backup import failed:', error);
+      this.setBackupStatus(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Render the visual rule editor
    */
@@ -1598,14 +2347,58 @@ export class ConfigModal {
         `;
       } else if (rule.type === 'all') {
         valueHtml = `<input type="text" class="rules-value" value="" disabled data-category="${catIndex}" data-rule="${ruleIndex}">`;
+      } else if (rule.type === 'has' || rule.type === 'is') {
+        const kinds = rule.type === 'has' ? HAS_KINDS : IS_KINDS;
+        valueHtml = `
+          <select class="rules-value rules-has-select" data-category="${catIndex}" data-rule="${ruleIndex}">
+            <option value="">${rule.type === 'has' ? 'Select content...' : 'Select post type...'}</option>
+            ${Object.entries(kinds).map(([kind, label]) => `
+              <option value="${kind}" ${rule.value === kind ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        `;
+      } else if (rule.type === 'link') {
+        valueHtml = `
+          <input type="text" class="rules-value" value="${this.escapeHtml(rule.value)}"
+                 placeholder="domain, e.g. example.com"
+                 data-category="${catIndex}" data-rule="${ruleIndex}">
+        `;
+      } else if (rule.type === 'lang') {
+        valueHtml = `
+          <input type="text" class="rules-value" value="${this.escapeHtml(rule.value)}"
+                 placeholder="language code, e.g. en"
+                 data-category="${catIndex}" data-rule="${ruleIndex}">
+        `;
+      } else if (rule.type in THRESHOLD_RULE_TYPES) {
+        valueHtml = `
+          <input type="text" class="rules-value" value="${this.escapeHtml(rule.value)}"
+                 placeholder="${rule.type === 'age' ? 'e.g. < 6h (m, h, d, w)' : 'e.g. < 5'}"
+                 data-category="${catIndex}" data-rule="${ruleIndex}">
+        `;
       } else {
+        const mode = rule.mode || 'regex';
+        const noun = mode === 'regex' ? 'regex' : mode === 'word' ? 'word' : 'text';
         valueHtml = `
           <input type="text" class="rules-value" value="${this.escapeHtml(rule.value)}"
-                 placeholder="${rule.type === 'from' ? '@handle or regex' : 'keyword or regex'}"
+                 placeholder="${rule.type in TEXT_RULE_TYPES ? `${TEXT_RULE_TYPES[rule.type]} ${noun}` : `@handle ${noun}`}"
                  data-category="${catIndex}" data-rule="${ruleIndex}">
         `;
       }
 
+      // Match mode selector for rule types that match text
+      const modeHtml = isMatchableRuleType(rule.type) ? `
+        <select class="rules-mode" data-category="${catIndex}" data-rule="${ruleIndex}" title="Match mode">
+          ${MATCH_MODES.map(mode => `
+            <option value="${mode}" ${(rule.mode || 'regex') === mode ? 'selected' : ''}>${mode.charAt(0).toUpperCase() + mode.slice(1)}</option>
+          `).join('')}
+        </select>
+      ` : '';
+
+      // Report patterns that fail to compile rather than silently never matching
+      const error = rule.value ? getRuleError(rule) : null;
+      const errorClass = error ? ' rules-row-invalid' : '';
+      const errorHtml = error ? `<div class="rules-row-error" role="alert">${this.escapeHtml(error)}</div>` : '';
+
       const unsavedClass = rule._unsaved ? ' rules-row-unsaved' : '';
       const saveButton = rule._unsaved ? `
         <button type="button" class="rules-save-rule" data-category="${catIndex}" data-rule="${ruleIndex}"
@@ -1613,23 +2406,40 @@ export class ConfigModal {
       ` : '';
 
       return `
-        <div class="rules-row${unsavedClass}" draggable="true" data-category="${catIndex}" data-rule="${ruleIndex}">
+        <div class="rules-row${unsavedClass}${errorClass}" draggable="true" data-category="${catIndex}" data-rule="${ruleIndex}">
           <span class="rules-drag-handle" title="Drag to reorder">⋮⋮</span>
           <select class="rules-action" data-category="${catIndex}" data-rule="${ruleIndex}">
             <option value="allow" ${rule.action === 'allow' ? 'selected' : ''}>Allow</option>
             <option value="deny" ${rule.action === 'deny' ? 'selected' : ''}>Deny</option>
+            ${Object.entries(PRESENTATION_ACTIONS).map(([action, label]) => `
+              <option value="${action}" ${rule.action === action ? 'selected' : ''}>${label}</option>
+            `).join('')}
           </select>
           <select class="rules-type" data-category="${catIndex}" data-rule="${ruleIndex}">
             <option value="from" ${rule.type === 'from' ? 'selected' : ''}>From (author)</option>
+            <option value="from-reposter" ${rule.type === 'from-reposter' ? 'selected' : ''}>From reposter</option>
             <option value="content" ${rule.type === 'content' ? 'selected' : ''}>Content (text)</option>
+            <option value="alt" ${rule.type === 'alt' ? 'selected' : ''}>Alt text (images)</option>
+            <option value="card" ${rule.type === 'card' ? 'selected' : ''}>Card (link card title)</option>
+            <option value="quote" ${rule.type === 'quote' ? 'selected' : ''}>Quote (quoted post)</option>
+            <option value="likes" ${rule.type === 'likes' ? 'selected' : ''}>Likes (count)</option>
+            <option value="reposts" ${rule.type === 'reposts' ? 'selected' : ''}>Reposts (count)</option>
+            <option value="replies" ${rule.type === 'replies' ? 'selected' : ''}>Replies (count)</option>
+            <option value="age" ${rule.type === 'age' ? 'selected' : ''}>Age (post)</option>
+            <option value="has" ${rule.type === 'has' ? 'selected' : ''}>Has (media/link/quote)</option>
+            <option value="is" ${rule.type === 'is' ? 'selected' : ''}>Is (repost/reply/quote)</option>
+            <option value="link" ${rule.type === 'link' ? 'selected' : ''}>Link (domain)</option>
+            <option value="lang" ${rule.type === 'lang' ? 'selected' : ''}>Lang (language)</option>
             <option value="include" ${rule.type === 'include' ? 'selected' : ''}>Include (category)</option>
             <option value="list" ${rule.type === 'list' ? 'selected' : ''}>List (&name)</option>
             <option value="all" ${rule.type === 'all' ? 'selected' : ''}>All</option>
           </select>
+          ${modeHtml}
           ${valueHtml}
           ${saveButton}
           <button type="button" class="rules-delete-rule" data-category="${catIndex}" data-rule="${ruleIndex}"
                   title="Delete rule">🗑</button>
+          ${errorHtml}
         </div>
       `;
     }).join('');
@@ -1650,6 +2460,10 @@ export class ConfigModal {
     if (textarea) {
       textarea.value = rawText;
     }
+    const errorsEl = this.modalEl.querySelector('.rules-raw-errors');
+    if (errorsEl) {
+      errorsEl.innerHTML = this.renderRuleErrors(rawText);
+    }
     this.pendingChanges['rulesConfig'] = rawText;
   }
 
@@ -1767,7 +2581,12 @@ export class ConfigModal {
     const savedRules = category.rules.filter(r => !r._unsaved);
     const unsavedRules = category.rules.filter(r => r._unsaved);
 
-    const typeOrder = { all: 0, include: 1, list: 2, from: 3, content: 4 };
+    const typeOrder = {
+      all: 0, include: 1, list: 2, from: 3, 'from-reposter': 4, content: 5, alt: 6, card: 7, quote: 8,
+      likes: 9, reposts: 10, replies: 11, age: 12, has: 13, is: 14, link: 15, lang: 16,
+    };
+
+    const actionOrder = (action) => (action === 'deny' ? -1 : RULE_ACTIONS.indexOf(action));
 
     // Only sort saved rules
     savedRules.sort((a, b) => {
@@ -1776,9 +2595,9 @@ export class ConfigModal {
       const typeB = typeOrder[b.type] ?? 99;
       if (typeA !== typeB) return typeA - typeB;
 
-      // Then by action (deny before allow for same type/value)
+      // Then by action (deny before allow, then presentation actions, for same type)
       if (a.action !== b.action) {
-        return a.action === 'deny' ? -1 : 1;
+        return actionOrder(a.action) - actionOrder(b.action);
       }
 
       // Then by value alphabetically
@@ -2053,18 +2872,37 @@ export class ConfigModal {
         if (rule.type === 'all') {
           rule.value = '';
         }
+        if (!isMatchableRuleType(rule.type)) {
+          rule.mode = null;
+        }
         this.syncVisualToRaw();
         this.refreshVisualEditor(); // Refresh to update input disabled state
       });
     });
 
+    // Rule match mode change ('regex' is the default, so it's left implicit)
+    panel.querySelectorAll('.rules-mode').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const catIndex = parseInt(e.target.dataset.category);
+        const ruleIndex = parseInt(e.target.dataset.rule);
+        const rule = this.parsedRules[catIndex].rules[ruleIndex];
+        rule.mode = e.target.value === 'regex' ? null : e.target.value;
+        this.syncVisualToRaw();
+        this.refreshVisualEditor(); // Refresh to revalidate the pattern
+      });
+    });
+
     // Rule value change
     panel.querySelectorAll('.rules-value').forEach(input => {
       input.addEventListener('change', (e) => {
         const catIndex = parseInt(e.target.dataset.category);
         const ruleIndex = parseInt(e.target.dataset.rule);
-        this.parsedRules[catIndex].rules[ruleIndex].value = e.target.value;
+        const rule = this.parsedRules[catIndex].rules[ruleIndex];
+        rule.value = e.target.value;
         this.syncVisualToRaw();
+        if (rule.type !== 'all') {
+          this.refreshVisualEditor(); // Refresh to revalidate the pattern
+        }
       });
     });
 
@@ -2172,6 +3010,10 @@ export class ConfigModal {
       textarea.addEventListener('change', (e) => {
         this.pendingChanges['rulesConfig'] = e.target.value;
       });
+      textarea.addEventListener('input', (e) => {
+        const errorsEl = panel.querySelector('.rules-raw-errors');
+        if (errorsEl) errorsEl.innerHTML = this.renderRuleErrors(e.target.value);
+      });
     }
   }
 
@@ -2196,6 +3038,8 @@ export class ConfigModal {
 
   handleInputChange(e) {
     const { name, type, value, checked } = e.target;
+    // Controls that aren't settings (e.g. in the Backup panel) have no name
+    if (!name) return;
     const newValue = type === 'checkbox' ? checked : value;
     this.pendingChanges[name] = newValue;
 
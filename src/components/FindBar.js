@@ -0,0 +1,130 @@
+// FindBar.js - Input for finding posts in the feed, at the bottom of the page like vim's command line
+
+import { announceToScreenReader } from '../utils.js';
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Creates and manages the find bar (singleton). The handler that opens it is
+ * told about every change to the query, so matches can be shown as they're typed.
+ */
+export class FindBar {
+  constructor() {
+    // Return existing instance if it exists
+    if (instance) {
+      return instance;
+    }
+
+    this.isVisible = false;
+    this.barEl = null;
+    this.input = null;
+    this.callbacks = null;
+    this.previousActiveElement = null;
+
+    instance = this;
+  }
+
+  /**
+   * Show the bar
+   * @param {object} options
+   * @param {string} options.query - Text to start with, selected so typing replaces it
+   * @param {function(string): void} options.onInput - Called as the query changes
+   * @param {function(string): void} options.onSubmit - Called with the query on Enter
+   * @param {function(): void} options.onCancel - Called on Escape
+   */
+  show({ query = '', onInput, onSubmit, onCancel }) {
+    if (this.isVisible) return;
+
+    this.previousActiveElement = document.activeElement;
+    this.isVisible = true;
+    this.callbacks = { onInput, onSubmit, onCancel };
+
+    this.barEl = this.createBar();
+    document.body.appendChild(this.barEl);
+    this.input = this.barEl.querySelector('.find-bar-input');
+    this.input.value = query;
+    this.input.focus();
+    this.input.select();
+
+    announceToScreenReader('Find in feed. Type to find, Enter to keep, Escape to cancel.');
+  }
+
+  /**
+   * Hide the bar and give focus back to where it was
+   */
+  hide() {
+    if (!this.isVisible || !this.barEl) return;
+
+    // First, so the input losing focus doesn't submit (see createBar())
+    this.isVisible = false;
+    this.barEl.remove();
+    this.barEl = null;
+    this.input = null;
+    this.callbacks = null;
+
+    if (this.previousActiveElement && document.contains(this.previousActiveElement)) {
+      this.previousActiveElement.focus();
+    }
+  }
+
+  /**
+   * Show how many posts match, next to the input
+   * @param {string} text
+   */
+  setStatus(text) {
+    if (this.barEl) {
+      this.barEl.querySelector('.find-bar-status').textContent = text;
+    }
+  }
+
+  /**
+   * Create the bar DOM element
+   */
+  createBar() {
+    const bar = document.createElement('div');
+    bar.className = 'find-bar';
+    bar.setAttribute('role', 'search');
+
+    bar.innerHTML = `
+      <span class="find-bar-prompt" aria-hidden="true">/</span>
+      <input type="text" class="find-bar-input" aria-label="Find in feed"
+             autocomplete="off" spellcheck="false">
+      <span class="find-bar-status" aria-live="polite"></span>
+    `;
+
+    const input = bar.querySelector('.find-bar-input');
+    input.addEventListener('input', () => this.callbacks.onInput(input.value));
+    input.addEventListener('keydown', (e) => this.handleKey(e));
+    // Clicking elsewhere keeps what was found, as Enter does
+    input.addEventListener('blur', () => {
+      if (this.isVisible) {
+        this.submit();
+      }
+    });
+
+    return bar;
+  }
+
+  handleKey(event) {
+    // Keep the page's own handlers out while typing here
+    event.stopPropagation();
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.submit();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      const { onCancel } = this.callbacks;
+      this.hide();
+      onCancel();
+    }
+  }
+
+  submit() {
+    const { onSubmit } = this.callbacks;
+    const query = this.input.value;
+    this.hide();
+    onSubmit(query);
+  }
+}
@@ -4,7 +4,7 @@
  * DefaultUIAdapter - Fallback adapter for pages without specific UI requirements
  *
  * Shows minimal UI: hidden toolbar rows, simple page name in status bar.
- * Used for notifications, search results, settings, and other pages.
+ * Used for settings, lists, and other pages.
  */
 class DefaultUIAdapter {
   constructor() {
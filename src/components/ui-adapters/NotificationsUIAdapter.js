@@ -0,0 +1,61 @@
+/**
+ * NotificationsUIAdapter - Adapter for the notifications page
+ *
+ * NotificationsItemHandler has its own toolbar (for search/filter).
+ * Uses UIManager's fixed-position status bar for the feed map.
+ */
+class NotificationsUIAdapter {
+  constructor() {
+    this.uiManager = null;
+    this.handler = null;
+  }
+
+  /**
+   * Set reference to UIManager
+   */
+  setUIManager(uiManager) {
+    this.uiManager = uiManager;
+  }
+
+  /**
+   * Activate this adapter - called when switching to notifications context
+   * @param {object} handler - The NotificationsItemHandler instance
+   */
+  activate(handler) {
+    this.handler = handler;
+
+    // Hide UIManager's toolbar (NotificationsItemHandler has its own)
+    this.uiManager.getToolbarDiv().hide();
+
+    // Show UIManager's fixed-position status bar for feed map
+    this.uiManager.getStatusBar().show();
+
+    // Clear status bar sections for handler to populate
+    this.uiManager.getStatusBarLeft().empty();
+
+    // Set notifications page info text
+    this.uiManager.setInfoText('Notifications');
+
+    // Give handler access to UIManager's status bar
+    if (handler && handler.setUIManagerStatusBar) {
+      handler.setUIManagerStatusBar(this.uiManager.getStatusBar(), this.uiManager.getStatusBarLeft());
+    }
+  }
+
+  /**
+   * Deactivate this adapter - called when switching away from notifications context
+   */
+  deactivate() {
+    // Clear any feed map elements added to UIManager's status bar
+    const statusBar = this.uiManager.getStatusBar();
+    statusBar.find('.feed-map-wrapper').remove();
+    statusBar.removeClass('has-feed-map');
+
+    // Show UIManager's elements again when leaving notifications
+    this.uiManager.getToolbarDiv().show();
+    this.uiManager.getStatusBar().show();
+    this.handler = null;
+  }
+}
+
+export default NotificationsUIAdapter;
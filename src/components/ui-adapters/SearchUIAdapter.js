@@ -0,0 +1,73 @@
+/**
+ * SearchUIAdapter - Adapter for the search results page
+ *
+ * SearchItemHandler has its own toolbar (for filter and result tabs).
+ * Uses UIManager's fixed-position status bar for the feed map.
+ */
+class SearchUIAdapter {
+  constructor() {
+    this.uiManager = null;
+    this.handler = null;
+  }
+
+  /**
+   * Set reference to UIManager
+   */
+  setUIManager(uiManager) {
+    this.uiManager = uiManager;
+  }
+
+  /**
+   * Activate this adapter - called when switching to search context
+   * @param {object} handler - The SearchItemHandler instance
+   */
+  activate(handler) {
+    this.handler = handler;
+
+    // Hide UIManager's toolbar (SearchItemHandler has its own)
+    this.uiManager.getToolbarDiv().hide();
+
+    // Show UIManager's fixed-position status bar for feed map
+    this.uiManager.getStatusBar().show();
+
+    // Clear status bar sections for handler to populate
+    this.uiManager.getStatusBarLeft().empty();
+
+    this.updateInfoText();
+
+    // Give handler access to UIManager's status bar
+    if (handler && handler.setUIManagerStatusBar) {
+      handler.setUIManagerStatusBar(this.uiManager.getStatusBar(), this.uiManager.getStatusBarLeft());
+    }
+  }
+
+  /**
+   * Update info text with the search query
+   */
+  updateInfoText() {
+    const query = new URLSearchParams(window.location.search).get('q');
+    if (query) {
+      const escaped = $('<span>').text(query).html();
+      this.uiManager.setInfoText(`Search: ${escaped}`);
+    } else {
+      this.uiManager.setInfoText('Explore');
+    }
+  }
+
+  /**
+   * Deactivate this adapter - called when switching away from search context
+   */
+  deactivate() {
+    // Clear any feed map elements added to UIManager's status bar
+    const statusBar = this.uiManager.getStatusBar();
+    statusBar.find('.feed-map-wrapper').remove();
+    statusBar.removeClass('has-feed-map');
+
+    // Show UIManager's elements again when leaving search
+    this.uiManager.getToolbarDiv().show();
+    this.uiManager.getStatusBar().show();
+    this.handler = null;
+  }
+}
+
+export default SearchUIAdapter;
@@ -70,6 +70,49 @@ const constants = {
 
   // State management
   STATE_KEY: 'bluesky_state',
+  MERGE_LOG_KEY: 'bluesky_navigator_merge_log',
+  MERGE_LOG_MAX_ENTRIES: 50,
+  SYNC_QUEUE_KEY: 'bluesky_navigator_sync_queue', // Changes not yet synced, kept across reloads
+  SYNC_HISTORY_KEY: 'bluesky_navigator_sync_history', // Last push/pull and recent failures
+  SYNC_FAILURES_MAX_ENTRIES: 10,
+  SYNC_RETRY_BASE_DELAY: 5000, // ms before the first retry; doubled after each failure
+  SYNC_RETRY_MAX_DELAY: 15 * 60 * 1000,
+  TAB_CHANNEL_NAME: 'bluesky_navigator_tabs', // BroadcastChannel shared by open tabs
+  TAB_LEADER_LOCK: 'bluesky_navigator_sync_leader', // Web Lock held by the tab that syncs with the remote
+
+  // Per-account storage (see accounts.js)
+  BSKY_STORAGE_KEY: 'BSKY_STORAGE', // localStorage key where bsky.app keeps its session
+  ACCOUNT_OWNER_KEY: 'bluesky_navigator_account_owner', // Account that keeps the unsuffixed keys
+  ACCOUNT_CHECK_INTERVAL: 2000, // ms between checks for another account logging in
+
+  // Keys tab of the config modal (see keymap.js)
+  KEY_RECORD_TIMEOUT: 1000, // ms to wait for the next key of a sequence being bound
+  KEY_RECORD_MAX_KEYS: 2, // Longest sequence that can be bound
+
+  // Count prefixes, like 5 in 5j (see ItemHandler.handleKeydown())
+  COUNT_TIMEOUT: 800, // ms a count waits for its action; a lone digit then switches tabs
+  COUNT_MAX: 999,
+
+  // Named marks, like ma and 'a (see FeedItemHandler.jumpToMark())
+  MARK_LOAD_MAX_PAGES: 20, // Pages of older posts loaded looking for a marked post
+  MARK_LOAD_TIMEOUT: 5000, // ms to wait for a page of older posts
+
+  // Command palette (see CommandPalette.js)
+  COMMAND_RECENT_KEY: 'bluesky_navigator_recent_commands',
+  COMMAND_RECENT_MAX: 10, // Recently used commands listed first
+
+  // Read history in IndexedDB (see SeenStore.js)
+  SEEN_DB_NAME: 'bluesky_navigator',
+  SEEN_LOOKUP_DELAY: 50, // ms to wait for more cache misses before querying IndexedDB
+  SEEN_UNREAD_CACHE_SIZE: 20000, // Posts remembered as not read before the set is reset
+
+  // Hydrated post view cache (shared by sidecar, toasts and feed map tooltip)
+  POST_CACHE_KEY: 'bluesky_navigator_post_cache',
+  POST_CACHE_MAX_ENTRIES: 500,
+  POST_CACHE_TTL_MS: 15 * 60 * 1000,
+  POST_BATCH_SIZE: 25, // app.bsky.feed.getPosts accepts at most 25 URIs
+  POST_BATCH_DELAY: 10, // ms to wait for more getPost() calls before fetching
+
   DRAWER_MENU_SELECTOR: 'button[aria-label="Open drawer menu"]',
   SCREEN_SELECTOR: 'main > div > div > div',
   HOME_SCREEN_SELECTOR: 'div[data-testid="HomeScreen"]',
@@ -92,6 +135,15 @@ const constants = {
   FEED_ITEM_SELECTOR: 'div:not(.css-175oi2r) > div[tabindex="0"][role="link"]:not(.r-1awozwy)',
   LEFT_SIDEBAR_SELECTOR: 'nav[role="navigation"]',
   POST_ITEM_SELECTOR: 'div[data-testid^="postThreadItem-by-"]',
+  NOTIFICATIONS_SCREEN_SELECTOR: 'div[data-testid="notificationsScreen"]',
+  get NOTIFICATION_ITEM_SELECTOR() {
+    return `${constants.NOTIFICATIONS_SCREEN_SELECTOR} [data-testid^="feedItem-by-"]`;
+  },
+  SEARCH_SCREEN_SELECTOR: 'div[data-testid="searchScreen"]',
+  get SEARCH_ITEM_SELECTOR() {
+    return `${constants.SEARCH_SCREEN_SELECTOR} ${constants.FEED_ITEM_SELECTOR}`;
+  },
+  SEARCH_TABS: ['Top', 'Latest', 'People'],
   POST_CONTENT_SELECTOR: 'div[data-testid="contentHider-post"]',
   MAIN_SELECTOR: 'main[role="main"]',
   WIDTH_SELECTOR: 'div[style*="removed-body-scroll-bar-size"][style*="width: 100%"]',
@@ -5,6 +5,39 @@ import * as utils from '../utils.js';
 import { ItemHandler } from './ItemHandler.js';
 import { format, formatDistanceToNowStrict } from 'date-fns';
 import icons from '../icons.js';
+import { compileFilter, evaluateFilter, positiveTerms, filterTerms } from './filterExpression.js';
+import {
+  TEXT_RULE_TYPES,
+  THRESHOLD_RULE_TYPES,
+  PREDICATE_RULE_TYPES,
+  actionAllows,
+  compileMatcher,
+  compileRule,
+  getRuleMatcher,
+  getRuleThreshold,
+  getRulePredicate,
+  matchesText,
+  meetsThreshold,
+  matchesDomain,
+  matchesLanguage,
+} from '../ruleMatcher.js';
+import { parseLanguageList, languageMatches } from '../language.js';
+import { eventKey, getKeymap } from '../keymap.js';
+import { FindBar } from '../components/FindBar.js';
+
+// Unquoted filter bar terms like "likes<5", "age>=2d", "has:video", "is:repost",
+// "link:example.com" or "lang:en" are evaluated as the equivalent rule
+const THRESHOLD_TERM_PATTERN = new RegExp(`^(${Object.keys(THRESHOLD_RULE_TYPES).join('|')})([<>=].*)$`, 'i');
+const PREDICATE_TERM_PATTERN = new RegExp(`^(${Object.keys(PREDICATE_RULE_TYPES).join('|')}):(.+)$`, 'i');
+
+// Letters a mark can be set under (see setMark())
+const MARK_LETTER_PATTERN = /^[a-z]$/;
+
+// Background of text matching the find, at 20% opacity (see highlightMatchingText())
+const FIND_HIGHLIGHT_COLOR = '#f59e0b';
+
+// Pages where posts outside the preferred languages are dimmed or hidden
+const LANGUAGE_PREFERENCE_HANDLERS = ['feed', 'search', 'profile'];
 
 const { waitForElement, announceToScreenReader, getAnimationDuration } = utils;
 
@@ -41,6 +74,12 @@ export class FeedItemHandler extends ItemHandler {
     // Cache for reposter profiles (postId -> { handle, displayName, avatar })
     this.reposterProfileCache = {};
     this.repostTimestampsFetched = false;
+    // Marks (see handleKeydown())
+    this.pendingMark = null; // setMark or jumpToMark, waiting for its letter
+    this.markJump = null; // Jump in progress; replaced to cancel it
+    // Find (see startFind())
+    this.findBar = new FindBar();
+    this.findQuery = null; // Text n and N look for
     // Track toolbar observer to prevent duplicates
     this._toolbarObserver = null;
     this.feedTabObserver = waitForElement(constants.FEED_TAB_SELECTOR, (tab) => {
@@ -298,8 +337,21 @@ export class FeedItemHandler extends ItemHandler {
     this.updateScrollPosition();
   }
 
+  /**
+   * Re-filter after rules or settings change, since the language preference and
+   * rules referenced by the filter can change which posts are shown.
+   */
+  onRulesChanged() {
+    super.onRulesChanged();
+    this.filterItems();
+  }
+
   applyItemStyle(element, selected) {
     super.applyItemStyle(element, selected);
+    this.applyLanguageStyling(element);
+    this.applyRuleActionStyling(element);
+    // Last, since redoing rule highlights drops the find highlights inside them
+    this.highlightFindMatches(element);
     const avatarDiv = $(element).find('div[data-testid="userAvatarImage"]');
     if (this.config.get('postActionButtonPosition') == 'Left') {
       const buttonsDiv = $(element)
@@ -989,6 +1041,10 @@ export class FeedItemHandler extends ItemHandler {
     this._savedPostId = this.postId;
     this._savedIndex = this.index;
 
+    this.pendingMark = null;
+    this.markJump = null;
+    this.findBar.hide();
+
     // Remove scroll listener
     if (this._scrollHandler) {
       window.removeEventListener('scroll', this._scrollHandler);
@@ -1330,7 +1386,7 @@ export class FeedItemHandler extends ItemHandler {
     // Start or stop the filter enforcement interval
     this.updateFilterEnforcement();
 
-    if (filterText) {
+    if (filterText && !this.getCompiledFilter().error) {
       announceToScreenReader(`Filter applied: ${filterText}`);
     }
   }
@@ -1394,9 +1450,7 @@ export class FeedItemHandler extends ItemHandler {
       return true;
     }
 
-    const activeRules = this.parseFilterRules(this.state.filter);
-    const results = activeRules.map((rule) => this.evaluateFilterRule(item, rule));
-    return results.every((result) => result === true);
+    return this.evaluateFilterExpression(item);
   }
 
   /**
@@ -1439,9 +1493,9 @@ export class FeedItemHandler extends ItemHandler {
 
     // Check if item should be filtered (timeout, text filter, etc.)
     // This runs before the debounced loadItems() to immediately hide items
-    // from timed-out authors as they're added
+    // from timed-out authors (or in other languages, or hidden by rules) as they're added
     const hasActiveTimeouts = this.state.timeouts && Object.keys(this.state.timeouts).length > 0;
-    if (this.state.filter || hasActiveTimeouts) {
+    if (this.state.filter || hasActiveTimeouts || this.getOtherLanguagesAction() === 'Hide' || this.hasHideRules()) {
       const thread = $(element).closest('.thread');
       const passes = this.filterItem(element, thread);
       if (!passes) {
@@ -1505,8 +1559,12 @@ export class FeedItemHandler extends ItemHandler {
       $('.search-wrapper').after(pill);
     }
 
-    $('#bsky-navigator-filter-pill .filter-pill-text').text(this.state.filter);
-    announceToScreenReader(`Filter active: ${this.state.filter}`);
+    const { error } = this.getCompiledFilter();
+    const pill = $('#bsky-navigator-filter-pill');
+    pill.toggleClass('filter-pill-error', !!error);
+    pill.attr('title', error ? `${this.state.filter}\n${error}` : this.state.filter);
+    pill.find('.filter-pill-text').text(error ? `Syntax error: ${error}` : this.state.filter);
+    announceToScreenReader(error ? `Filter syntax error: ${error}` : `Filter active: ${this.state.filter}`);
   }
 
   clearFilter() {
@@ -1515,7 +1573,19 @@ export class FeedItemHandler extends ItemHandler {
     announceToScreenReader('Filter cleared');
   }
 
+  /**
+   * Fills in the search box and applies it, as picking a saved search does
+   */
+  applyFilter(text) {
+    $('#bsky-navigator-search').val(text);
+    this.commitFilter(text);
+  }
+
   getSavedSearches() {
+    // Saved searches are kept in state so they sync with it; older versions kept them in the config
+    if (Array.isArray(this.state.savedSearches)) {
+      return [...this.state.savedSearches];
+    }
     try {
       const saved = this.config.get('savedSearches') || '[]';
       return JSON.parse(saved);
@@ -1525,8 +1595,7 @@ export class FeedItemHandler extends ItemHandler {
   }
 
   saveSavedSearches(searches) {
-    this.config.set('savedSearches', JSON.stringify(searches));
-    this.config.save();
+    this.state.stateManager.updateState({ savedSearches: searches });
   }
 
   saveCurrentSearch() {
@@ -1551,21 +1620,6 @@ export class FeedItemHandler extends ItemHandler {
     setTimeout(() => this.saveSearchBtn.removeClass('save-search-btn-saved'), 300);
   }
 
-  /**
-   * Gets the reposter handle from a reposted item
-   * @param {jQuery} $item - The feed item element wrapped in jQuery
-   * @returns {string|null} Reposter handle or null if not a repost
-   */
-  getReposterHandle($item) {
-    const repostLink = $item.closest('.thread').find('a[aria-label*="Reposted by"]').first();
-    if (!repostLink.length) return null;
-
-    // Extract handle from href (format: /profile/handle or /profile/did)
-    const href = repostLink.attr('href') || '';
-    const match = href.match(/\/profile\/([^/]+)/);
-    return match ? match[1] : null;
-  }
-
   /**
    * Determines if an item should be shown based on read status and filter rules.
    * @param {Element} item - The feed item element
@@ -1587,38 +1641,135 @@ export class FeedItemHandler extends ItemHandler {
       return false;
     }
 
-    // Check if item is read - use state.seen directly instead of DOM class
+    // Check if item is read - use the seen store directly instead of DOM class
     // (DOM class may not be applied yet if React replaced the element)
     // Don't hide read items when viewing a single post (post view)
     if (this.state.feedHideRead && this.name !== 'post') {
       const postId = this.postIdForItem($item);
-      if (postId && this.state.seen[postId]) {
+      if (postId && this.state.stateManager.getSeen(postId)) {
         return false;
       }
     }
 
+    if (this.getOtherLanguagesAction() === 'Hide' && !this.isPreferredLanguage(item)) {
+      return false;
+    }
+
+    if (this.hasHideRules() && this.getRuleActions(item).has('hide')) {
+      return false;
+    }
+
     if (!this.state.filter) {
       return true;
     }
 
-    const activeRules = this.parseFilterRules(this.state.filter);
-    const results = activeRules.map((rule) => this.evaluateFilterRule(item, rule));
-    return results.every((result) => result === true);
+    return this.evaluateFilterExpression(item);
+  }
+
+  /**
+   * Whether any rule hides the posts it matches.
+   * @returns {boolean}
+   */
+  hasHideRules() {
+    return this.getPresentationRules().some(({ rule }) => rule.action === 'hide');
+  }
+
+  /**
+   * Gets how posts outside the preferred languages are treated on this page.
+   * @returns {string} 'Show', 'Dim' or 'Hide'
+   */
+  getOtherLanguagesAction() {
+    if (!LANGUAGE_PREFERENCE_HANDLERS.includes(this.name)) return 'Show';
+    if (!parseLanguageList(this.config.get('preferredLanguages')).length) return 'Show';
+    return this.config.get('otherLanguages') || 'Dim';
+  }
+
+  /**
+   * Checks whether a post is in one of the preferred languages.
+   * Posts whose language can't be determined count as preferred, so a bad guess never hides them.
+   * @param {Element} item - The feed item element
+   * @returns {boolean}
+   */
+  isPreferredLanguage(item) {
+    const preferred = parseLanguageList(this.config.get('preferredLanguages'));
+    if (!preferred.length) return true;
+
+    // Fetch each uncached post's record (for its declared langs) at most once
+    this._languageFetchUrls ??= new Set();
+    const url = this.urlForItem(item);
+    const fetchRecord = url && !this._languageFetchUrls.has(url);
+    if (fetchRecord) this._languageFetchUrls.add(url);
+
+    const { langs } = this.getPostLanguages(item, fetchRecord ? () => this.scheduleLanguageRefresh() : null);
+    if (!langs.length) return true;
+    return langs.some((lang) => preferred.some((wanted) => languageMatches(lang, wanted)));
   }
 
   /**
-   * Parses filter text into structured rule objects.
+   * Dims posts outside the preferred languages when that option is set.
+   * @param {Element} element - The feed item element
+   */
+  applyLanguageStyling(element) {
+    const dim = this.getOtherLanguagesAction() === 'Dim' && !this.isPreferredLanguage(element);
+    $(element).toggleClass('item-other-language', dim);
+  }
+
+  /**
+   * Re-applies language dimming/hiding once fetched post records arrive, since a record's
+   * declared langs can differ from the language guessed from its text.
+   */
+  scheduleLanguageRefresh() {
+    if (this._languageRefreshTimeout) {
+      clearTimeout(this._languageRefreshTimeout);
+    }
+    this._languageRefreshTimeout = setTimeout(() => {
+      this._languageRefreshTimeout = null;
+      if (!this.isActive()) return;
+      if (this.getOtherLanguagesAction() === 'Hide') {
+        this.filterItems();
+      } else {
+        $(this.items).each((i, item) => this.applyLanguageStyling(item));
+      }
+    }, 500);
+  }
+
+  /**
+   * Returns the compiled form of the current filter, recompiling only when the text changes.
+   * @returns {{expression: object|null, error: string|null}}
+   */
+  getCompiledFilter() {
+    const filterText = this.state.filter || '';
+    if (this._compiledFilter?.text !== filterText) {
+      const compiled = { text: filterText, ...compileFilter(filterText) };
+      // Compile term patterns up front so an invalid regex is reported rather than thrown mid-filter
+      for (const term of filterTerms(compiled.expression)) {
+        const ruleMatch = !term.quoted && term.matchType === null &&
+          (term.query.match(THRESHOLD_TERM_PATTERN) || term.query.match(PREDICATE_TERM_PATTERN));
+        if (ruleMatch) {
+          term.postRule = compileRule({ type: ruleMatch[1].toLowerCase(), value: ruleMatch[2] });
+        } else if (term.matchType === null || term.matchType === '@' || term.matchType === '%') {
+          term.matcher = compileMatcher(term.query);
+        }
+        const error = term.matcher?.error || term.postRule?.threshold?.error || term.postRule?.predicate?.error;
+        if (error) {
+          compiled.expression = null;
+          compiled.error = error;
+          break;
+        }
+      }
+      this._compiledFilter = compiled;
+    }
+    return this._compiledFilter;
+  }
+
+  /**
+   * Evaluates the current filter expression against an item.
+   * A filter with a syntax error matches everything (the error is shown in the filter pill).
    * @private
    */
-  parseFilterRules(filterText) {
-    return filterText.split(/[ ]+/).map((ruleStatement) => {
-      const match = ruleStatement.match(/(!)?([$@%&])?"?([^"]+)"?/);
-      return {
-        invert: match[1] === '!',
-        matchType: match[2] || null,
-        query: match[3],
-      };
-    });
+  evaluateFilterExpression(item) {
+    const { expression } = this.getCompiledFilter();
+    return evaluateFilter(expression, (rule) => this.evaluateFilterRule(item, rule));
   }
 
   /**
@@ -1633,10 +1784,10 @@ export class FeedItemHandler extends ItemHandler {
         allowed = this.evaluateNamedRule(item, rule.query);
         break;
       case '@':
-        allowed = this.filterAuthor(item, rule.query);
+        allowed = this.filterAuthor(item, rule.matcher);
         break;
       case '%':
-        allowed = this.filterContent(item, rule.query);
+        allowed = this.filterContent(item, rule.matcher);
         break;
       case '&':
         // Handle list rules - check if author is in the specified list
@@ -1669,7 +1820,11 @@ export class FeedItemHandler extends ItemHandler {
         }
         break;
       default:
-        allowed = this.filterAuthor(item, rule.query) || this.filterContent(item, rule.query);
+        if (rule.postRule) {
+          allowed = this.matchesPostRule(item, rule.postRule);
+          break;
+        }
+        allowed = this.filterAuthor(item, rule.matcher) || this.filterContent(item, rule.matcher);
     }
 
     return rule.invert ? !allowed : allowed;
@@ -1716,39 +1871,151 @@ export class FeedItemHandler extends ItemHandler {
     }
 
     for (const rule of rules) {
-      if (rule.type === 'all') {
-        allowed = rule.action === 'allow';
-      } else if (rule.type === 'from' && this.filterAuthor(item, rule.value.substring(1))) {
-        allowed = rule.action === 'allow';
-      } else if (rule.type === 'content' && this.filterContent(item, rule.value)) {
-        allowed = rule.action === 'allow';
-      } else if (rule.type === 'include') {
+      if (rule.type === 'include') {
         // Recursively evaluate included category
         const includedResult = this.evaluateNamedRule(item, rule.value, visited);
         if (includedResult !== null) {
           // Apply the action (allow/deny) to the included result
-          allowed = rule.action === 'allow' ? includedResult : !includedResult;
+          allowed = actionAllows(rule.action) ? includedResult : !includedResult;
         }
       } else if (rule.type === 'list') {
         // Handle list type rules
-        const listCache = this.state.listCache;
-        if (listCache) {
-          const authorHandle = this.getAuthorHandle(item);
-          if (authorHandle) {
-            const isInList = listCache.isInListSync?.(authorHandle, rule.value);
-            if (isInList !== undefined) {
-              allowed = rule.action === 'allow' ? isInList : !isInList;
-            } else {
-              // Not cached - trigger async fetch
-              listCache.getMembers(rule.value);
-            }
-          }
+        const isInList = this.authorInList(item, rule.value);
+        if (isInList !== undefined) {
+          allowed = actionAllows(rule.action) ? isInList : !isInList;
         }
+      } else if (this.ruleMatchesItem(item, rule)) {
+        allowed = actionAllows(rule.action);
       }
     }
     return allowed;
   }
 
+  /**
+   * Checks whether a single rule matches an item, regardless of its action.
+   * @param {Element} item - The feed item element
+   * @param {object} rule - Parsed rule
+   * @returns {boolean}
+   */
+  ruleMatchesItem(item, rule) {
+    switch (rule.type) {
+      case 'all':
+        return true;
+      case 'from':
+        return this.filterAuthor(item, getRuleMatcher(rule));
+      case 'from-reposter':
+        return matchesText(getRuleMatcher(rule), this.getReposterHandle(item));
+      case 'include':
+        return this.evaluateNamedRule(item, rule.value) === true;
+      case 'list':
+        return this.authorInList(item, rule.value) === true;
+      default:
+        if (rule.type in TEXT_RULE_TYPES) {
+          return matchesText(getRuleMatcher(rule), this.getRuleTargetText(item, rule.type));
+        }
+        if (rule.type in THRESHOLD_RULE_TYPES || rule.type in PREDICATE_RULE_TYPES) {
+          return this.matchesPostRule(item, rule);
+        }
+        return false;
+    }
+  }
+
+  /**
+   * Checks list membership of an item's author using the list cache.
+   * @param {Element} item - The feed item element
+   * @param {string} listName - Bluesky list name
+   * @returns {boolean|undefined} Undefined if membership isn't cached yet (a fetch is started)
+   */
+  authorInList(item, listName) {
+    const listCache = this.state.listCache;
+    const authorHandle = this.getAuthorHandle(item);
+    if (!listCache || !authorHandle) return undefined;
+
+    const isInList = listCache.isInListSync?.(authorHandle, listName);
+    if (isInList === undefined) {
+      // Not cached - trigger async fetch
+      listCache.getMembers(listName);
+    }
+    return isInList;
+  }
+
+  /**
+   * Gets the presentation actions that rules apply to an item.
+   * @param {Element} item - The feed item element
+   * @returns {Map<string, {category: string, categoryIndex: number}>} Each matching action
+   *   and the first category that applied it
+   */
+  getRuleActions(item) {
+    const actions = new Map();
+    for (const { rule, category, categoryIndex } of this.getPresentationRules()) {
+      if (!actions.has(rule.action) && this.ruleMatchesItem(item, rule)) {
+        actions.set(rule.action, { category, categoryIndex });
+      }
+    }
+    return actions;
+  }
+
+  /**
+   * Applies dim, collapse, blur and highlight rule actions to an item.
+   * Collapsed posts are replaced by a one-line stub until expanded (Enter or click).
+   * @param {Element} element - The feed item element
+   */
+  applyRuleActionStyling(element) {
+    const $el = $(element);
+    const actions = this.getPresentationRules().length ? this.getRuleActions(element) : new Map();
+
+    $el.toggleClass('rule-dim', actions.has('dim'));
+    $el.toggleClass('rule-blur-media', actions.has('blur'));
+
+    const highlight = actions.get('highlight');
+    $el.toggleClass('rule-highlight', !!highlight);
+    if (highlight) {
+      $el[0].style.setProperty('--rule-highlight-color', this.getColorForCategoryIndex(highlight.categoryIndex));
+    }
+
+    const collapse = actions.get('collapse');
+    const collapsed = !!collapse && !this.expandedRulePosts.has(this.postIdForItem($el));
+    $el.toggleClass('rule-collapsed', collapsed);
+    const $stub = $el.children('.rule-collapsed-stub');
+    if (!collapsed) {
+      $stub.remove();
+    } else if (!$stub.length) {
+      const handle = this.getAuthorHandle(element);
+      const $newStub = $('<div class="rule-collapsed-stub" role="button">')
+        .append($('<span class="rule-collapsed-stub-label">').text(`Collapsed by [${collapse.category}]`))
+        .append(handle ? $('<span class="rule-collapsed-stub-author">').text(`@${handle}`) : null)
+        .append('<span class="rule-collapsed-stub-hint">Enter to expand</span>');
+      $newStub.on('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.expandCollapsedItem(element);
+      });
+      $el.prepend($newStub);
+    }
+  }
+
+  /**
+   * Expands a post collapsed by a rule, keeping it expanded for the rest of the session.
+   * @param {Element} item - The feed item element
+   * @returns {boolean} True if the item was collapsed
+   */
+  expandCollapsedItem(item) {
+    if (!item || !$(item).hasClass('rule-collapsed')) return false;
+    this.expandedRulePosts.add(this.postIdForItem($(item)));
+    this.applyRuleActionStyling(item);
+    this.updateScrollPosition(true);
+    return true;
+  }
+
+  /**
+   * Post IDs of rule-collapsed posts the user has expanded
+   * @type {Set<string>}
+   */
+  get expandedRulePosts() {
+    this._expandedRulePosts ??= new Set();
+    return this._expandedRulePosts;
+  }
+
   /**
    * Gets handle from item, with fallback to data-testid attribute.
    */
@@ -1778,19 +2045,104 @@ export class FeedItemHandler extends ItemHandler {
   }
 
   /**
-   * Checks if an item's author matches a pattern.
+   * Checks if an item's author handle or display name matches.
+   * @param {Element} item - The feed item element
+   * @param {object} matcher - Compiled matcher (see ruleMatcher.js)
    */
-  filterAuthor(item, author) {
-    const pattern = new RegExp(author, 'i');
+  filterAuthor(item, matcher) {
     const handle = this.getHandleForFilter(item);
     const displayName = this.displayNameFromItem(item);
-    return pattern.test(handle) || pattern.test(displayName);
+    return matchesText(matcher, handle) || matchesText(matcher, displayName);
+  }
+
+  /**
+   * Evaluates a threshold (likes/reposts/replies/age) or predicate (has/is/link/lang) rule against an item.
+   * @param {Element} item - The feed item element
+   * @param {object} rule - Parsed rule with a threshold or predicate type
+   * @returns {boolean}
+   */
+  matchesPostRule(item, rule) {
+    if (rule.type in THRESHOLD_RULE_TYPES) {
+      return meetsThreshold(getRuleThreshold(rule), this.getRuleMetric(item, rule.type));
+    }
+    if (rule.type === 'has') {
+      return this.itemHasContent(item, getRulePredicate(rule).kind);
+    }
+    if (rule.type === 'is') {
+      return this.isPostKind(item, getRulePredicate(rule).kind);
+    }
+    if (rule.type === 'link') {
+      return matchesDomain(getRulePredicate(rule), this.getLinkDomains(item));
+    }
+    if (rule.type === 'lang') {
+      return matchesLanguage(getRulePredicate(rule), this.getPostLanguages(item).langs);
+    }
+    return false;
   }
 
-  filterContent(item, query) {
-    const pattern = new RegExp(query, 'i');
-    const content = $(item).find('div[data-testid="postText"]').text();
-    return pattern.test(content);
+  /**
+   * Checks whether a post contains a kind of content, as tested by `has:` rules.
+   * Uses the post's embed from the shared post cache when available, falling back to
+   * the same DOM detection the feed map content icons use (and hasQuotedPost() for quotes).
+   * @param {Element} item - The feed item element
+   * @param {string} kind - One of HAS_KINDS ('image', 'video', 'media', 'link' or 'quote')
+   * @returns {boolean}
+   */
+  itemHasContent(item, kind) {
+    if (kind === 'link') {
+      return this.getLinkDomains(item).length > 0;
+    }
+
+    let hasImage, hasVideo, hasQuote;
+    const embed = this.getCachedPostForItem(item)?.embed;
+    if (embed) {
+      // recordWithMedia embeds split into a media part and a quoted record part
+      const media = embed.media || embed;
+      hasImage = !!media.images?.length;
+      hasVideo = media.$type === 'app.bsky.embed.video#view';
+      hasQuote = !!embed.record;
+    } else {
+      const engagement = this.getPostEngagement(item);
+      hasImage = !!engagement?.hasImage;
+      hasVideo = !!engagement?.hasVideo;
+      hasQuote = this.hasQuotedPost(item);
+    }
+
+    switch (kind) {
+      case 'image':
+        return hasImage;
+      case 'video':
+        return hasVideo;
+      case 'media':
+        return hasImage || hasVideo;
+      case 'quote':
+        return hasQuote;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Gets the number a threshold rule compares against.
+   * @param {Element} item - The feed item element
+   * @param {string} metric - One of THRESHOLD_RULE_TYPES ('likes', 'reposts', 'replies' or 'age')
+   * @returns {number|null} The count, the post's age in milliseconds, or null if unknown
+   */
+  getRuleMetric(item, metric) {
+    if (metric === 'age') {
+      const timestamp = this.getTimestampForItem(item);
+      return timestamp ? Date.now() - timestamp.getTime() : null;
+    }
+    return this.getPostEngagement(item)?.[metric] ?? null;
+  }
+
+  /**
+   * Checks if an item's post text matches.
+   * @param {Element} item - The feed item element
+   * @param {object} matcher - Compiled matcher (see ruleMatcher.js)
+   */
+  filterContent(item, matcher) {
+    return matchesText(matcher, this.getRuleTargetText(item, 'content'));
   }
 
   highlightFilterMatches(item) {
@@ -1799,14 +2151,10 @@ export class FeedItemHandler extends ItemHandler {
 
     if (!this.state.filter) return;
 
-    // Parse filter for content terms to highlight
-    const terms = this.state.filter.split(/\s+/).filter((term) => {
-      // Only highlight content-based searches, not @ or $ prefixed
-      return term && !term.startsWith('@') && !term.startsWith('$') && !term.startsWith('&') && !term.startsWith('!');
-    }).map((term) => {
-      // Remove % prefix if present
-      return term.startsWith('%') ? term.substring(1) : term;
-    });
+    // Only highlight content-based terms that aren't negated
+    const terms = positiveTerms(this.getCompiledFilter().expression)
+      .filter((term) => !term.postRule && (term.matchType === null || term.matchType === '%'))
+      .map((term) => term.query);
 
     if (terms.length === 0) return;
 
@@ -2194,6 +2542,8 @@ export class FeedItemHandler extends ItemHandler {
       });
     }
 
+    const marked = this.markedPosts();
+
     // Update segment states
     segments.each((i, segment) => {
       const $segment = $(segment);
@@ -2204,6 +2554,8 @@ export class FeedItemHandler extends ItemHandler {
       // Store item reference on segment for tooltip handler
       $segment.data('item', item || null);
 
+      this.applySuppressedSegmentStyle($segment, item);
+
       // Skip if item doesn't exist or is no longer in DOM (virtualized away)
       if (!item || !document.contains(item)) {
         $segment.addClass('feed-map-segment-virtualized');
@@ -2211,6 +2563,8 @@ export class FeedItemHandler extends ItemHandler {
       }
       $segment.removeClass('feed-map-segment-virtualized');
 
+      this.appendFeedMapMarkers($segment, item, marked);
+
       const isRead = $(item).hasClass('item-read');
       const isCurrent = i === currentDisplayIndex;
 
@@ -2858,6 +3212,8 @@ export class FeedItemHandler extends ItemHandler {
       }
     }
 
+    const marked = this.markedPosts();
+
     // Update segment content
     const segments = zoomInner.find('.feed-map-segment');
     segments.each((i, segment) => {
@@ -2882,11 +3238,15 @@ export class FeedItemHandler extends ItemHandler {
       // Clear existing content
       $segment.find('.feed-map-segment-icon, .feed-map-segment-avatar, .feed-map-segment-handle, .feed-map-segment-time, .feed-map-segment-progress').remove();
 
+      this.applySuppressedSegmentStyle($segment, hasItem ? item : null);
+
       if (!hasItem) {
         $segment.addClass('feed-map-segment-empty');
         return;
       }
 
+      this.appendFeedMapMarkers($segment, item, marked);
+
       // Apply read state
       if (isRead) $segment.addClass('feed-map-segment-read');
 
@@ -2917,8 +3277,8 @@ export class FeedItemHandler extends ItemHandler {
         const avatarHeight = Math.round(32 * (avatarScale / 100));
         let avatarStyle = `height: ${avatarHeight}px`;
         // Apply author rule color border if enabled
-        if (showRuleColors && engData?.engagement?.handle) {
-          const categoryIndex = this.getFilterCategoryIndexForHandle(engData.engagement.handle);
+        if (showRuleColors && item) {
+          const categoryIndex = this.getFilterCategoryIndexForAuthor(item, engData?.engagement?.handle);
           if (categoryIndex >= 0) {
             const color = this.getColorForCategoryIndex(categoryIndex);
             avatarStyle += `; box-shadow: 0 0 0 2px ${color}; border-radius: 50%`;
@@ -2936,7 +3296,7 @@ export class FeedItemHandler extends ItemHandler {
           let reposterStyle = `height: ${reposterHeight}px`;
           // Apply reposter rule color if enabled
           if (showRuleColors && engData?.engagement?.reposterHandle) {
-            const reposterCategoryIndex = this.getFilterCategoryIndexForHandle(engData.engagement.reposterHandle);
+            const reposterCategoryIndex = this.getFilterCategoryIndexForReposter(engData.engagement.reposterHandle);
             if (reposterCategoryIndex >= 0) {
               const color = this.getColorForCategoryIndex(reposterCategoryIndex);
               reposterStyle += `; box-shadow: 0 0 0 1px ${color}`;
@@ -3145,6 +3505,7 @@ export class FeedItemHandler extends ItemHandler {
 
     // Update segment states
     const windowEnd = Math.min(total - 1, windowStart + zoomWindowSize - 1);
+    const marked = this.markedPosts();
 
     segments.each((i, segment) => {
       const $segment = $(segment);
@@ -3171,12 +3532,16 @@ export class FeedItemHandler extends ItemHandler {
       // Clear existing icon, avatar, handle, time, and progress bar
       $segment.find('.feed-map-segment-icon, .feed-map-segment-avatar, .feed-map-segment-handle, .feed-map-segment-time, .feed-map-segment-progress').remove();
 
+      this.applySuppressedSegmentStyle($segment, hasItem ? item : null);
+
       // Mark empty segments (no corresponding item)
       if (!hasItem) {
         $segment.addClass('feed-map-segment-empty');
         return;
       }
 
+      this.appendFeedMapMarkers($segment, item, marked);
+
       // Apply read state first
       if (isRead) {
         $segment.addClass('feed-map-segment-read');
@@ -3213,8 +3578,8 @@ export class FeedItemHandler extends ItemHandler {
         const avatarHeight = Math.round(32 * (avatarScale / 100));
         let avatarStyle = `height: ${avatarHeight}px`;
         // Apply author rule color border if enabled
-        if (showRuleColors && engData?.engagement?.handle) {
-          const categoryIndex = this.getFilterCategoryIndexForHandle(engData.engagement.handle);
+        if (showRuleColors && item) {
+          const categoryIndex = this.getFilterCategoryIndexForAuthor(item, engData?.engagement?.handle);
           if (categoryIndex >= 0) {
             const color = this.getColorForCategoryIndex(categoryIndex);
             avatarStyle += `; box-shadow: 0 0 0 2px ${color}; border-radius: 50%`;
@@ -3232,7 +3597,7 @@ export class FeedItemHandler extends ItemHandler {
           let reposterStyle = `height: ${reposterHeight}px`;
           // Apply reposter rule color if enabled
           if (showRuleColors && engData?.engagement?.reposterHandle) {
-            const reposterCategoryIndex = this.getFilterCategoryIndexForHandle(engData.engagement.reposterHandle);
+            const reposterCategoryIndex = this.getFilterCategoryIndexForReposter(engData.engagement.reposterHandle);
             if (reposterCategoryIndex >= 0) {
               const color = this.getColorForCategoryIndex(reposterCategoryIndex);
               reposterStyle += `; box-shadow: 0 0 0 1px ${color}`;
@@ -3541,6 +3906,21 @@ export class FeedItemHandler extends ItemHandler {
     });
   }
 
+  /**
+   * Marks a feed map segment whose post is collapsed or dimmed (by rule actions or
+   * the language preference), so suppressed posts stay visible in the map.
+   * @param {jQuery} $segment - The feed map segment
+   * @param {Element|null} item - The segment's feed item
+   */
+  applySuppressedSegmentStyle($segment, item) {
+    const $item = $(item);
+    $segment.toggleClass('feed-map-segment-collapsed', !!item && $item.hasClass('rule-collapsed'));
+    $segment.toggleClass(
+      'feed-map-segment-dimmed',
+      !!item && ($item.hasClass('rule-dim') || $item.hasClass('item-other-language'))
+    );
+  }
+
   /**
    * Create and return the singleton tooltip element
    */
@@ -3553,6 +3933,7 @@ export class FeedItemHandler extends ItemHandler {
             <div class="feed-map-tooltip-header-text">
               <span class="feed-map-tooltip-handle"></span>
               <span class="feed-map-tooltip-time"></span>
+              <span class="feed-map-tooltip-lang"></span>
             </div>
           </div>
           <div class="feed-map-tooltip-author"></div>
@@ -3611,16 +3992,25 @@ export class FeedItemHandler extends ItemHandler {
 
     const timestamp = this.getTimestampForItem(item);
     const engagement = this.getPostEngagement(item);
-    const postText = $item.find('div[data-testid="postText"]').text() || '';
     const isRead = $item.hasClass('item-read');
+    this._feedMapTooltipItem = item;
+
+    // Fall back to the shared post cache when the item has no rendered text
+    // (e.g., notification rows), filling the tooltip in once a fetch completes
+    let postText = $item.find('div[data-testid="postText"]').text() || '';
+    if (!postText) {
+      const cachedPost = this.getCachedPostForItem(item, (post) => {
+        if (this._feedMapTooltipItem === item && tooltip.hasClass('visible') && post.record?.text) {
+          tooltip.find('.feed-map-tooltip-content').text(this.truncateTooltipText(post.record.text));
+        }
+      });
+      postText = cachedPost?.record?.text || '';
+    }
 
     // Format relative time
     const relativeTime = timestamp ? this.formatRelativeTime(timestamp) : '';
 
-    // Truncate post text
-    const truncatedText = postText.length > 150
-      ? postText.substring(0, 150).trim() + '...'
-      : postText;
+    const truncatedText = this.truncateTooltipText(postText);
 
     // Update avatar if setting is enabled
     const avatarImg = tooltip.find('.feed-map-tooltip-avatar');
@@ -3633,6 +4023,10 @@ export class FeedItemHandler extends ItemHandler {
     // Update tooltip content
     tooltip.find('.feed-map-tooltip-handle').text(`@${handle}`);
     tooltip.find('.feed-map-tooltip-time').text(relativeTime ? ` · ${relativeTime}` : '');
+    const { langs, detected } = this.getPostLanguages(item);
+    tooltip.find('.feed-map-tooltip-lang')
+      .text(langs.length ? `${langs.join(', ')}${detected ? ' (detected)' : ''}` : '')
+      .attr('title', detected ? 'Guessed from the post text' : 'Declared by the post');
     tooltip.find('.feed-map-tooltip-author').text(displayName || handle);
     tooltip.find('.feed-map-tooltip-content').text(truncatedText || '(no text)');
 
@@ -3652,6 +4046,13 @@ export class FeedItemHandler extends ItemHandler {
     tooltip.addClass('visible');
   }
 
+  /**
+   * Truncate post text for display in the feed map tooltip
+   */
+  truncateTooltipText(text) {
+    return text.length > 150 ? text.substring(0, 150).trim() + '...' : text;
+  }
+
   /**
    * Hide the feed map tooltip
    */
@@ -3855,6 +4256,311 @@ export class FeedItemHandler extends ItemHandler {
     });
   }
 
+  /**
+   * Marks and find, in front of counts and repeats: setMark and jumpToMark wait
+   * for the letter typed next, as in vim's ma and 'a, and any other key cancels
+   * them. findNext and findPrevious take a count (3n) but aren't repeated by
+   * repeatAction, as in vim.
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    const busy = this.isPopupVisible || this.rulesDropdownActive;
+    if (busy || utils.isUserTyping() || utils.isModalOpen()) {
+      return super.handleKeydown(event);
+    }
+
+    if (this.pendingMark) {
+      const key = eventKey(event);
+      if (!key) {
+        return; // Modifier keys on their own
+      }
+      event.preventDefault();
+      const action = this.pendingMark;
+      this.pendingMark = null;
+      this.updateCountIndicator();
+      if (!MARK_LETTER_PATTERN.test(key)) {
+        announceToScreenReader('Mark cancelled');
+      } else if (action === 'setMark') {
+        this.setMark(key);
+      } else {
+        this.jumpToMark(key);
+      }
+      return;
+    }
+
+    const action = this.actionFor(event);
+    if (action === 'setMark' || action === 'jumpToMark') {
+      event.preventDefault();
+      this.clearPendingCount();
+      this.pendingMark = action;
+      // The command palette runs actions without a key, so show the one bound
+      const key = eventKey(event) || getKeymap(this.config).keysFor(action)[0];
+      this.updateCountIndicator(key, 'Type a letter for the mark');
+      return;
+    }
+
+    if (action === 'find') {
+      event.preventDefault();
+      this.clearPendingCount();
+      this.startFind();
+      return;
+    }
+
+    if (action === 'findNext' || action === 'findPrevious') {
+      event.preventDefault();
+      const count = this.pendingCount ?? 1;
+      this.clearPendingCount();
+      this.findNext(action === 'findNext' ? 1 : -1, count);
+      return;
+    }
+
+    return super.handleKeydown(event);
+  }
+
+  /**
+   * Marks are kept per feed: the page, and the feed tab on pages that have them
+   * @returns {string}
+   */
+  markFeedKey() {
+    const tab = $('div[role="tablist"] [aria-selected="true"]').first().text().trim();
+    const page = `${window.location.pathname}${window.location.search}`;
+    return tab ? `${page}#${tab}` : page;
+  }
+
+  /**
+   * @returns {Object<string, string>} Post ID per letter, for this feed. Keys that
+   *   aren't mark letters (e.g. from an edited or synced state) are left out.
+   */
+  getMarks() {
+    const marks = this.state.marks?.[this.markFeedKey()] || {};
+    return Object.fromEntries(Object.entries(marks).filter(([letter]) => MARK_LETTER_PATTERN.test(letter)));
+  }
+
+  /**
+   * Records the selected post under a letter
+   * @param {string} letter - a-z
+   */
+  setMark(letter) {
+    const postId = this.selectedItem && this.postIdForItem(this.selectedItem);
+    if (!postId) {
+      announceToScreenReader('No post to mark');
+      return;
+    }
+    const feed = this.markFeedKey();
+    const marks = this.state.marks || {};
+    this.state.stateManager.updateState({
+      marks: { ...marks, [feed]: { ...marks[feed], [letter]: postId } },
+    });
+    this.updateScrollPosition();
+    announceToScreenReader(`Mark ${letter} set`);
+  }
+
+  /**
+   * Selects the post under a letter. The feed may have been reloaded since the
+   * mark was set, so older posts are loaded until the post turns up.
+   * @param {string} letter - a-z
+   */
+  async jumpToMark(letter) {
+    const postId = this.getMarks()[letter];
+    if (!postId) {
+      announceToScreenReader(`Mark ${letter} not set`);
+      return;
+    }
+
+    const jump = {};
+    this.markJump = jump;
+    const startPostId = this.postId;
+    for (let page = 0; !this.jumpToPost(postId); page++) {
+      const loaded = page < constants.MARK_LOAD_MAX_PAGES && (await this.loadOlderPage());
+      if (this.markJump !== jump) {
+        return; // Cancelled, or another jump took over
+      }
+      if (!loaded) {
+        this.markJump = null;
+        // Loading older posts moved the selection to the bottom
+        if (startPostId) {
+          this.jumpToPost(startPostId);
+        }
+        announceToScreenReader(`Post for mark ${letter} not found`);
+        return;
+      }
+    }
+    this.markJump = null;
+    announceToScreenReader(`Jumped to mark ${letter}`);
+  }
+
+  /**
+   * Loads a page of older posts and waits for it
+   * @returns {Promise<boolean>} False if no more posts were loaded
+   */
+  async loadOlderPage() {
+    const count = $(this.selector).length;
+    this.loadOlderItems();
+    if (!this.loading) {
+      return false; // Nothing to load more from
+    }
+    const deadline = Date.now() + constants.MARK_LOAD_TIMEOUT;
+    while (this.loading && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    // Hidden read posts count too, so a page of them doesn't end the search
+    return $(this.selector).length > count;
+  }
+
+  /**
+   * Opens the find bar. Unlike the filter, finding hides nothing: posts matching
+   * what's typed are highlighted, and the first one from the selected post on is
+   * selected as you type. Escape goes back to the post and the previous find.
+   */
+  startFind() {
+    const origin = this.index;
+    const previousQuery = this.findQuery;
+    this.findBar.show({
+      query: previousQuery || '',
+      onInput: (query) => {
+        const matches = this.setFind(query);
+        const next = matches.find((index) => index >= (origin ?? 0)) ?? matches[0] ?? origin;
+        if (next != null) {
+          this.setIndex(next, false, true);
+        }
+        this.findBar.setStatus(query ? this.countPosts(matches.length) : '');
+      },
+      onSubmit: (query) => {
+        const matches = this.setFind(query);
+        if (query) {
+          announceToScreenReader(`${this.countPosts(matches.length)} match "${query}"`);
+        }
+      },
+      onCancel: () => {
+        this.setFind(previousQuery);
+        if (origin != null) {
+          this.setIndex(origin, false, true);
+        }
+      },
+    });
+  }
+
+  countPosts(count) {
+    return `${count} ${count === 1 ? 'post' : 'posts'}`;
+  }
+
+  /**
+   * Highlights the posts matching a find and marks them on the feed map
+   * @param {string|null} query - Clears the find if empty
+   * @returns {number[]} Indexes of the matching items
+   */
+  setFind(query) {
+    this.findQuery = query || null;
+    const highlights = $('.find-highlight');
+    const parents = highlights.parent();
+    highlights.contents().unwrap();
+    // Join the text split up by the highlights, so longer queries match across them
+    parents.each((i, parent) => parent.normalize());
+
+    $(this.items).each((i, item) => this.highlightFindMatches(item));
+    this.updateScrollPosition();
+    return this.findMatchIndexes();
+  }
+
+  /**
+   * @param {Element} item
+   * @returns {jQuery} Elements with the text a find looks in
+   */
+  findTextElements(item) {
+    return $(item).find('div[data-testid="postText"]');
+  }
+
+  /**
+   * @param {Element} item
+   * @returns {boolean} Whether the item's text contains the find, ignoring case
+   */
+  matchesFind(item) {
+    const text = this.findTextElements(item).text().toLowerCase();
+    return !!this.findQuery && text.includes(this.findQuery.toLowerCase());
+  }
+
+  /**
+   * @returns {number[]} Indexes of the items matching the find, in order
+   */
+  findMatchIndexes() {
+    return $(this.items)
+      .get()
+      .flatMap((item, index) => (this.matchesFind(item) ? [index] : []));
+  }
+
+  highlightFindMatches(item) {
+    if (!this.findQuery) return;
+    const pattern = new RegExp(this.escapeRegex(this.findQuery), 'gi');
+    const $text = this.findTextElements(item);
+    this.highlightMatchingText($text, pattern, FIND_HIGHLIGHT_COLOR, 'find-highlight');
+  }
+
+  /**
+   * Selects the next or previous post matching the find, going round at the ends
+   * @param {number} direction - 1 for the next match, -1 for the previous one
+   * @param {number} count - How many matches to move by
+   */
+  findNext(direction, count = 1) {
+    if (!this.findQuery) {
+      announceToScreenReader('Nothing to find');
+      return;
+    }
+    const matches = this.findMatchIndexes();
+    if (!matches.length) {
+      announceToScreenReader(`No posts match "${this.findQuery}"`);
+      return;
+    }
+
+    let index = this.index ?? -1;
+    let wrapped = false;
+    for (let i = 0; i < count; i++) {
+      const next =
+        direction > 0
+          ? matches.find((match) => match > index)
+          : matches.findLast((match) => match < index);
+      wrapped ||= next === undefined;
+      index = next ?? (direction > 0 ? matches[0] : matches[matches.length - 1]);
+    }
+    this.setIndex(index, false, true);
+
+    const position = `Match ${matches.indexOf(index) + 1} of ${matches.length}`;
+    const edge = direction > 0 ? 'top' : 'bottom';
+    announceToScreenReader(wrapped ? `${position}, continuing from the ${edge}` : position);
+  }
+
+  /**
+   * @returns {Object<string, string>|null} Letters marking each post, by post ID, or
+   *   null if this feed has no marks
+   */
+  markedPosts() {
+    const entries = Object.entries(this.getMarks());
+    if (!entries.length) {
+      return null;
+    }
+    const marked = {};
+    entries.sort().forEach(([letter, postId]) => {
+      marked[postId] = `${marked[postId] || ''}${letter}`;
+    });
+    return marked;
+  }
+
+  /**
+   * Adds the find match marker (see startFind()) and the lettered tick for
+   * named marks (see setMark()) to a segment of the feed map or its zoom.
+   * @param {jQuery} $segment - The feed map segment
+   * @param {Element} item - The segment's feed item
+   * @param {Object<string, string>|null} marked - From markedPosts()
+   */
+  appendFeedMapMarkers($segment, item, marked) {
+    if (this.findQuery && this.matchesFind(item)) {
+      $segment.append('<span class="feed-map-find-match" aria-hidden="true"></span>');
+    }
+    const letters = marked && marked[this.postIdForItem(item)];
+    if (letters) {
+      $segment.append($('<span class="feed-map-mark" aria-hidden="true"></span>').text(letters));
+    }
+  }
+
   handleInput(event) {
     // Skip processing when user is typing in an input field
     if (utils.isUserTyping()) {
@@ -3867,25 +4573,35 @@ export class FeedItemHandler extends ItemHandler {
     }
 
     const item = this.selectedItem;
-    if (event.key == 'A') {
+    const action = this.actionFor(event);
+    if (action == 'authorProfile') {
       // Go to author's profile
       $(item).find(constants.PROFILE_SELECTOR)[0].click();
-    } else if (event.key == 'a') {
+    } else if (action == 'authorCard') {
       // Show/hide author hover card by simulating mouse hover
       this.toggleAuthorHoverCard(item);
-    } else if (event.key == 'u') {
+    } else if (action == 'loadNewer') {
       this.loadNewerItems();
-    } else if (event.key == ':') {
+    } else if (action == 'toggleSortOrder') {
       this.toggleSortOrder();
-    } else if (event.key == '"') {
+    } else if (action == 'toggleHideRead') {
       this.toggleHideRead();
-    } else if (event.key == '/') {
+    } else if (action == 'focusSearch') {
       event.preventDefault();
       $('input#bsky-navigator-search').focus();
-    } else if (event.key == ',') {
+    } else if (action == 'refresh') {
       this.loadItems();
     } else {
       super.handleInput(event);
     }
   }
+
+  handleItemAction(event) {
+    // Opening a rule-collapsed post expands it instead
+    const opening = this.actionFor(event) === 'openItem';
+    if (opening && !this.rulesDropdownActive && this.expandCollapsedItem(this.selectedItem)) {
+      return event.key;
+    }
+    return super.handleItemAction(event);
+  }
 }
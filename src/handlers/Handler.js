@@ -2,9 +2,24 @@
 
 import { ShortcutOverlay } from '../components/ShortcutOverlay.js';
 import { isUserTyping, isModalOpen } from '../utils.js';
+import { eventKey, getKeymap } from '../keymap.js';
+
+// Actions that follow a link in bsky.app's navigation bar, by the link's label
+const NAV_LINKS = {
+  goHome: 'Home',
+  goExplore: 'Explore',
+  goSaved: 'Saved',
+  goNotifications: 'Notifications',
+  goChat: 'Chat',
+  goFeeds: 'Feeds',
+  goLists: 'Lists',
+  goProfile: 'Profile',
+  goSettings: 'Settings',
+};
 
 /**
  * Base handler class that provides keyboard binding and global navigation shortcuts.
+ * Keys are looked up in the keymap (see keymap.js) and handled by action id.
  * All page-specific handlers extend from this class.
  */
 export class Handler {
@@ -14,7 +29,10 @@ export class Handler {
     this.state = state;
     this.api = api;
     this.items = [];
+    this.keyState = []; // Keys pressed so far of a sequence
+    this.eventActions = new WeakMap(); // Action found for each keydown
     this.handleInput = this.handleInput.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
     this.shortcutOverlay = new ShortcutOverlay(config);
   }
 
@@ -31,11 +49,20 @@ export class Handler {
   }
 
   bindKeys() {
-    document.addEventListener('keydown', this.handleInput, true);
+    document.addEventListener('keydown', this.handleKeydown, true);
   }
 
   unbindKeys() {
-    document.removeEventListener('keydown', this.handleInput, true);
+    document.removeEventListener('keydown', this.handleKeydown, true);
+  }
+
+  /**
+   * Receives keydowns. ItemHandler puts counts and repeats in front of
+   * handleInput() here; other pages have neither.
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    this.handleInput(event);
   }
 
   handleInput(event) {
@@ -50,38 +77,18 @@ export class Handler {
       return;
     }
 
-    if (event.altKey && !event.metaKey) {
-      if (event.code === 'KeyH') {
-        event.preventDefault();
-        $("nav a[aria-label='Home']")[0].click();
-      } else if (event.code === 'KeyE') {
-        event.preventDefault();
-        $("nav a[aria-label='Explore']")[0].click();
-      } else if (event.code === 'KeyS') {
-        event.preventDefault();
-        $("nav a[aria-label='Saved']")[0].click();
-      } else if (event.code === 'KeyN') {
-        event.preventDefault();
-        $("nav a[aria-label='Notifications']")[0].click();
-      } else if (event.code === 'KeyM') {
-        event.preventDefault();
-        $("nav a[aria-label='Chat']")[0].click();
-      } else if (event.code === 'KeyF') {
-        event.preventDefault();
-        $("nav a[aria-label='Feeds']")[0].click();
-      } else if (event.code === 'KeyL') {
-        event.preventDefault();
-        $("nav a[aria-label='Lists']")[0].click();
-      } else if (event.code === 'KeyP') {
-        event.preventDefault();
-        $("nav a[aria-label='Profile']")[0].click();
-      } else if (event.code === 'Comma') {
-        event.preventDefault();
-        $("nav a[aria-label='Settings']")[0].click();
-      } else if (event.code === 'Period') {
-        event.preventDefault();
-        this.config.open();
-      } else if (event.code === 'Enter' && $('.config-modal').is(':visible')) {
+    const action = this.actionFor(event);
+    if (NAV_LINKS[action]) {
+      event.preventDefault();
+      $(`nav a[aria-label='${NAV_LINKS[action]}']`)[0].click();
+    } else if (action === 'openPreferences') {
+      event.preventDefault();
+      this.config.open();
+    } else if (action === 'showShortcuts') {
+      event.preventDefault();
+      this.shortcutOverlay.toggle(this.name);
+    } else if (event.altKey && !event.metaKey) {
+      if (event.code === 'Enter' && $('.config-modal').is(':visible')) {
         event.preventDefault();
         // Enter to save is handled by the modal's Save button
       }
@@ -89,10 +96,67 @@ export class Handler {
       if (event.code == 'Escape' && $('.config-modal').is(':visible')) {
         event.preventDefault();
         this.config.close();
-      } else if (event.key === '?') {
-        event.preventDefault();
-        this.shortcutOverlay.toggle(this.name);
       }
     }
   }
+
+  /**
+   * Runs an action as if its key had been pressed (used by the command palette)
+   * @param {string} id - Action id (see keymap.js)
+   */
+  performAction(id) {
+    this.keyState = [];
+    this.handleKeydown(this.actionEvent(id));
+  }
+
+  /**
+   * Makes a stand-in keydown that runs an action without its key
+   * @param {string} id - Action id (see keymap.js)
+   */
+  actionEvent(id) {
+    const event = {
+      type: 'keydown',
+      key: '',
+      code: '',
+      altKey: false,
+      ctrlKey: false,
+      metaKey: false,
+      shiftKey: false,
+      preventDefault() {},
+      stopPropagation() {},
+    };
+    this.eventActions.set(event, id);
+    return event;
+  }
+
+  /**
+   * Gets the action bound to a keydown on this handler's page. The first keys of
+   * a sequence have none; they are kept in keyState until the next keydown.
+   * @param {KeyboardEvent} event
+   * @returns {string|null} Action id (see keymap.js)
+   */
+  actionFor(event) {
+    // Subclasses ask again for the same event on their way up to this class
+    if (!this.eventActions.has(event)) {
+      this.eventActions.set(event, this.matchKeys(event));
+    }
+    return this.eventActions.get(event);
+  }
+
+  matchKeys(event) {
+    const key = eventKey(event);
+    if (!key) {
+      return null;
+    }
+    const keymap = getKeymap(this.config);
+    let keys = [...this.keyState, key];
+    let match = keymap.match(keys, this.name);
+    if (!match.action && !match.pending && keys.length > 1) {
+      // Not a way to finish the sequence, so start over from this key
+      keys = [key];
+      match = keymap.match(keys, this.name);
+    }
+    this.keyState = match.pending ? keys : [];
+    return match.action;
+  }
 }
@@ -6,12 +6,22 @@ import * as dateFns from 'date-fns';
 import Handlebars from 'handlebars';
 import * as htmlToImage from 'html-to-image';
 import { Handler } from './Handler.js';
+import { ACTIONS, eventKey } from '../keymap.js';
 import { formatPost, urlForPost } from './postFormatting.js';
 import { GestureHandler } from '../components/GestureHandler.js';
 import { BottomSheet } from '../components/BottomSheet.js';
 import { PostViewModal } from '../components/PostViewModal.js';
 import { NavigableList } from '../utils/NavigableList.js';
 import icons from '../icons.js';
+import {
+  TEXT_RULE_TYPES,
+  PRESENTATION_ACTIONS,
+  getRuleMatcher,
+  getRulePredicate,
+  matchesText,
+  globalPattern,
+} from '../ruleMatcher.js';
+import { detectLanguage, normalizeLanguage } from '../language.js';
 
 const { waitForElement, announceToScreenReader, getAnimationDuration } = utils;
 
@@ -25,6 +35,26 @@ function extractPostIdFromUrl(url) {
   return match ? match[1] : null;
 }
 
+// Actions handled by handleMovementKey()
+const MOVEMENT_ACTIONS = [
+  'nextItem',
+  'previousItem',
+  'nextItemKeepUnread',
+  'previousItemKeepUnread',
+  'nextThread',
+  'previousThread',
+  'pageDown',
+  'pageUp',
+  'firstItem',
+  'lastItem',
+  'goBack',
+  'focusPost',
+  'focusReplies',
+];
+
+// Post actions that a count applies to the selected post and the ones after it (3l)
+const COUNTED_ITEM_ACTIONS = ['like', 'repost', 'savePost', 'toggleRead'];
+
 /**
  * Handler for navigating and interacting with scrollable item lists.
  * Provides keyboard navigation, mouse hover selection, intersection observers,
@@ -73,6 +103,12 @@ export class ItemHandler extends Handler {
     // Track user-initiated scrolling (mouse wheel/touchpad)
     this.userInitiatedScroll = false;
 
+    // Counts and repeats (see handleKeydown())
+    this.pendingCount = null; // Count typed so far, like 5 in 5j
+    this.countTimeout = null;
+    this.eventCounts = new WeakMap(); // Count given with each keydown
+    this.lastAction = null; // Action repeatAction runs again, with its count
+
     // Initialize gesture handler and bottom sheet for mobile
     if (this.state.mobileView && this.config.get('enableSwipeGestures')) {
       this.gestureHandler = new GestureHandler(this.config, this);
@@ -86,6 +122,7 @@ export class ItemHandler extends Handler {
     this.onFooterIntersection = this.onFooterIntersection.bind(this);
     this.onItemAdded = this.onItemAdded.bind(this);
     this.onScroll = this.onScroll.bind(this);
+    this.onSeenChanged = this.onSeenChanged.bind(this);
     this.handleNewThreadPage = this.handleNewThreadPage.bind(this);
     this.onItemMouseOver = this.onItemMouseOver.bind(this);
     this.onSidecarItemMouseOver = this.onSidecarItemMouseOver.bind(this);
@@ -198,6 +235,7 @@ export class ItemHandler extends Handler {
     this.enableIntersectionObserver = true;
     $(document).on('scroll', this.onScroll);
     $(document).on('wheel', this.onWheel);
+    window.addEventListener('bsky-nav-seen-changed', this.onSeenChanged);
     $(document).on('scrollend', () => {
       setTimeout(() => {
         this.ignoreMouseMovement = false;
@@ -225,6 +263,7 @@ export class ItemHandler extends Handler {
 
     if (this.hoverDebounceTimeout) clearTimeout(this.hoverDebounceTimeout);
     if (this.intersectionDebounceTimeout) clearTimeout(this.intersectionDebounceTimeout);
+    this.clearPendingCount();
 
     // Hide sidecar toggle and connector when leaving feed
     $('#fixed-sidecar-toggle').removeClass('visible');
@@ -233,9 +272,20 @@ export class ItemHandler extends Handler {
     $(this.selector).off('mouseover mouseleave');
     $(document).off('scroll', this.onScroll);
     $(document).off('wheel', this.onWheel);
+    window.removeEventListener('bsky-nav-seen-changed', this.onSeenChanged);
     super.deactivate();
   }
 
+  /**
+   * Re-applies read state when it changes outside this handler (posts found
+   * in the read history after a cache miss, or unread marks from remote).
+   */
+  onSeenChanged() {
+    this.refreshItems();
+    this.filterItems();
+    this.updateInfoIndicator();
+  }
+
   // ===========================================================================
   // Selection State Management
   // ===========================================================================
@@ -733,6 +783,14 @@ export class ItemHandler extends Handler {
     return $(this.getThreadNavList().getSelectedItem());
   }
 
+  /**
+   * Selects an item. Moving several items at once (a count, as in 5j) with mark
+   * set marks every item passed read, not just the one left.
+   * @param {number} index
+   * @param {boolean} mark - Mark the items left behind read
+   * @param {boolean} update - Update items (and scroll) afterwards
+   * @param {boolean} skipSidecar - Don't open the sidecar for the new item
+   */
   setIndex(index, mark, update, skipSidecar = false) {
     // Validate index before navigating
     if (index < 0 || !this.items || index >= this.items.length) {
@@ -744,6 +802,10 @@ export class ItemHandler extends Handler {
       return;
     }
 
+    if (mark && this.index != null) {
+      this.markPassedItemsRead(this.index, index);
+    }
+
     // Set flags for NavigableList callbacks
     this._markOnDeselect = mark;
     this._skipSidecar = skipSidecar;
@@ -766,6 +828,20 @@ export class ItemHandler extends Handler {
     return moved;
   }
 
+  /**
+   * Marks the items strictly between two indexes read; the one left is marked
+   * when it's deselected
+   */
+  markPassedItemsRead(from, to) {
+    for (let i = Math.min(from, to) + 1; i < Math.max(from, to); i++) {
+      const postId = this.postIdForItem(this.items[i]);
+      if (postId) {
+        this.markPostRead(postId, true);
+        this.applyItemStyle(this.items[i], false);
+      }
+    }
+  }
+
   getIndexFromItem(item) {
     return $(this.items).index(item);
   }
@@ -1787,6 +1863,137 @@ export class ItemHandler extends Handler {
   // Keyboard Handling
   // ===========================================================================
 
+  /**
+   * Counts and repeats, in front of handleInput(): digits make a count for the
+   * next action (5j, 3l, 10J), and repeatAction runs the last action again. A
+   * digit with nothing after it switches tabs once the count times out.
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    const busy = this.isPopupVisible || this.rulesDropdownActive;
+    if (busy || utils.isUserTyping() || utils.isModalOpen()) {
+      return this.handleInput(event);
+    }
+
+    const key = eventKey(event);
+    if (/^[0-9]$/.test(key) && (this.pendingCount != null || key !== '0')) {
+      event.preventDefault();
+      const count = Number(`${this.pendingCount ?? ''}${key}`);
+      this.setPendingCount(Math.min(count, constants.COUNT_MAX));
+      return;
+    }
+
+    const action = this.actionFor(event);
+    if (!action) {
+      // Modifier keys and the start of a sequence (g g) keep the count for what follows
+      if (key && !this.keyState.length) {
+        this.clearPendingCount();
+      }
+      return this.handleInput(event);
+    }
+
+    const count = this.pendingCount;
+    this.clearPendingCount();
+    if (action === 'repeatAction') {
+      event.preventDefault();
+      this.repeatLastAction(count);
+      return;
+    }
+
+    this.runCounted(event, count);
+    // Like vim's ".", repeat what was done to posts rather than moving around
+    if (ACTIONS[action].contexts && !MOVEMENT_ACTIONS.includes(action)) {
+      this.lastAction = { action, count };
+    }
+  }
+
+  /**
+   * Runs the action for a keydown with its count. Movements use the count
+   * themselves (see countFor()), counted post actions go on to the posts after
+   * the selected one, and other actions run once.
+   * @param {KeyboardEvent} event
+   * @param {number|null} count - Null if none was typed
+   */
+  runCounted(event, count) {
+    this.eventCounts.set(event, count);
+    if (count == null || !COUNTED_ITEM_ACTIONS.includes(this.actionFor(event))) {
+      return this.handleInput(event);
+    }
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        const index = this.index;
+        this.jumpToNext(false);
+        if (this.index === index) {
+          break; // No posts left
+        }
+      }
+      this.handleInput(event);
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   * @returns {number|null} Count typed before the keydown's action, or null if none
+   */
+  countFor(event) {
+    return this.eventCounts.get(event) ?? null;
+  }
+
+  /**
+   * Runs the last action again, with a new count if one was typed
+   * @param {number|null} count
+   */
+  repeatLastAction(count) {
+    if (!this.lastAction) {
+      announceToScreenReader('Nothing to repeat');
+      return;
+    }
+    const { action } = this.lastAction;
+    this.runCounted(this.actionEvent(action), count ?? this.lastAction.count);
+    if (count != null) {
+      this.lastAction = { action, count };
+    }
+  }
+
+  setPendingCount(count) {
+    this.pendingCount = count;
+    clearTimeout(this.countTimeout);
+    this.countTimeout = setTimeout(() => {
+      // Digits switch tabs when they aren't a count (see the switchTab action)
+      const tab = this.pendingCount;
+      this.clearPendingCount();
+      if (tab >= 1 && tab <= 9) {
+        this.switchToTab(tab - 1);
+      }
+    }, constants.COUNT_TIMEOUT);
+    this.updateCountIndicator();
+  }
+
+  clearPendingCount() {
+    clearTimeout(this.countTimeout);
+    this.countTimeout = null;
+    if (this.pendingCount != null) {
+      this.pendingCount = null;
+      this.updateCountIndicator();
+    }
+  }
+
+  /**
+   * Shows the count being typed at the right of the status bar, as vim does
+   * @param {string|number|null} text - What's been typed; defaults to the count
+   * @param {string} title
+   */
+  updateCountIndicator(text = this.pendingCount, title = 'Count for the next action') {
+    $('.pending-count-indicator').remove();
+    if (text == null) {
+      return;
+    }
+    const statusBarRight = $('#statusBarRight, .global-statusbar-right').filter(':visible').first();
+    statusBarRight.prepend(
+      $('<div class="pending-count-indicator" aria-live="polite"/>').attr('title', title).text(text)
+    );
+  }
+
   handleInput(event) {
     // Skip processing when user is typing in an input field
     if (utils.isUserTyping()) {
@@ -1802,7 +2009,7 @@ export class ItemHandler extends Handler {
       return event.key;
     } else if (this.handleItemKey(event)) {
       return event.key;
-    } else if (event.key == 'U') {
+    } else if (this.actionFor(event) === 'loadOlder') {
       this.loadOlderItems();
     } else {
       return super.handleInput(event);
@@ -1814,8 +2021,8 @@ export class ItemHandler extends Handler {
       return false;
     }
 
-    if (event.altKey && !event.metaKey) {
-      return this.handleRuleShortcut(event);
+    if (event.altKey && !event.metaKey && this.handleRuleShortcut(event)) {
+      return event.key;
     }
 
     if (!event.metaKey) {
@@ -1834,8 +2041,7 @@ export class ItemHandler extends Handler {
     $('#bsky-navigator-search').autocomplete('disable');
 
     if (num >= 0) {
-      const ruleNames = Object.keys(this.state.rules).filter(k => !k.startsWith('_'));
-      const ruleName = ruleNames[num];
+      const ruleName = this.getRuleNames()[num];
       $('#bsky-navigator-search').val(`${event.shiftKey ? '!' : ''}$${ruleName}`);
     } else {
       $('#bsky-navigator-search').val(null);
@@ -1846,6 +2052,13 @@ export class ItemHandler extends Handler {
     return event.key;
   }
 
+  /**
+   * Rule categories, in the order the rule shortcuts pick them
+   */
+  getRuleNames() {
+    return Object.keys(this.state.rules).filter(k => !k.startsWith('_'));
+  }
+
   handleItemAction(event) {
     // Skip if rules dropdown is active
     if (this.rulesDropdownActive) {
@@ -1854,71 +2067,70 @@ export class ItemHandler extends Handler {
 
     const item = this.selectedItem;
 
-    switch (event.key) {
-      case 'o':
-      case 'Enter':
+    switch (this.actionFor(event)) {
+      case 'openItem':
         this.openCurrentItem(item);
         break;
 
-      case 'O':
+      case 'openInnerPost':
         this.openInnerPost(item);
         break;
 
-      case 'i':
+      case 'openFirstLink':
         this.openFirstLink(item);
         break;
 
-      case 'm':
+      case 'toggleMedia':
         this.toggleMedia(item, event);
         break;
 
-      case 'r':
+      case 'reply':
         this.openReplyDialog(item);
         break;
 
-      case 'l':
+      case 'like':
         this.handleLikeAction(item);
         break;
 
-      case 'p':
+      case 'repostMenu':
         this.openRepostMenu(item);
         break;
 
-      case 'P':
+      case 'repost':
         this.repostImmediately(item);
         break;
 
-      case '.':
+      case 'toggleRead':
         this.markItemRead(this.index, null);
         break;
 
-      case 'A':
+      case 'markVisibleRead':
         this.markVisibleRead();
         break;
 
-      case ';':
+      case 'expandSidecar':
         if (this.api) {
           this.expandItem(this.selectedItem);
         }
         break;
 
-      case 'c':
+      case 'screenshot':
         this.captureScreenshot(item[0]);
         break;
 
-      case 'C':
+      case 'cleanScreenshot':
         this.captureScreenshot(item[0], { clean: true });
         break;
 
-      case 'v':
+      case 'postView':
         this.showPostViewModal(item);
         break;
 
-      case 'V':
+      case 'readerMode':
         this.showReaderModeModal(item);
         break;
 
-      case 't':
+      case 'openSidecar':
         if (this.isFixedSidecar()) {
           this.toggleFixedSidecarPanel(item);
         } else {
@@ -1926,207 +2138,188 @@ export class ItemHandler extends Handler {
         }
         break;
 
-      case '+':
+      case 'addToRules':
         this.openAddToRulesForItem(item);
         break;
 
-      case '-':
+      case 'removeFromRules':
         this.openRemoveFromRulesForItem(item);
         break;
 
-      case 's':
+      case 'savePost':
         this.savePost(item);
         break;
 
-      case 'S':
+      case 'shareMenu':
         this.openShareMenu(item);
         break;
 
-      case '!':
+      case 'timeoutAuthor':
         this.showTimeoutPopup(item);
         break;
 
-      case 'f':
+      case 'followAuthor':
         this.showFollowConfirmation(item, true);
         break;
 
-      case 'F':
+      case 'unfollowAuthor':
         this.showFollowConfirmation(item, false);
         break;
 
       default:
-        if (!isNaN(parseInt(event.key))) {
-          this.switchToTab(parseInt(event.key) - 1);
-        } else {
-          return false;
-        }
+        // Digits are counts first (see handleKeydown())
+        return false;
     }
 
     return event.key;
   }
 
   handleMovementKey(event) {
-    let moved = false;
-    let mark = false;
     if (this.isPopupVisible) {
-      return;
+      return false;
     }
     // Temporarily suppress mouse hover and scroll-to-focus during keyboard navigation
     this.ignoreMouseMovement = true;
     this.userInitiatedScroll = false;
 
-    // Check if page/home/end keys should be handled
-    const pageKeysEnabled = this.config.get('enablePageKeys');
+    // Page keys also scroll the page, so they only move between items when enabled
     const isPageKey = ['PageDown', 'PageUp', 'Home', 'End'].includes(event.key);
+    if (isPageKey && !this.config.get('enablePageKeys')) {
+      return false;
+    }
+    const action = this.actionFor(event);
+    if (!MOVEMENT_ACTIONS.includes(action)) {
+      return false;
+    }
 
-    if (this.keyState.length == 0) {
-      // Build list of movement keys, conditionally including page keys
-      const movementKeys = ['j', 'k', 'h', 'ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'J', 'G'];
-      if (pageKeysEnabled) {
-        movementKeys.push('PageDown', 'PageUp', 'Home', 'End');
-      }
-
-      if (movementKeys.includes(event.key)) {
-        const sidecarFocused = this.isSidecarNavigationAvailable() && this.replyIndex != null;
-        if (['j', 'ArrowDown'].indexOf(event.key) != -1) {
-          event.preventDefault();
-          if (sidecarFocused) {
-            this.replyIndex += 1;
-          } else if (this.config.get('unrolledPostSelection') && this.unrolledReplies.length > 0 && this.threadIndex !== null) {
-            // In unrolled thread (threadIndex is set)
-            const currentThreadPost = this.getPostForThreadIndex(this.threadIndex);
-            // Use scrollThreadElementIntoView which handles container scrolling
-            // It returns false when post is fully visible (no more scrolling needed)
-            if (!this.scrollThreadElementIntoView(currentThreadPost[0], 1)) {
-              // Post is fully visible - advance to next
-              if (this.threadIndex < this.unrolledReplies.length) {
-                if (event.key == 'j') this.markItemRead(this.index, true);
-                this.threadIndex += 1;
-              } else {
-                // End of thread - go to next main post
-                this.jumpToNext(event.key == 'j');
-              }
-            }
-          } else {
-            // Normal post - check visibility first
-            const isVisible = this.isElementFullyVisible(this.selectedItem);
-            if (!isVisible) {
-              // Scroll to make the post visible (direction: down)
-              // If scrollElementIntoView returns false, post scrolled past - jump to next
-              if (!this.scrollElementIntoView(this.selectedItem[0], 1)) {
-                moved = this.jumpToNext(event.key == 'j');
-              }
-            } else {
-              moved = this.jumpToNext(event.key == 'j');
-            }
-          }
-        } else if (['k', 'ArrowUp'].indexOf(event.key) != -1) {
-          event.preventDefault();
-          if (sidecarFocused) {
-            this.replyIndex -= 1;
-          } else if (this.config.get('unrolledPostSelection') && this.unrolledReplies.length > 0 && this.threadIndex !== null) {
-            // In unrolled thread (threadIndex is set)
-            const currentThreadPost = this.getPostForThreadIndex(this.threadIndex);
-            // Use scrollThreadElementIntoView which handles container scrolling
-            // It returns false when post is fully visible (no more scrolling needed)
-            if (!this.scrollThreadElementIntoView(currentThreadPost[0], -1)) {
-              // Post is fully visible - go to previous
-              if (this.threadIndex > 0) {
-                if (event.key == 'k') this.markItemRead(this.index, true);
-                this.threadIndex -= 1;
-              } else {
-                // Start of thread - go to previous main post
-                this.jumpToPrev(event.key == 'k');
-              }
-            }
-          } else {
-            // Normal post - check visibility first
-            if (!this.isElementFullyVisible(this.selectedItem)) {
-              // Scroll to make the post visible (direction: up)
-              // If scrollElementIntoView returns false, post scrolled past - jump to prev
-              if (!this.scrollElementIntoView(this.selectedItem[0], -1)) {
-                moved = this.jumpToPrev(event.key == 'k');
-              }
-            } else {
-              moved = this.jumpToPrev(event.key == 'k');
-            }
-          }
-        } else if (event.key == 'PageDown') {
-          event.preventDefault();
-          if (sidecarFocused) {
-            moved = this.jumpSidecarByPage(1);
-          } else {
-            moved = this.jumpByPage(1);
-          }
-        } else if (event.key == 'PageUp') {
-          event.preventDefault();
-          if (sidecarFocused) {
-            moved = this.jumpSidecarByPage(-1);
-          } else {
-            moved = this.jumpByPage(-1);
-          }
-        } else if (event.key == 'Home') {
-          event.preventDefault();
-          if (sidecarFocused) {
-            this.replyIndex = 0;
+    const sidecarFocused = this.isSidecarNavigationAvailable() && this.replyIndex != null;
+    // nextItem and previousItem (j/k) mark the post read on the way past
+    const mark = ['nextItem', 'previousItem'].includes(action);
+    // Typed before the key, as in 5j (see handleKeydown())
+    const count = this.countFor(event);
+    const steps = count ?? 1;
+    if (['nextItem', 'nextItemKeepUnread'].includes(action)) {
+      event.preventDefault();
+      if (sidecarFocused) {
+        this.replyIndex = Math.min(this.replyIndex + steps, this.getSidecarReplies().length - 1);
+      } else if (this.config.get('unrolledPostSelection') && this.unrolledReplies.length > 0 && this.threadIndex !== null) {
+        // In unrolled thread (threadIndex is set)
+        const currentThreadPost = this.getPostForThreadIndex(this.threadIndex);
+        // Use scrollThreadElementIntoView which handles container scrolling
+        // It returns false when post is fully visible (no more scrolling needed)
+        if (!this.scrollThreadElementIntoView(currentThreadPost[0], 1)) {
+          // Post is fully visible - advance to next
+          if (this.threadIndex < this.unrolledReplies.length) {
+            if (mark) this.markItemRead(this.index, true);
+            this.threadIndex += 1;
           } else {
-            this.setIndex(0, false, true);
+            // End of thread - go to next main post
+            this.jumpToNext(mark);
           }
-          moved = true;
-        } else if (event.key == 'End') {
-          event.preventDefault();
-          if (sidecarFocused) {
-            const replies = this.getSidecarReplies();
-            this.replyIndex = replies.length - 1;
-          } else {
-            this.setIndex(this.items.length - 1, false, true);
+        }
+      } else {
+        // Normal post - check visibility first (a count jumps straight to the post)
+        const isVisible = count != null || this.isElementFullyVisible(this.selectedItem);
+        if (!isVisible) {
+          // Scroll to make the post visible (direction: down)
+          // If scrollElementIntoView returns false, post scrolled past - jump to next
+          if (!this.scrollElementIntoView(this.selectedItem[0], 1)) {
+            this.jumpToNext(mark);
           }
-          moved = true;
-        } else if (event.key == 'h') {
-          const back_button = $("button[aria-label^='Back' i]").filter(':visible');
-          if (back_button.length) {
-            back_button.click();
+        } else {
+          this.jumpToNext(mark, steps);
+        }
+      }
+    } else if (['previousItem', 'previousItemKeepUnread'].includes(action)) {
+      event.preventDefault();
+      if (sidecarFocused) {
+        this.replyIndex = Math.max(this.replyIndex - steps, 0);
+      } else if (this.config.get('unrolledPostSelection') && this.unrolledReplies.length > 0 && this.threadIndex !== null) {
+        // In unrolled thread (threadIndex is set)
+        const currentThreadPost = this.getPostForThreadIndex(this.threadIndex);
+        // Use scrollThreadElementIntoView which handles container scrolling
+        // It returns false when post is fully visible (no more scrolling needed)
+        if (!this.scrollThreadElementIntoView(currentThreadPost[0], -1)) {
+          // Post is fully visible - go to previous
+          if (this.threadIndex > 0) {
+            if (mark) this.markItemRead(this.index, true);
+            this.threadIndex -= 1;
           } else {
-            history.back(1);
-          }
-        } else if (event.key == 'ArrowLeft') {
-          event.preventDefault();
-          if (!this.isSidecarNavigationAvailable() || this.replyIndex == null) {
-            return;
-          }
-          this.toggleFocus();
-        } else if (event.key == 'ArrowRight') {
-          event.preventDefault();
-          if (!this.isSidecarNavigationAvailable() || this.replyIndex != null) {
-            return;
+            // Start of thread - go to previous main post
+            this.jumpToPrev(mark);
           }
-          this.toggleFocus();
-        } else if (event.key == 'G') {
-          event.preventDefault();
-          moved = this.setIndex(this.items.length - 1, false, true);
-        } else if (event.key == 'J') {
-          event.preventDefault();
-          this.markThreadReadAndAdvance(1);
-        } else if (event.key == 'K') {
-          event.preventDefault();
-          this.markThreadReadAndAdvance(-1);
         }
-        moved = true;
-      } else if (event.key == 'g') {
-        this.keyState.push(event.key);
-      }
-    } else if (this.keyState[0] == 'g') {
-      if (event.key == 'g') {
-        if (this.index < this.items.length) {
-          this.setIndex(0, false, true);
+      } else {
+        // Normal post - check visibility first (a count jumps straight to the post)
+        if (count == null && !this.isElementFullyVisible(this.selectedItem)) {
+          // Scroll to make the post visible (direction: up)
+          // If scrollElementIntoView returns false, post scrolled past - jump to prev
+          if (!this.scrollElementIntoView(this.selectedItem[0], -1)) {
+            this.jumpToPrev(mark);
+          }
+        } else {
+          this.jumpToPrev(mark, steps);
         }
-        moved = true;
       }
-      this.keyState = [];
-    }
-    if (moved) {
-      this.lastMousePosition = null;
+    } else if (action == 'pageDown') {
+      event.preventDefault();
+      if (sidecarFocused) {
+        this.jumpSidecarByPage(steps);
+      } else {
+        this.jumpByPage(steps);
+      }
+    } else if (action == 'pageUp') {
+      event.preventDefault();
+      if (sidecarFocused) {
+        this.jumpSidecarByPage(-steps);
+      } else {
+        this.jumpByPage(-steps);
+      }
+    } else if (action == 'firstItem') {
+      event.preventDefault();
+      if (sidecarFocused) {
+        this.replyIndex = 0;
+      } else {
+        // With a count, go to that item, as 5gg does in vim
+        this.setIndex(count != null ? Math.min(count - 1, this.items.length - 1) : 0, false, true);
+      }
+    } else if (action == 'lastItem') {
+      event.preventDefault();
+      if (sidecarFocused) {
+        const replies = this.getSidecarReplies();
+        this.replyIndex = replies.length - 1;
+      } else {
+        const last = this.items.length - 1;
+        this.setIndex(count != null ? Math.min(count - 1, last) : last, false, true);
+      }
+    } else if (action == 'goBack') {
+      const back_button = $("button[aria-label^='Back' i]").filter(':visible');
+      if (back_button.length) {
+        back_button.click();
+      } else {
+        history.back(1);
+      }
+    } else if (action == 'focusPost') {
+      event.preventDefault();
+      if (!this.isSidecarNavigationAvailable() || this.replyIndex == null) {
+        return true;
+      }
+      this.toggleFocus();
+    } else if (action == 'focusReplies') {
+      event.preventDefault();
+      if (!this.isSidecarNavigationAvailable() || this.replyIndex != null) {
+        return true;
+      }
+      this.toggleFocus();
+    } else if (action == 'nextThread') {
+      event.preventDefault();
+      this.markThreadReadAndAdvance(1, steps);
+    } else if (action == 'previousThread') {
+      event.preventDefault();
+      this.markThreadReadAndAdvance(-1, steps);
     }
+    this.lastMousePosition = null;
+    return true;
   }
 
   openCurrentItem(item) {
@@ -2523,8 +2716,15 @@ export class ItemHandler extends Handler {
     }, 800);
   }
 
+  /**
+   * Tabs at the top of the page (feeds on the home screen); the digit keys pick them
+   */
+  getTabs() {
+    return $("div[role='tablist'] > div > div > div").filter(':visible');
+  }
+
   switchToTab(tabIndex) {
-    const tabs = $("div[role='tablist'] > div > div > div").filter(':visible');
+    const tabs = this.getTabs();
     if (tabs[tabIndex]) {
       tabs[tabIndex].click();
     }
@@ -2538,12 +2738,12 @@ export class ItemHandler extends Handler {
     }
   }
 
-  jumpToPrev(mark) {
-    this.setIndex(this.index - 1, mark, true);
+  jumpToPrev(mark, count = 1) {
+    this.setIndex(Math.max(this.index - count, 0), mark, true);
     return true;
   }
 
-  jumpToNext(mark) {
+  jumpToNext(mark, count = 1) {
     if (this.index < this.items.length) {
       if (this.index === this.items.length - 1) {
         // At the last item - just mark as read if requested (can't advance)
@@ -2551,7 +2751,8 @@ export class ItemHandler extends Handler {
           this.markItemRead(this.index, true);
         }
       } else {
-        this.setIndex(this.index + 1, mark, true);
+        // A count past the end stops at the last item
+        this.setIndex(Math.min(this.index + count, this.items.length - 1), mark, true);
       }
     } else {
       const next = $(this.selectedItem).parent().parent().parent().next();
@@ -2612,7 +2813,7 @@ export class ItemHandler extends Handler {
     let i;
     for (i = this.index + 1; i < this.items.length - 1; i++) {
       const postId = this.postIdForItem(this.items[i]);
-      if (!this.state.seen[postId]) {
+      if (!this.state.stateManager.getSeen(postId)) {
         break;
       }
     }
@@ -2624,8 +2825,9 @@ export class ItemHandler extends Handler {
    * Mark the entire current thread (main post + unrolled replies) as read
    * and advance to the next or previous thread
    * @param {number} direction - 1 for next, -1 for previous
+   * @param {number} count - Threads to advance by; the ones passed are marked read too
    */
-  markThreadReadAndAdvance(direction) {
+  markThreadReadAndAdvance(direction, count = 1) {
     // Capture current index before any operations that might affect it
     const startIndex = this.index;
 
@@ -2651,11 +2853,13 @@ export class ItemHandler extends Handler {
     // Reset thread navigation state
     this.threadIndex = null;
 
-    // Calculate target index from captured start index
-    const targetIndex = startIndex + direction;
+    // Calculate target index from captured start index, stopping at either end
+    const lastIndex = this.items.length - 1;
+    const targetIndex = Math.max(0, Math.min(lastIndex, startIndex + direction * count));
 
-    // Navigate to target if in bounds
-    if (targetIndex >= 0 && targetIndex < this.items.length) {
+    // Navigate to target if there is one
+    if (startIndex != null && targetIndex !== startIndex) {
+      this.markPassedItemsRead(startIndex, targetIndex);
       // Navigate without auto-scroll
       this.setIndex(targetIndex, false, false);
 
@@ -2714,6 +2918,8 @@ export class ItemHandler extends Handler {
       } else {
         await this.api.agent.like(uri, cid);
       }
+      // Cached view now has a stale like count and viewer state
+      this.api.postCache.delete(uri);
 
       this.updateLikeUI(post, likeCount, isLiked);
     } catch (error) {
@@ -2897,8 +3103,10 @@ export class ItemHandler extends Handler {
           });
         });
 
-        // Temporarily unwrap highlight elements (rule-content-highlight, filter-highlight)
-        const highlights = item.querySelectorAll('.rule-content-highlight, .filter-highlight');
+        // Temporarily unwrap highlight elements (rule-content-highlight, filter-highlight, find-highlight)
+        const highlights = item.querySelectorAll(
+          '.rule-content-highlight, .filter-highlight, .find-highlight'
+        );
         highlights.forEach(highlight => {
           const parent = highlight.parentNode;
           const textContent = highlight.textContent;
@@ -3223,18 +3431,10 @@ export class ItemHandler extends Handler {
   }
 
   markPostRead(postId, isRead) {
-    const currentTime = new Date().toISOString();
-    const seen = { ...this.state.seen };
-
-    if (isRead || (isRead == null && !seen[postId])) {
-      seen[postId] = currentTime;
-    } else {
-      // Delete the key entirely instead of setting to null
-      // This ensures proper persistence and remote sync
-      delete seen[postId];
-    }
-    this.state.stateManager.updateState({ seen, lastUpdated: currentTime });
-    return !!seen[postId];
+    const stateManager = this.state.stateManager;
+    const read = isRead ?? !stateManager.getSeen(postId);
+    stateManager.markSeen(postId, read ? new Date().toISOString() : null);
+    return read;
   }
 
   markVisibleRead() {
@@ -5196,11 +5396,8 @@ export class ItemHandler extends Handler {
   removeTimeout(handle) {
     if (!this.state.timeouts) return;
 
-    // Create new timeouts object without this handle
-    const { [handle]: _removed, ...remainingTimeouts } = this.state.timeouts;
-
-    // Use updateState for proper state persistence, sync to remote immediately
-    this.state.stateManager.updateState({ timeouts: remainingTimeouts });
+    // Sync to remote immediately
+    this.state.stateManager.removeTimeouts([handle]);
     this.state.stateManager.saveStateImmediately(true, true);
 
     // Trigger filter refresh and update enforcement (may stop interval if no more timeouts)
@@ -5919,15 +6116,102 @@ export class ItemHandler extends Handler {
     return -1;
   }
 
+  /**
+   * Check if any rule in a category (including via includes) satisfies a test.
+   * @param {string} categoryName - The category to check
+   * @param {Function} test - Called with each rule; returns true on a match
+   * @param {Set} [visited] - Set of visited categories for circular dependency detection
+   * @returns {boolean}
+   * @private
+   */
+  categoryHasMatchingRule(categoryName, test, visited = new Set()) {
+    if (visited.has(categoryName) || categoryName.startsWith('_')) {
+      return false;
+    }
+
+    const rules = this.state.rules?.[categoryName];
+    if (!rules || !Array.isArray(rules)) return false;
+
+    visited.add(categoryName);
+
+    for (const rule of rules) {
+      if (rule.type === 'include') {
+        if (this.categoryHasMatchingRule(rule.value, test, visited)) {
+          return true;
+        }
+      } else if (test(rule)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the index of the filter category that colors a reposter.
+   * `from-reposter` rules take precedence over the reposter's own `from` rules.
+   * @param {string} handle - The reposter's handle (with or without @)
+   * @returns {number} Index of the category, or -1 if not found
+   */
+  getFilterCategoryIndexForReposter(handle) {
+    if (!handle || !this.state.rules) {
+      return -1;
+    }
+
+    if (this.getRuleTypesInUse().has('from-reposter')) {
+      const bareHandle = handle.replace(/^@/, '');
+      const categories = Object.keys(this.state.rules).filter(k => !k.startsWith('_'));
+      for (let i = 0; i < categories.length; i++) {
+        const matches = this.categoryHasMatchingRule(categories[i], (rule) =>
+          rule.type === 'from-reposter' && matchesText(getRuleMatcher(rule), bareHandle)
+        );
+        if (matches) return i;
+      }
+    }
+    return this.getFilterCategoryIndexForHandle(handle);
+  }
+
+  /**
+   * Get the index of the first filter category with an `is:` rule matching the post's type.
+   * @param {HTMLElement} item - The post item element
+   * @returns {number} Index of the category, or -1 if not found
+   */
+  getFilterCategoryIndexForPostKind(item) {
+    if (!item || !this.state.rules || !this.getRuleTypesInUse().has('is')) {
+      return -1;
+    }
+
+    const categories = Object.keys(this.state.rules).filter(k => !k.startsWith('_'));
+    for (let i = 0; i < categories.length; i++) {
+      const matches = this.categoryHasMatchingRule(categories[i], (rule) =>
+        rule.type === 'is' && this.isPostKind(item, getRulePredicate(rule).kind)
+      );
+      if (matches) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Get the index of the filter category that colors a post's author: their own rules,
+   * falling back to `is:` rules matching the post's type.
+   * @param {HTMLElement} item - The post item element
+   * @param {string} handle - The author's handle
+   * @returns {number} Index of the category, or -1 if not found
+   */
+  getFilterCategoryIndexForAuthor(item, handle) {
+    const categoryIndex = handle ? this.getFilterCategoryIndexForHandle(handle) : -1;
+    return categoryIndex >= 0 ? categoryIndex : this.getFilterCategoryIndexForPostKind(item);
+  }
+
   /**
    * Check if content matches any rule in a category (including via includes).
    * @param {string} content - The content to check
    * @param {string} categoryName - The category to check
    * @param {Set} [visited] - Set of visited categories for circular dependency detection
+   * @param {string} [target] - Text rule type to check ('content', 'alt', 'card' or 'quote')
    * @returns {boolean} True if content matches any rule in the category
    * @private
    */
-  contentMatchesCategory(content, categoryName, visited = new Set()) {
+  contentMatchesCategory(content, categoryName, visited = new Set(), target = 'content') {
     if (visited.has(categoryName)) {
       return false; // Circular dependency - stop recursion
     }
@@ -5943,18 +6227,12 @@ export class ItemHandler extends Handler {
     visited.add(categoryName);
 
     for (const rule of rules) {
-      if (rule.type === 'content') {
-        try {
-          const pattern = new RegExp(rule.value, 'i');
-          if (pattern.test(content)) {
-            return true;
-          }
-        } catch (e) {
-          // Invalid regex, skip this rule
-        }
+      // Rules with invalid patterns never match (they're reported when the rules are parsed)
+      if (rule.type === target && matchesText(getRuleMatcher(rule), content)) {
+        return true;
       }
       if (rule.type === 'include') {
-        if (this.contentMatchesCategory(content, rule.value, visited)) {
+        if (this.contentMatchesCategory(content, rule.value, visited, target)) {
           return true;
         }
       }
@@ -6048,13 +6326,9 @@ export class ItemHandler extends Handler {
 
     for (const rule of rules) {
       if (rule.type === 'content') {
-        try {
-          const pattern = new RegExp(rule.value, 'gi');
-          if (pattern.test(content)) {
-            patterns.push(new RegExp(rule.value, 'gi')); // Add fresh regex
-          }
-        } catch (e) {
-          // Invalid regex, skip
+        const matcher = getRuleMatcher(rule);
+        if (matchesText(matcher, content)) {
+          patterns.push(globalPattern(matcher));
         }
       }
       if (rule.type === 'include') {
@@ -6076,18 +6350,61 @@ export class ItemHandler extends Handler {
       return -1;
     }
 
-    const content = $(item).find('div[data-testid="postText"]').text();
-    if (!content) return -1;
+    // Text for each rule target in use (post text, alt text, link card title, quoted post)
+    const targets = Object.keys(TEXT_RULE_TYPES)
+      .filter((target) => this.getRuleTypesInUse().has(target))
+      .map((target) => [target, this.getRuleTargetText(item, target)])
+      .filter(([, text]) => text);
+    if (!targets.length) return -1;
 
     const categories = Object.keys(this.state.rules).filter(k => !k.startsWith('_'));
     for (let i = 0; i < categories.length; i++) {
-      if (this.contentMatchesCategory(content, categories[i])) {
+      if (targets.some(([target, text]) => this.contentMatchesCategory(text, categories[i], new Set(), target))) {
         return i;
       }
     }
     return -1;
   }
 
+  /**
+   * Get the set of rule types used across all categories (recomputed when rules are reparsed)
+   * @returns {Set<string>}
+   */
+  getRuleTypesInUse() {
+    const rules = this.state.rules;
+    if (this._ruleTypesInUse?.rules !== rules) {
+      const types = new Set();
+      for (const [name, categoryRules] of Object.entries(rules || {})) {
+        if (name.startsWith('_') || !Array.isArray(categoryRules)) continue;
+        categoryRules.forEach((rule) => types.add(rule.type));
+      }
+      this._ruleTypesInUse = { rules, types };
+    }
+    return this._ruleTypesInUse.types;
+  }
+
+  /**
+   * Get the rules with presentation actions (hide, dim, collapse, blur, highlight) across all
+   * categories, in category order (recomputed when rules are reparsed)
+   * @returns {Array<{rule: object, category: string, categoryIndex: number}>}
+   */
+  getPresentationRules() {
+    const rules = this.state.rules;
+    if (this._presentationRules?.rules !== rules) {
+      const categories = Object.keys(rules || {}).filter(k => !k.startsWith('_'));
+      const presentationRules = [];
+      categories.forEach((category, categoryIndex) => {
+        for (const rule of rules[category] || []) {
+          if (rule.action in PRESENTATION_ACTIONS) {
+            presentationRules.push({ rule, category, categoryIndex });
+          }
+        }
+      });
+      this._presentationRules = { rules, presentationRules };
+    }
+    return this._presentationRules.presentationRules;
+  }
+
   /**
    * Hash a string to get a stable number (for default color assignment)
    * @param {string} str - The string to hash
@@ -6383,6 +6700,212 @@ export class ItemHandler extends Handler {
     return window.location.href.split('/')[6];
   }
 
+  /**
+   * Look up an item's hydrated post view in the shared post cache.
+   * On a miss, fetches it (batched with other lookups) and calls onFetched with the result.
+   * Once logging in has failed, misses are no longer fetched.
+   * @param {Element} item - The feed item element
+   * @param {Function} [onFetched] - Called with the post view if it had to be fetched
+   * @returns {object|null} The cached post view, or null on a miss
+   */
+  getCachedPostForItem(item, onFetched = null) {
+    if (!this.api) return null;
+    const url = this.urlForItem(item);
+    const match = url?.match(/\/profile\/([^/]+)\/post\/([^/?#]+)/);
+    if (!match) return null;
+
+    const [, actor, postId] = match;
+    const did = actor.startsWith('did:') ? actor : this.api.didCache.get(actor);
+    if (did) {
+      const post = this.api.postCache.get(`at://${did}/app.bsky.feed.post/${postId}`);
+      if (post) return post;
+    }
+
+    if (onFetched && !this._postFetchLoginFailed) {
+      (async () => {
+        try {
+          await this.api.ensureSession();
+        } catch (error) {
+          // Every uncached post on the page would otherwise try to log in again
+          this._postFetchLoginFailed = true;
+          throw error;
+        }
+        const uri = await this.api.getAtprotoUri(url);
+        const post = uri ? await this.api.getPost(uri) : null;
+        if (post) onFetched(post);
+      })().catch((error) => {
+        console.warn('Failed to fetch post:', error);
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Gets the reposter handle from a reposted item
+   * @param {Element|jQuery} item - The feed item element
+   * @returns {string|null} Reposter handle or null if not a repost
+   */
+  getReposterHandle(item) {
+    const repostLink = $(item).closest('.thread').find('a[aria-label*="Reposted by"]').first();
+    if (!repostLink.length) return null;
+
+    // Extract handle from href (format: /profile/handle or /profile/did)
+    const href = repostLink.attr('href') || '';
+    const match = href.match(/\/profile\/([^/]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Checks whether a post is a repost, reply or quote post, as tested by `is:` rules.
+   * Replies and quotes are read from the cached post record when available, falling back to
+   * the same DOM detection the feed map uses.
+   * @param {Element} item - The post element
+   * @param {string} kind - One of IS_KINDS ('repost', 'reply' or 'quote')
+   * @returns {boolean}
+   */
+  isPostKind(item, kind) {
+    const $item = $(item);
+    if (kind === 'repost') {
+      // Reposts are only visible in the feed, not in the post record
+      const $thread = $item.closest('.thread');
+      return $thread.find('svg[aria-label*="Reposted"]').length > 0 ||
+        $thread.find('a[aria-label*="Reposted by"]').length > 0;
+    }
+
+    const post = this.getCachedPostForItem(item);
+    if (kind === 'reply') {
+      if (post) return !!post.record?.reply;
+      return $item.find('div[data-testid*="replyLine"]').length > 0 ||
+        $item.closest('.thread').find('a[href*="/post/"][aria-label*="Reply"]').length > 0;
+    }
+    if (kind === 'quote') {
+      if (post) return !!post.embed?.record;
+      return this.hasQuotedPost(item);
+    }
+    return false;
+  }
+
+  /**
+   * Checks the DOM for a quoted post. Embeds also wrap link cards and images, so this
+   * looks for the quoted post itself: a nested item, or a link to a post inside the embed.
+   * @param {Element} item - The post element
+   * @returns {boolean}
+   */
+  hasQuotedPost(item) {
+    const $item = $(item);
+    return $item.find('.item').length > 0 ||
+      $item.find('div[data-testid="contentHider-embed"] a[href*="/post/"]').length > 0;
+  }
+
+  /**
+   * Get the hostnames a post links to, from its external embed and link facets.
+   * Uses the cached post record when available; otherwise reads link hrefs from the DOM,
+   * which carry the full embed/facet URL even when the visible link text is shortened.
+   * @param {Element} item - The post element
+   * @returns {string[]} Unique hostnames (excluding bsky.app)
+   */
+  getLinkDomains(item) {
+    const urls = [];
+    const post = this.getCachedPostForItem(item);
+    if (post) {
+      const media = post.embed?.media || post.embed;
+      if (media?.external?.uri) {
+        urls.push(media.external.uri);
+      }
+      for (const facet of post.record?.facets || []) {
+        for (const feature of facet.features || []) {
+          if (feature.$type === 'app.bsky.richtext.facet#link' && feature.uri) {
+            urls.push(feature.uri);
+          }
+        }
+      }
+    } else {
+      $(item).find('a[href^="http"]').each((i, link) => {
+        urls.push(link.href);
+      });
+    }
+
+    const domains = new Set();
+    for (const url of urls) {
+      try {
+        domains.add(new URL(url).hostname.toLowerCase());
+      } catch (_e) {
+        // Not a valid URL
+      }
+    }
+    domains.delete('bsky.app');
+    return [...domains];
+  }
+
+  /**
+   * Get the languages a post is written in.
+   * Uses the record's self-declared `langs` when the post is in the shared post cache
+   * (which needs the AT Protocol agent); otherwise guesses from the post text.
+   * @param {Element} item - The post element
+   * @param {Function} [onFetched] - Called with the post view if it had to be fetched
+   * @returns {{langs: string[], detected: boolean}} Normalized language codes (empty if unknown),
+   *   and whether they were guessed from the text
+   */
+  getPostLanguages(item, onFetched = null) {
+    const langs = this.getCachedPostForItem(item, onFetched)?.record?.langs;
+    if (langs?.length) {
+      return { langs: langs.map(normalizeLanguage), detected: false };
+    }
+    const detected = detectLanguage(this.getRuleTargetText(item, 'content'));
+    return { langs: detected ? [detected] : [], detected: true };
+  }
+
+  /**
+   * Get the text a rule type matches against for an item.
+   * Embed text comes from the shared post cache when available, falling back to the DOM.
+   * @param {Element} item - The post element
+   * @param {string} target - A text rule type: 'content', 'alt', 'card' or 'quote'
+   * @returns {string} The text (empty if the post has none)
+   */
+  getRuleTargetText(item, target) {
+    const $item = $(item);
+    if (target === 'content') {
+      return $item.find('div[data-testid="postText"]').text();
+    }
+
+    const embed = this.getCachedPostForItem(item)?.embed;
+    if (embed) {
+      // recordWithMedia embeds split into a media part and a quoted record part
+      const media = embed.media || embed;
+      const record = embed.record?.record || embed.record;
+      switch (target) {
+        case 'alt':
+          return (media.images || []).map((image) => image.alt).filter(Boolean).join('\n');
+        case 'card':
+          return media.external?.title || '';
+        case 'quote':
+          return record?.value?.text || '';
+      }
+    }
+
+    switch (target) {
+      case 'alt':
+        return $item
+          .find('img[alt]')
+          .filter((i, img) => !$(img).closest('div[data-testid="userAvatarImage"]').length)
+          .map((i, img) => img.alt)
+          .get()
+          .join('\n');
+      case 'card':
+        // Link cards are external anchors wrapping a title and description
+        return $item
+          .find('a[href^="http"]')
+          .not('[href^="https://bsky.app"]')
+          .map((i, link) => $(link).find('div[dir="auto"]').first().text())
+          .get()
+          .join('\n');
+      case 'quote':
+        return $item.find("div[aria-label^='Post by'] div[data-word-wrap=\"1\"]").text();
+      default:
+        return '';
+    }
+  }
+
   urlForItem(item) {
     const href = $(item).find("a[href*='/post/']").attr('href');
     if (!href) return null;
@@ -6628,7 +7151,7 @@ export class ItemHandler extends Handler {
 
   applyReadStatus(element) {
     const postId = this.postIdForItem($(element));
-    if (postId != null && this.state.seen[postId]) {
+    if (postId != null && this.state.stateManager.getSeen(postId)) {
       $(element).addClass('item-read');
       $(element).removeClass('item-unread');
     } else {
@@ -6674,21 +7197,12 @@ export class ItemHandler extends Handler {
       displayNameEl = $(); // Empty jQuery object
     }
 
-    const authorCategoryIndex = handle ? this.getFilterCategoryIndexForHandle(handle) : -1;
+    const authorCategoryIndex = this.getFilterCategoryIndexForAuthor(element, handle);
 
     // Check for reposter - look in parent thread for "Reposted by" link
-    const $thread = $el.closest('.thread');
-    const repostLink = $thread.find('a[aria-label*="Reposted by"]').first();
-    let reposterHandle = null;
-    let reposterCategoryIndex = -1;
-    if (repostLink.length) {
-      const href = repostLink.attr('href') || '';
-      const reposterMatch = href.match(/\/profile\/([^/]+)/);
-      if (reposterMatch) {
-        reposterHandle = reposterMatch[1];
-        reposterCategoryIndex = this.getFilterCategoryIndexForHandle(reposterHandle);
-      }
-    }
+    const repostLink = $el.closest('.thread').find('a[aria-label*="Reposted by"]').first();
+    const reposterHandle = this.getReposterHandle($el);
+    const reposterCategoryIndex = this.getFilterCategoryIndexForReposter(reposterHandle);
 
     // Check if color-coding is enabled
     if (!this.config.get('ruleColorCoding')) {
@@ -6711,7 +7225,7 @@ export class ItemHandler extends Handler {
       return;
     }
 
-    // Color by author rules (display name and avatar)
+    // Color by author or post type rules (display name and avatar)
     if (authorCategoryIndex >= 0) {
       const color = this.getColorForCategoryIndex(authorCategoryIndex);
 
@@ -6736,7 +7250,7 @@ export class ItemHandler extends Handler {
       if (avatar.length) avatar.css('box-shadow', '');
     }
 
-    // Color by reposter rules (the "Reposted by X" text)
+    // Color by reposter or from-reposter rules (the "Reposted by X" text)
     if (reposterCategoryIndex >= 0 && repostLink.length) {
       const color = this.getColorForCategoryIndex(reposterCategoryIndex);
       const repostText = repostLink.find('div[dir="auto"]').first();
@@ -6922,8 +7436,9 @@ export class ItemHandler extends Handler {
    * @param {jQuery} $container - The container element
    * @param {RegExp} pattern - The pattern to match
    * @param {string} color - The highlight color
+   * @param {string} className - Class of the spans, to find them again
    */
-  highlightMatchingText($container, pattern, color) {
+  highlightMatchingText($container, pattern, color, className = 'rule-content-highlight') {
     if (!$container.length) return;
 
     const highlightStyle = `background-color: ${color}33;`;
@@ -6949,7 +7464,7 @@ export class ItemHandler extends Handler {
 
           // Add highlighted match
           const span = document.createElement('span');
-          span.className = 'rule-content-highlight';
+          span.className = className;
           span.style.cssText = highlightStyle;
           span.textContent = match[0];
           fragment.appendChild(span);
@@ -6966,7 +7481,7 @@ export class ItemHandler extends Handler {
         if (fragment.childNodes.length > 0) {
           node.parentNode.replaceChild(fragment, node);
         }
-      } else if (node.nodeType === Node.ELEMENT_NODE && !$(node).hasClass('rule-content-highlight')) {
+      } else if (node.nodeType === Node.ELEMENT_NODE && !$(node).hasClass(className)) {
         // Process child nodes (make a copy since we're modifying)
         Array.from(node.childNodes).forEach(processNode);
       }
@@ -7744,7 +8259,7 @@ export class ItemHandler extends Handler {
 
     // Mark root post as read (since it was likely already read/filtered)
     const rootPostId = rootPost.uri.split('/').slice(-1)[0];
-    if (this.state.seen[rootPostId]) {
+    if (this.state.stateManager.getSeen(rootPostId)) {
       rootDiv.addClass('item-read');
     }
 
@@ -7775,7 +8290,7 @@ export class ItemHandler extends Handler {
       reply.append($(this.footerTemplate(formatPost(p))));
 
       // Apply read status
-      if (this.state.seen[postId]) {
+      if (this.state.stateManager.getSeen(postId)) {
         reply.addClass('item-read');
       }
 
@@ -0,0 +1,355 @@
+// NotificationsItemHandler.js - Handler for the notifications page
+
+import constants from '../constants.js';
+import { announceToScreenReader, isUserTyping, isModalOpen } from '../utils.js';
+import { FeedItemHandler } from './FeedItemHandler.js';
+import {
+  getFeedMapConfig,
+  createFeedMapElements,
+  attachFeedMapToHandler,
+  setupFeedMapHandlers,
+} from './feedMapUtils.js';
+
+/**
+ * Handler for the notifications page.
+ * Extends FeedItemHandler to provide keyboard navigation, read tracking, the feed map
+ * and the sidecar on notification rows, plus notification-specific actions.
+ */
+export class NotificationsItemHandler extends FeedItemHandler {
+  constructor(name, config, state, api, selector) {
+    super(name, config, state, api, selector);
+    this.uiManagerStatusBar = null;
+    this.uiManagerStatusBarLeft = null;
+    // API notifications keyed by "handle|postId" (postId is empty for follows)
+    this.notificationIndex = new Map();
+    this.notificationsFetched = false;
+  }
+
+  /**
+   * Called by NotificationsUIAdapter to provide UIManager's status bar
+   * This is called after activate(), so we setup feed map here
+   */
+  setUIManagerStatusBar(statusBar, statusBarLeft) {
+    this.uiManagerStatusBar = statusBar;
+    this.uiManagerStatusBarLeft = statusBarLeft;
+
+    // Ensure status bar is in DOM and visible (may have been removed during SPA navigation)
+    if (!$.contains(document, statusBar[0])) {
+      setTimeout(() => this.setUIManagerStatusBar(statusBar, statusBarLeft), 100);
+      return;
+    }
+    statusBar.show();
+
+    // Remove any stale feed map wrapper and create fresh
+    statusBar.find('.feed-map-wrapper').remove();
+    statusBar.removeClass('has-feed-map');
+    this.addFeedMapToStatusBar(statusBar);
+
+    // Load items with retry - notifications render asynchronously
+    this.loadItemsWithRetry();
+  }
+
+  /**
+   * Add feed map elements to UIManager's status bar
+   */
+  addFeedMapToStatusBar(statusBar) {
+    const feedMapConfig = getFeedMapConfig(this.config);
+    if (feedMapConfig.position !== 'Bottom status bar') {
+      return; // Feed map not configured for status bar
+    }
+
+    const elements = createFeedMapElements(feedMapConfig, { isToolbar: false });
+    attachFeedMapToHandler(this, elements);
+    statusBar.prepend(elements.wrapper);
+    statusBar.addClass('has-feed-map');
+    setupFeedMapHandlers(this, elements.map, elements.zoom);
+    this.statusBar = statusBar;
+  }
+
+  isActive() {
+    return window.location.pathname.startsWith('/notifications');
+  }
+
+  activate() {
+    super.activate();
+
+    // Notifications load asynchronously, so use retry
+    this.loadItemsWithRetry();
+    this.fetchNotificationIndex();
+  }
+
+  deactivate() {
+    if (this._toolbarObserver) {
+      this._toolbarObserver.disconnect();
+      this._toolbarObserver = null;
+    }
+
+    // Clear feed map references before calling super (which removes elements)
+    this.feedMap = null;
+    this.feedMapWrapper = null;
+    this.feedMapZoom = null;
+
+    super.deactivate();
+
+    this.uiManagerStatusBar = null;
+    this.uiManagerStatusBarLeft = null;
+  }
+
+  /**
+   * Notifications are never reposts, so skip the timeline fetch FeedItemHandler does.
+   */
+  async fetchRepostTimestamps(_force = false) {}
+
+  /**
+   * Override refreshToolbars to insert the toolbar at the top of the notifications list.
+   * Note: Status bar is handled by UIManager via NotificationsUIAdapter.
+   */
+  refreshToolbars() {
+    if (this._toolbarObserver) {
+      this._toolbarObserver.disconnect();
+      this._toolbarObserver = null;
+    }
+
+    if (this._settingUpToolbars) {
+      return;
+    }
+
+    if (this.toolbarDiv && $.contains(document, this.toolbarDiv[0])) {
+      return;
+    }
+
+    $('#bsky-navigator-toolbar').remove();
+
+    const setupToolbar = () => {
+      const insertPoint = this._findToolbarInsertPoint();
+      if (!insertPoint) {
+        return false;
+      }
+      this._settingUpToolbars = true;
+      this.addToolbar(insertPoint);
+      this._settingUpToolbars = false;
+      this._hideNotificationsPageControls();
+      return true;
+    };
+
+    if (setupToolbar()) {
+      return;
+    }
+
+    // Use MutationObserver to wait for the first notification to appear
+    this._toolbarObserver = new MutationObserver(() => {
+      if (this._settingUpToolbars) {
+        return;
+      }
+      if (this.toolbarDiv && $.contains(document, this.toolbarDiv[0])) {
+        this._toolbarObserver.disconnect();
+        this._toolbarObserver = null;
+        return;
+      }
+      $('#bsky-navigator-toolbar').remove();
+      if (setupToolbar()) {
+        this._toolbarObserver.disconnect();
+        this._toolbarObserver = null;
+      }
+    });
+
+    this._toolbarObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+    });
+  }
+
+  /**
+   * Find the toolbar insertion point: the container of the first visible notification.
+   * Uses native DOM to skip stale React elements left behind by SPA navigation.
+   */
+  _findToolbarInsertPoint() {
+    for (const screen of document.querySelectorAll(constants.NOTIFICATIONS_SCREEN_SELECTOR)) {
+      if (!screen.isConnected || screen.offsetParent === null) {
+        continue;
+      }
+      const firstItem = $(screen).find('[data-testid^="feedItem-by-"]').first();
+      if (firstItem.length && firstItem[0].isConnected) {
+        return firstItem.parent();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hide controls that don't apply to the notifications page
+   */
+  _hideNotificationsPageControls() {
+    if (!this.toolbarDiv) return;
+
+    // Notifications are always newest-first
+    this.toolbarDiv.find('.sort-order-btn').hide();
+    this.toolbarDiv.find('#sortIndicator').hide();
+    this.toolbarDiv.find('.saved-searches-btn').hide();
+  }
+
+  // ===========================================================================
+  // Notification Items
+  // ===========================================================================
+
+  /**
+   * Replies, mentions and quotes render as full posts with their own action buttons;
+   * likes, reposts and follows are summary rows.
+   */
+  isPostNotification(item) {
+    return $(item).find("button[data-testid='likeBtn']").length > 0;
+  }
+
+  urlForItem(item) {
+    // Summary rows are themselves the link to the subject post
+    const $item = $(item);
+    if ($item.is("a[href*='/post/']")) {
+      return `https://bsky.app${$item.attr('href')}`;
+    }
+    return super.urlForItem(item);
+  }
+
+  /**
+   * Post notifications use the post ID so read state is shared with the feed.
+   * Summary rows have no post of their own, so they are keyed by author and subject.
+   */
+  postIdForItem(item) {
+    if (this.isPostNotification(item)) {
+      return super.postIdForItem(item);
+    }
+    const handle = this.getAuthorHandle(item);
+    if (!handle) {
+      return null;
+    }
+    const url = this.urlForItem(item);
+    const subjectId = url?.match(/post\/([^/]+)/)?.[1] || 'follow';
+    return `notification:${handle}:${subjectId}`;
+  }
+
+  getTimestampForItem(item) {
+    const notification = this.getNotificationForItem(item);
+    if (notification?.indexedAt) {
+      return new Date(notification.indexedAt);
+    }
+    return super.getTimestampForItem(item);
+  }
+
+  /**
+   * Fetch recent notifications from the API so rows can be matched to their
+   * indexedAt timestamps (used for marking notifications read on the server).
+   */
+  async fetchNotificationIndex(force = false) {
+    if (!this.api || (this.notificationsFetched && !force)) {
+      return;
+    }
+
+    try {
+      if (!this.api.agent.session) {
+        await this.api.login();
+      }
+
+      const result = await this.api.getNotifications(100);
+      for (const notification of result?.notifications || []) {
+        const handle = notification.author?.handle;
+        if (!handle) continue;
+        // Likes/reposts point at the subject; replies/mentions/quotes are posts themselves
+        const uri = notification.reasonSubject && !['reply', 'mention', 'quote'].includes(notification.reason)
+          ? notification.reasonSubject
+          : notification.uri;
+        const postId = notification.reason === 'follow' ? '' : uri.split('/').pop();
+        const key = `${handle}|${postId}`;
+        // Keep the newest notification for each key (API returns newest first)
+        if (!this.notificationIndex.has(key)) {
+          this.notificationIndex.set(key, notification);
+        }
+      }
+      this.notificationsFetched = true;
+      this.refreshItems();
+    } catch (e) {
+      console.warn('[NotificationsItemHandler] Failed to fetch notifications:', e);
+    }
+  }
+
+  /**
+   * Find the API notification for a row, if it has been fetched
+   * @param {jQuery|Element} item - The notification row
+   * @returns {object|null} The API notification or null
+   */
+  getNotificationForItem(item) {
+    const handle = this.getAuthorHandle(item);
+    if (!handle) return null;
+    const url = this.urlForItem(item);
+    const postId = url?.match(/post\/([^/]+)/)?.[1] || '';
+    return this.notificationIndex?.get(`${handle}|${postId}`) || null;
+  }
+
+  /**
+   * Mark the selected notification and everything older than it as read, both
+   * locally and (when an agent is configured) on the server.
+   */
+  async markNotificationsReadToSelection() {
+    if (this.index == null || !this.items.length) {
+      return;
+    }
+
+    // Notifications are newest-first, so everything below the selection is older
+    for (let i = this.index; i < this.items.length; i++) {
+      this.markItemRead(i, true);
+    }
+
+    const count = this.items.length - this.index;
+    const message = `Marked ${count} notification${count === 1 ? '' : 's'} read`;
+
+    if (!this.api) {
+      announceToScreenReader(message);
+      return;
+    }
+
+    const timestamp = this.getTimestampForItem(this.selectedItem);
+    if (!timestamp || isNaN(timestamp)) {
+      this.showRuleAddedNotification('Could not determine notification time', 'error');
+      return;
+    }
+
+    try {
+      // API uses <= comparison, so go slightly past the notification's time
+      const seenAt = new Date(timestamp.getTime() + 1).toISOString();
+      await this.api.markNotificationsSeen(seenAt);
+      this.showRuleAddedNotification(message, 'success');
+      announceToScreenReader(message);
+    } catch (error) {
+      console.error('Failed to mark notifications as seen:', error);
+      this.showRuleAddedNotification('Failed to mark notifications read', 'error');
+    }
+  }
+
+  /**
+   * Summary rows open their subject post (or the follower's profile);
+   * post notifications open the post itself.
+   */
+  openCurrentItem(item) {
+    if (this.replyIndex == null && !this.isPostNotification(item)) {
+      const $item = $(item);
+      const link = $item.is('a[href]') ? $item : $item.find("a[href*='/post/']").first();
+      if (link.length) {
+        link[0].click();
+        return;
+      }
+    }
+    super.openCurrentItem(item);
+  }
+
+  handleInput(event) {
+    // Skip processing when user is typing or a modal dialog is open
+    if (isUserTyping() || isModalOpen()) {
+      return true;
+    }
+
+    if (this.actionFor(event) === 'markNotificationsRead' && !this.isPopupVisible) {
+      // Mark notifications read up to the selected row
+      this.markNotificationsReadToSelection();
+      return event.key;
+    }
+    return super.handleInput(event);
+  }
+}
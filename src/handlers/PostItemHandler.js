@@ -51,7 +51,8 @@ export class PostItemHandler extends ItemHandler {
 
     const item = this.selectedItem;
 
-    if (['o', 'Enter'].includes(event.key) && !(event.altKey || event.metaKey)) {
+    const action = this.actionFor(event);
+    if (action === 'openItem') {
       const inner = $(item).find("div[aria-label^='Post by']");
       inner.click();
     }
@@ -60,11 +61,11 @@ export class PostItemHandler extends ItemHandler {
       return;
     }
 
-    if (this.isPopupVisible || event.altKey || event.metaKey) {
+    if (this.isPopupVisible) {
       return;
     }
 
-    if (event.key == 'A') {
+    if (action == 'authorProfile') {
       // Go to author's profile
       const handle = $.trim($(item).attr('data-testid').split('postThreadItem-by-')[1]);
       $(item)
@@ -74,7 +75,7 @@ export class PostItemHandler extends ItemHandler {
             $.trim($(el).text()).replace(/[\u200E\u200F\u202A-\u202E]/g, '') == `@${handle}`
         )[0]
         .click();
-    } else if (event.key == 'a') {
+    } else if (action == 'authorCard') {
       // Show/hide author hover card by simulating mouse hover
       this.toggleAuthorHoverCard(item);
     }
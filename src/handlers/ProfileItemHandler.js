@@ -350,35 +350,33 @@ export class ProfileItemHandler extends FeedItemHandler {
     if (super.handleInput(event)) {
       return;
     }
-    if (event.altKey || event.metaKey) {
-      return;
-    }
-    if (event.key == 'f') {
-      // f = follow (with confirmation)
+    const action = this.actionFor(event);
+    if (action == 'followProfile') {
+      // Follow (with confirmation)
       this.showProfileFollowConfirmation(true);
-    } else if (event.key == 'F') {
-      // F = unfollow (with confirmation)
+    } else if (action == 'unfollowProfile') {
+      // Unfollow (with confirmation)
       this.showProfileFollowConfirmation(false);
-    } else if (event.key == 'L') {
-      // L = add to list
+    } else if (action == 'addProfileToList') {
+      // Add to list
       $("button[aria-label^='More options']").click();
       setTimeout(function () {
         $("div[data-testid='profileHeaderDropdownListAddRemoveBtn']").click();
       }, 200);
-    } else if (event.key == 'M') {
-      // M = mute
+    } else if (action == 'muteProfile') {
+      // Mute
       $("button[aria-label^='More options']").click();
       setTimeout(function () {
         $("div[data-testid='profileHeaderDropdownMuteBtn']").click();
       }, 200);
-    } else if (event.key == 'B') {
-      // B = block
+    } else if (action == 'blockProfile') {
+      // Block
       $("button[aria-label^='More options']").click();
       setTimeout(function () {
         $("div[data-testid='profileHeaderDropdownBlockBtn']").click();
       }, 200);
-    } else if (event.key == 'R') {
-      // R = report
+    } else if (action == 'reportProfile') {
+      // Report
       $("button[aria-label^='More options']").click();
       setTimeout(function () {
         $("div[data-testid='profileHeaderDropdownReportBtn']").click();
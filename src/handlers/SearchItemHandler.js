@@ -0,0 +1,317 @@
+// SearchItemHandler.js - Handler for search results page
+
+import constants from '../constants.js';
+import { announceToScreenReader, isUserTyping, isModalOpen } from '../utils.js';
+import { FeedItemHandler } from './FeedItemHandler.js';
+import {
+  getFeedMapConfig,
+  createFeedMapElements,
+  attachFeedMapToHandler,
+  setupFeedMapHandlers,
+} from './feedMapUtils.js';
+
+/**
+ * Handler for the search results page.
+ * Extends FeedItemHandler so search results get keyboard navigation, read tracking,
+ * the feed map and rule filtering, plus a toolbar for switching result tabs.
+ */
+export class SearchItemHandler extends FeedItemHandler {
+  constructor(name, config, state, api, selector) {
+    super(name, config, state, api, selector);
+    this.uiManagerStatusBar = null;
+    this.uiManagerStatusBarLeft = null;
+    this.searchTabs = null;
+  }
+
+  /**
+   * Called by SearchUIAdapter to provide UIManager's status bar
+   * This is called after activate(), so we setup feed map here
+   */
+  setUIManagerStatusBar(statusBar, statusBarLeft) {
+    this.uiManagerStatusBar = statusBar;
+    this.uiManagerStatusBarLeft = statusBarLeft;
+
+    // Ensure status bar is in DOM and visible (may have been removed during SPA navigation)
+    if (!$.contains(document, statusBar[0])) {
+      setTimeout(() => this.setUIManagerStatusBar(statusBar, statusBarLeft), 100);
+      return;
+    }
+    statusBar.show();
+
+    // Remove any stale feed map wrapper and create fresh
+    statusBar.find('.feed-map-wrapper').remove();
+    statusBar.removeClass('has-feed-map');
+    this.addFeedMapToStatusBar(statusBar);
+
+    // Search results load asynchronously, so use retry
+    this.loadItemsWithRetry();
+  }
+
+  /**
+   * Add feed map elements to UIManager's status bar
+   */
+  addFeedMapToStatusBar(statusBar) {
+    const feedMapConfig = getFeedMapConfig(this.config);
+    if (feedMapConfig.position !== 'Bottom status bar') {
+      return; // Feed map not configured for status bar
+    }
+
+    const elements = createFeedMapElements(feedMapConfig, { isToolbar: false });
+    attachFeedMapToHandler(this, elements);
+    statusBar.prepend(elements.wrapper);
+    statusBar.addClass('has-feed-map');
+    setupFeedMapHandlers(this, elements.map, elements.zoom);
+    this.statusBar = statusBar;
+  }
+
+  isActive() {
+    return window.location.pathname.startsWith('/search');
+  }
+
+  activate() {
+    super.activate();
+    this.loadItemsWithRetry();
+  }
+
+  deactivate() {
+    if (this._toolbarObserver) {
+      this._toolbarObserver.disconnect();
+      this._toolbarObserver = null;
+    }
+
+    // Clear feed map references before calling super (which removes elements)
+    this.feedMap = null;
+    this.feedMapWrapper = null;
+    this.feedMapZoom = null;
+
+    super.deactivate();
+
+    this.searchTabs = null;
+    this.uiManagerStatusBar = null;
+    this.uiManagerStatusBarLeft = null;
+  }
+
+  /**
+   * Search results are never reposts, so skip the timeline fetch FeedItemHandler does.
+   */
+  async fetchRepostTimestamps(_force = false) {}
+
+  /**
+   * Override refreshToolbars to insert the toolbar above the search results.
+   * Note: Status bar is handled by UIManager via SearchUIAdapter.
+   */
+  refreshToolbars() {
+    if (this._toolbarObserver) {
+      this._toolbarObserver.disconnect();
+      this._toolbarObserver = null;
+    }
+
+    if (this._settingUpToolbars) {
+      return;
+    }
+
+    if (this.toolbarDiv && $.contains(document, this.toolbarDiv[0])) {
+      return;
+    }
+
+    $('#bsky-navigator-toolbar').remove();
+
+    const setupToolbar = () => {
+      const insertPoint = this._findToolbarInsertPoint();
+      if (!insertPoint) {
+        return false;
+      }
+      this._settingUpToolbars = true;
+      this.addToolbar(insertPoint);
+      this._settingUpToolbars = false;
+      this._hideSearchPageControls();
+      this._addSearchTabControls();
+      return true;
+    };
+
+    if (setupToolbar()) {
+      return;
+    }
+
+    // Use MutationObserver to wait for the search tabs to appear
+    this._toolbarObserver = new MutationObserver(() => {
+      if (this._settingUpToolbars) {
+        return;
+      }
+      if (this.toolbarDiv && $.contains(document, this.toolbarDiv[0])) {
+        this._toolbarObserver.disconnect();
+        this._toolbarObserver = null;
+        return;
+      }
+      $('#bsky-navigator-toolbar').remove();
+      if (setupToolbar()) {
+        this._toolbarObserver.disconnect();
+        this._toolbarObserver = null;
+      }
+    });
+
+    this._toolbarObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+    });
+  }
+
+  /**
+   * Find the toolbar insertion point: the container of Bluesky's result tabs, which
+   * persists across tab switches (unlike the result list itself).
+   */
+  _findToolbarInsertPoint() {
+    const screen = this._findVisibleSearchScreen();
+    if (!screen) {
+      return null;
+    }
+    const tablist = screen.find('div[role="tablist"]').first();
+    if (tablist.length && tablist[0].isConnected) {
+      return tablist.parent();
+    }
+    return null;
+  }
+
+  /**
+   * Find the visible, connected search screen element
+   * @returns {jQuery|null} - jQuery-wrapped search screen or null
+   */
+  _findVisibleSearchScreen() {
+    for (const screen of document.querySelectorAll(constants.SEARCH_SCREEN_SELECTOR)) {
+      if (screen.isConnected && screen.offsetParent !== null) {
+        return $(screen);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hide controls that don't apply to the search page
+   */
+  _hideSearchPageControls() {
+    if (!this.toolbarDiv) return;
+
+    // Search results have their own ordering (Top vs Latest tabs)
+    this.toolbarDiv.find('.sort-order-btn').hide();
+    this.toolbarDiv.find('#sortIndicator').hide();
+    this.toolbarDiv.find('#bsky-navigator-new-posts-pill').hide();
+  }
+
+  // ===========================================================================
+  // Search Tabs
+  // ===========================================================================
+
+  /**
+   * Add Top/Latest/People tab buttons to the toolbar row
+   */
+  _addSearchTabControls() {
+    this.searchTabs = $(`<div class="search-tab-controls" role="group" aria-label="Search results tab"></div>`);
+    constants.SEARCH_TABS.forEach((name, i) => {
+      const button = $(
+        `<button class="search-tab-btn" data-search-tab="${name}" title="${name} (${i + 1})">${name}</button>`
+      );
+      button.on('click', (event) => {
+        event.preventDefault();
+        this.switchToSearchTab(name);
+      });
+      this.searchTabs.append(button);
+    });
+    this.toolbarRow.prepend(this.searchTabs);
+    this.updateSearchTabControls();
+  }
+
+  /**
+   * Get Bluesky's tab element for a search results tab
+   * @param {string} name - Tab label (e.g., 'Latest')
+   * @returns {jQuery} The tab element (empty if not found)
+   */
+  getSearchTabElement(name) {
+    const screen = this._findVisibleSearchScreen();
+    if (!screen) return $();
+    return screen
+      .find('div[role="tab"]')
+      .filter((i, tab) => $.trim($(tab).text()) === name)
+      .first();
+  }
+
+  /**
+   * Name of the currently selected search results tab
+   * @returns {string|null}
+   */
+  getActiveSearchTab() {
+    const screen = this._findVisibleSearchScreen();
+    if (!screen) return null;
+    const selected = screen.find('div[role="tab"][aria-selected="true"]').first();
+    return selected.length ? $.trim(selected.text()) : null;
+  }
+
+  /**
+   * Switch to a search results tab and reload items once it renders
+   * @param {string} name - Tab label (e.g., 'Top', 'Latest', 'People')
+   */
+  switchToSearchTab(name) {
+    const tab = this.getSearchTabElement(name);
+    if (!tab.length) {
+      return false;
+    }
+    tab[0].click();
+    announceToScreenReader(`${name} results`);
+    setTimeout(() => {
+      this.updateSearchTabControls();
+      this.onFeedChange();
+    }, 100);
+    return true;
+  }
+
+  /**
+   * Cycle through search results tabs
+   * @param {number} direction - 1 for next tab, -1 for previous
+   */
+  cycleSearchTab(direction) {
+    const tabs = constants.SEARCH_TABS;
+    const current = tabs.indexOf(this.getActiveSearchTab());
+    const next = (Math.max(current, 0) + direction + tabs.length) % tabs.length;
+    this.switchToSearchTab(tabs[next]);
+  }
+
+  /**
+   * Highlight the toolbar button for the active tab
+   */
+  updateSearchTabControls() {
+    if (!this.searchTabs) return;
+    const active = this.getActiveSearchTab();
+    this.searchTabs.find('.search-tab-btn').each((i, button) => {
+      const isActive = $(button).data('search-tab') === active;
+      $(button).toggleClass('active', isActive).attr('aria-pressed', isActive);
+    });
+  }
+
+  /**
+   * Digit keys select search tabs by name rather than by position
+   */
+  switchToTab(tabIndex) {
+    const name = constants.SEARCH_TABS[tabIndex];
+    if (!name || !this.switchToSearchTab(name)) {
+      super.switchToTab(tabIndex);
+    }
+  }
+
+  handleInput(event) {
+    // Skip processing when user is typing or a modal dialog is open
+    if (isUserTyping() || isModalOpen()) {
+      return true;
+    }
+
+    if (!this.isPopupVisible) {
+      const action = this.actionFor(event);
+      if (action == 'nextSearchTab') {
+        this.cycleSearchTab(1);
+        return event.key;
+      } else if (action == 'previousSearchTab') {
+        this.cycleSearchTab(-1);
+        return event.key;
+      }
+    }
+    return super.handleInput(event);
+  }
+}
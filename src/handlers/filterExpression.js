@@ -0,0 +1,255 @@
+// filterExpression.js - Parser and evaluator for filter bar expressions
+
+/**
+ * Filter expressions combine search terms with boolean operators:
+ *
+ *   term          matches handle/display name or post content
+ *   @term %term   author-only / content-only match
+ *   $rule &list   named rule category / list membership
+ *   "a phrase"    quoted phrase (may follow a sigil, e.g. %"pearl jam")
+ *   likes<5       engagement/age comparison (likes, reposts, replies, age; no spaces)
+ *   is:repost     rule predicate (has:, is:, link: or lang:)
+ *   !x            negation (x may be a term or a parenthesized group)
+ *   x y           both must match (AND may also be written explicitly)
+ *   x OR y        either may match
+ *   ( ... )       grouping
+ *
+ * Precedence from highest to lowest is `!`, AND, OR.
+ */
+
+const SIGILS = '$@%&';
+
+/**
+ * Splits filter text into tokens.
+ * @param {string} text - Raw filter text
+ * @returns {Array<object>} Tokens with a type and source position
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '!') {
+      tokens.push({ type: 'not', pos: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let matchType = null;
+    if (SIGILS.includes(ch)) {
+      matchType = ch;
+      i++;
+    }
+
+    let query = '';
+    let quoted = false;
+    if (text[i] === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error(`Unterminated quote at position ${i + 1}`);
+      }
+      query = text.substring(i + 1, end);
+      quoted = true;
+      i = end + 1;
+    } else {
+      while (i < text.length && !/[\s()"]/.test(text[i])) {
+        query += text[i];
+        i++;
+      }
+    }
+
+    if (!query) {
+      throw new Error(
+        matchType ? `Missing search term after '${matchType}' at position ${start + 1}` : `Empty phrase at position ${start + 1}`
+      );
+    }
+
+    // Bare OR/AND are operators; quote them to search for the words themselves
+    if (!matchType && !quoted && (query === 'OR' || query === 'AND')) {
+      tokens.push({ type: query.toLowerCase(), pos: start });
+    } else {
+      tokens.push({ type: 'term', pos: start, matchType, query, quoted });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the token list.
+ * @private
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  describe(token) {
+    if (!token) return 'end of filter';
+    const names = { or: "'OR'", and: "'AND'", not: "'!'", '(': "'('", ')': "')'" };
+    return `${names[token.type] || 'term'} at position ${token.pos + 1}`;
+  }
+
+  parse() {
+    if (!this.tokens.length) {
+      return null;
+    }
+    const expression = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new Error(extra.type === ')' ? `Unmatched ')' at position ${extra.pos + 1}` : `Unexpected ${this.describe(extra)}`);
+    }
+    return expression;
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+    while (this.peek()?.type === 'or') {
+      this.next();
+      operands.push(this.parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseUnary()];
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === 'and') {
+        this.next();
+        operands.push(this.parseUnary());
+      } else if (token && (token.type === 'term' || token.type === 'not' || token.type === '(')) {
+        // Juxtaposition is an implicit AND
+        operands.push(this.parseUnary());
+      } else {
+        break;
+      }
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  parseUnary() {
+    if (this.peek()?.type === 'not') {
+      this.next();
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new Error('Expected a search term at end of filter');
+    }
+    if (token.type === 'term') {
+      return { type: 'term', matchType: token.matchType, query: token.query, quoted: token.quoted, invert: false };
+    }
+    if (token.type === '(') {
+      if (this.peek()?.type === ')') {
+        throw new Error(`Empty group at position ${token.pos + 1}`);
+      }
+      const expression = this.parseOr();
+      const close = this.next();
+      if (close?.type !== ')') {
+        throw new Error(`Unmatched '(' at position ${token.pos + 1}`);
+      }
+      return expression;
+    }
+    throw new Error(`Expected a search term but found ${this.describe(token)}`);
+  }
+}
+
+/**
+ * Compiles filter text into an expression tree.
+ * Never throws: syntax errors are returned so the caller can surface them.
+ * @param {string} text - Raw filter text
+ * @returns {{expression: object|null, error: string|null}} Expression tree (null when empty) or error message
+ */
+export function compileFilter(text) {
+  try {
+    const expression = new Parser(tokenize(text || '')).parse();
+    return { expression, error: null };
+  } catch (error) {
+    return { expression: null, error: error.message };
+  }
+}
+
+/**
+ * Evaluates an expression tree.
+ * @param {object|null} expression - Compiled expression (null matches everything)
+ * @param {Function} evaluateTerm - Called with each term node; only `true` counts as a match
+ * @returns {boolean} Whether the expression matches
+ */
+export function evaluateFilter(expression, evaluateTerm) {
+  if (!expression) return true;
+  switch (expression.type) {
+    case 'term':
+      return evaluateTerm(expression) === true;
+    case 'not':
+      return !evaluateFilter(expression.operand, evaluateTerm);
+    case 'and':
+      return expression.operands.every((operand) => evaluateFilter(operand, evaluateTerm));
+    case 'or':
+      return expression.operands.some((operand) => evaluateFilter(operand, evaluateTerm));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Collects the terms that can contribute a positive match (i.e., not under a negation).
+ * @param {object|null} expression - Compiled expression
+ * @returns {Array<object>} Term nodes
+ */
+export function positiveTerms(expression) {
+  if (!expression) return [];
+  switch (expression.type) {
+    case 'term':
+      return [expression];
+    case 'and':
+    case 'or':
+      return expression.operands.flatMap(positiveTerms);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collects every term in an expression, including negated ones.
+ * @param {object|null} expression - Compiled expression
+ * @returns {Array<object>} Term nodes
+ */
+export function filterTerms(expression) {
+  if (!expression) return [];
+  switch (expression.type) {
+    case 'term':
+      return [expression];
+    case 'not':
+      return filterTerms(expression.operand);
+    default:
+      return expression.operands.flatMap(filterTerms);
+  }
+}
@@ -6,6 +6,8 @@ export { FeedItemHandler } from './FeedItemHandler.js';
 export { PostItemHandler } from './PostItemHandler.js';
 export { ProfileItemHandler } from './ProfileItemHandler.js';
 export { SavedItemHandler } from './SavedItemHandler.js';
+export { NotificationsItemHandler } from './NotificationsItemHandler.js';
+export { SearchItemHandler } from './SearchItemHandler.js';
 
 // Post formatting utilities
 export {
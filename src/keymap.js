@@ -0,0 +1,400 @@
+// keymap.js - Registry of keyboard actions and the keys bound to them
+
+// Handlers with a list of posts, and those with feed controls (see main.js for the names)
+const ITEM_CONTEXTS = ['feed', 'post', 'profile', 'saved', 'notifications', 'search'];
+const FEED_CONTEXTS = ['feed', 'profile', 'saved', 'notifications', 'search'];
+
+// Post authors can be followed from posts everywhere except profiles, which have their own keys
+const POST_AUTHOR_CONTEXTS = ITEM_CONTEXTS.filter((context) => context !== 'profile');
+
+const DIGITS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// Properties of an action handled by key in the handlers, shown as `display`
+const FIXED = (display) => ({ fixed: true, display: [display] });
+
+/**
+ * Builds the entries for one overlay heading.
+ * @param {string} name - Heading
+ * @param {string[]|null} contexts - Handlers the actions work in (null: everywhere)
+ * @param {Object<string, Array>} actions - [label, default keys, other properties] per action id
+ */
+function group(name, contexts, actions) {
+  return Object.fromEntries(
+    Object.entries(actions).map(([id, [label, keys, other]]) => [
+      id,
+      { group: name, label, keys, contexts, ...other },
+    ])
+  );
+}
+
+/**
+ * Every action a key can run, in the order the shortcut overlay lists them.
+ *
+ * `keys` are the default bindings: a key is written as KeyboardEvent.key ("j",
+ * "J", "Enter", "ArrowDown"), prefixed with Ctrl+, Alt+, Shift+ and Meta+ when
+ * one of Ctrl, Alt or Meta is held ("Alt+h"); a sequence is written as its keys
+ * separated by spaces ("g g"). `contexts` are the handlers the action works in
+ * and `group` is its heading in the overlay.
+ *
+ * Fixed actions are handled by key in the handlers and can't be rebound; their
+ * keys only count for conflicts, and `display` is shown for them instead.
+ */
+export const ACTIONS = {
+  ...group('Global Navigation', null, {
+    goHome: ['Home', ['Alt+h']],
+    goExplore: ['Explore (Search)', ['Alt+e']],
+    goSaved: ['Saved', ['Alt+s']],
+    goNotifications: ['Notifications', ['Alt+n']],
+    goChat: ['Messages', ['Alt+m']],
+    goFeeds: ['Feeds', ['Alt+f']],
+    goLists: ['Lists', ['Alt+l']],
+    goProfile: ['Profile', ['Alt+p']],
+    goSettings: ['Settings', ['Alt+,']],
+    openPreferences: ['Extension preferences', ['Alt+.']],
+  }),
+  ...group('Navigation', ITEM_CONTEXTS, {
+    nextItem: ['Next item (mark read)', ['j']],
+    previousItem: ['Previous item (mark read)', ['k']],
+    nextItemKeepUnread: ['Next item', ['ArrowDown']],
+    previousItemKeepUnread: ['Previous item', ['ArrowUp']],
+    nextThread: ['Mark thread read, next post', ['J']],
+    previousThread: ['Mark thread read, previous post', ['K']],
+    pageDown: ['Page down (multiple items)', ['PageDown']],
+    pageUp: ['Page up (multiple items)', ['PageUp']],
+    firstItem: ['Go to first item', ['Home', 'g g']],
+    lastItem: ['Go to last item', ['End', 'G']],
+    goBack: ['Go back', ['h']],
+    focusPost: ['Focus post (from replies)', ['ArrowLeft']],
+    focusReplies: ['Focus replies', ['ArrowRight']],
+  }),
+  ...group('Post Actions', ITEM_CONTEXTS, {
+    openItem: ['Open post', ['o', 'Enter']],
+    openInnerPost: ['Open inner post', ['O']],
+    like: ['Like/Unlike', ['l']],
+    repostMenu: ['Repost menu', ['p']],
+    repost: ['Repost immediately', ['P']],
+    reply: ['Reply', ['r']],
+    followAuthor: ['Follow author', ['f'], { contexts: POST_AUTHOR_CONTEXTS }],
+    unfollowAuthor: ['Unfollow author', ['F'], { contexts: POST_AUTHOR_CONTEXTS }],
+    addToRules: ['Add author to rules', ['+']],
+    removeFromRules: ['Remove author from rules', ['-']],
+    timeoutAuthor: ['Timeout author', ['!']],
+    savePost: ['Save/Unsave post', ['s']],
+    shareMenu: ['Share menu', ['S']],
+    openFirstLink: ['Open first link', ['i']],
+    toggleMedia: ['Toggle media/video', ['w']],
+    screenshot: ['Screenshot to clipboard', ['c']],
+    cleanScreenshot: ['Screenshot without counts and buttons', ['C']],
+    postView: ['Full-screen post view', ['v']],
+    readerMode: ['Reader mode (thread)', ['V']],
+    openSidecar: ['Toggle thread context', ['t']],
+    authorCard: ['Show author hover card', ['a']],
+    authorProfile: ['Open author profile', ['A']],
+  }),
+  ...group('Feed Controls', FEED_CONTEXTS, {
+    focusSearch: ['Focus search', ['/']],
+    find: ['Find in feed', ['Alt+/']],
+    findNext: ['Next match', ['n']],
+    findPrevious: ['Previous match', ['N']],
+    loadNewer: ['Load newer posts', ['u']],
+    loadOlder: ['Load older posts', ['U']],
+    toggleSortOrder: ['Toggle sort order', [':']],
+    toggleHideRead: ['Toggle hide read', ['"']],
+    refresh: ['Refresh items', [',']],
+    toggleRead: ['Toggle read status', ['e'], { contexts: ITEM_CONTEXTS }],
+    markVisibleRead: ['Mark visible posts read', [], { contexts: ITEM_CONTEXTS }],
+  }),
+  ...group('Marks', FEED_CONTEXTS, {
+    setMark: ['Set mark (then a-z)', ['m']],
+    jumpToMark: ['Jump to mark (then a-z)', ["'"]],
+  }),
+  ...group('Quick Filters', ITEM_CONTEXTS, {
+    applyRule: ['Apply filter rule', DIGITS.map((digit) => `Alt+${digit}`), FIXED('Alt+1-9')],
+    negateRule: [
+      'Negate filter rule',
+      DIGITS.map((digit) => `Alt+Shift+${digit}`),
+      FIXED('Alt+Shift+1-9'),
+    ],
+    clearFilter: ['Clear filter', ['Alt+0'], FIXED('Alt+0')],
+  }),
+  ...group('Profile Actions', ['profile'], {
+    followProfile: ['Follow', ['f']],
+    unfollowProfile: ['Unfollow', ['F']],
+    addProfileToList: ['Add to list', ['L']],
+    muteProfile: ['Mute', ['M']],
+    blockProfile: ['Block', ['B']],
+    reportProfile: ['Report', ['R']],
+  }),
+  ...group('Notification Actions', ['notifications'], {
+    markNotificationsRead: ['Mark read up to selected', ['R']],
+  }),
+  ...group('Search Results', ['search'], {
+    nextSearchTab: ['Next results tab', [']']],
+    previousSearchTab: ['Previous results tab', ['[']],
+  }),
+  ...group('Other', null, {
+    expandSidecar: ['Expand sidecar', [';'], { contexts: ITEM_CONTEXTS }],
+    repeatAction: ['Repeat last action', ['.'], { contexts: ITEM_CONTEXTS }],
+    dismissToast: ['Dismiss oldest toast', ['x']],
+    dismissAllToasts: ['Dismiss all toasts', ['X']],
+    switchTab: ['Switch to tab', DIGITS, { ...FIXED('1-9'), contexts: ITEM_CONTEXTS }],
+    showShortcuts: ['Show/hide this help', ['?']],
+    commandPalette: ['Command palette', ['Ctrl+k', 'Meta+k']],
+    closeOverlay: ['Close overlay', ['Escape'], FIXED('Esc')],
+  }),
+};
+
+// KeyboardEvent.code of keys written as their character when a modifier is held
+const CODE_KEYS = {
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Semicolon: ';',
+  Quote: "'",
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const KEY_LABELS = {
+  ArrowDown: '↓',
+  ArrowUp: '↑',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  PageDown: 'PgDn',
+  PageUp: 'PgUp',
+  Escape: 'Esc',
+};
+
+/**
+ * Writes a keydown the way keys are written in the keymap (see ACTIONS).
+ * @param {KeyboardEvent} event
+ * @returns {string|null} Null for a modifier key on its own
+ */
+export function eventKey(event) {
+  const { key, code = '' } = event;
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
+    return null;
+  }
+  const name = key === ' ' ? 'Space' : key;
+  if (!(event.ctrlKey || event.altKey || event.metaKey)) {
+    return name;
+  }
+  // Alt changes the character typed on macOS, so combinations name the key pressed
+  const match = code.match(/^(?:Key|Digit)(\w)$/);
+  const base = match ? match[1].toLowerCase() : CODE_KEYS[code] || name;
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    event.metaKey && 'Meta',
+  ];
+  return [...modifiers.filter(Boolean), base].join('+');
+}
+
+/**
+ * Cleans up a key written by hand: modifiers in the usual order and case.
+ * @param {string} keys - A key or sequence, e.g. "alt+H" or "g g"
+ * @returns {string|null} Null if there's no key
+ */
+export function normalizeKey(keys) {
+  const steps = String(keys ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((step) => {
+      const parts = step.split('+');
+      // "+" on its own, or as the last key of a combination ("Alt++")
+      let base = parts.pop();
+      if (base === '' && parts.at(-1) === '') {
+        parts.pop();
+        base = '+';
+      }
+      const held = parts.map((part) =>
+        MODIFIERS.find((modifier) => modifier.toLowerCase() === part.toLowerCase())
+      );
+      if (!base || held.includes(undefined)) {
+        return null;
+      }
+      const modifiers = MODIFIERS.filter((m) => held.includes(m));
+      if (modifiers.some((m) => m !== 'Shift')) {
+        return [...modifiers, base.length === 1 ? base.toLowerCase() : base].join('+');
+      }
+      // Without Ctrl, Alt or Meta, Shift is part of the key typed ("J")
+      return modifiers.length && base.length === 1 ? base.toUpperCase() : base;
+    });
+  return steps.length && !steps.includes(null) ? steps.join(' ') : null;
+}
+
+/**
+ * Formats a key for display, e.g. "Alt+H", "↓" or "g g".
+ * @param {string} keys
+ * @returns {string}
+ */
+export function formatKey(keys) {
+  return keys
+    .split(' ')
+    .map((step) => {
+      const parts = step.split(/\+(?=.)/);
+      const base = parts.pop();
+      const label = KEY_LABELS[base] || (parts.length ? base.toUpperCase() : base);
+      return [...parts, label].join('+');
+    })
+    .join(' ');
+}
+
+/**
+ * @param {string} id - Action id
+ * @param {string|null} context - Handler name
+ * @returns {boolean} Whether the action works in the context
+ */
+export function inContext(id, context) {
+  const { contexts } = ACTIONS[id];
+  return !contexts || contexts.includes(context);
+}
+
+/**
+ * The bindings in effect: the defaults from ACTIONS, with the keys of any
+ * action the user rebound replaced by theirs.
+ */
+export class Keymap {
+  /**
+   * @param {Object<string, string[]>} overrides - Keys per action id, for rebound actions only
+   */
+  constructor(overrides = {}) {
+    this.overrides = {};
+    Object.entries(overrides || {}).forEach(([id, keys]) => {
+      if (ACTIONS[id] && !ACTIONS[id].fixed && Array.isArray(keys)) {
+        this.overrides[id] = [...new Set(keys.map(normalizeKey).filter(Boolean))];
+      }
+    });
+  }
+
+  /**
+   * Reads a keymap saved in the config.
+   * @param {string} json - The `keymap` setting
+   * @returns {Keymap}
+   */
+  static parse(json) {
+    try {
+      return new Keymap(JSON.parse(json || '{}'));
+    } catch (error) {
+      console.warn('[keymap] Ignoring invalid keymap setting:', error);
+      return new Keymap();
+    }
+  }
+
+  /**
+   * @returns {string} The overrides, for the `keymap` setting
+   */
+  serialize() {
+    return JSON.stringify(this.overrides);
+  }
+
+  /**
+   * @param {string} id - Action id
+   * @returns {string[]} Keys bound to the action
+   */
+  keysFor(id) {
+    return this.overrides[id] || ACTIONS[id]?.keys || [];
+  }
+
+  /**
+   * @param {string} id - Action id
+   * @returns {string[]} Keys to show for the action, formatted
+   */
+  displayKeys(id) {
+    return ACTIONS[id].display || this.keysFor(id).map(formatKey);
+  }
+
+  /**
+   * @param {string} id - Action id
+   * @returns {boolean} Whether the action has its default keys
+   */
+  isDefault(id) {
+    return !(id in this.overrides);
+  }
+
+  /**
+   * Gets a copy with an action's keys changed.
+   * @param {string} id - Action id
+   * @param {string[]|null} keys - New keys, or null for the defaults
+   * @returns {Keymap}
+   */
+  withKeys(id, keys) {
+    const overrides = { ...this.overrides };
+    if (keys === null) {
+      delete overrides[id];
+    } else {
+      overrides[id] = keys;
+    }
+    return new Keymap(overrides);
+  }
+
+  /**
+   * Finds the action bound to the keys pressed so far.
+   * @param {string[]} keys - Keys pressed, more than one for a sequence
+   * @param {string|null} context - Handler name; only global actions match without one
+   * @returns {{action: string|null, pending: boolean}} pending when the keys start a sequence
+   */
+  match(keys, context) {
+    const pressed = keys.join(' ');
+    let pending = false;
+    for (const id of Object.keys(ACTIONS)) {
+      if (ACTIONS[id].fixed || !inContext(id, context)) continue;
+      const bound = this.keysFor(id);
+      if (bound.includes(pressed)) {
+        return { action: id, pending: false };
+      }
+      pending ||= bound.some((key) => key.startsWith(`${pressed} `));
+    }
+    return { action: null, pending };
+  }
+
+  /**
+   * Finds keys that would run more than one action: the same key, or a key that
+   * starts another's sequence, bound to actions that work on the same page.
+   * @returns {Array<{key: string, actions: string[]}>} key is the shorter of the two
+   */
+  findConflicts() {
+    const ids = Object.keys(ACTIONS);
+    const conflicts = [];
+    ids.forEach((a, i) => {
+      ids.slice(i + 1).forEach((b) => {
+        const [contextsA, contextsB] = [ACTIONS[a].contexts, ACTIONS[b].contexts];
+        if (contextsA && contextsB && !contextsA.some((context) => contextsB.includes(context))) {
+          return;
+        }
+        this.keysFor(a).forEach((keyA) => {
+          this.keysFor(b).forEach((keyB) => {
+            const [shorter, longer] = keyA.length <= keyB.length ? [keyA, keyB] : [keyB, keyA];
+            if (shorter === longer || longer.startsWith(`${shorter} `)) {
+              conflicts.push({ key: shorter, actions: [a, b] });
+            }
+          });
+        });
+      });
+    });
+    return conflicts;
+  }
+}
+
+let cached = { json: null, keymap: null };
+
+/**
+ * Gets the keymap in effect, re-reading it when the setting changes.
+ * @param {object} config - Anything with get(key)
+ * @returns {Keymap}
+ */
+export function getKeymap(config) {
+  const json = config.get('keymap') || '{}';
+  if (cached.json !== json) {
+    cached = { json, keymap: Keymap.parse(json) };
+  }
+  return cached.keymap;
+}
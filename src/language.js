@@ -0,0 +1,101 @@
+// language.js - Offline language detection and language code helpers
+
+/**
+ * Scripts that identify a language on their own, checked in order.
+ * Japanese is checked before Chinese since Japanese text also uses Han characters,
+ * and Cyrillic text is told apart from Russian by Ukrainian-only letters.
+ */
+const SCRIPT_LANGUAGES = [
+  { lang: 'ja', pattern: /[\u3040-\u30FF]/g },
+  { lang: 'ko', pattern: /[\uAC00-\uD7AF\u1100-\u11FF]/g },
+  { lang: 'zh', pattern: /[\u4E00-\u9FFF]/g },
+  { lang: 'ru', pattern: /[\u0400-\u04FF]/g },
+  { lang: 'el', pattern: /[\u0370-\u03FF]/g },
+  { lang: 'he', pattern: /[\u0590-\u05FF]/g },
+  { lang: 'ar', pattern: /[\u0600-\u06FF]/g },
+  { lang: 'hi', pattern: /[\u0900-\u097F]/g },
+  { lang: 'th', pattern: /[\u0E00-\u0E7F]/g },
+];
+
+// Letters used in Ukrainian but not Russian
+const UKRAINIAN_LETTERS = /[\u0456\u0457\u0454\u0491]/i;
+
+/**
+ * Common short words for languages written in Latin script. Words shared by
+ * several languages (e.g. "de", "a", "in") are deliberately left out.
+ */
+const STOPWORDS = {
+  en: 'the and is are was of to that this with for you not have it be on at but what just',
+  es: 'el la los las que es por para con una pero muy como esta está del también porque',
+  pt: 'não uma com para os as que é muito mas mais também isso está são ao pelo você',
+  fr: 'le les des est et une dans pour pas que qui sur avec ce cette sont mais très aussi',
+  de: 'der die das und ist nicht ein eine mit auf für sich auch ich sie wir aber noch',
+  it: 'il che è gli della per non una sono anche con questo come più molto perché',
+  nl: 'het een van en is niet op dat met zijn voor ook maar ik je wel nog er',
+  sv: 'och att är det som för med inte jag har på av till den men också',
+  pl: 'nie się że jest na to jak ale czy tak już jego przez być dla',
+  tr: 've bir bu için çok ama ne da daha gibi var ben sen olan değil',
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))])
+);
+
+/**
+ * Guesses the language of a piece of text without any network access.
+ * Non-Latin scripts are identified by their characters; Latin-script text is
+ * scored by how many common words of each language it contains.
+ * @param {string} text - Post text
+ * @returns {string|null} ISO 639-1 code, or null if the text is too short or ambiguous
+ */
+export function detectLanguage(text) {
+  // Links, mentions and hashtags say nothing about the language of the post
+  const cleaned = (text || '').replace(/https?:\/\/\S+|[@#]\S+/g, ' ');
+
+  const letters = cleaned.match(/\p{L}/gu)?.length || 0;
+  if (!letters) return null;
+  for (const { lang, pattern } of SCRIPT_LANGUAGES) {
+    const count = cleaned.match(pattern)?.length || 0;
+    if (count / letters > 0.3) {
+      return lang === 'ru' && UKRAINIAN_LETTERS.test(cleaned) ? 'uk' : lang;
+    }
+  }
+
+  const words = cleaned.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 3) return null;
+
+  const scores = Object.entries(STOPWORD_SETS)
+    .map(([lang, stopwords]) => [lang, words.filter((word) => stopwords.has(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[bestLang, best], [, runnerUp]] = scores;
+  return best >= 2 && best > runnerUp ? bestLang : null;
+}
+
+/**
+ * Normalizes a language tag for comparison ("en_US" -> "en-us")
+ * @param {string} code - BCP 47 language tag
+ * @returns {string}
+ */
+export function normalizeLanguage(code) {
+  return (code || '').trim().toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Parses a comma or space separated list of language codes (e.g. "en, pt-BR")
+ * @param {string} text - Language list from the config
+ * @returns {string[]} Normalized codes
+ */
+export function parseLanguageList(text) {
+  return (text || '').split(/[\s,]+/).map(normalizeLanguage).filter(Boolean);
+}
+
+/**
+ * Whether a post language satisfies a wanted language. A bare language ("pt")
+ * matches any regional variant ("pt-br"); a regional one only matches itself.
+ * @param {string} lang - Normalized post language
+ * @param {string} wanted - Normalized wanted language
+ * @returns {boolean}
+ */
+export function languageMatches(lang, wanted) {
+  return lang === wanted || lang.startsWith(`${wanted}-`);
+}
@@ -5,7 +5,10 @@ import { state } from './state.js';
 import { BlueskyAPI } from './api.js';
 import * as utils from './utils.js';
 import { ConfigWrapper } from './ConfigWrapper.js';
+import { getCurrentAccount, getSharedSections, watchAccount } from './accounts.js';
+import { eventKey, getKeymap } from './keymap.js';
 import { ListCache } from './ListCache.js';
+import { compileRule, parseRuleLine } from './ruleMatcher.js';
 
 import style from './assets/css/style.css?raw';
 import sidecarTemplatesHtml from './sidecar.html?raw';
@@ -19,14 +22,19 @@ import {
   PostItemHandler,
   ProfileItemHandler,
   SavedItemHandler,
+  NotificationsItemHandler,
+  SearchItemHandler,
 } from './handlers/index.js';
 
 import UIManager from './components/UIManager.js';
+import { CommandPalette } from './components/CommandPalette.js';
 import DefaultUIAdapter from './components/ui-adapters/DefaultUIAdapter.js';
 import FeedUIAdapter from './components/ui-adapters/FeedUIAdapter.js';
 import PostUIAdapter from './components/ui-adapters/PostUIAdapter.js';
 import ProfileUIAdapter from './components/ui-adapters/ProfileUIAdapter.js';
 import SavedUIAdapter from './components/ui-adapters/SavedUIAdapter.js';
+import NotificationsUIAdapter from './components/ui-adapters/NotificationsUIAdapter.js';
+import SearchUIAdapter from './components/ui-adapters/SearchUIAdapter.js';
 
 GM_addStyle(style);
 
@@ -198,6 +206,7 @@ function getScreenFromElement(element) {
   const items = { feed: [], post: [] };
   const indexes = { feed: 0, post: 0 };
   let context = null;
+  let atprotoApi = null; // Created before state loads so the PDS sync backend can use it
   const num_items = { feed: 0, post: 0 };
   const func = null;
 
@@ -208,6 +217,16 @@ function getScreenFromElement(element) {
     const rules = {};
     let rulesName = null;
 
+    // Compile match patterns once here rather than on every item evaluation
+    const addRule = (rule) => {
+      compileRule(rule);
+      const error = rule.matcher?.error || rule.threshold?.error || rule.predicate?.error;
+      if (error) {
+        console.warn(`[Rules] [${rulesName}] ${error}`);
+      }
+      rules[rulesName].push(rule);
+    };
+
     for (let line of lines) {
       line = line.trim();
       if (!line || line.startsWith(';') || line.startsWith('#')) continue;
@@ -224,11 +243,10 @@ function getScreenFromElement(element) {
 
       if (!rulesName) continue;
 
-      // Match explicit allow/deny rules (including include and list types)
-      const ruleMatch = line.match(/(allow|deny) (all|from|content|include|list) "?([^"]+)"?/);
-      if (ruleMatch) {
-        const [_, action, type, value] = ruleMatch;
-        rules[rulesName].push({ action, type, value });
+      // Match explicit rules, e.g. "deny content:word cat", "allow age < 6h" or "dim has:video"
+      const explicitRule = parseRuleLine(line);
+      if (explicitRule) {
+        addRule(explicitRule);
         continue;
       }
 
@@ -244,21 +262,37 @@ function getScreenFromElement(element) {
         }
       } else if (line.startsWith('@')) {
         // Interpret "@foo" as "allow author 'foo'"
-        rules[rulesName].push({ action: 'allow', type: 'from', value: line });
+        addRule({ action: 'allow', type: 'from', value: line });
       } else {
         // Any other string is interpreted as "allow content 'foobar'"
-        rules[rulesName].push({ action: 'allow', type: 'content', value: line });
+        addRule({ action: 'allow', type: 'content', value: line });
       }
     }
     return rules;
   }
 
   function onConfigInit() {
+    if (
+      config.get('atprotoService') &&
+      config.get('atprotoIdentifier') &&
+      config.get('atprotoPassword')
+    ) {
+      atprotoApi = new BlueskyAPI(
+        config.get('atprotoService'),
+        config.get('atprotoIdentifier'),
+        config.get('atprotoPassword')
+      );
+      // FIXME: async race condition
+      atprotoApi.login();
+    }
+
     const stateManagerConfig = {
       stateSyncEnabled: config.get('stateSyncEnabled'),
       stateSyncConfig: config.get('stateSyncConfig'),
+      api: atprotoApi,
       stateSaveTimeout: config.get('stateSaveTimeout'),
       maxEntries: config.get('historyMax'),
+      namespace: config.namespace,
     };
 
     // Update the IntersectionObserver proxy with the config value
@@ -270,6 +304,14 @@ function getScreenFromElement(element) {
   }
 
   function onConfigSave() {
+    // Sharing sections between accounts moves them, so start over with the new layout
+    const sharedSections = getSharedSections(config);
+    if (!config.namespace.sharesSections(sharedSections)) {
+      config.setSharedSections(sharedSections);
+      state.stateManager.setSharedSections(sharedSections).finally(() => window.location.reload());
+      return;
+    }
+
     state.stateManager.saveStateImmediately(true, true);
     // Update content width dynamically
     updateContentWidth();
@@ -534,24 +576,45 @@ function getScreenFromElement(element) {
    */
   function setupToastKeyboardHandler() {
     $(document).on('keydown.toastDismiss', (e) => {
-      // Only handle 'x' or 'X' key
-      if (e.key !== 'x' && e.key !== 'X') return;
-
       // Skip if user is typing in an input field
       if (utils.isUserTyping()) return;
 
       // Skip if a modal is open
       if (utils.isModalOpen()) return;
 
-      // X (shift) dismisses all toasts, x dismisses oldest
-      if (e.key === 'X') {
+      // Only global actions match without a page, so this doesn't see post actions
+      const { action } = getKeymap(config).match([eventKey(e)], null);
+      if (action === 'dismissAllToasts') {
         dismissAllToasts();
-      } else {
+      } else if (action === 'dismissToast') {
         dismissOldestToast();
       }
     });
   }
 
+  /**
+   * Open the command palette from any page. Pages without a handler of their
+   * own (lists, settings) run the global actions through the input handler.
+   */
+  function setupCommandPalette() {
+    const commandPalette = new CommandPalette(config);
+    // Toasts are dismissed here rather than by a handler (see setupToastKeyboardHandler())
+    const toastActions = { dismissToast: dismissOldestToast, dismissAllToasts };
+
+    $(document).on('keydown.commandPalette', (e) => {
+      if (utils.isUserTyping() || utils.isModalOpen()) return;
+
+      if (getKeymap(config).match([eventKey(e)], null).action !== 'commandPalette') return;
+      e.preventDefault();
+      const handler = handlers[context] || handlers.input;
+      commandPalette.show({
+        context,
+        handler,
+        runAction: (id) => (toastActions[id] ? toastActions[id]() : handler.performAction(id)),
+      });
+    });
+  }
+
   /**
    * Parse notification data from API response
    */
@@ -855,6 +918,19 @@ function getScreenFromElement(element) {
         lastSeenAt = new Date(result.seenAt);
       }
 
+      // Prefetch subject posts for unread likes/reposts in as few requests as possible
+      const previewUris = notifications
+        .filter((n) => n.reasonSubject && !n.record?.text)
+        .filter((n) => !lastSeenAt || new Date(n.indexedAt) > lastSeenAt)
+        .map((n) => n.reasonSubject);
+      if (previewUris.length) {
+        try {
+          await toastApi.getPosts(previewUris);
+        } catch (err) {
+          console.warn('Failed to prefetch posts for notification previews:', err);
+        }
+      }
+
       for (const apiNotification of notifications) {
         const notification = parseApiNotification(apiNotification);
         if (!notification) continue;
@@ -877,11 +953,12 @@ function getScreenFromElement(element) {
         }
 
         // Fetch post content for likes/reposts if we have a subject URI
+        // (usually already in the shared post cache from the prefetch above)
         if (!notification.preview && notification.subjectUri) {
           try {
-            const thread = await toastApi.getThread(notification.subjectUri);
-            if (thread?.post?.record?.text) {
-              notification.preview = thread.post.record.text.substring(0, 100);
+            const post = await toastApi.getPost(notification.subjectUri);
+            if (post?.record?.text) {
+              notification.preview = post.record.text.substring(0, 100);
             }
           } catch (err) {
             // Silently fail - we'll just show the notification without preview
@@ -937,21 +1014,9 @@ function getScreenFromElement(element) {
 
   function onStateInit() {
     let widthWatcher;
-    let api;
-
-    if (
-      config.get('atprotoService') &&
-      config.get('atprotoIdentifier') &&
-      config.get('atprotoPassword')
-    ) {
-      api = new BlueskyAPI(
-        config.get('atprotoService'),
-        config.get('atprotoIdentifier'),
-        config.get('atprotoPassword')
-      );
-      // FIXME: async race condition
-      api.login();
+    const api = atprotoApi;
 
+    if (api) {
       async function loadSidecarTemplate(selector, html) {
         try {
           // Fetch the popup HTML file from the public directory
@@ -988,13 +1053,21 @@ function getScreenFromElement(element) {
       post: new PostItemHandler('post', config, state, api, constants.POST_ITEM_SELECTOR),
       profile: new ProfileItemHandler('profile', config, state, api, constants.FEED_ITEM_SELECTOR),
       saved: new SavedItemHandler('saved', config, state, api, constants.FEED_ITEM_SELECTOR),
+      notifications: new NotificationsItemHandler(
+        'notifications',
+        config,
+        state,
+        api,
+        constants.NOTIFICATION_ITEM_SELECTOR
+      ),
+      search: new SearchItemHandler('search', config, state, api, constants.SEARCH_ITEM_SELECTOR),
       input: new Handler('input', config, state, api),
     };
 
     // Immediately hide loading indicator if no feed/item handler matches current URL
-    // This handles pages like notifications, lists, search, settings
+    // This handles pages like lists, feeds, settings
     // Exclude 'input' handler as it always returns true
-    const hasActiveItemHandler = ['feed', 'post', 'profile', 'saved']
+    const hasActiveItemHandler = ['feed', 'post', 'profile', 'saved', 'notifications', 'search']
       .some(name => handlers[name]?.isActive());
     if (!hasActiveItemHandler) {
       const indicator = document.getElementById('feedLoadingIndicator');
@@ -1014,6 +1087,8 @@ function getScreenFromElement(element) {
     // Initialize toast notification system (pass API if available)
     initToastNotifications(api);
 
+    setupCommandPalette();
+
     // Initialize UIManager for global toolbar and status bar
     const uiManager = new UIManager(config, state);
 
@@ -1023,12 +1098,16 @@ function getScreenFromElement(element) {
     const postAdapter = new PostUIAdapter();
     const profileAdapter = new ProfileUIAdapter();
     const savedAdapter = new SavedUIAdapter();
+    const notificationsAdapter = new NotificationsUIAdapter();
+    const searchAdapter = new SearchUIAdapter();
     uiManager.registerAdapter('default', defaultAdapter);
     uiManager.registerAdapter('input', defaultAdapter); // Use default for input context
     uiManager.registerAdapter('feed', feedAdapter);
     uiManager.registerAdapter('saved', savedAdapter);
     uiManager.registerAdapter('post', postAdapter);
     uiManager.registerAdapter('profile', profileAdapter);
+    uiManager.registerAdapter('notifications', notificationsAdapter);
+    uiManager.registerAdapter('search', searchAdapter);
 
     // Initialize UIManager once main element is available
     uiManager.initialize().then(() => {
@@ -1294,7 +1373,8 @@ function getScreenFromElement(element) {
         return;
       }
       state.screen = screen;
-      if (screen == 'search') {
+      // Focus the search box on the explore page, but not on results (so keys navigate them)
+      if (screen == 'search' && !new URLSearchParams(window.location.search).has('q')) {
         if ($(':focus') != $('input[role="search"]')) {
           $('input[role="search"]').focus();
         }
@@ -1328,7 +1408,7 @@ function getScreenFromElement(element) {
       }
 
       // Always notify UIManager if context changed OR forceRefresh requested
-      // This handles URL changes within the same context (e.g., notifications -> search)
+      // This handles URL changes within the same context (e.g., settings -> lists)
       if ((contextChanged || forceRefresh) && uiManager.isInitialized()) {
         uiManager.setContext(ctx, handlers[ctx] || null);
       }
@@ -1351,7 +1431,7 @@ function getScreenFromElement(element) {
       }
 
       // If no handler matched, use 'default' context for other pages
-      // (notifications, search, settings, etc.)
+      // (lists, settings, etc.)
       if (!matched) {
         setContext('default', urlChanged);
         // Hide loading indicator since these pages don't process feed items
@@ -1502,13 +1582,21 @@ function getScreenFromElement(element) {
     }
   }
 
-  // Initialize config with our custom ConfigWrapper
+  // Initialize config with our custom ConfigWrapper, for the logged-in account
+  const account = getCurrentAccount();
   config = new ConfigWrapper({
     id: 'bluesky_navigator',
+    account: account?.did,
     onInit: onConfigInit,
     onSave: onConfigSave,
   });
 
+  // Settings and state belong to the account, so reload when another one logs in
+  watchAccount(account?.did || null, (newAccount) => {
+    console.log(`[bluesky-navigator] Switched to ${newAccount?.handle || 'logged out'}, reloading`);
+    window.location.reload();
+  });
+
   // Expose config and state to window for debugging and access from ConfigModal
   unsafeWindow.config = config;
   unsafeWindow.blueskyNavigatorState = state;
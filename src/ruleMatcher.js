@@ -0,0 +1,370 @@
+// ruleMatcher.js - Parses rule lines and compiles rule values into matchers
+
+import { normalizeLanguage, languageMatches } from './language.js';
+
+/**
+ * What a rule does to the posts it matches. `allow` and `deny` decide what a `$category`
+ * filter shows; the presentation actions change how matching posts are displayed
+ * wherever they appear, whether or not a filter is active.
+ */
+export const FILTER_ACTIONS = ['allow', 'deny'];
+
+export const PRESENTATION_ACTIONS = {
+  hide: 'Hide',
+  dim: 'Dim',
+  collapse: 'Collapse',
+  blur: 'Blur media',
+  highlight: 'Highlight',
+};
+
+export const RULE_ACTIONS = [...FILTER_ACTIONS, ...Object.keys(PRESENTATION_ACTIONS)];
+
+/**
+ * Whether a matching rule counts as a match for `$category` filters.
+ * Presentation actions other than hide count as allow, so e.g. `$highlights` shows highlighted posts.
+ * @param {string} action - One of RULE_ACTIONS
+ * @returns {boolean}
+ */
+export function actionAllows(action) {
+  return action !== 'deny' && action !== 'hide';
+}
+
+/**
+ * How a rule value is interpreted:
+ * - regex:   the value is a regular expression (the default, for compatibility)
+ * - literal: the value is matched as plain text anywhere in the target
+ * - word:    the value is matched as plain text on word boundaries
+ */
+export const MATCH_MODES = ['regex', 'literal', 'word'];
+
+export const DEFAULT_MATCH_MODE = 'regex';
+
+/**
+ * Rule types that match against text in a post, and what they look at.
+ */
+export const TEXT_RULE_TYPES = {
+  content: 'post text',
+  alt: 'image alt text',
+  card: 'link card title',
+  quote: 'quoted post text',
+};
+
+/**
+ * Rule types that compare a number from the post against a threshold (e.g. "likes < 5").
+ */
+export const THRESHOLD_RULE_TYPES = {
+  likes: 'like count',
+  reposts: 'repost count',
+  replies: 'reply count',
+  age: 'post age',
+};
+
+/**
+ * Rule types that match against a handle: the post's author, or who reposted it into the feed.
+ */
+export const HANDLE_RULE_TYPES = {
+  from: 'author',
+  'from-reposter': 'reposter',
+};
+
+/**
+ * Rule types written as `type:value` (e.g. "deny has:video", "deny link:substack.com", "deny is:repost",
+ * "allow lang:en").
+ */
+export const PREDICATE_RULE_TYPES = {
+  has: 'post contains',
+  link: 'link domain',
+  is: 'post type',
+  lang: 'post language',
+};
+
+/**
+ * What `has:` rules can test for.
+ */
+export const HAS_KINDS = {
+  image: 'images',
+  video: 'video',
+  media: 'images or video',
+  link: 'an external link',
+  quote: 'a quoted post',
+};
+
+/**
+ * What `is:` rules can test for.
+ */
+export const IS_KINDS = {
+  repost: 'a repost',
+  reply: 'a reply',
+  quote: 'a quote post',
+};
+
+const PREDICATE_KINDS = { has: HAS_KINDS, is: IS_KINDS };
+
+const ACTION_PATTERN = RULE_ACTIONS.join('|');
+
+const PREDICATE_LINE_PATTERN = new RegExp(
+  `^(${ACTION_PATTERN})\\s+(${Object.keys(PREDICATE_RULE_TYPES).join('|')}):\\s*"?([^"\\s]*)"?$`,
+  'i'
+);
+
+const RULE_LINE_PATTERN = new RegExp(
+  `^(${ACTION_PATTERN})\\s+(all|from-reposter|from|include|list|${Object.keys(TEXT_RULE_TYPES).join('|')}|` +
+    `${Object.keys(THRESHOLD_RULE_TYPES).join('|')})(?=[:\\s<>="]|$)(?::(\\w+))?(?:\\s*"?([^"]*)"?)?$`,
+  'i'
+);
+
+/**
+ * Parses an explicit rule line such as `deny content:word cat`, `allow age < 6h`, `deny has:video` or
+ * `deny from-reposter @handle`, or the same with a presentation action (e.g. `dim has:video`)
+ * @param {string} line - Trimmed rule line
+ * @returns {{action: string, type: string, mode: string|null, value: string}|null} Null if not an explicit rule
+ */
+export function parseRuleLine(line) {
+  const predicate = line.match(PREDICATE_LINE_PATTERN);
+  if (predicate) {
+    const [, action, type, value] = predicate;
+    return { action: action.toLowerCase(), type: type.toLowerCase(), mode: null, value };
+  }
+
+  const match = line.match(RULE_LINE_PATTERN);
+  if (!match) return null;
+  const [, action, type, mode, value] = match;
+  return {
+    action: action.toLowerCase(),
+    type: type.toLowerCase(),
+    mode: mode?.toLowerCase() || null,
+    value: value || '',
+  };
+}
+
+/**
+ * Whether a rule type matches against text (and therefore takes a match mode)
+ * @param {string} type - Rule type
+ * @returns {boolean}
+ */
+export function isMatchableRuleType(type) {
+  return type in HANDLE_RULE_TYPES || type in TEXT_RULE_TYPES;
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a rule value into a matcher.
+ * @param {string} value - Rule value
+ * @param {string} [mode] - One of MATCH_MODES (defaults to DEFAULT_MATCH_MODE)
+ * @returns {{mode: string, value: string, regex: RegExp|null, error: string|null}}
+ *   regex is null (and error set) when the value can't be compiled
+ */
+export function compileMatcher(value, mode = DEFAULT_MATCH_MODE) {
+  const matchMode = mode || DEFAULT_MATCH_MODE;
+  let source = value;
+  let flags = 'i';
+
+  if (!MATCH_MODES.includes(matchMode)) {
+    return { mode: matchMode, value, regex: null, error: `Unknown match mode "${matchMode}"` };
+  }
+  if (matchMode === 'literal') {
+    source = escapeRegex(value);
+  } else if (matchMode === 'word') {
+    // \b only understands ASCII, so use Unicode letter/number lookarounds instead
+    source = `(?<![\\p{L}\\p{N}_])${escapeRegex(value)}(?![\\p{L}\\p{N}_])`;
+    flags = 'iu';
+  }
+
+  try {
+    return { mode: matchMode, value, regex: new RegExp(source, flags), error: null };
+  } catch (error) {
+    return { mode: matchMode, value, regex: null, error: `Invalid pattern "${value}": ${error.message}` };
+  }
+}
+
+/**
+ * Tests text against a compiled matcher
+ * @param {object} matcher - Result of compileMatcher
+ * @param {string} text - Text to test
+ * @returns {boolean}
+ */
+export function matchesText(matcher, text) {
+  return !!(matcher?.regex && text && matcher.regex.test(text));
+}
+
+/**
+ * Returns a fresh global copy of a matcher's pattern, for finding every match (e.g., highlighting)
+ * @param {object} matcher - Result of compileMatcher
+ * @returns {RegExp|null}
+ */
+export function globalPattern(matcher) {
+  if (!matcher?.regex) return null;
+  return new RegExp(matcher.regex.source, `${matcher.regex.flags}g`);
+}
+
+const AGE_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Compiles a threshold comparison such as "< 5" (counts) or ">= 6h" (age).
+ * Ages accept m, h, d and w units and are converted to milliseconds.
+ * @param {string} type - One of THRESHOLD_RULE_TYPES
+ * @param {string} value - Comparison text
+ * @returns {{operator: string, amount: number, error: string|null}}
+ */
+export function compileThreshold(type, value) {
+  const match = (value || '').trim().match(/^(<=|>=|<|>|=)\s*(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!match) {
+    const example = type === 'age' ? '< 6h' : '< 5';
+    return { operator: null, amount: NaN, error: `Invalid ${type} comparison "${value}" (expected e.g. "${example}")` };
+  }
+
+  const [, operator, number, unit] = match;
+  let amount = parseFloat(number);
+  if (type === 'age') {
+    const unitMs = AGE_UNITS_MS[unit.toLowerCase()];
+    if (!unitMs) {
+      return { operator, amount: NaN, error: `Invalid age unit "${unit}" (use m, h, d or w)` };
+    }
+    amount *= unitMs;
+  } else if (unit) {
+    return { operator, amount: NaN, error: `Unexpected unit "${unit}" in ${type} comparison` };
+  }
+  return { operator, amount, error: null };
+}
+
+/**
+ * Tests a number against a compiled threshold
+ * @param {object} threshold - Result of compileThreshold
+ * @param {number|null} actual - Value from the post (null if unknown, which never matches)
+ * @returns {boolean}
+ */
+export function meetsThreshold(threshold, actual) {
+  if (!threshold || threshold.error || actual == null || Number.isNaN(actual)) return false;
+  switch (threshold.operator) {
+    case '<': return actual < threshold.amount;
+    case '<=': return actual <= threshold.amount;
+    case '>': return actual > threshold.amount;
+    case '>=': return actual >= threshold.amount;
+    case '=': return actual === threshold.amount;
+    default: return false;
+  }
+}
+
+/**
+ * Compiles a `has:`, `is:`, `link:` or `lang:` predicate.
+ * @param {string} type - One of PREDICATE_RULE_TYPES
+ * @param {string} value - Content kind (for has), post type (for is), domain (for link) or
+ *   language code (for lang)
+ * @returns {{kind?: string, domain?: string, language?: string, error: string|null}}
+ */
+export function compilePredicate(type, value) {
+  const normalized = (value || '').trim().toLowerCase();
+  const kinds = PREDICATE_KINDS[type];
+  if (kinds) {
+    if (!(normalized in kinds)) {
+      const description = type === 'has' ? 'content type' : 'post type';
+      return { kind: null, error: `Unknown ${description} "${type}:${value}" (use ${Object.keys(kinds).join(', ')})` };
+    }
+    return { kind: normalized, error: null };
+  }
+
+  if (type === 'lang') {
+    const language = normalizeLanguage(value);
+    if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/.test(language)) {
+      return { language: null, error: `Invalid language code "lang:${value}" (expected e.g. en or pt-BR)` };
+    }
+    return { language, error: null };
+  }
+
+  // Accept "example.com", "www.example.com" or a pasted URL
+  const domain = normalized.replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[/?#].*$/, '');
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    return { domain: null, error: `Invalid link domain "link:${value}"` };
+  }
+  return { domain, error: null };
+}
+
+/**
+ * Whether any of a post's link domains is the rule's domain or one of its subdomains
+ * @param {object} predicate - Result of compilePredicate('link', ...)
+ * @param {string[]} domains - Hostnames linked from the post
+ * @returns {boolean}
+ */
+export function matchesDomain(predicate, domains) {
+  if (!predicate?.domain) return false;
+  return domains.some((host) => {
+    const domain = host.toLowerCase().replace(/^www\./, '');
+    return domain === predicate.domain || domain.endsWith(`.${predicate.domain}`);
+  });
+}
+
+/**
+ * Whether any of a post's languages is the rule's language (or a regional variant of it)
+ * @param {object} predicate - Result of compilePredicate('lang', ...)
+ * @param {string[]} langs - Normalized languages of the post
+ * @returns {boolean}
+ */
+export function matchesLanguage(predicate, langs) {
+  if (!predicate?.language) return false;
+  return langs.some((lang) => languageMatches(lang, predicate.language));
+}
+
+/**
+ * Attaches compiled matching state to a parsed rule: a `matcher` for text-matching
+ * types, a `threshold` for threshold types, or a `predicate` for has/is/link/lang types.
+ * `from` and `from-reposter` rule values are matched without their leading `@`.
+ * @param {object} rule - Parsed rule ({action, type, value, mode})
+ * @returns {object} The same rule
+ */
+export function compileRule(rule) {
+  if (isMatchableRuleType(rule.type)) {
+    const value = rule.type in HANDLE_RULE_TYPES ? rule.value.replace(/^@/, '') : rule.value;
+    rule.matcher = compileMatcher(value, rule.mode);
+  } else if (rule.type in THRESHOLD_RULE_TYPES) {
+    rule.threshold = compileThreshold(rule.type, rule.value);
+  } else if (rule.type in PREDICATE_RULE_TYPES) {
+    rule.predicate = compilePredicate(rule.type, rule.value);
+  }
+  return rule;
+}
+
+/**
+ * Gets the error (if any) that makes a rule unable to match
+ * @param {object} rule - Parsed rule
+ * @returns {string|null}
+ */
+export function getRuleError(rule) {
+  const compiled = compileRule({ ...rule, matcher: undefined, threshold: undefined, predicate: undefined });
+  return compiled.matcher?.error || compiled.threshold?.error || compiled.predicate?.error || null;
+}
+
+/**
+ * Gets a rule's compiled matcher, compiling it on first use if the rule wasn't
+ * created by the rules parser
+ * @param {object} rule - Parsed rule
+ * @returns {object|undefined} The matcher, or undefined for non-text rule types
+ */
+export function getRuleMatcher(rule) {
+  return rule.matcher || compileRule(rule).matcher;
+}
+
+/**
+ * Gets a threshold rule's compiled comparison, compiling it on first use
+ * @param {object} rule - Parsed threshold rule
+ * @returns {object} The threshold
+ */
+export function getRuleThreshold(rule) {
+  return rule.threshold || compileRule(rule).threshold;
+}
+
+/**
+ * Gets a has/is/link/lang rule's compiled predicate, compiling it on first use
+ * @param {object} rule - Parsed predicate rule
+ * @returns {object} The predicate
+ */
+export function getRulePredicate(rule) {
+  return rule.predicate || compileRule(rule).predicate;
+}
@@ -1,13 +1,17 @@
 import { StateManager } from './StateManager.js';
 
 const DEFAULT_STATE = {
-  seen: {},
+  seenRemoved: {}, // { postId: read timestamp removed by marking unread }; read posts are in the SeenStore
+  fieldVersions: {}, // { field: ISO timestamp of last local change }, for merging
   lastUpdated: null,
   page: 'home',
   blocks: { all: [], recent: [] },
   feedSortReverse: false,
   feedHideRead: false,
   timeouts: {}, // { handle: expiresAtTimestamp }
+  timeoutsRemoved: {}, // { handle: expiresAtTimestamp removed by clearing the timeout }
+  marks: {}, // { feed: { letter: postId } }, see FeedItemHandler.setMark()
+  savedSearches: null, // null until first saved (falls back to the legacy savedSearches config)
 };
 
 let stateManager;
@@ -0,0 +1,172 @@
+// stateMerge.js - Conflict-free merge of local and remote state
+
+import { LOCAL_ONLY_FIELDS } from './sync/index.js';
+
+/**
+ * How state fields are merged:
+ *
+ * - Most fields are last-writer-wins registers: updateState() stamps each
+ *   changed field in `fieldVersions`, and the side with the newer stamp wins
+ *   that field alone. Two devices changing different settings both keep their
+ *   change. Fields without a stamp (written by older versions) use the side's
+ *   `lastUpdated`.
+ * - `seen` is an observed-remove set. Marking a post unread records the read
+ *   timestamp it removed in `seenRemoved`; a read newer than that (e.g. on
+ *   another device that hadn't synced yet) survives the removal.
+ * - `timeouts` keep the later expiration for each handle. Removing a timeout
+ *   records the expiration it removed in `timeoutsRemoved`, so merges don't
+ *   bring that timeout back; a timeout set again (with a new expiration) survives.
+ * - Local-only fields (the filter, runtime objects) are never taken from remote.
+ */
+
+// Fields with their own merge rule rather than last-writer-wins
+const MERGED_FIELDS = new Set([
+  'seen',
+  'seenRemoved',
+  'timeouts',
+  'timeoutsRemoved',
+  'fieldVersions',
+  'lastUpdated',
+  'created_at',
+]);
+
+const EPOCH = new Date(0).toISOString();
+
+function time(timestamp) {
+  return timestamp ? new Date(timestamp).getTime() : 0;
+}
+
+function isSameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merges two maps keeping the larger value per key.
+ * @param {object} local
+ * @param {object} remote
+ * @param {Function} compare - Returns > 0 if the first value is larger
+ * @returns {{merged: object, fromRemote: string[]}} Merged map and keys taken from remote
+ */
+function mergeMax(local = {}, remote = {}, compare) {
+  const merged = { ...local };
+  const fromRemote = [];
+  for (const [key, value] of Object.entries(remote)) {
+    if (!(key in merged) || compare(value, merged[key]) > 0) {
+      merged[key] = value;
+      fromRemote.push(key);
+    }
+  }
+  return { merged, fromRemote };
+}
+
+const compareTimestamps = (a, b) => time(a) - time(b);
+
+/**
+ * Merges seen entries as an observed-remove set.
+ * @param {object} localSeen - Post ID -> read timestamp
+ * @param {object} remoteSeen - Post ID -> read timestamp
+ * @param {object} seenRemoved - Post ID -> read timestamp removed by marking the post unread
+ * @returns {{seen: object, added: number, removed: number}} Merged entries, how many came
+ *   from remote, and how many local entries were removed by remote unread marks
+ */
+export function mergeSeen(localSeen = {}, remoteSeen = {}, seenRemoved = {}) {
+  const { merged: seen } = mergeMax(localSeen, remoteSeen, compareTimestamps);
+  for (const [postId, observed] of Object.entries(seenRemoved)) {
+    if (seen[postId] && time(seen[postId]) <= time(observed)) {
+      delete seen[postId];
+    }
+  }
+  return {
+    seen,
+    added: Object.keys(seen).filter((postId) => !(postId in localSeen)).length,
+    removed: Object.keys(localSeen).filter((postId) => !(postId in seen)).length,
+  };
+}
+
+/**
+ * Drops timeouts whose expiration was removed.
+ * @param {object} timeouts - Handle -> expiration in milliseconds
+ * @param {object} timeoutsRemoved - Handle -> expiration removed by clearing the timeout
+ * @returns {object}
+ */
+function withoutRemovedTimeouts(timeouts = {}, timeoutsRemoved) {
+  return Object.fromEntries(
+    Object.entries(timeouts).filter(([handle, expiresAt]) => timeoutsRemoved[handle] !== expiresAt)
+  );
+}
+
+/**
+ * Merges local and remote state.
+ * @param {object} local - Local state (may include runtime objects)
+ * @param {object} remote - Remote state; its `seen` may be omitted when only the state record was fetched
+ * @returns {{state: object, log: object}} Merged state and a description of what came from where
+ */
+export function mergeStates(local, remote) {
+  const localVersions = local.fieldVersions || {};
+  const remoteVersions = remote.fieldVersions || {};
+  const state = {};
+  const fromRemote = [];
+
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  for (const key of keys) {
+    if (MERGED_FIELDS.has(key)) continue;
+    if (LOCAL_ONLY_FIELDS.includes(key) || !(key in remote)) {
+      if (key in local) state[key] = local[key];
+      continue;
+    }
+    const localVersion = localVersions[key] || local.lastUpdated || EPOCH;
+    const remoteVersion = remoteVersions[key] || remote.lastUpdated || EPOCH;
+    // Ties keep the local value
+    if (!(key in local) || time(remoteVersion) > time(localVersion)) {
+      state[key] = remote[key];
+      if (!isSameValue(local[key], remote[key])) {
+        fromRemote.push(key);
+      }
+    } else {
+      state[key] = local[key];
+    }
+  }
+
+  state.fieldVersions = mergeMax(localVersions, remoteVersions, compareTimestamps).merged;
+  state.lastUpdated = time(remote.lastUpdated) > time(local.lastUpdated) ? remote.lastUpdated : local.lastUpdated;
+
+  const { merged: seenRemoved } = mergeMax(local.seenRemoved, remote.seenRemoved, compareTimestamps);
+  const seen = mergeSeen(local.seen, remote.seen, seenRemoved);
+  state.seen = seen.seen;
+  state.seenRemoved = seenRemoved;
+
+  const compareNumbers = (a, b) => a - b;
+  const { merged: timeoutsRemoved } = mergeMax(local.timeoutsRemoved, remote.timeoutsRemoved, compareNumbers);
+  const localTimeouts = withoutRemovedTimeouts(local.timeouts, timeoutsRemoved);
+  const timeouts = mergeMax(localTimeouts, withoutRemovedTimeouts(remote.timeouts, timeoutsRemoved), compareNumbers);
+  state.timeouts = timeouts.merged;
+  state.timeoutsRemoved = timeoutsRemoved;
+
+  return {
+    state,
+    log: {
+      localUpdated: local.lastUpdated || null,
+      remoteUpdated: remote.lastUpdated || null,
+      fromRemote,
+      seenAdded: seen.added,
+      seenRemoved: seen.removed,
+      timeoutsFromRemote: timeouts.fromRemote,
+      timeoutsRemoved: Object.keys(local.timeouts || {}).filter((handle) => !(handle in localTimeouts)),
+    },
+  };
+}
+
+/**
+ * Whether a merge took anything from remote.
+ * @param {object} log - Log from mergeStates()
+ * @returns {boolean}
+ */
+export function mergeChangedLocal(log) {
+  return (
+    log.fromRemote.length > 0 ||
+    log.seenAdded > 0 ||
+    log.seenRemoved > 0 ||
+    log.timeoutsFromRemote.length > 0 ||
+    log.timeoutsRemoved.length > 0
+  );
+}
@@ -0,0 +1,140 @@
+// CouchBackend.js - Remote state stored in a CouchDB-compatible database
+
+import { RemoteBackend } from './RemoteBackend.js';
+
+const SEEN_PREFIX = 'seen:';
+
+/**
+ * Stores state in a "state" document and each seen entry in its own
+ * "seen:<postId>" document, so the database can be replicated with CouchDB,
+ * PouchDB or any other server speaking the CouchDB replication protocol.
+ */
+export class CouchBackend extends RemoteBackend {
+  static label = 'CouchDB';
+
+  constructor(options, context) {
+    super(options, context);
+    this.databaseUrl = `${this.url}/${encodeURIComponent(options.database || 'bluesky_navigator')}`;
+    this.stateRev = null; // Last known revision of the state document
+  }
+
+  static validate(options) {
+    const error = super.validate(options);
+    if (error) return error;
+    if (options.database !== undefined && !/^[a-z][a-z0-9_$()+/-]*$/.test(options.database)) {
+      return '"database" must start with a lowercase letter and use only a-z, 0-9 and _$()+-/';
+    }
+    return null;
+  }
+
+  async loadState() {
+    const { data } = await this.requestJson({
+      method: 'GET',
+      url: `${this.databaseUrl}/state`,
+      allowStatus: [404],
+    });
+    this.stateRev = data?._rev || null;
+    return data?.state || null;
+  }
+
+  async saveState(state) {
+    // Updating the document needs its current revision
+    await this.loadState();
+    const doc = { _id: 'state', state };
+    if (this.stateRev) {
+      doc._rev = this.stateRev;
+    }
+    const response = await this.requestJson({
+      method: 'PUT',
+      url: `${this.databaseUrl}/state`,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(doc),
+    });
+    this.stateRev = response.data?.rev || null;
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} All seen documents
+   */
+  async getSeenDocs() {
+    const params = new URLSearchParams({
+      include_docs: 'true',
+      startkey: JSON.stringify(SEEN_PREFIX),
+      endkey: JSON.stringify(`${SEEN_PREFIX}\uFFF0`),
+    });
+    const { data } = await this.requestJson({
+      method: 'GET',
+      url: `${this.databaseUrl}/_all_docs?${params}`,
+    });
+    return (data?.rows || []).map((row) => row.doc).filter(Boolean);
+  }
+
+  async loadSeen() {
+    const seen = {};
+    for (const doc of await this.getSeenDocs()) {
+      if (doc.postId && doc.timestamp) {
+        seen[doc.postId] = doc.timestamp;
+      }
+    }
+    return seen;
+  }
+
+  async saveSeen(upserts, deletes) {
+    const ids = [...upserts.map(([postId]) => postId), ...deletes].map((postId) => SEEN_PREFIX + postId);
+    const { data } = await this.requestJson({
+      method: 'POST',
+      url: `${this.databaseUrl}/_all_docs`,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keys: ids }),
+    });
+    const revs = new Map();
+    for (const row of data?.rows || []) {
+      if (row.value && !row.value.deleted) {
+        revs.set(row.key, row.value.rev);
+      }
+    }
+
+    const docs = [];
+    for (const [postId, timestamp] of upserts) {
+      const _id = SEEN_PREFIX + postId;
+      docs.push({ _id, ...(revs.has(_id) && { _rev: revs.get(_id) }), postId, timestamp });
+    }
+    for (const postId of deletes) {
+      const _id = SEEN_PREFIX + postId;
+      if (revs.has(_id)) {
+        docs.push({ _id, _rev: revs.get(_id), _deleted: true });
+      }
+    }
+    await this.bulkDocs(docs);
+  }
+
+  async cleanupSeen(maxEntries) {
+    const docs = await this.getSeenDocs();
+    const count = docs.length;
+    if (count <= maxEntries) {
+      return { count, deleted: 0 };
+    }
+    docs.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const oldest = docs.slice(0, count - maxEntries);
+    await this.bulkDocs(oldest.map(({ _id, _rev }) => ({ _id, _rev, _deleted: true })));
+    return { count, deleted: oldest.length };
+  }
+
+  /**
+   * Writes a batch of documents.
+   * @param {Array<object>} docs - Documents (with _rev when updating or deleting)
+   */
+  async bulkDocs(docs) {
+    if (!docs.length) return;
+    const { data } = await this.requestJson({
+      method: 'POST',
+      url: `${this.databaseUrl}/_bulk_docs`,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ docs }),
+    });
+    const failed = (data || []).filter((result) => result.error);
+    if (failed.length) {
+      throw new Error(`${failed.length} of ${docs.length} documents failed to save (${failed[0].error})`);
+    }
+  }
+}
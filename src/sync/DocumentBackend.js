@@ -0,0 +1,136 @@
+// DocumentBackend.js - Base class for backends that store whole JSON documents
+
+import { RemoteBackend, pruneSeen } from './RemoteBackend.js';
+
+// How many times to retry a seen update that lost a race with another client
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Backends that can only read and write whole documents keep two of them:
+ * "state" and "seen". Seen changes are applied with a read-modify-write that
+ * uses the document's ETag (If-Match) so concurrent clients don't overwrite
+ * each other's entries. The state is only written over the version last
+ * loaded, which the sync has merged into what it saves.
+ *
+ * Subclasses provide documentUrl(); servers that don't return ETags still
+ * work, but without conflict detection.
+ */
+export class DocumentBackend extends RemoteBackend {
+  constructor(options, context) {
+    super(options, context);
+    this.stateEtag = undefined; // ETag of the state document last loaded (null: it didn't exist)
+  }
+
+  /**
+   * @param {string} _name - "state" or "seen"
+   * @returns {string} Absolute URL of the document
+   */
+  documentUrl(_name) {
+    throw new Error(`${this.constructor.name} does not implement documentUrl`);
+  }
+
+  /**
+   * @param {string} name - Document name
+   * @returns {Promise<{data: any, etag: string|null}>} data is null if the document doesn't exist
+   */
+  async getDocument(name) {
+    const { data, etag } = await this.requestJson({
+      method: 'GET',
+      url: this.documentUrl(name),
+      allowStatus: [404],
+    });
+    return { data, etag };
+  }
+
+  /**
+   * @param {string} name - Document name
+   * @param {any} data - JSON-serializable content
+   * @param {object} options
+   * @param {string|null} options.etag - Only write if the document is unchanged (null: must not exist)
+   * @returns {Promise<{saved: boolean, etag: string|null}>} saved is false if the write was rejected
+   *   because of a conflict; etag is the new ETag, if the server sent one
+   */
+  async putDocument(name, data, { etag } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (etag) {
+      headers['If-Match'] = etag;
+    } else if (etag === null) {
+      headers['If-None-Match'] = '*';
+    }
+    const response = await this.request({
+      method: 'PUT',
+      url: this.documentUrl(name),
+      headers,
+      body: JSON.stringify(data),
+      allowStatus: [412],
+    });
+    return { saved: response.status !== 412, etag: response.etag };
+  }
+
+  async loadState() {
+    const { data, etag } = await this.getDocument('state');
+    this.stateEtag = data ? etag || undefined : null;
+    return data;
+  }
+
+  async loadSeen() {
+    const { data } = await this.getDocument('seen');
+    return data || {};
+  }
+
+  /**
+   * @throws {Error} If the state changed remotely since it was loaded (the next sync merges it)
+   */
+  async saveState(state) {
+    const { saved, etag } = await this.putDocument('state', state, { etag: this.stateEtag });
+    if (!saved) {
+      throw new Error('State changed remotely; will retry on next sync');
+    }
+    // Later saves (e.g. while re-encrypting) build on this one
+    this.stateEtag = etag || undefined;
+  }
+
+  async saveSeen(upserts, deletes) {
+    await this.updateSeen((seen) => {
+      for (const [postId, timestamp] of upserts) {
+        seen[postId] = timestamp;
+      }
+      for (const postId of deletes) {
+        delete seen[postId];
+      }
+      return seen;
+    });
+  }
+
+  async cleanupSeen(maxEntries) {
+    let count = 0;
+    let deleted = 0;
+    await this.updateSeen((seen) => {
+      count = Object.keys(seen).length;
+      const pruned = pruneSeen(seen, maxEntries);
+      deleted = count - Object.keys(pruned).length;
+      return deleted ? pruned : null;
+    });
+    return { count, deleted };
+  }
+
+  /**
+   * Read-modify-write of the seen document, retried on conflicts.
+   * @param {Function} update - Receives the current seen map; returns the new one, or null to skip writing
+   */
+  async updateSeen(update) {
+    for (let attempt = 0; attempt <= MAX_CONFLICT_RETRIES; attempt++) {
+      const { data, etag } = await this.getDocument('seen');
+      const seen = update(data ? { ...data } : {});
+      if (!seen) return;
+      // Without an ETag only a missing document can be protected against races
+      const { saved } = await this.putDocument('seen', seen, {
+        etag: data ? etag || undefined : null,
+      });
+      if (saved) {
+        return;
+      }
+    }
+    throw new Error('Seen entries changed remotely too many times; will retry on next sync');
+  }
+}
@@ -0,0 +1,419 @@
+// EncryptedBackend.js - Client-side encryption for any remote backend
+
+import { RemoteBackend } from './RemoteBackend.js';
+import { isIsoTimestamp } from './validation.js';
+
+const ENVELOPE_VERSION = 'v1';
+// Prefix of encrypted seen values, so they can't be mistaken for plaintext timestamps
+const SEEN_VALUE_PREFIX = 'v1.';
+const PBKDF2_ITERATIONS = 310000;
+// Iteration counts accepted from a remote envelope (bounded so a tampered one can't hang the page)
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 5000000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// Keyed post ID hashes are truncated to this many bytes (still collision-free in practice)
+const POST_HASH_BYTES = 16;
+const KEY_CHECK_TEXT = 'bluesky-navigator key check';
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function sign(hashKey, text) {
+  return new Uint8Array(await crypto.subtle.sign('HMAC', hashKey, encoder.encode(text)));
+}
+
+/**
+ * Derives the keys for a passphrase: an AES-GCM key for content and an HMAC
+ * key for post ID hashes, both from one PBKDF2 derivation.
+ * @returns {Promise<object>} Keys with the salt and iteration count they were derived with
+ */
+async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512)
+  );
+  const encryptionKey = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, [
+    'encrypt',
+    'decrypt',
+  ]);
+  const hashKey = await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  return {
+    salt: toBase64(salt),
+    iterations,
+    encryptionKey,
+    hashKey,
+    keyCheck: toBase64(await sign(hashKey, KEY_CHECK_TEXT)),
+  };
+}
+
+async function encrypt(keys, text) {
+  const iv = randomBytes(IV_BYTES);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.encryptionKey, encoder.encode(text))
+  );
+  const data = new Uint8Array(iv.length + ciphertext.length);
+  data.set(iv);
+  data.set(ciphertext, iv.length);
+  return toBase64(data);
+}
+
+async function decrypt(keys, text) {
+  const data = fromBase64(text);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: data.subarray(0, IV_BYTES) },
+    keys.encryptionKey,
+    data.subarray(IV_BYTES)
+  );
+  return decoder.decode(plaintext);
+}
+
+/**
+ * @param {any} state - State loaded from a backend
+ * @returns {boolean} Whether it is an encrypted state envelope
+ */
+export function isEncryptedEnvelope(state) {
+  return Boolean(state) && state.encrypted === ENVELOPE_VERSION && typeof state.data === 'string';
+}
+
+/**
+ * Creates the error thrown when remote state can't be decrypted with the configured passphrase.
+ * @param {string} message
+ * @returns {Error}
+ */
+export function wrongPassphraseError(message = 'Wrong passphrase: synced state was encrypted with a different one') {
+  const error = new Error(message);
+  error.isWrongPassphrase = true;
+  return error;
+}
+
+/**
+ * Wraps another backend so everything it stores is encrypted on the client:
+ *
+ * - the state is stored as an envelope {encrypted, salt, iterations, keyCheck, data},
+ *   where keyCheck tells a wrong passphrase apart from corrupt data
+ * - seen entries are stored under a keyed hash of the post ID, with the post ID
+ *   and timestamp encrypted together as the value
+ *
+ * The wrapped backend only ever sees opaque strings, so it needs no changes
+ * beyond not interpreting seen values. A wrong passphrase fails every
+ * operation without writing anything.
+ *
+ * Changing the passphrase (or turning encryption on) re-encrypts the remote
+ * data on the next save: the state is written with the new key first, noting
+ * the previous key in the envelope, then the seen entries are rewritten. An
+ * interrupted rotation resumes on the next save.
+ */
+export class EncryptedBackend extends RemoteBackend {
+  static label = 'Encryption';
+
+  /**
+   * @param {RemoteBackend} inner - Backend that stores the encrypted data
+   * @param {object} options - Parsed stateSyncConfig
+   */
+  constructor(inner, options) {
+    super(options, inner.context);
+    this.inner = inner;
+    this.keys = null; // Keys for the configured passphrase, once the remote state has been checked
+    this.previousKeys = null; // Keys remote data may still be encrypted with during a rotation
+    this.rotating = false; // Whether the remote state isn't encrypted with this.keys yet
+    this.staleSeen = false; // Whether loadSeen() found entries not encrypted with this.keys
+    this.status = null; // Outcome of the last unlock (see checkPassphrase)
+    this.keyCache = new Map();
+  }
+
+  /**
+   * Checks the encryption fields of the sync config.
+   * @param {object} options - Parsed stateSyncConfig
+   * @returns {string|null} Error message, or null if usable (or encryption is off)
+   */
+  static validate(options) {
+    const { passphrase, previousPassphrase } = options;
+    if (passphrase === undefined) {
+      return previousPassphrase === undefined ? null : '"previousPassphrase" needs a "passphrase"';
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return `"passphrase" must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    if (previousPassphrase !== undefined && typeof previousPassphrase !== 'string') {
+      return '"previousPassphrase" must be a string';
+    }
+    return null;
+  }
+
+  /**
+   * Derives keys, reusing earlier derivations (PBKDF2 is deliberately slow).
+   */
+  getKeys(passphrase, salt, iterations) {
+    const cacheKey = `${iterations}:${toBase64(salt)}:${passphrase}`;
+    if (!this.keyCache.has(cacheKey)) {
+      this.keyCache.set(cacheKey, deriveKeys(passphrase, salt, iterations));
+    }
+    return this.keyCache.get(cacheKey);
+  }
+
+  /**
+   * Keys with a fresh salt, used when encrypting for the first time or rotating.
+   */
+  getNewKeys() {
+    this.newKeys ??= this.getKeys(this.options.passphrase, randomBytes(SALT_BYTES), PBKDF2_ITERATIONS);
+    return this.newKeys;
+  }
+
+  /**
+   * Loads the remote state and works out which keys remote data is encrypted with.
+   * @returns {Promise<object|null>} Decrypted state
+   * @throws {Error} With isWrongPassphrase set if neither passphrase fits
+   */
+  async unlock() {
+    const envelope = await this.inner.loadState();
+    this.previousKeys = null;
+
+    if (!isEncryptedEnvelope(envelope)) {
+      // Nothing synced yet, or state synced before encryption was turned on
+      this.keys = await this.getNewKeys();
+      this.rotating = Boolean(envelope);
+      this.status = envelope ? 'plaintext' : 'new';
+      return envelope;
+    }
+
+    const { iterations } = envelope;
+    if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+      throw new Error('Remote state has invalid encryption parameters');
+    }
+    const { passphrase, previousPassphrase } = this.options;
+    const keys = await this.getKeys(passphrase, fromBase64(envelope.salt), iterations);
+    this.rotating = false;
+
+    if (keys.keyCheck === envelope.keyCheck) {
+      this.keys = keys;
+      // A rotation that was interrupted before all seen entries were rewritten
+      const previous = envelope.previous;
+      if (previous && previousPassphrase !== undefined) {
+        const previousKeys = await this.getKeys(previousPassphrase, fromBase64(previous.salt), previous.iterations);
+        if (previousKeys.keyCheck === previous.keyCheck) {
+          this.previousKeys = previousKeys;
+          this.staleSeen = true;
+        }
+      }
+      this.status = this.staleSeen ? 'rotation' : 'ok';
+      return JSON.parse(await decrypt(keys, envelope.data));
+    }
+
+    if (previousPassphrase !== undefined) {
+      const previousKeys = await this.getKeys(previousPassphrase, fromBase64(envelope.salt), iterations);
+      if (previousKeys.keyCheck === envelope.keyCheck) {
+        this.keys = await this.getNewKeys();
+        this.previousKeys = previousKeys;
+        this.rotating = true;
+        this.status = 'rotation';
+        return JSON.parse(await decrypt(previousKeys, envelope.data));
+      }
+    }
+
+    this.keys = null;
+    throw wrongPassphraseError();
+  }
+
+  /**
+   * Checks the configured passphrase against the remote data without changing it.
+   * @returns {Promise<string>} "ok", "new" (nothing synced yet), "plaintext" (synced
+   *   unencrypted; encrypted on the next save) or "rotation" (re-encrypted with the
+   *   new passphrase on the next save)
+   * @throws {Error} With isWrongPassphrase set if the passphrase is wrong
+   */
+  async checkPassphrase() {
+    await this.unlock();
+    return this.status;
+  }
+
+  /**
+   * @returns {boolean} Whether remote data still needs re-encrypting with this.keys
+   */
+  needsRekey() {
+    return this.rotating || this.staleSeen;
+  }
+
+  async hashPostId(keys, postId) {
+    return toBase64Url((await sign(keys.hashKey, postId)).subarray(0, POST_HASH_BYTES));
+  }
+
+  async encryptSeen(postId, timestamp) {
+    return [
+      await this.hashPostId(this.keys, postId),
+      SEEN_VALUE_PREFIX + (await encrypt(this.keys, JSON.stringify([postId, timestamp]))),
+    ];
+  }
+
+  /**
+   * Decodes one stored seen entry.
+   * @returns {Promise<{postId: string, timestamp: string, current: boolean}|null>}
+   *   current is false for entries not yet encrypted with this.keys; null if undecodable
+   */
+  async decodeSeen(key, value) {
+    if (typeof value !== 'string') return null;
+    if (!value.startsWith(SEEN_VALUE_PREFIX)) {
+      // Synced before encryption was turned on
+      return isIsoTimestamp(value) ? { postId: key, timestamp: value, current: false } : null;
+    }
+    for (const keys of [this.keys, this.previousKeys]) {
+      if (!keys) continue;
+      try {
+        const [postId, timestamp] = JSON.parse(await decrypt(keys, value.slice(SEEN_VALUE_PREFIX.length)));
+        return { postId, timestamp, current: keys === this.keys };
+      } catch {
+        // Try the next key
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Loads and decodes every stored seen entry.
+   * @returns {Promise<Array<{key: string, entry: object|null}>>} Stored keys with their decoded entries
+   */
+  async readSeen() {
+    if (!this.keys) {
+      await this.unlock();
+    }
+    const stored = await this.inner.loadSeen();
+    return Promise.all(
+      Object.entries(stored).map(async ([key, value]) => ({ key, entry: await this.decodeSeen(key, value) }))
+    );
+  }
+
+  async loadState() {
+    return this.unlock();
+  }
+
+  async loadSeen() {
+    const seen = {};
+    for (const { entry } of await this.readSeen()) {
+      if (!entry) continue;
+      if (!entry.current) {
+        // Left over from an interrupted rotation; rewritten on the next save
+        this.staleSeen = true;
+      }
+      if (!seen[entry.postId] || new Date(entry.timestamp) > new Date(seen[entry.postId])) {
+        seen[entry.postId] = entry.timestamp;
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Encrypts the state into an envelope.
+   * @param {object} state
+   * @param {boolean} rotating - Note the previous keys so an interrupted rotation can resume
+   */
+  async seal(state, rotating) {
+    const { salt, iterations, keyCheck } = this.keys;
+    const envelope = { encrypted: ENVELOPE_VERSION, salt, iterations, keyCheck };
+    if (rotating && this.previousKeys) {
+      const previous = this.previousKeys;
+      envelope.previous = { salt: previous.salt, iterations: previous.iterations, keyCheck: previous.keyCheck };
+    }
+    envelope.data = await encrypt(this.keys, JSON.stringify(state));
+    return envelope;
+  }
+
+  async saveState(state) {
+    if (!this.keys) {
+      await this.unlock();
+    }
+    if (!this.needsRekey()) {
+      await this.inner.saveState(await this.seal(state));
+      return;
+    }
+
+    await this.inner.saveState(await this.seal(state, true));
+    await this.rekeySeen();
+    this.rotating = false;
+    this.staleSeen = false;
+    this.previousKeys = null;
+    this.status = 'ok';
+    // Drop the note about the previous keys now that nothing uses them
+    await this.inner.saveState(await this.seal(state));
+    console.log('[EncryptedBackend] Re-encrypted synced state');
+  }
+
+  /**
+   * Rewrites seen entries that aren't encrypted with the current keys.
+   * Entries no passphrase can decode are deleted.
+   */
+  async rekeySeen() {
+    const upserts = new Map();
+    const deletes = [];
+    for (const { key, entry } of await this.readSeen()) {
+      if (entry?.current) continue;
+      deletes.push(key);
+      if (entry && (!upserts.has(entry.postId) || new Date(entry.timestamp) > new Date(upserts.get(entry.postId)))) {
+        upserts.set(entry.postId, entry.timestamp);
+      }
+    }
+    if (!deletes.length) return;
+    const encrypted = await Promise.all(
+      [...upserts].map(([postId, timestamp]) => this.encryptSeen(postId, timestamp))
+    );
+    await this.inner.saveSeen(encrypted, deletes);
+    // Old post IDs may linger in compacted storage (e.g. PDS unread markers) until rewritten
+    await this.inner.compact({ forget: deletes });
+  }
+
+  async saveSeen(upserts, deletes) {
+    if (!this.keys) {
+      await this.unlock();
+    }
+    const encrypted = await Promise.all(upserts.map(([postId, timestamp]) => this.encryptSeen(postId, timestamp)));
+    const hashes = await Promise.all(deletes.map((postId) => this.hashPostId(this.keys, postId)));
+    if (this.needsRekey()) {
+      // The entry may not have been rewritten yet
+      hashes.push(...deletes);
+      if (this.previousKeys) {
+        hashes.push(...(await Promise.all(deletes.map((postId) => this.hashPostId(this.previousKeys, postId)))));
+      }
+    }
+    await this.inner.saveSeen(encrypted, hashes);
+  }
+
+  /**
+   * Timestamps are encrypted, so the backend can't find the oldest entries
+   * itself: they are decrypted here and deleted by hash.
+   */
+  async cleanupSeen(maxEntries) {
+    const entries = (await this.readSeen()).filter(({ entry }) => entry);
+    const count = entries.length;
+    if (count > maxEntries) {
+      entries.sort((a, b) => new Date(a.entry.timestamp) - new Date(b.entry.timestamp));
+      await this.inner.saveSeen(
+        [],
+        entries.slice(0, count - maxEntries).map(({ key }) => key)
+      );
+    }
+    await this.inner.compact({ maxEntries });
+    return { count, deleted: Math.max(count - maxEntries, 0) };
+  }
+}
@@ -0,0 +1,244 @@
+// PdsBackend.js - Remote state stored as custom records in the user's own PDS
+
+import { RemoteBackend, pruneSeen } from './RemoteBackend.js';
+import { isIsoTimestamp } from './validation.js';
+
+export const STATE_COLLECTION = 'app.bsky-navigator.state';
+export const SEEN_COLLECTION = 'app.bsky-navigator.seen';
+
+const STATE_RKEY = 'self';
+// Entries per seen record, keeping records well below the PDS size limit
+const MAX_BATCH_ENTRIES = 500;
+// com.atproto.repo.applyWrites accepts at most this many writes per call
+const MAX_WRITES_PER_CALL = 200;
+// Seen records are compacted into fresh ones once there are this many
+const COMPACT_MIN_BATCHES = 20;
+
+function isNewer(change, current) {
+  // Encrypted values (see EncryptedBackend) can't be compared, so the later record wins
+  if (!isIsoTimestamp(change.at) || !isIsoTimestamp(current.at)) {
+    return change.position > current.position;
+  }
+  return new Date(change.at) > new Date(current.at);
+}
+
+/**
+ * Replays seen records into a seen map. A post counts as seen if its latest
+ * seenAt is newer than its latest removal (mark as unread), and the newer
+ * timestamp wins when a post appears in several records -- the same rule
+ * loadState() uses to merge local and remote seen entries. Values that aren't
+ * timestamps are resolved by record order instead.
+ * @param {Array<object>} batches - app.bsky-navigator.seen record values, oldest first
+ * @returns {{seen: object, removed: object}} Post ID -> seenAt, and post ID -> removedAt for unread posts
+ */
+export function mergeSeenBatches(batches) {
+  const seen = {};
+  const removed = {};
+  let position = 0;
+  for (const batch of batches) {
+    for (const { post, seenAt } of batch.seen || []) {
+      const change = { at: seenAt, position: position++ };
+      if (!seen[post] || isNewer(change, seen[post])) {
+        seen[post] = change;
+      }
+    }
+    for (const { post, removedAt } of batch.removed || []) {
+      const change = { at: removedAt, position: position++ };
+      if (!removed[post] || isNewer(change, removed[post])) {
+        removed[post] = change;
+      }
+    }
+  }
+  for (const [post, change] of Object.entries(removed)) {
+    if (seen[post] && isNewer(seen[post], change)) {
+      delete removed[post];
+    } else {
+      delete seen[post];
+    }
+  }
+  const values = (changes) => Object.fromEntries(Object.entries(changes).map(([post, { at }]) => [post, at]));
+  return { seen: values(seen), removed: values(removed) };
+}
+
+/**
+ * Syncs through records in the logged-in user's repository, so devices sync
+ * just by logging in with the same account:
+ *
+ * - app.bsky-navigator.state/self holds the state (as JSON, since the AT
+ *   Protocol data model has no floats)
+ * - app.bsky-navigator.seen records are append-only batches of seen and
+ *   unread changes, periodically compacted into fresh batches
+ */
+export class PdsBackend extends RemoteBackend {
+  static label = 'AT Protocol PDS';
+
+  static validate(_options) {
+    // Uses the AT Protocol Agent credentials, so there's nothing else to configure
+    return null;
+  }
+
+  /**
+   * @returns {Promise<{agent: BskyAgent, repo: string}>} Logged-in agent and the user's DID
+   */
+  async getAgent() {
+    const { api } = this.context;
+    if (!api) {
+      throw new Error('Set up the AT Protocol Agent credentials to sync through your PDS');
+    }
+    const session = await api.ensureSession();
+    if (!session) {
+      throw new Error('Not logged in to the PDS');
+    }
+    return { agent: api.agent, repo: session.did };
+  }
+
+  async loadState() {
+    const { agent, repo } = await this.getAgent();
+    try {
+      const { data } = await agent.com.atproto.repo.getRecord({
+        repo,
+        collection: STATE_COLLECTION,
+        rkey: STATE_RKEY,
+      });
+      return JSON.parse(data.value.state);
+    } catch (error) {
+      if (error?.error === 'RecordNotFound' || /could not locate record/i.test(error?.message)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async saveState(state) {
+    const { agent, repo } = await this.getAgent();
+    await agent.com.atproto.repo.putRecord({
+      repo,
+      collection: STATE_COLLECTION,
+      rkey: STATE_RKEY,
+      record: {
+        $type: STATE_COLLECTION,
+        state: JSON.stringify(state),
+        updatedAt: state.lastUpdated || new Date().toISOString(),
+      },
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<{uri: string, value: object}>>} All seen records, oldest first
+   */
+  async listBatches(agent, repo) {
+    const records = [];
+    let cursor;
+    do {
+      const { data } = await agent.com.atproto.repo.listRecords({
+        repo,
+        collection: SEEN_COLLECTION,
+        limit: 100,
+        cursor,
+      });
+      records.push(...data.records);
+      cursor = data.records.length ? data.cursor : undefined;
+    } while (cursor);
+    // Record keys are TIDs, which sort by creation time
+    const rkey = (record) => record.uri.split('/').pop();
+    return records.sort((a, b) => (rkey(a) < rkey(b) ? -1 : rkey(a) > rkey(b) ? 1 : 0));
+  }
+
+  async loadSeen() {
+    const { agent, repo } = await this.getAgent();
+    const batches = await this.listBatches(agent, repo);
+    return mergeSeenBatches(batches.map((record) => record.value)).seen;
+  }
+
+  async saveSeen(upserts, deletes) {
+    const { agent, repo } = await this.getAgent();
+    const removedAt = new Date().toISOString();
+    await this.applyWrites(agent, repo, this.createBatchWrites(upserts, deletes.map((postId) => [postId, removedAt])));
+  }
+
+  /**
+   * Drops the oldest entries beyond maxEntries and compacts the seen records.
+   */
+  async cleanupSeen(maxEntries) {
+    const { agent, repo } = await this.getAgent();
+    const batches = await this.listBatches(agent, repo);
+    const { seen, removed } = mergeSeenBatches(batches.map((record) => record.value));
+    const count = Object.keys(seen).length;
+    const kept = pruneSeen(seen, maxEntries);
+    const deleted = count - Object.keys(kept).length;
+    if (deleted || batches.length >= COMPACT_MIN_BATCHES) {
+      await this.rewriteBatches(agent, repo, batches, kept, pruneSeen(removed, maxEntries));
+    }
+    return { count, deleted };
+  }
+
+  /**
+   * Compacts the seen records once there are enough of them, or right away
+   * when post IDs must be forgotten (their unread markers would otherwise stay).
+   */
+  async compact({ forget = [], maxEntries = Infinity } = {}) {
+    const { agent, repo } = await this.getAgent();
+    const batches = await this.listBatches(agent, repo);
+    if (!forget.length && batches.length < COMPACT_MIN_BATCHES) {
+      return;
+    }
+    const { seen, removed } = mergeSeenBatches(batches.map((record) => record.value));
+    for (const post of forget) {
+      delete seen[post];
+      delete removed[post];
+    }
+    await this.rewriteBatches(agent, repo, batches, seen, pruneSeen(removed, maxEntries));
+  }
+
+  /**
+   * Replaces seen records with a few compacted ones. New records are written
+   * before old ones are deleted, so an interrupted compaction only leaves
+   * duplicates, which merge away. Records added by other devices meanwhile
+   * aren't touched.
+   * @param {Array<object>} batches - Records to replace
+   * @param {object} seen - Post ID -> seenAt to keep
+   * @param {object} removed - Post ID -> removedAt to keep; unread markers are kept so an
+   *   older read uploaded by another device can't resurrect the post
+   */
+  async rewriteBatches(agent, repo, batches, seen, removed) {
+    await this.applyWrites(agent, repo, [
+      ...this.createBatchWrites(Object.entries(seen), Object.entries(removed)),
+      ...batches.map((record) => ({
+        $type: 'com.atproto.repo.applyWrites#delete',
+        collection: SEEN_COLLECTION,
+        rkey: record.uri.split('/').pop(),
+      })),
+    ]);
+    console.log(`[PdsBackend] Compacted ${batches.length} seen records`);
+  }
+
+  /**
+   * Builds writes creating seen records for a set of changes.
+   * @param {Array<[string, string]>} seenEntries - [postId, seenAt] pairs
+   * @param {Array<[string, string]>} removedEntries - [postId, removedAt] pairs
+   * @returns {Array<object>} applyWrites create operations
+   */
+  createBatchWrites(seenEntries, removedEntries) {
+    const createdAt = new Date().toISOString();
+    const writes = [];
+    for (let i = 0; i < Math.max(seenEntries.length, removedEntries.length); i += MAX_BATCH_ENTRIES) {
+      writes.push({
+        $type: 'com.atproto.repo.applyWrites#create',
+        collection: SEEN_COLLECTION,
+        value: {
+          $type: SEEN_COLLECTION,
+          seen: seenEntries.slice(i, i + MAX_BATCH_ENTRIES).map(([post, seenAt]) => ({ post, seenAt })),
+          removed: removedEntries.slice(i, i + MAX_BATCH_ENTRIES).map(([post, removedAt]) => ({ post, removedAt })),
+          createdAt,
+        },
+      });
+    }
+    return writes;
+  }
+
+  async applyWrites(agent, repo, writes) {
+    for (let i = 0; i < writes.length; i += MAX_WRITES_PER_CALL) {
+      await agent.com.atproto.repo.applyWrites({ repo, writes: writes.slice(i, i + MAX_WRITES_PER_CALL) });
+    }
+  }
+}
@@ -0,0 +1,180 @@
+// RemoteBackend.js - Base class for remote state sync backends
+
+/**
+ * A remote backend stores two things: the state object (everything except
+ * seen entries) and the seen entries themselves, which are synced
+ * incrementally because they make up most of the state.
+ *
+ * Subclasses implement the storage operations below; StateManager only ever
+ * talks to a backend through them.
+ */
+export class RemoteBackend {
+  /**
+   * @param {object} options - Parsed stateSyncConfig (already validated)
+   * @param {object} context - Objects the backend may use
+   * @param {BlueskyAPI} context.api - Logged-in AT Protocol client, if credentials are configured
+   */
+  constructor(options, context = {}) {
+    this.options = options;
+    this.context = context;
+    this.url = (options.url || '').replace(/\/$/, '');
+  }
+
+  /**
+   * Checks backend-specific config fields.
+   * @param {object} options - Parsed stateSyncConfig
+   * @returns {string|null} Error message, or null if the config is usable
+   */
+  static validate(options) {
+    if (typeof options.url !== 'string' || !/^https?:\/\/\S+$/.test(options.url)) {
+      return '"url" must be an http(s) URL';
+    }
+    for (const key of ['username', 'password', 'token']) {
+      if (options[key] !== undefined && typeof options[key] !== 'string') {
+        return `"${key}" must be a string`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {Promise<string|null>} ISO timestamp of the last remote state save
+   */
+  async getLastUpdated() {
+    const state = await this.loadState();
+    return state?.lastUpdated || null;
+  }
+
+  /**
+   * @returns {Promise<object|null>} Remote state without seen entries
+   */
+  async loadState() {
+    throw new Error(`${this.constructor.name} does not implement loadState`);
+  }
+
+  /**
+   * @returns {Promise<object>} Map of post ID -> ISO timestamp
+   */
+  async loadSeen() {
+    throw new Error(`${this.constructor.name} does not implement loadSeen`);
+  }
+
+  /**
+   * Replaces the remote state.
+   * @param {object} _state - State without seen entries
+   */
+  async saveState(_state) {
+    throw new Error(`${this.constructor.name} does not implement saveState`);
+  }
+
+  /**
+   * Applies a batch of seen changes.
+   * @param {Array<[string, string]>} _upserts - [postId, timestamp] pairs to add or update
+   * @param {string[]} _deletes - Post IDs to remove
+   */
+  async saveSeen(_upserts, _deletes) {
+    throw new Error(`${this.constructor.name} does not implement saveSeen`);
+  }
+
+  /**
+   * Deletes the oldest seen entries beyond maxEntries.
+   * @param {number} _maxEntries
+   * @returns {Promise<{count: number, deleted: number}>} Entries before cleanup and entries removed
+   */
+  async cleanupSeen(_maxEntries) {
+    throw new Error(`${this.constructor.name} does not implement cleanupSeen`);
+  }
+
+  /**
+   * Tidies storage after deletes. Backends that keep traces of deleted entries
+   * (e.g. PDS unread markers) rewrite them here; the rest have nothing to do.
+   * @param {object} _options
+   * @param {string[]} _options.forget - Post IDs that must leave no trace at all
+   * @param {number} _options.maxEntries - Most traces of deleted entries to keep
+   */
+  async compact(_options = {}) {}
+
+  /**
+   * Headers sent with every request (authentication, content type).
+   * @returns {object}
+   */
+  getHeaders() {
+    const { username, password, token } = this.options;
+    const headers = { Accept: 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    } else if (username !== undefined) {
+      headers.Authorization = 'Basic ' + btoa(`${username}:${password || ''}`);
+    }
+    return headers;
+  }
+
+  /**
+   * Sends an HTTP request to the backend.
+   * Failed requests reject with an error carrying the HTTP `status` (if any)
+   * and `retryAfter` seconds when the server asked to be left alone (e.g. 429).
+   * @param {object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Absolute URL
+   * @param {object} request.headers - Extra headers
+   * @param {string} request.body - Request body
+   * @param {number[]} request.allowStatus - Non-2xx statuses to resolve with instead of rejecting
+   * @returns {Promise<{status: number, text: string, etag: string|null}>}
+   */
+  request({ method, url, headers = {}, body, allowStatus = [] }) {
+    const allHeaders = { ...this.getHeaders(), ...headers };
+
+    return new Promise((resolve, reject) => {
+      GM_xmlhttpRequest({
+        method,
+        url,
+        headers: allHeaders,
+        data: body,
+        onload: (response) => {
+          const ok = response.status >= 200 && response.status < 300;
+          if (!ok && !allowStatus.includes(response.status)) {
+            const error = new Error(`${method} ${url}: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            const retryAfter = Number(/^retry-after:\s*(\d+)\s*$/im.exec(response.responseHeaders || '')?.[1]);
+            if (retryAfter) {
+              error.retryAfter = retryAfter;
+            }
+            reject(error);
+            return;
+          }
+          const etag = /^etag:\s*(.+)$/im.exec(response.responseHeaders || '')?.[1].trim() || null;
+          resolve({ status: response.status, text: response.responseText, etag });
+        },
+        onerror: () => {
+          reject(new Error(`Network error on ${method} ${url}`));
+        },
+      });
+    });
+  }
+
+  /**
+   * Like request(), but parses a JSON response body.
+   * @returns {Promise<{status: number, data: any, etag: string|null}>}
+   */
+  async requestJson(request) {
+    const response = await this.request(request);
+    let data = null;
+    if (response.status >= 200 && response.status < 300 && response.text) {
+      data = JSON.parse(response.text);
+    }
+    return { status: response.status, data, etag: response.etag };
+  }
+}
+
+/**
+ * Keeps the most recent maxEntries of a seen map.
+ * @param {object} seen - Map of post ID -> ISO timestamp
+ * @param {number} maxEntries
+ * @returns {object} Pruned map (the input is returned unchanged if small enough)
+ */
+export function pruneSeen(seen, maxEntries) {
+  const entries = Object.entries(seen);
+  if (entries.length <= maxEntries) return seen;
+  entries.sort(([, a], [, b]) => new Date(b) - new Date(a));
+  return Object.fromEntries(entries.slice(0, maxEntries));
+}
@@ -0,0 +1,25 @@
+// RestBackend.js - Remote state stored on a plain REST key-value server
+
+import { DocumentBackend } from './DocumentBackend.js';
+
+/**
+ * Talks to any server that implements GET and PUT of JSON values at
+ * <url>/<key>, returning 404 for missing keys. The "state" and "seen" keys
+ * can be given a prefix so several users can share one server.
+ */
+export class RestBackend extends DocumentBackend {
+  static label = 'REST key-value';
+
+  static validate(options) {
+    const error = super.validate(options);
+    if (error) return error;
+    if (options.prefix !== undefined && !/^[\w.-]*$/.test(options.prefix)) {
+      return '"prefix" may only contain letters, digits, ".", "-" and "_"';
+    }
+    return null;
+  }
+
+  documentUrl(name) {
+    return `${this.url}/${this.options.prefix || ''}${name}`;
+  }
+}
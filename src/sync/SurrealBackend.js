@@ -0,0 +1,139 @@
+// SurrealBackend.js - Remote state stored in SurrealDB
+
+import { RemoteBackend } from './RemoteBackend.js';
+
+/**
+ * Record IDs for seen entries. Post IDs are passed as bound variables, but
+ * record IDs are kept to the same safe character set earlier versions used
+ * so existing seen:<id> records are still updated in place.
+ * @param {string} postId
+ * @returns {string}
+ */
+export function seenRecordId(postId) {
+  return postId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Stores state in the state:current record and each seen entry as its own
+ * seen:<postId> record, so seen changes can be synced without rewriting state.
+ *
+ * Queries go through the /rpc endpoint, which takes variables separately from
+ * the query text: values are only ever referenced as $variables and never
+ * interpolated into SurrealQL.
+ */
+export class SurrealBackend extends RemoteBackend {
+  static label = 'SurrealDB';
+
+  constructor(options, context) {
+    super(options, context);
+    this.namespace = options.namespace || 'bluesky_navigator';
+    this.database = options.database || 'state';
+  }
+
+  static validate(options) {
+    const error = super.validate(options);
+    if (error) return error;
+    if (typeof options.username !== 'string' || typeof options.password !== 'string') {
+      return '"username" and "password" are required';
+    }
+    for (const key of ['namespace', 'database']) {
+      if (options[key] !== undefined && !/^\w+$/.test(options[key])) {
+        return `"${key}" may only contain letters, digits and underscores`;
+      }
+    }
+    return null;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'Content-Type': 'application/json',
+      // SurrealDB 2.x reads surreal-ns/surreal-db; 1.x reads ns/db
+      'Surreal-NS': this.namespace,
+      'Surreal-DB': this.database,
+      NS: this.namespace,
+      DB: this.database,
+    };
+  }
+
+  /**
+   * Executes SurrealQL with bound variables.
+   * @param {string} query - SurrealQL statements; values must be referenced as $variables
+   * @param {object} vars - Variable values, sent separately as JSON
+   * @returns {Promise<Array>} Result of each statement
+   * @throws {Error} If the request or any statement fails
+   */
+  async query(query, vars = {}) {
+    const response = await this.requestJson({
+      method: 'POST',
+      url: `${this.url}/rpc`,
+      body: JSON.stringify({ id: 1, method: 'query', params: [query, vars] }),
+    });
+    const { result, error } = response.data || {};
+    if (error) {
+      throw new Error(error.message || 'SurrealDB query failed');
+    }
+    const failed = (result || []).find((statement) => statement.status === 'ERR');
+    if (failed) {
+      throw new Error(String(failed.result));
+    }
+    return (result || []).map((statement) => statement.result);
+  }
+
+  async getLastUpdated() {
+    const [rows] = await this.query('SELECT lastUpdated FROM state:current;');
+    return rows?.[0]?.lastUpdated || null;
+  }
+
+  async loadState() {
+    const [rows] = await this.query('SELECT * FROM state:current;');
+    const result = rows?.[0];
+    if (!result) return null;
+    delete result.id;
+    return result;
+  }
+
+  async loadSeen() {
+    const [records] = await this.query('SELECT postId, timestamp FROM seen;');
+    const seen = {};
+    for (const record of records || []) {
+      if (record.postId && record.timestamp) {
+        seen[record.postId] = record.timestamp;
+      }
+    }
+    return seen;
+  }
+
+  async saveState(state) {
+    // Use CONTENT instead of MERGE to fully replace state (MERGE doesn't remove cleared fields)
+    await this.query('UPSERT state:current CONTENT $state;', { state });
+  }
+
+  async saveSeen(upserts, deletes) {
+    if (!upserts.length && !deletes.length) return;
+    await this.query(
+      `FOR $entry IN $upserts {
+        UPSERT type::thing('seen', $entry.id) SET postId = $entry.postId, timestamp = $entry.timestamp, updated_at = time::now();
+      };
+      FOR $id IN $deletes {
+        DELETE type::thing('seen', $id);
+      };`,
+      {
+        upserts: upserts.map(([postId, timestamp]) => ({ id: seenRecordId(postId), postId, timestamp })),
+        deletes: deletes.map(seenRecordId),
+      }
+    );
+  }
+
+  async cleanupSeen(maxEntries) {
+    const [rows] = await this.query('SELECT count() FROM seen GROUP ALL;');
+    const count = rows?.[0]?.count || 0;
+    if (count <= maxEntries) {
+      return { count, deleted: 0 };
+    }
+    // SurrealDB supports ORDER BY and LIMIT in DELETE
+    const deleted = count - maxEntries;
+    await this.query('DELETE FROM seen ORDER BY timestamp ASC LIMIT $limit;', { limit: deleted });
+    return { count, deleted };
+  }
+}
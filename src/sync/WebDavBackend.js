@@ -0,0 +1,15 @@
+// WebDavBackend.js - Remote state stored as JSON files on a WebDAV server
+
+import { DocumentBackend } from './DocumentBackend.js';
+
+/**
+ * Stores state.json and seen.json in a WebDAV collection (e.g. Nextcloud,
+ * Apache mod_dav, nginx dav_methods). The collection must already exist.
+ */
+export class WebDavBackend extends DocumentBackend {
+  static label = 'WebDAV';
+
+  documentUrl(name) {
+    return `${this.url}/${name}.json`;
+  }
+}
@@ -0,0 +1,85 @@
+// sync/index.js - Remote state backend registry
+
+import { SurrealBackend } from './SurrealBackend.js';
+import { WebDavBackend } from './WebDavBackend.js';
+import { CouchBackend } from './CouchBackend.js';
+import { RestBackend } from './RestBackend.js';
+import { PdsBackend } from './PdsBackend.js';
+import { EncryptedBackend } from './EncryptedBackend.js';
+
+export { RemoteBackend, pruneSeen } from './RemoteBackend.js';
+export { DocumentBackend } from './DocumentBackend.js';
+export { isEncryptedEnvelope, wrongPassphraseError } from './EncryptedBackend.js';
+export { LOCAL_ONLY_FIELDS, getRemoteStateError, getSeenEntryError, isIsoTimestamp } from './validation.js';
+export { SurrealBackend, WebDavBackend, CouchBackend, RestBackend, PdsBackend, EncryptedBackend };
+
+/**
+ * Backends selectable with the "backend" key of the sync config.
+ * SurrealDB is the default so configs written before backends existed keep working.
+ */
+export const REMOTE_BACKENDS = {
+  surrealdb: SurrealBackend,
+  webdav: WebDavBackend,
+  couchdb: CouchBackend,
+  rest: RestBackend,
+  atproto: PdsBackend,
+};
+
+const DEFAULT_BACKEND = 'surrealdb';
+
+/**
+ * Parses and validates the stateSyncConfig JSON.
+ * @param {string} configText - Raw config JSON
+ * @returns {{options: object|null, error: string|null}}
+ */
+export function parseRemoteConfig(configText) {
+  let options;
+  try {
+    options = JSON.parse(configText || '');
+  } catch (error) {
+    return { options: null, error: `Invalid JSON: ${error.message}` };
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { options: null, error: 'Sync config must be a JSON object' };
+  }
+
+  const name = options.backend ?? DEFAULT_BACKEND;
+  const Backend = REMOTE_BACKENDS[name];
+  if (!Backend) {
+    return { options: null, error: `Unknown backend "${name}" (use ${Object.keys(REMOTE_BACKENDS).join(', ')})` };
+  }
+  for (const Validator of [Backend, EncryptedBackend]) {
+    const error = Validator.validate(options);
+    if (error) {
+      return { options: null, error: `${Validator.label}: ${error}` };
+    }
+  }
+  return { options: { ...options, backend: name }, error: null };
+}
+
+/**
+ * Gets the config error to show next to the sync config field.
+ * @param {string} configText - Raw config JSON
+ * @returns {string|null} Error message, or null if valid (or empty)
+ */
+export function getRemoteConfigError(configText) {
+  if (!configText?.trim()) return null;
+  return parseRemoteConfig(configText).error;
+}
+
+/**
+ * Creates the backend described by the sync config, wrapped in an
+ * EncryptedBackend when it sets a passphrase.
+ * @param {string} configText - Raw config JSON
+ * @param {object} context - Passed to the backend constructor (see RemoteBackend)
+ * @returns {RemoteBackend}
+ * @throws {Error} If the config is invalid
+ */
+export function createRemoteBackend(configText, context = {}) {
+  const { options, error } = parseRemoteConfig(configText);
+  if (error) {
+    throw new Error(error);
+  }
+  const backend = new REMOTE_BACKENDS[options.backend](options, context);
+  return options.passphrase === undefined ? backend : new EncryptedBackend(backend, options);
+}
@@ -0,0 +1,121 @@
+// validation.js - Checks state before it is sent to a remote backend
+
+// Longest post ID accepted for sync (real ones are well under 100 characters)
+const MAX_POST_ID_LENGTH = 512;
+// Deepest nesting accepted in synced state
+const MAX_DEPTH = 16;
+/**
+ * State fields that are never sent as part of the remote state: the filter is
+ * per-session, seen entries are synced separately, and the rest are runtime
+ * objects rebuilt on load.
+ */
+export const LOCAL_ONLY_FIELDS = ['filter', 'seen', 'listCache', 'rules', 'parseRulesConfig'];
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether value is an ISO 8601 timestamp string
+ */
+export function isIsoTimestamp(value) {
+  return typeof value === 'string' && ISO_TIMESTAMP.test(value) && !isNaN(Date.parse(value));
+}
+
+function hasControlCharacters(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x20 || code === 0x7f) return true;
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Finds the first value JSON can't represent faithfully (functions, class
+ * instances, NaN/Infinity, cycles or very deep nesting).
+ * @returns {string|null} Description of the problem
+ */
+function findUnserializable(value, path, depth = 0) {
+  // undefined is allowed since JSON drops it, as it does when state is saved locally
+  if (value == null || typeof value === 'string' || typeof value === 'boolean') return null;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? null : `${path} is not a finite number`;
+  }
+  if (depth >= MAX_DEPTH) {
+    return `${path} is nested too deeply`;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      const error = findUnserializable(value[i], `${path}[${i}]`, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+  if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      const error = findUnserializable(child, `${path}.${key}`, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  }
+  return `${path} has unsupported type ${value?.constructor?.name || typeof value}`;
+}
+
+/**
+ * Checks the state object about to be saved remotely.
+ * @param {object} state - State without local-only fields
+ * @returns {string|null} Error message, or null if the state may be sent
+ */
+export function getRemoteStateError(state) {
+  if (!isPlainObject(state)) {
+    return 'State must be an object';
+  }
+  const localField = LOCAL_ONLY_FIELDS.find((field) => field in state);
+  if (localField) {
+    return `State must not include the local-only field "${localField}"`;
+  }
+  if (state.lastUpdated != null && !isIsoTimestamp(state.lastUpdated)) {
+    return 'lastUpdated must be an ISO timestamp';
+  }
+  for (const field of ['timeouts', 'timeoutsRemoved']) {
+    if (state[field] == null) continue;
+    if (!isPlainObject(state[field])) {
+      return `${field} must be an object`;
+    }
+    const bad = Object.entries(state[field]).find(([, expiresAt]) => !Number.isFinite(expiresAt));
+    if (bad) {
+      return `Timeout for "${bad[0]}" must be a timestamp in milliseconds`;
+    }
+  }
+  if (state.savedSearches != null) {
+    if (!Array.isArray(state.savedSearches) || !state.savedSearches.every((search) => typeof search === 'string')) {
+      return 'savedSearches must be a list of strings';
+    }
+  }
+  return findUnserializable(state, 'state');
+}
+
+/**
+ * Checks a seen entry about to be synced.
+ * @param {string} postId - Post ID
+ * @param {string|null} timestamp - When the post was read (null: marked unread)
+ * @returns {string|null} Error message, or null if the entry may be sent
+ */
+export function getSeenEntryError(postId, timestamp) {
+  if (typeof postId !== 'string' || !postId) {
+    return 'Post ID must be a non-empty string';
+  }
+  if (postId.length > MAX_POST_ID_LENGTH) {
+    return `Post ID is longer than ${MAX_POST_ID_LENGTH} characters`;
+  }
+  if (hasControlCharacters(postId)) {
+    return 'Post ID contains control characters';
+  }
+  if (timestamp !== null && !isIsoTimestamp(timestamp)) {
+    return `Seen timestamp for "${postId}" must be an ISO timestamp`;
+  }
+  return null;
+}
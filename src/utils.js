@@ -43,6 +43,9 @@ export function isModalOpen() {
   // Check for sync dialog
   if (document.querySelector('.sync-dialog-overlay')) return true;
 
+  // Check for command palette
+  if (document.querySelector('.command-palette')) return true;
+
   return false;
 }
 
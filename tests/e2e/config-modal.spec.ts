@@ -48,6 +48,144 @@ test.describe("Config Modal Tabs", () => {
     // Tab should be selected (auto-retries)
     await expect(rulesTab).toHaveAttribute("aria-selected", "true");
   });
+
+  test("raw rules editor reports invalid patterns", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /Rules/i }).click();
+    await modal.locator(".rules-subtab[data-subtab='raw']").click();
+
+    const textarea = modal.locator("#config-rulesConfig");
+    await textarea.fill("[test]\nallow content c++\nallow content:literal c++");
+
+    const errors = modal.locator(".rules-raw-errors .rules-row-error");
+    await expect(errors).toHaveCount(1);
+    await expect(errors.first()).toContainText('[test] Invalid pattern "c++"');
+  });
+
+  test("visual rules editor shows presentation actions", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /Rules/i }).click();
+    await modal.locator(".rules-subtab[data-subtab='raw']").click();
+    await modal.locator("#config-rulesConfig").fill("[noise]\ndim has:video\ncollapse from @spam.example");
+
+    await modal.locator(".rules-subtab[data-subtab='visual']").click();
+
+    const actions = modal.locator(".rules-row .rules-action");
+    await expect(actions).toHaveCount(2);
+    await expect(actions.nth(0)).toHaveValue("dim");
+    await expect(actions.nth(1)).toHaveValue("collapse");
+  });
+
+  test("sync config reports invalid backend settings", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /State Sync/i }).click();
+
+    const textarea = modal.locator("#config-stateSyncConfig");
+    const error = modal.locator(".config-field-error");
+
+    await textarea.fill('{"backend": "ftp", "url": "https://example.com"}');
+    await expect(error).toContainText('Unknown backend "ftp"');
+
+    await textarea.fill('{"backend": "webdav", "url": "example.com"}');
+    await expect(error).toHaveText('WebDAV: "url" must be an http(s) URL');
+
+    await textarea.fill('{"backend": "webdav", "url": "https://dav.example.com/bsky"}');
+    await expect(error).toBeEmpty();
+
+    await textarea.fill('{"backend": "atproto"}');
+    await expect(error).toBeEmpty();
+  });
+
+  test("sync status shows when sync is off", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /State Sync/i }).click();
+
+    await expect(modal.locator(".sync-status-details")).toContainText("Sync is off");
+    await expect(modal.getByRole("button", { name: "Sync now" })).toBeDisabled();
+  });
+
+  test("change passphrase keeps the old one for re-encryption", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /State Sync/i }).click();
+
+    const textarea = modal.locator("#config-stateSyncConfig");
+    const status = modal.locator(".sync-encryption-status");
+
+    await textarea.fill('{"backend": "webdav", "url": "https://dav.example.com", "passphrase": "short"}');
+    await expect(modal.locator(".config-field-error")).toContainText("at least 8 characters");
+
+    await textarea.fill('{"backend": "webdav", "url": "https://dav.example.com"}');
+    await modal.getByRole("button", { name: "Check passphrase" }).click();
+    await expect(status).toContainText("unencrypted");
+
+    await textarea.fill('{"backend": "webdav", "url": "https://dav.example.com", "passphrase": "old passphrase"}');
+    page.on("dialog", (dialog) => dialog.accept("new passphrase"));
+    await modal.getByRole("button", { name: /Change passphrase/ }).click();
+    await expect(status).toContainText("Save to re-encrypt");
+
+    const config = JSON.parse(await textarea.inputValue());
+    expect(config.passphrase).toBe("new passphrase");
+    expect(config.previousPassphrase).toBe("old passphrase");
+  });
+
+  test("accounts tab offers sections to share", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /Accounts/i }).click();
+
+    await expect(modal.locator(".accounts-current")).toContainText("Signed in as");
+    for (const section of ["rules", "read history", "timeouts", "saved searches"]) {
+      await expect(modal.getByLabel(`Share ${section}`)).not.toBeChecked();
+    }
+  });
+
+  test("keys tab binds a key and flags conflicts", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /Keys/i }).click();
+
+    const like = modal.locator(".keys-row[data-action='like']");
+    await like.getByRole("button", { name: "Bind a key to Like/Unlike" }).click();
+    await page.keyboard.press("j");
+
+    await expect(like.locator(".keys-binding kbd")).toHaveText(["l", "j"]);
+    await expect(like.locator(".keys-conflict")).toContainText('also runs "Next item (mark read)"');
+    await expect(modal.locator(".keys-conflict-summary")).toBeVisible();
+
+    await like.getByRole("button", { name: "Reset" }).click();
+    await expect(like.locator(".keys-binding kbd")).toHaveText(["l"]);
+    await expect(modal.locator(".keys-conflict-summary")).toHaveCount(0);
+  });
+
+  test("backup import previews each section before importing", async ({ authenticatedPage: page }) => {
+    const modal = page.locator(".config-modal");
+    await modal.getByRole("tab", { name: /Backup/i }).click();
+
+    const fileInput = modal.locator(".backup-file-input");
+    const status = modal.locator(".backup-status");
+
+    await fileInput.setInputFiles({
+      name: "settings.json",
+      mimeType: "application/json",
+      buffer: Buffer.from('{"theme": "Dark"}'),
+    });
+    await expect(status).toContainText("Not a Bluesky Navigator backup");
+
+    const backup = {
+      format: "bluesky-navigator-backup",
+      version: 1,
+      sections: { savedSearches: ["from:me"], timeouts: {} },
+    };
+    await fileInput.setInputFiles({
+      name: "backup.json",
+      mimeType: "application/json",
+      buffer: Buffer.from(JSON.stringify(backup)),
+    });
+
+    const modes = modal.locator(".backup-mode");
+    await expect(modes).toHaveCount(2);
+    await expect(modal.locator(".backup-preview-table")).toContainText("Saved searches");
+    await expect(modes.first().locator("option").first()).toContainText("1 added");
+    await expect(modal.getByRole("button", { name: "Import", exact: true })).toBeVisible();
+  });
 });
 
 test.describe("Config Modal Interactions", () => {
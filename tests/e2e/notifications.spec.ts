@@ -0,0 +1,58 @@
+/**
+ * Notifications page tests for Bluesky Navigator
+ *
+ * Tests keyboard navigation and the notifications-specific UI on /notifications.
+ */
+
+import { test, expect } from "../fixtures/index.js";
+import { FeedPage } from "../shared/pages/FeedPage.js";
+import { ShortcutsPage } from "../shared/pages/ShortcutsPage.js";
+
+test.describe("Notifications Page", () => {
+  test.beforeEach(async ({ authenticatedPage }) => {
+    const feedPage = new FeedPage(authenticatedPage);
+    await feedPage.waitForReady();
+
+    // Alt+N navigates to notifications
+    await feedPage.pressKey("Alt+n");
+    await expect(authenticatedPage).toHaveURL(/\/notifications/, { timeout: 10000 });
+    await feedPage.waitForReady();
+  });
+
+  test("status bar shows notifications context", async ({ authenticatedPage: page }) => {
+    await expect(page.locator(".global-info-indicator-text")).toHaveText("Notifications");
+  });
+
+  test("j key moves selection between notifications", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+
+    await feedPage.goToFirstPost();
+    const initialIndex = await feedPage.getCurrentIndex();
+    expect(initialIndex).not.toBeNull();
+
+    await feedPage.nextPost();
+
+    const afterIndex = await feedPage.getCurrentIndex();
+    expect(afterIndex).not.toBeNull();
+    expect(afterIndex).toBeGreaterThan(initialIndex!);
+  });
+
+  test("moving past a notification marks it read", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+
+    await feedPage.goToFirstPost();
+    await feedPage.nextPost();
+
+    await expect(page.locator('[data-bsky-navigator-item-index="0"]')).toHaveClass(/item-read/);
+  });
+
+  test("shortcuts overlay shows notification actions", async ({ authenticatedPage: page }) => {
+    const shortcutsPage = new ShortcutsPage(page);
+
+    await shortcutsPage.open();
+    await shortcutsPage.waitForVisible();
+
+    const overlay = page.locator(".shortcut-overlay");
+    await expect(overlay.getByRole("heading", { name: "Notification Actions" })).toBeVisible();
+  });
+});
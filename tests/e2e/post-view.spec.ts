@@ -81,11 +81,11 @@ test.describe("Media Toggle", () => {
     await feedPage.waitForReady();
   });
 
-  test("m key toggles media/video without error", async ({ authenticatedPage: page }) => {
+  test("w key toggles media/video without error", async ({ authenticatedPage: page }) => {
     const feedPage = new FeedPage(page);
 
-    // Press m to toggle media
-    await feedPage.pressKey("m");
+    // Press w to toggle media
+    await feedPage.pressKey("w");
 
     // Verify selection still works (auto-retries)
     await expect(page.locator(".item-selection-active")).toBeVisible();
@@ -0,0 +1,72 @@
+/**
+ * Search results tests for Bluesky Navigator
+ *
+ * Tests keyboard navigation, the result tab toolbar and finding in results on /search.
+ */
+
+import { test, expect } from "../fixtures/index.js";
+import { FeedPage } from "../shared/pages/FeedPage.js";
+
+test.describe("Search Results", () => {
+  test.beforeEach(async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    await feedPage.waitForReady();
+
+    await page.goto("https://bsky.app/search?q=bluesky");
+    await expect(page).toHaveURL(/\/search\?q=bluesky/, { timeout: 10000 });
+    await feedPage.waitForReady();
+  });
+
+  test("status bar shows the search query", async ({ authenticatedPage: page }) => {
+    await expect(page.locator(".global-info-indicator-text")).toHaveText("Search: bluesky");
+  });
+
+  test("j key moves selection between results", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+
+    await feedPage.goToFirstPost();
+    const initialIndex = await feedPage.getCurrentIndex();
+    expect(initialIndex).not.toBeNull();
+
+    await feedPage.nextPost();
+
+    const afterIndex = await feedPage.getCurrentIndex();
+    expect(afterIndex).not.toBeNull();
+    expect(afterIndex).toBeGreaterThan(initialIndex!);
+  });
+
+  test("toolbar shows result tab buttons", async ({ authenticatedPage: page }) => {
+    const tabs = page.locator("#bsky-navigator-toolbar .search-tab-btn");
+    await expect(tabs).toHaveText(["Top", "Latest", "People"]);
+  });
+
+  test("2 key switches to Latest tab", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+
+    await feedPage.pressKey("2");
+
+    await expect(page.locator('div[role="tab"][aria-selected="true"]')).toHaveText("Latest");
+    await expect(page.locator('.search-tab-btn[data-search-tab="Latest"]')).toHaveClass(/active/);
+  });
+
+  test("Alt+/ finds posts without hiding the others", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    const postCount = await feedPage.getPostCount();
+
+    await feedPage.pressKey("Alt+/");
+    const input = page.locator(".find-bar-input");
+    await expect(input).toBeFocused();
+    await input.pressSequentially("bluesky");
+
+    await expect(page.locator(".find-bar-status")).toContainText("post");
+    await expect(page.locator(".find-highlight").first()).toBeVisible();
+    await expect(page.locator(".feed-map-find-match").first()).toBeAttached();
+    expect(await feedPage.getPostCount()).toBeGreaterThanOrEqual(postCount);
+
+    await input.press("Enter");
+    await expect(page.locator(".find-bar")).toHaveCount(0);
+
+    await feedPage.pressKey("n");
+    await expect(page.locator(".item-selection-active .find-highlight").first()).toBeVisible();
+  });
+});
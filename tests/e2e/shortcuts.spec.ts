@@ -41,7 +41,7 @@ test.describe("Shortcuts Overlay", () => {
     await shortcutsPage.open();
     await shortcutsPage.waitForVisible();
 
-    // The overlay has ignoreNextQuestionMark logic to prevent the same
+    // The overlay has ignoreNextToggle logic to prevent the same
     // keypress that opened it from immediately closing it. We need to
     // wait for that flag to be consumed before pressing ? again.
     await page.waitForTimeout(100);
@@ -65,6 +65,50 @@ test.describe("Shortcuts Overlay", () => {
   });
 });
 
+test.describe("Command Palette", () => {
+  test.beforeEach(async ({ authenticatedPage }) => {
+    const feedPage = new FeedPage(authenticatedPage);
+    await feedPage.waitForReady();
+  });
+
+  test("Ctrl+K lists commands with their keys", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    await feedPage.pressKey("Control+k");
+
+    const palette = page.locator(".command-palette");
+    await expect(palette.getByRole("combobox")).toBeFocused();
+
+    await page.keyboard.type("like");
+    const first = palette.getByRole("option").first();
+    await expect(first).toContainText("Like/Unlike");
+    await expect(first.locator("kbd")).toHaveText(["l"]);
+    await expect(first).toHaveAttribute("aria-selected", "true");
+
+    await page.keyboard.type("zzzz");
+    await expect(palette.locator(".command-palette-empty")).toBeVisible();
+
+    await page.keyboard.press("Escape");
+    await expect(palette).toHaveCount(0);
+  });
+
+  test("commands run and are listed first next time", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    await feedPage.pressKey("Control+k");
+    await page.keyboard.type("open settings keys");
+    await page.keyboard.press("Enter");
+
+    const modal = page.locator(".config-modal");
+    await expect(modal.getByRole("tab", { name: /Keys/ })).toHaveAttribute("aria-selected", "true");
+    await page.keyboard.press("Escape");
+    await expect(modal).not.toBeVisible();
+
+    await feedPage.pressKey("Control+k");
+    await expect(page.locator(".command-palette").getByRole("option").first()).toContainText(
+      "Open settings: Keys"
+    );
+  });
+});
+
 test.describe("Config Modal", () => {
   test.beforeEach(async ({ authenticatedPage }) => {
     const feedPage = new FeedPage(authenticatedPage);
@@ -111,7 +155,7 @@ test.describe("Post Actions", () => {
     await feedPage.waitForReady();
   });
 
-  test(". key toggles read status", async ({ authenticatedPage: page }) => {
+  test("e key toggles read status", async ({ authenticatedPage: page }) => {
     const feedPage = new FeedPage(page);
     const currentPost = await feedPage.getCurrentPost();
 
@@ -120,8 +164,8 @@ test.describe("Post Actions", () => {
       el.classList.contains("item-read")
     );
 
-    // Toggle with .
-    await feedPage.pressKey(".");
+    // Toggle with e
+    await feedPage.pressKey("e");
 
     // Wait for class to change using expect auto-retry
     if (initialReadState) {
@@ -96,3 +96,90 @@ test.describe("Indicators", () => {
     await expect(searchInput).toBeVisible();
   });
 });
+
+test.describe("Filter Expressions", () => {
+  test.beforeEach(async ({ authenticatedPage }) => {
+    const feedPage = new FeedPage(authenticatedPage);
+    await feedPage.waitForReady();
+  });
+
+  test("valid expression shows filter pill", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill('(@bsky.app OR %"hello world") !%crypto');
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toBeVisible();
+    await expect(pill).not.toHaveClass(/filter-pill-error/);
+  });
+
+  test("unbalanced parentheses show a syntax error in the pill", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("(@bsky.app OR news");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toHaveClass(/filter-pill-error/);
+    await expect(pill.locator(".filter-pill-text")).toContainText("Unmatched '('");
+  });
+
+  test("engagement and age terms filter without errors", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("likes>=0 age<52w");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toBeVisible();
+    await expect(pill).not.toHaveClass(/filter-pill-error/);
+  });
+
+  test("invalid age unit shows an error in the pill", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("age<6y");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toHaveClass(/filter-pill-error/);
+    await expect(pill.locator(".filter-pill-text")).toContainText('Invalid age unit "y"');
+  });
+
+  test("content type and link terms filter without errors", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("has:quote OR link:https://www.example.com/page !link:nytimes.com");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toBeVisible();
+    await expect(pill).not.toHaveClass(/filter-pill-error/);
+  });
+
+  test("unknown content type shows an error in the pill", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("has:gif");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toHaveClass(/filter-pill-error/);
+    await expect(pill.locator(".filter-pill-text")).toContainText('Unknown content type "has:gif"');
+  });
+
+  test("unknown post type shows an error in the pill", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("!is:repost OR is:boost");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toHaveClass(/filter-pill-error/);
+    await expect(pill.locator(".filter-pill-text")).toContainText('Unknown post type "is:boost"');
+  });
+
+  test("language terms filter without errors", async ({ authenticatedPage: page }) => {
+    const searchInput = page.locator("#bsky-navigator-search");
+    await searchInput.fill("lang:en OR lang:pt-BR");
+    await searchInput.press("Enter");
+
+    const pill = page.locator("#bsky-navigator-filter-pill");
+    await expect(pill).toBeVisible();
+    await expect(pill).not.toHaveClass(/filter-pill-error/);
+  });
+});
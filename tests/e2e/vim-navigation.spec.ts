@@ -1,7 +1,7 @@
 /**
  * Vim-style Navigation tests for Bluesky Navigator
  *
- * Tests vim-style keyboard commands like gg and G.
+ * Tests vim-style keyboard commands like gg and G, counts, repeat and marks.
  */
 
 import { test, expect } from "../fixtures/index.js";
@@ -46,6 +46,52 @@ test.describe("Vim Navigation", () => {
     await expect(selectedPost).toBeVisible();
   });
 
+  test("a count moves that many posts", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    const initialIndex = await feedPage.getCurrentIndex();
+    expect(initialIndex).not.toBeNull();
+
+    await feedPage.pressKey("3");
+    const pendingCount = page.locator(".pending-count-indicator");
+    await expect(pendingCount).toHaveText("3");
+
+    await feedPage.pressKey("j");
+    await expect(pendingCount).toHaveCount(0);
+    expect(await feedPage.waitForIndexChange(initialIndex)).toBe(initialIndex! + 3);
+  });
+
+  test(". repeats the last post action", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    const currentPost = await feedPage.getCurrentPost();
+    const initiallyRead = await currentPost.evaluate((el) => el.classList.contains("item-read"));
+
+    await feedPage.pressKey("e");
+    await expect(currentPost).toHaveClass(initiallyRead ? /item-unread/ : /item-read/);
+
+    await feedPage.pressKey(".");
+    await expect(currentPost).toHaveClass(initiallyRead ? /item-read/ : /item-unread/);
+  });
+
+  test("m sets a mark and ' jumps back to it", async ({ authenticatedPage: page }) => {
+    const feedPage = new FeedPage(page);
+    const initialIndex = await feedPage.getCurrentIndex();
+    expect(initialIndex).not.toBeNull();
+
+    await feedPage.pressKey("m");
+    await expect(page.locator(".pending-count-indicator")).toHaveText("m");
+    await feedPage.pressKey("a");
+    await expect(page.locator(".pending-count-indicator")).toHaveCount(0);
+    await expect(page.locator(".feed-map-mark")).toHaveText("a");
+
+    await feedPage.pressKey("ArrowDown");
+    await feedPage.pressKey("ArrowDown");
+    const movedIndex = await feedPage.waitForIndexChange(initialIndex);
+
+    await feedPage.pressKey("'");
+    await feedPage.pressKey("a");
+    expect(await feedPage.waitForIndexChange(movedIndex)).toBe(initialIndex);
+  });
+
   test("h navigates back in history", async ({ authenticatedPage: page }) => {
     const feedPage = new FeedPage(page);
 
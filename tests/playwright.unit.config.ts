@@ -0,0 +1,17 @@
+import { defineConfig } from "@playwright/test";
+
+/**
+ * Playwright Test configuration for Bluesky Navigator unit tests
+ *
+ * These load the source modules directly in Node, so unlike the E2E tests
+ * they need no browser, extension or Bluesky credentials.
+ */
+export default defineConfig({
+  testDir: "./unit",
+
+  outputDir: process.env.PLAYWRIGHT_OUTPUT_DIR || "./test-results",
+
+  reporter: [["list"]],
+
+  forbidOnly: !!process.env.CI,
+});
@@ -0,0 +1,69 @@
+/**
+ * Account namespace tests for Bluesky Navigator
+ *
+ * Exercises the per-account storage keys directly (no browser needed): each
+ * account must get its own copy of its state, except for shared sections.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const ACCOUNTS_MODULE = new URL("../../src/accounts.js", import.meta.url).href;
+
+const PERSONAL = "did:plc:personal";
+const WORK = "did:plc:work";
+
+function createStorage(value: object | string | null) {
+  return {
+    getItem: () => (value === null || typeof value === "string" ? value : JSON.stringify(value)),
+  };
+}
+
+test.describe("Accounts", () => {
+  test("the logged-in account is read from the bsky.app session", async () => {
+    const { getCurrentAccount } = await import(ACCOUNTS_MODULE);
+    const session = { currentAccount: { did: WORK, handle: "work.example.com" }, accounts: [] };
+
+    expect(getCurrentAccount(createStorage({ session }))).toEqual({ did: WORK, handle: "work.example.com" });
+    expect(getCurrentAccount(createStorage({ session: { currentAccount: undefined } }))).toBeNull();
+    expect(getCurrentAccount(createStorage(null))).toBeNull();
+    expect(getCurrentAccount(createStorage("{"))).toBeNull();
+  });
+
+  test("the first account keeps the original keys, others get their own", async () => {
+    const { AccountNamespace } = await import(ACCOUNTS_MODULE);
+    const personal = new AccountNamespace(PERSONAL, PERSONAL);
+    const work = new AccountNamespace(WORK, PERSONAL);
+    const loggedOut = new AccountNamespace(null, PERSONAL);
+
+    expect(personal.key("bluesky_state")).toBe("bluesky_state");
+    expect(work.key("bluesky_state")).toBe(`bluesky_state:${WORK}`);
+    expect(loggedOut.key("bluesky_state")).toBe("bluesky_state");
+    expect(work.key("bluesky_navigator", "readHistory")).toBe(`bluesky_navigator:${WORK}`);
+  });
+
+  test("shared sections use one copy for every account", async () => {
+    const { AccountNamespace } = await import(ACCOUNTS_MODULE);
+    const personal = new AccountNamespace(PERSONAL, PERSONAL, ["rules", "timeouts"]);
+    const work = personal.withSharedSections(["timeouts", "rules"]);
+
+    expect(personal.sharesSections(["timeouts", "rules"])).toBe(true);
+    expect(personal.sharesSections(["rules"])).toBe(false);
+    expect(personal.key("bluesky_state", "timeouts")).toBe("bluesky_state:shared");
+    expect(work.key("bluesky_state", "timeouts")).toBe("bluesky_state:shared");
+    expect(work.key("bluesky_state", "savedSearches")).toBe("bluesky_state");
+    expect(personal.sharedStateFields()).toEqual(["timeoutsRemoved", "timeouts"]);
+  });
+
+  test("rules follow their section, and sync settings stay per account", async () => {
+    const { AccountNamespace } = await import(ACCOUNTS_MODULE);
+    const work = new AccountNamespace(WORK, PERSONAL, ["rules"]);
+    const config = "bluesky_navigator_config";
+
+    expect(work.configKey("rulesConfig", config)).toBe(`${config}:shared`);
+    expect(work.configKey("rulesetColors", config)).toBe(`${config}:shared`);
+    expect(work.configKey("stateSyncConfig", config)).toBe(`${config}:${WORK}`);
+    expect(work.configKey("theme", config)).toBe(config);
+    expect(work.withSharedSections([]).configKey("rulesConfig", config)).toBe(`${config}:${WORK}`);
+  });
+});
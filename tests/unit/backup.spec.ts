@@ -0,0 +1,162 @@
+/**
+ * Backup tests for Bluesky Navigator
+ *
+ * Exercises the backup bundle directly (no browser needed): exports must leave
+ * credentials out unless asked, imports must reject files they can't trust, and
+ * each section must merge or replace without touching the others.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const BACKUP_MODULE = new URL("../../src/backup.js", import.meta.url).href;
+
+const OLD_READ = "2024-01-01T00:00:00.000Z";
+const NEW_READ = "2024-06-01T00:00:00.000Z";
+
+function createConfig(values: Record<string, any>) {
+  const defaults: Record<string, any> = {
+    theme: "System",
+    postWidthDesktop: 600,
+    rulesConfig: "",
+    rulesetColors: "{}",
+    savedSearches: "[]",
+    atprotoPassword: "",
+    stateSyncConfig: "",
+  };
+  return {
+    defaults,
+    values: { ...defaults, ...values },
+    get(key: string) {
+      return this.values[key];
+    },
+    set(key: string, value: any) {
+      this.values[key] = value;
+    },
+  };
+}
+
+function createStateManager(state: Record<string, any>, seen: Record<string, string>) {
+  const stateManager = {
+    state: { seenRemoved: {}, ...state } as Record<string, any>,
+    seen: { ...seen },
+    seenStore: { getAll: async () => ({ ...stateManager.seen }) },
+    updateState(update: Record<string, any>) {
+      Object.assign(stateManager.state, update);
+    },
+    saveStateImmediately() {},
+    async importSeen(changes: Record<string, string | null>) {
+      for (const [postId, timestamp] of Object.entries(changes)) {
+        if (timestamp) stateManager.seen[postId] = timestamp;
+        else delete stateManager.seen[postId];
+      }
+    },
+  };
+  return stateManager;
+}
+
+test.describe("Backup", () => {
+  test("exports leave credentials out unless asked", async () => {
+    const { readBackupSections, createBackup, BACKUP_FORMAT } = await import(BACKUP_MODULE);
+    const config = createConfig({ theme: "Dark", atprotoPassword: "app-pass", stateSyncConfig: '{"passphrase": "x"}' });
+    const stateManager = createStateManager({ savedSearches: ["cats"], timeouts: {} }, { a: OLD_READ });
+
+    const bundle = createBackup(await readBackupSections(config, stateManager, { includeSecrets: false }));
+    expect(bundle.format).toBe(BACKUP_FORMAT);
+    expect(bundle.sections.settings.theme).toBe("Dark");
+    expect(bundle.sections.settings).not.toHaveProperty("atprotoPassword");
+    expect(bundle.sections.settings).not.toHaveProperty("stateSyncConfig");
+    expect(bundle.sections.settings).not.toHaveProperty("rulesConfig");
+    expect(bundle.sections.seen).toEqual({ a: OLD_READ });
+
+    const withSecrets = await readBackupSections(config, stateManager, { includeSecrets: true });
+    expect(withSecrets.settings.atprotoPassword).toBe("app-pass");
+  });
+
+  test("files that aren't valid backups are rejected", async () => {
+    const { parseBackup } = await import(BACKUP_MODULE);
+    const backup = (version: number, sections: object) =>
+      JSON.stringify({ format: "bluesky-navigator-backup", version, sections });
+
+    expect(parseBackup("{").error).toContain("Invalid JSON");
+    expect(parseBackup('{"theme": "Dark"}').error).toBe("Not a Bluesky Navigator backup");
+    expect(parseBackup(backup(2, {})).error).toContain("newer version");
+    expect(parseBackup(backup(1, { seen: { a: "yesterday" } })).error).toContain("Read history");
+    expect(parseBackup(backup(1, { timeouts: { bob: "soon" } })).error).toContain("Timeouts");
+    expect(parseBackup(backup(1, { settings: { theme: { nested: true } } })).error).toContain("Settings");
+
+    const { bundle, error } = parseBackup(backup(1, { savedSearches: ["cats"], future: {} }));
+    expect(error).toBeNull();
+    expect(Object.keys(bundle.sections)).toEqual(["savedSearches"]);
+  });
+
+  test("preview counts what merge and replace would change", async () => {
+    const { previewImport } = await import(BACKUP_MODULE);
+    const current = {
+      rules: "[friends]\n@a.bsky.social\n\n[news]\n$friends",
+      seen: { a: OLD_READ, b: OLD_READ },
+    };
+    const bundle = {
+      sections: {
+        rules: "[friends]\n@a.bsky.social\n@b.bsky.social\n\n[art]\nallow all",
+        seen: { a: NEW_READ, c: NEW_READ },
+      },
+    };
+
+    const [rules, seen] = previewImport(current, bundle);
+    expect(rules.name).toBe("rules");
+    expect(rules.count).toBe(2);
+    expect(rules.merge).toEqual({ added: 1, changed: 1, removed: 0 });
+    expect(rules.replace).toEqual({ added: 1, changed: 1, removed: 1 });
+    expect(seen.merge).toEqual({ added: 1, changed: 1, removed: 0 });
+    expect(seen.replace).toEqual({ added: 1, changed: 1, removed: 1 });
+  });
+
+  test("import merges or replaces each section as chosen", async () => {
+    const { readBackupSections, applyImport } = await import(BACKUP_MODULE);
+    const config = createConfig({
+      theme: "Dark",
+      postWidthDesktop: 800,
+      rulesConfig: "[friends]\n@a.bsky.social",
+      atprotoPassword: "app-pass",
+    });
+    const stateManager = createStateManager(
+      { savedSearches: ["cats"], timeouts: { bob: 2000 } },
+      { a: NEW_READ, b: OLD_READ }
+    );
+    const current = await readBackupSections(config, stateManager);
+    const bundle = {
+      sections: {
+        settings: { theme: "Light" },
+        rules: "[friends]\n@b.bsky.social\n\n[art]\nallow all",
+        savedSearches: ["dogs", "cats"],
+        timeouts: { bob: 1000, eve: 3000 },
+        seen: { a: OLD_READ, c: OLD_READ },
+      },
+    };
+
+    const changed = await applyImport(config, stateManager, current, bundle, {
+      settings: "replace",
+      rules: "merge",
+      savedSearches: "merge",
+      timeouts: "skip",
+      seen: "merge",
+    });
+
+    expect(changed).toEqual(["settings", "rules", "savedSearches", "seen"]);
+    // Replacing settings resets the ones missing from the backup, but keeps credentials
+    expect(config.values.theme).toBe("Light");
+    expect(config.values.postWidthDesktop).toBe(600);
+    expect(config.values.atprotoPassword).toBe("app-pass");
+    expect(config.values.rulesConfig).toBe("[friends]\n@a.bsky.social\n@b.bsky.social\n\n[art]\nallow all");
+    expect(stateManager.state.savedSearches).toEqual(["cats", "dogs"]);
+    expect(stateManager.state.timeouts).toEqual({ bob: 2000 });
+    // The newer read wins
+    expect(stateManager.seen).toEqual({ a: NEW_READ, b: OLD_READ, c: OLD_READ });
+
+    await applyImport(config, stateManager, await readBackupSections(config, stateManager), bundle, {
+      seen: "replace",
+    });
+    expect(stateManager.seen).toEqual({ a: OLD_READ, c: OLD_READ });
+  });
+});
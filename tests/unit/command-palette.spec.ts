@@ -0,0 +1,71 @@
+/**
+ * Command palette search tests for Bluesky Navigator
+ *
+ * Exercises the palette's matching directly (no browser needed): typed
+ * letters must find commands by their initials or by substrings, and recently
+ * used commands must come first.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const SEARCH_MODULE = new URL("../../src/commandSearch.js", import.meta.url).href;
+
+const COMMANDS = [
+  { id: "action:like", label: "Like/Unlike", group: "Post Actions" },
+  { id: "action:nextItem", label: "Next item (mark read)", group: "Navigation" },
+  { id: "config:feedHideRead:true", label: "Turn on: Hide read posts", group: "Settings" },
+  { id: "settings:Rules", label: "Open settings: Rules", group: "Settings" },
+];
+
+function ids(results: Array<{ command: { id: string } }>) {
+  return results.map(({ command }) => command.id);
+}
+
+test.describe("Command palette search", () => {
+  test("letters match in order, wherever they are", async () => {
+    const { fuzzyMatch } = await import(SEARCH_MODULE);
+
+    expect(fuzzyMatch("lk", "Like/Unlike")?.indices).toEqual([0, 2]);
+    expect(fuzzyMatch("hide read", "Turn on: Hide read posts")?.indices).toEqual([
+      9, 10, 11, 12, 14, 15, 16, 17,
+    ]);
+    expect(fuzzyMatch("kl", "Like")).toBeNull();
+    expect(fuzzyMatch("", "Like")?.indices).toEqual([]);
+  });
+
+  test("runs of letters and word starts rank higher", async () => {
+    const { fuzzyMatch } = await import(SEARCH_MODULE);
+
+    const run = fuzzyMatch("read", "Hide read posts");
+    const scattered = fuzzyMatch("read", "Refresh and reload");
+    expect(run.score).toBeGreaterThan(scattered.score);
+    expect(fuzzyMatch("ni", "Next item").score).toBeGreaterThan(fuzzyMatch("ni", "Unite").score);
+  });
+
+  test("commands rank by match, then by the order they were listed", async () => {
+    const { rankCommands } = await import(SEARCH_MODULE);
+
+    expect(ids(rankCommands(COMMANDS, ""))).toEqual(COMMANDS.map(({ id }) => id));
+    expect(ids(rankCommands(COMMANDS, "rules"))).toEqual(["settings:Rules"]);
+    expect(ids(rankCommands(COMMANDS, "ni")).slice(0, 1)).toEqual(["action:nextItem"]);
+    // The group is searched when the label alone doesn't match
+    const grouped = rankCommands(COMMANDS, "post like");
+    expect(ids(grouped)).toEqual(["action:like"]);
+    expect(grouped[0].indices).toEqual([]);
+  });
+
+  test("recently used commands come first", async () => {
+    const { rankCommands } = await import(SEARCH_MODULE);
+    const recent = ["settings:Rules", "action:like"];
+
+    expect(ids(rankCommands(COMMANDS, "", recent))).toEqual([
+      "settings:Rules",
+      "action:like",
+      "action:nextItem",
+      "config:feedHideRead:true",
+    ]);
+    // Only when they match
+    expect(ids(rankCommands(COMMANDS, "hide", recent))).toEqual(["config:feedHideRead:true"]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Keymap tests for Bluesky Navigator
+ *
+ * Exercises the action registry directly (no browser needed): keydowns must
+ * find the action bound to them on each page, and rebinding must flag keys
+ * that would run two actions.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const KEYMAP_MODULE = new URL("../../src/keymap.js", import.meta.url).href;
+
+function keydown(key: string, code: string, modifiers: { altKey?: boolean; shiftKey?: boolean } = {}) {
+  return { key, code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+test.describe("Keymap", () => {
+  test("keydowns are written the way bindings are", async () => {
+    const { eventKey } = await import(KEYMAP_MODULE);
+
+    expect(eventKey(keydown("j", "KeyJ"))).toBe("j");
+    expect(eventKey(keydown("J", "KeyJ", { shiftKey: true }))).toBe("J");
+    expect(eventKey(keydown(" ", "Space"))).toBe("Space");
+    // macOS types "˙" for Alt+H, so combinations use the key pressed
+    expect(eventKey(keydown("˙", "KeyH", { altKey: true }))).toBe("Alt+h");
+    expect(eventKey(keydown("⁄", "Digit1", { altKey: true, shiftKey: true }))).toBe("Alt+Shift+1");
+    expect(eventKey(keydown("≤", "Comma", { altKey: true }))).toBe("Alt+,");
+    expect(eventKey(keydown("Shift", "ShiftLeft", { shiftKey: true }))).toBeNull();
+  });
+
+  test("the default keys don't conflict", async () => {
+    const { Keymap } = await import(KEYMAP_MODULE);
+
+    expect(new Keymap().findConflicts()).toEqual([]);
+  });
+
+  test("keys find the action for the page they're pressed on", async () => {
+    const { Keymap } = await import(KEYMAP_MODULE);
+    const keymap = new Keymap();
+
+    expect(keymap.match(["l"], "feed")).toEqual({ action: "like", pending: false });
+    expect(keymap.match(["f"], "feed").action).toBe("followAuthor");
+    expect(keymap.match(["f"], "profile").action).toBe("followProfile");
+    expect(keymap.match(["R"], "notifications").action).toBe("markNotificationsRead");
+    expect(keymap.match(["Alt+h"], "post").action).toBe("goHome");
+    // Without a page only global actions match
+    expect(keymap.match(["x"], null).action).toBe("dismissToast");
+    expect(keymap.match(["l"], null).action).toBeNull();
+    // Fixed keys are handled by the handlers themselves
+    expect(keymap.match(["1"], "feed").action).toBeNull();
+  });
+
+  test("sequences wait for their next key", async () => {
+    const { Keymap } = await import(KEYMAP_MODULE);
+    const keymap = new Keymap();
+
+    expect(keymap.match(["g"], "feed")).toEqual({ action: null, pending: true });
+    expect(keymap.match(["g", "g"], "feed")).toEqual({ action: "firstItem", pending: false });
+    expect(keymap.match(["g", "x"], "feed")).toEqual({ action: null, pending: false });
+  });
+
+  test("rebound keys replace the defaults and are flagged when they clash", async () => {
+    const { Keymap } = await import(KEYMAP_MODULE);
+    const keymap = Keymap.parse(JSON.stringify({ like: ["L", "alt+K"], unknownAction: ["z"], switchTab: ["q"] }));
+
+    expect(keymap.keysFor("like")).toEqual(["L", "Alt+k"]);
+    expect(keymap.isDefault("like")).toBe(false);
+    expect(keymap.keysFor("switchTab").length).toBe(9);
+    expect(keymap.serialize()).toBe('{"like":["L","Alt+k"]}');
+    expect(keymap.match(["l"], "feed").action).toBeNull();
+    // L also adds a profile to a list, but only on profiles, where like works too
+    expect(keymap.findConflicts()).toEqual([{ key: "L", actions: ["like", "addProfileToList"] }]);
+
+    const prefix = keymap.withKeys("like", null).withKeys("savePost", ["g"]);
+    expect(prefix.findConflicts()).toEqual([{ key: "g", actions: ["firstItem", "savePost"] }]);
+    expect(prefix.withKeys("savePost", null).isDefault("savePost")).toBe(true);
+  });
+
+  test("keys written by hand are cleaned up", async () => {
+    const { normalizeKey, formatKey, Keymap } = await import(KEYMAP_MODULE);
+
+    expect(normalizeKey(" alt+H ")).toBe("Alt+h");
+    expect(normalizeKey("shift+ctrl+k")).toBe("Ctrl+Shift+k");
+    expect(normalizeKey("Shift+j")).toBe("J");
+    expect(normalizeKey("Alt++")).toBe("Alt++");
+    expect(normalizeKey("g  g")).toBe("g g");
+    expect(normalizeKey("Hyper+x")).toBeNull();
+    expect(normalizeKey("")).toBeNull();
+    expect(formatKey("Alt+h")).toBe("Alt+H");
+    expect(formatKey("ArrowDown")).toBe("↓");
+    expect(Keymap.parse("{").keysFor("like")).toEqual(["l"]);
+  });
+});
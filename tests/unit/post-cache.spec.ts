@@ -0,0 +1,174 @@
+/**
+ * Post cache tests for Bluesky Navigator
+ *
+ * Exercises BlueskyAPI's post fetching with a stub agent, and PostCache
+ * directly (no browser needed): getPost() calls must share batched requests,
+ * feed items must stop fetching once logging in failed, and the cache must
+ * keep the most recently used posts across page loads.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const API_MODULE = new URL("../../src/api.js", import.meta.url).href;
+const POST_CACHE_MODULE = new URL("../../src/PostCache.js", import.meta.url).href;
+const ITEM_HANDLER_MODULE = new URL("../../src/handlers/ItemHandler.js", import.meta.url).href;
+
+const uri = (n: number) => `at://did:plc:alice/app.bsky.feed.post/${n}`;
+const post = (postUri: string) => ({ uri: postUri, author: { did: "did:plc:alice", handle: "alice.test" } });
+
+/**
+ * A stand-in for BskyAgent's getPosts(), recording the URIs of each call.
+ * @param existing - URIs of the posts that exist
+ */
+function createAgent(existing: (postUri: string) => boolean = () => true) {
+  const calls: string[][] = [];
+  return {
+    calls,
+    async getPosts({ uris }: { uris: string[] }) {
+      calls.push(uris);
+      return { data: { posts: uris.filter(existing).map(post) } };
+    },
+  };
+}
+
+async function createApi(agent: object) {
+  const { BlueskyAPI } = await import(API_MODULE);
+  const api = new BlueskyAPI();
+  api.agent = agent;
+  return api;
+}
+
+test.describe("Post fetching", () => {
+  test("requests are split into batches of 25 URIs", async () => {
+    const agent = createAgent();
+    const api = await createApi(agent);
+    const uris = Array.from({ length: 30 }, (_, n) => uri(n));
+
+    const posts = await api.getPosts([...uris, uri(0)]);
+    expect(agent.calls.map((batch) => batch.length)).toEqual([25, 5]);
+    expect(posts[30]).toEqual(post(uri(0)));
+
+    const more = Array.from({ length: 30 }, (_, n) => uri(100 + n));
+    await Promise.all(more.map((postUri) => api.getPost(postUri)));
+    expect(agent.calls.slice(2).map((batch) => batch.length)).toEqual([25, 5]);
+  });
+
+  test("concurrent requests for a post share one fetch", async () => {
+    const agent = createAgent((postUri) => postUri !== uri(2));
+    const api = await createApi(agent);
+
+    const results = await Promise.all([api.getPost(uri(1)), api.getPost(uri(1)), api.getPost(uri(2))]);
+    expect(agent.calls).toEqual([[uri(1), uri(2)]]);
+    expect(results).toEqual([post(uri(1)), post(uri(1)), null]);
+    expect(api.didCache.get("alice.test")).toBe("did:plc:alice");
+
+    // Answered from the cache until forced
+    await api.getPost(uri(1));
+    expect(agent.calls.length).toBe(1);
+    await api.getPost(uri(1), { force: true });
+    expect(agent.calls.length).toBe(2);
+  });
+
+  test("a failed batch rejects every request waiting on it", async () => {
+    const error = new Error("Upstream failure");
+    const api = await createApi({
+      getPosts: async () => {
+        throw error;
+      },
+    });
+
+    const results = await Promise.allSettled([api.getPost(uri(1)), api.getPost(uri(1)), api.getPost(uri(2))]);
+    expect(results.map((result) => result.status)).toEqual(["rejected", "rejected", "rejected"]);
+    expect(results.map((result) => (result as PromiseRejectedResult).reason)).toEqual([error, error, error]);
+    expect(api.pendingPostRequests.size).toBe(0);
+  });
+});
+
+test.describe("Feed item posts", () => {
+  test("uncached posts stop being fetched once logging in failed", async () => {
+    const { ItemHandler } = await import(ITEM_HANDLER_MODULE);
+    const agent = createAgent();
+    const api = await createApi(agent);
+    let logins = 0;
+    api.login = async () => {
+      logins++;
+      throw new Error("Invalid identifier or password");
+    };
+    // Only what getCachedPostForItem() needs of a handler
+    const handler = Object.create(ItemHandler.prototype);
+    handler.api = api;
+    handler.urlForItem = (item: string) => `https://bsky.app/profile/did:plc:alice/post/${item}`;
+    const fetched: object[] = [];
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      expect(handler.getCachedPostForItem("1", (found: object) => fetched.push(found))).toBeNull();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      handler.getCachedPostForItem("2", (found: object) => fetched.push(found));
+      handler.getCachedPostForItem("3", (found: object) => fetched.push(found));
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(logins).toBe(1);
+    expect(agent.calls).toEqual([]);
+    expect(fetched).toEqual([]);
+
+    // Posts cached some other way are still found
+    api.postCache.set(post(uri(2)));
+    expect(handler.getCachedPostForItem("2")).toEqual(post(uri(2)));
+  });
+});
+
+test.describe("Post cache", () => {
+  test.afterEach(() => {
+    delete (globalThis as any).GM_getValue;
+    delete (globalThis as any).GM_setValue;
+  });
+
+  test("the least recently used post is evicted", async () => {
+    const { PostCache } = await import(POST_CACHE_MODULE);
+    const cache = new PostCache({ maxEntries: 2, storageKey: null });
+
+    cache.set(post(uri(1)));
+    cache.set(post(uri(2)));
+    cache.get(uri(1));
+    cache.set(post(uri(3)));
+
+    expect(cache.size).toBe(2);
+    expect(cache.has(uri(1))).toBe(true);
+    expect(cache.has(uri(2))).toBe(false);
+    expect(cache.has(uri(3))).toBe(true);
+  });
+
+  test("posts are saved and reloaded while fresh", async () => {
+    const { PostCache } = await import(POST_CACHE_MODULE);
+    const storage: Record<string, string> = {};
+    (globalThis as any).GM_getValue = (key: string, fallback: string) => storage[key] ?? fallback;
+    (globalThis as any).GM_setValue = (key: string, value: string) => {
+      storage[key] = value;
+    };
+
+    const cache = new PostCache({ maxEntries: 2, ttlMs: 60 * 1000, storageKey: "posts" });
+    cache.set(post(uri(1)));
+    cache.set(post(uri(2)));
+    // Saves are debounced by two seconds
+    await new Promise((resolve) => setTimeout(resolve, 2100));
+    expect(JSON.parse(storage.posts).map(([key]: [string]) => key)).toEqual([uri(1), uri(2)]);
+
+    // A stale entry and one beyond maxEntries are dropped on load
+    const stored = JSON.parse(storage.posts);
+    stored.unshift([uri(0), { post: post(uri(0)), fetchedAt: Date.now() - 2 * 60 * 1000 }]);
+    stored.push([uri(3), { post: post(uri(3)), fetchedAt: Date.now() }]);
+    storage.posts = JSON.stringify(stored);
+
+    const reloaded = new PostCache({ maxEntries: 2, ttlMs: 60 * 1000, storageKey: "posts" });
+    expect(reloaded.size).toBe(2);
+    expect(reloaded.get(uri(0))).toBeNull();
+    expect(reloaded.get(uri(1))).toBeNull();
+    expect(reloaded.get(uri(2))).toEqual(post(uri(2)));
+    expect(reloaded.get(uri(3))).toEqual(post(uri(3)));
+  });
+});
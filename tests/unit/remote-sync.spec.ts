@@ -0,0 +1,734 @@
+/**
+ * Remote sync tests for Bluesky Navigator
+ *
+ * Exercises the remote state layer directly (no browser needed): values must
+ * reach SurrealDB as bound variables, never as query text, malformed state
+ * must be rejected before it is sent, merges must keep concurrent changes, and
+ * encrypted sync must never expose or overwrite data it can't decrypt.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const SYNC_MODULE = new URL("../../src/sync/index.js", import.meta.url).href;
+const MERGE_MODULE = new URL("../../src/stateMerge.js", import.meta.url).href;
+const PDS_MODULE = new URL("../../src/sync/PdsBackend.js", import.meta.url).href;
+const SEEN_MODULE = new URL("../../src/SeenStore.js", import.meta.url).href;
+
+const HOSTILE_POST_IDS = [
+  'did:plc:abc/3k"; DELETE seen; --',
+  "did:plc:abc/3k' OR 1=1; --",
+  "did:plc:abc/$upserts",
+  "did:plc:abc/⟨seen⟩`}{\\",
+  "did:plc:abc/3k\"} ; REMOVE TABLE seen; {\"",
+];
+
+const HOSTILE_FILTERS = [
+  '"unterminated',
+  '@x" }; DELETE state:current; --',
+  "$rule OR (!&list) likes<5 %\"a\\\"b\"",
+  "{{constructor.prototype}}",
+];
+
+const TIMESTAMP = "2024-06-01T12:00:00.000Z";
+
+async function createSurrealBackend(result: object[] = [{ status: "OK", result: [] }]) {
+  const { createRemoteBackend } = await import(SYNC_MODULE);
+  const backend = createRemoteBackend(
+    JSON.stringify({ url: "https://db.example.com", username: "user", password: "pass" })
+  );
+  const requests: { url: string; body: string }[] = [];
+  backend.request = async (request: { url: string; body: string }) => {
+    requests.push(request);
+    return { status: 200, text: JSON.stringify({ id: 1, result }), etag: null };
+  };
+  const sent = () => requests.map((request) => JSON.parse(request.body).params as [string, Record<string, any>]);
+  return { backend, requests, sent };
+}
+
+test.describe("Remote Sync", () => {
+  test("hostile post IDs are sent as variables, not query text", async () => {
+    const { backend, requests, sent } = await createSurrealBackend();
+
+    await backend.saveSeen(
+      HOSTILE_POST_IDS.map((postId) => [postId, TIMESTAMP]),
+      HOSTILE_POST_IDS
+    );
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe("https://db.example.com/rpc");
+    const [[query, vars]] = sent();
+    for (const postId of HOSTILE_POST_IDS) {
+      expect(query).not.toContain(postId);
+    }
+    expect(vars.upserts.map((entry: { postId: string }) => entry.postId)).toEqual(HOSTILE_POST_IDS);
+    for (const { id } of vars.upserts) {
+      expect(id).toMatch(/^[\w-]+$/);
+    }
+    for (const id of vars.deletes) {
+      expect(id).toMatch(/^[\w-]+$/);
+    }
+  });
+
+  test("hostile saved filter strings are sent as variables", async () => {
+    const { backend, sent } = await createSurrealBackend();
+    const state = { lastUpdated: TIMESTAMP, savedSearches: HOSTILE_FILTERS, timeouts: { "a.bsky.social": 1717243200000 } };
+
+    await backend.saveState(state);
+
+    const [[query, vars]] = sent();
+    expect(query).toBe("UPSERT state:current CONTENT $state;");
+    expect(vars.state).toEqual(state);
+  });
+
+  test("failed statements reject", async () => {
+    const { backend } = await createSurrealBackend([{ status: "ERR", result: "Parse error" }]);
+    await expect(backend.saveState({ lastUpdated: TIMESTAMP })).rejects.toThrow("Parse error");
+  });
+
+  test("rate-limited requests say when to retry", async () => {
+    const { createRemoteBackend } = await import(SYNC_MODULE);
+    const backend = createRemoteBackend(JSON.stringify({ backend: "webdav", url: "https://dav.example.com" }));
+    (globalThis as any).GM_xmlhttpRequest = ({ onload }: { onload: (response: object) => void }) =>
+      onload({ status: 429, statusText: "Too Many Requests", responseHeaders: "Retry-After: 120\r\n" });
+    try {
+      await expect(backend.saveState({ lastUpdated: TIMESTAMP })).rejects.toMatchObject({
+        status: 429,
+        retryAfter: 120,
+      });
+    } finally {
+      delete (globalThis as any).GM_xmlhttpRequest;
+    }
+  });
+
+  test("malformed state is rejected before sending", async () => {
+    const { getRemoteStateError } = await import(SYNC_MODULE);
+
+    expect(getRemoteStateError({ lastUpdated: TIMESTAMP, savedSearches: HOSTILE_FILTERS })).toBeNull();
+    expect(getRemoteStateError({ filter: HOSTILE_FILTERS[1] })).toContain('"filter"');
+    expect(getRemoteStateError({ lastUpdated: "yesterday" })).toContain("lastUpdated");
+    expect(getRemoteStateError({ timeouts: { "a.bsky.social": "soon" } })).toContain("a.bsky.social");
+    expect(getRemoteStateError({ savedSearches: [HOSTILE_FILTERS[0], 42] })).toContain("savedSearches");
+    expect(getRemoteStateError({ focusedIndex: NaN })).toContain("state.focusedIndex");
+    expect(getRemoteStateError({ handler: () => {} })).toContain("state.handler");
+    expect(getRemoteStateError(["not", "an", "object"])).not.toBeNull();
+  });
+
+  test("malformed seen entries are rejected before sending", async () => {
+    const { getSeenEntryError } = await import(SYNC_MODULE);
+
+    for (const postId of HOSTILE_POST_IDS) {
+      expect(getSeenEntryError(postId, TIMESTAMP)).toBeNull();
+      expect(getSeenEntryError(postId, null)).toBeNull();
+    }
+    expect(getSeenEntryError("", TIMESTAMP)).not.toBeNull();
+    expect(getSeenEntryError("did:plc:abc/3k\u0000", TIMESTAMP)).toContain("control characters");
+    expect(getSeenEntryError("x".repeat(1000), TIMESTAMP)).toContain("longer than");
+    expect(getSeenEntryError("did:plc:abc/3k", '"; DELETE seen; --')).toContain("ISO timestamp");
+  });
+});
+
+/**
+ * In-memory WebDAV/REST server for document backends: stores JSON documents
+ * by URL and honors If-Match / If-None-Match like a real one.
+ */
+function createDocumentServer() {
+  const docs = new Map<string, { text: string; etag: string }>();
+  const requests: { method: string; url: string; headers: Record<string, string> }[] = [];
+  let version = 0;
+  const put = (url: string, value: object) => {
+    docs.set(url, { text: JSON.stringify(value), etag: `"${++version}"` });
+  };
+  const request = async ({ method, url, headers = {}, body, allowStatus = [] }: any) => {
+    requests.push({ method, url, headers });
+    const doc = docs.get(url);
+    let response = { status: 200, text: doc?.text || "", etag: doc?.etag || null };
+    if (method === "GET" && !doc) {
+      response = { status: 404, text: "", etag: null };
+    } else if (method === "PUT") {
+      const conflict =
+        (headers["If-Match"] && headers["If-Match"] !== doc?.etag) || (headers["If-None-Match"] === "*" && doc);
+      if (conflict) {
+        response = { status: 412, text: "", etag: null };
+      } else {
+        docs.set(url, { text: body, etag: `"${++version}"` });
+        response = { status: 201, text: "", etag: docs.get(url)!.etag };
+      }
+    }
+    if (response.status >= 300 && !allowStatus.includes(response.status)) {
+      throw Object.assign(new Error(`${method} ${url}: ${response.status}`), { status: response.status });
+    }
+    return response;
+  };
+  const read = (url: string) => (docs.has(url) ? JSON.parse(docs.get(url)!.text) : undefined);
+  return { request, requests, put, read };
+}
+
+async function createDocumentBackend(config: object) {
+  const { createRemoteBackend } = await import(SYNC_MODULE);
+  const server = createDocumentServer();
+  const backend = createRemoteBackend(JSON.stringify(config));
+  backend.request = server.request;
+  return { backend, server };
+}
+
+/**
+ * In-memory CouchDB: just the document, _all_docs and _bulk_docs endpoints
+ * CouchBackend uses, with revision checks.
+ */
+function createCouchServer(databaseUrl: string) {
+  const docs = new Map<string, Record<string, any>>();
+  let version = 0;
+  const write = (doc: Record<string, any>) => {
+    const current = docs.get(doc._id);
+    if ((current?._rev || undefined) !== (doc._rev || undefined)) {
+      return { id: doc._id, error: "conflict" };
+    }
+    const rev = `${++version}-x`;
+    if (doc._deleted) {
+      docs.delete(doc._id);
+    } else {
+      docs.set(doc._id, { ...doc, _rev: rev });
+    }
+    return { ok: true, id: doc._id, rev };
+  };
+  const request = async ({ method, url, body, allowStatus = [] }: any) => {
+    const path = url.slice(databaseUrl.length + 1);
+    let status = 200;
+    let data: any;
+    if (path === "_bulk_docs") {
+      data = JSON.parse(body).docs.map(write);
+    } else if (path === "_all_docs") {
+      const keys: string[] = JSON.parse(body).keys;
+      data = { rows: keys.map((key) => (docs.has(key) ? { key, value: { rev: docs.get(key)!._rev } } : { key, error: "not_found" })) };
+    } else if (path.startsWith("_all_docs?")) {
+      const params = new URLSearchParams(path.slice("_all_docs?".length));
+      const [start, end] = [JSON.parse(params.get("startkey")!), JSON.parse(params.get("endkey")!)];
+      const ids = [...docs.keys()].filter((id) => id >= start && id <= end).sort();
+      data = { rows: ids.map((id) => ({ id, doc: docs.get(id) })) };
+    } else if (method === "GET") {
+      data = docs.get(decodeURIComponent(path));
+      status = data ? 200 : 404;
+    } else {
+      data = write(JSON.parse(body));
+      status = data.ok ? 201 : 409;
+    }
+    if (status >= 300 && !allowStatus.includes(status)) {
+      throw Object.assign(new Error(`${method} ${url}: ${status}`), { status });
+    }
+    return { status, text: data ? JSON.stringify(data) : "", etag: null };
+  };
+  return { request, docs };
+}
+
+test.describe("Document Sync", () => {
+  const DAY_1 = "2024-06-01T00:00:00.000Z";
+  const DAY_2 = "2024-06-02T00:00:00.000Z";
+  const DAY_3 = "2024-06-03T00:00:00.000Z";
+  const WEBDAV = { backend: "webdav", url: "https://dav.example.com/sync/" };
+
+  test("state and seen entries round-trip as documents", async () => {
+    const { backend, server } = await createDocumentBackend({ backend: "rest", url: "https://kv.example.com", prefix: "me." });
+
+    expect(await backend.loadState()).toBeNull();
+    expect(await backend.loadSeen()).toEqual({});
+    await backend.saveState({ lastUpdated: DAY_1 });
+    await backend.saveSeen([["a", DAY_1], ["b", DAY_2]], []);
+    await backend.saveSeen([["c", DAY_3]], ["a"]);
+
+    expect(server.read("https://kv.example.com/me.state")).toEqual({ lastUpdated: DAY_1 });
+    expect(await backend.loadState()).toEqual({ lastUpdated: DAY_1 });
+    expect(await backend.loadSeen()).toEqual({ b: DAY_2, c: DAY_3 });
+    expect(await backend.getLastUpdated()).toBe(DAY_1);
+  });
+
+  test("state is only saved over the version that was loaded", async () => {
+    const { backend, server } = await createDocumentBackend(WEBDAV);
+    server.put("https://dav.example.com/sync/state.json", { lastUpdated: DAY_1 });
+
+    await backend.loadState();
+    // Another device saves between this one's merge and its write
+    server.put("https://dav.example.com/sync/state.json", { lastUpdated: DAY_2 });
+    await expect(backend.saveState({ lastUpdated: DAY_3 })).rejects.toThrow("changed remotely");
+    expect(server.read("https://dav.example.com/sync/state.json")).toEqual({ lastUpdated: DAY_2 });
+
+    // The next sync loads (and merges) the newer state first
+    await backend.loadState();
+    await backend.saveState({ lastUpdated: DAY_3 });
+    // Saves in a row (e.g. when re-encrypting) build on each other
+    await backend.saveState({ lastUpdated: DAY_3, savedSearches: [] });
+    expect(server.read("https://dav.example.com/sync/state.json")).toEqual({ lastUpdated: DAY_3, savedSearches: [] });
+    const puts = server.requests.filter((request) => request.method === "PUT");
+    expect(puts.map((request) => request.headers["If-Match"])).toEqual(['"1"', '"2"', '"3"']);
+  });
+
+  test("state is not saved over one created since it was found missing", async () => {
+    const { backend, server } = await createDocumentBackend(WEBDAV);
+
+    expect(await backend.loadState()).toBeNull();
+    server.put("https://dav.example.com/sync/state.json", { lastUpdated: DAY_2 });
+    await expect(backend.saveState({ lastUpdated: DAY_1 })).rejects.toThrow("changed remotely");
+    expect(server.read("https://dav.example.com/sync/state.json")).toEqual({ lastUpdated: DAY_2 });
+  });
+
+  test("seen updates are retried when another client wrote in between", async () => {
+    const { backend, server } = await createDocumentBackend(WEBDAV);
+    const url = "https://dav.example.com/sync/seen.json";
+    server.put(url, { a: DAY_1 });
+    const request = server.request;
+    let raced = false;
+    backend.request = async (options: any) => {
+      if (options.method === "PUT" && !raced) {
+        raced = true;
+        server.put(url, { a: DAY_1, b: DAY_2 });
+      }
+      return request(options);
+    };
+
+    await backend.saveSeen([["c", DAY_3]], ["a"]);
+
+    expect(server.read(url)).toEqual({ b: DAY_2, c: DAY_3 });
+  });
+
+  test("cleanup keeps the most recent seen entries", async () => {
+    const { backend, server } = await createDocumentBackend(WEBDAV);
+    server.put("https://dav.example.com/sync/seen.json", { a: DAY_1, b: DAY_3, c: DAY_2 });
+
+    expect(await backend.cleanupSeen(2)).toEqual({ count: 3, deleted: 1 });
+    expect(await backend.loadSeen()).toEqual({ b: DAY_3, c: DAY_2 });
+    const writes = server.requests.length;
+    expect(await backend.cleanupSeen(2)).toEqual({ count: 2, deleted: 0 });
+    expect(server.requests.slice(writes).map((request) => request.method)).toEqual(["GET"]);
+  });
+
+  test("CouchDB keeps state in one document and each seen entry in its own", async () => {
+    const { createRemoteBackend } = await import(SYNC_MODULE);
+    const backend = createRemoteBackend(JSON.stringify({ backend: "couchdb", url: "https://couch.example.com", database: "nav" }));
+    const server = createCouchServer("https://couch.example.com/nav");
+    backend.request = server.request;
+
+    expect(await backend.loadState()).toBeNull();
+    await backend.saveState({ lastUpdated: DAY_1 });
+    await backend.saveState({ lastUpdated: DAY_2 });
+    await backend.saveSeen([["did:plc:abc/1", DAY_1], ["did:plc:abc/2", DAY_2], ["did:plc:abc/3", DAY_3]], []);
+    await backend.saveSeen([["did:plc:abc/2", DAY_3]], ["did:plc:abc/1", "did:plc:abc/never-seen"]);
+
+    expect(server.docs.get("state")?.state).toEqual({ lastUpdated: DAY_2 });
+    expect([...server.docs.keys()].sort()).toEqual(["seen:did:plc:abc/2", "seen:did:plc:abc/3", "state"]);
+    expect(await backend.loadState()).toEqual({ lastUpdated: DAY_2 });
+    expect(await backend.loadSeen()).toEqual({ "did:plc:abc/2": DAY_3, "did:plc:abc/3": DAY_3 });
+
+    await backend.saveSeen([["did:plc:abc/4", DAY_1]], []);
+    expect(await backend.cleanupSeen(2)).toEqual({ count: 3, deleted: 1 });
+    expect(await backend.loadSeen()).toEqual({ "did:plc:abc/2": DAY_3, "did:plc:abc/3": DAY_3 });
+  });
+
+  test("CouchDB reports documents that failed to save", async () => {
+    const { createRemoteBackend } = await import(SYNC_MODULE);
+    const backend = createRemoteBackend(JSON.stringify({ backend: "couchdb", url: "https://couch.example.com" }));
+    const server = createCouchServer("https://couch.example.com/bluesky_navigator");
+    const request = server.request;
+    backend.request = async (options: any) => {
+      const response = await request(options);
+      // Another client wrote the same entry between the revision lookup and the write
+      if (options.url.endsWith("/_all_docs")) {
+        server.docs.set("seen:a", { _id: "seen:a", _rev: "9-y", postId: "a", timestamp: DAY_2 });
+      }
+      return response;
+    };
+
+    await expect(backend.saveSeen([["a", DAY_1]], [])).rejects.toThrow("1 of 1 documents failed to save (conflict)");
+  });
+});
+
+test.describe("State Merge", () => {
+  const DAY_1 = "2024-06-01T00:00:00.000Z";
+  const DAY_2 = "2024-06-02T00:00:00.000Z";
+  const DAY_3 = "2024-06-03T00:00:00.000Z";
+
+  test("different settings changed on two devices are both kept", async () => {
+    const { mergeStates } = await import(MERGE_MODULE);
+    const local = {
+      lastUpdated: DAY_2,
+      feedSortReverse: true,
+      feedHideRead: false,
+      fieldVersions: { feedSortReverse: DAY_2, feedHideRead: DAY_1 },
+    };
+    const remote = {
+      lastUpdated: DAY_3,
+      feedSortReverse: false,
+      feedHideRead: true,
+      fieldVersions: { feedSortReverse: DAY_1, feedHideRead: DAY_3 },
+    };
+
+    const { state, log } = mergeStates(local, remote);
+
+    expect(state.feedSortReverse).toBe(true);
+    expect(state.feedHideRead).toBe(true);
+    expect(state.lastUpdated).toBe(DAY_3);
+    expect(log.fromRemote).toEqual(["feedHideRead"]);
+  });
+
+  test("the local filter is never taken from remote", async () => {
+    const { mergeStates } = await import(MERGE_MODULE);
+    const { state } = mergeStates(
+      { lastUpdated: DAY_1, filter: "local" },
+      { lastUpdated: DAY_3, filter: "remote", fieldVersions: { filter: DAY_3 } }
+    );
+    expect(state.filter).toBe("local");
+  });
+
+  test("unread marks remove only the reads they observed", async () => {
+    const { mergeStates } = await import(MERGE_MODULE);
+    const local = { seen: { a: DAY_1, b: DAY_1, c: DAY_3 }, seenRemoved: {} };
+    // Remote marked a, b and c unread after reading each on day 1; c was read again locally on day 3
+    const remote = { seen: { d: DAY_2 }, seenRemoved: { a: DAY_1, b: DAY_1, c: DAY_1 } };
+
+    const { state, log } = mergeStates(local, remote);
+
+    expect(state.seen).toEqual({ c: DAY_3, d: DAY_2 });
+    expect(log.seenAdded).toBe(1);
+    expect(log.seenRemoved).toBe(2);
+  });
+
+  test("timeouts keep the later expiration", async () => {
+    const { mergeStates } = await import(MERGE_MODULE);
+    const { state, log } = mergeStates(
+      { timeouts: { "a.bsky.social": 2000, "b.bsky.social": 1000 } },
+      { timeouts: { "a.bsky.social": 1000, "b.bsky.social": 3000 } }
+    );
+    expect(state.timeouts).toEqual({ "a.bsky.social": 2000, "b.bsky.social": 3000 });
+    expect(log.timeoutsFromRemote).toEqual(["b.bsky.social"]);
+  });
+
+  test("removed timeouts stay removed unless set again", async () => {
+    const { mergeStates, mergeChangedLocal } = await import(MERGE_MODULE);
+    // Remote cleared a and b; b was set again locally since, with a new expiration
+    const { state, log } = mergeStates(
+      { timeouts: { "a.bsky.social": 2000, "b.bsky.social": 4000 } },
+      { timeouts: {}, timeoutsRemoved: { "a.bsky.social": 2000, "b.bsky.social": 1000 } }
+    );
+    expect(state.timeouts).toEqual({ "b.bsky.social": 4000 });
+    expect(state.timeoutsRemoved).toEqual({ "a.bsky.social": 2000, "b.bsky.social": 1000 });
+    expect(log.timeoutsRemoved).toEqual(["a.bsky.social"]);
+    expect(mergeChangedLocal(log)).toBe(true);
+  });
+
+  test("read history merges remote reads and unread marks", async () => {
+    const { SeenStore } = await import(SEEN_MODULE);
+    // Node has no IndexedDB, so this exercises the in-memory store
+    const store = new SeenStore({ hotCacheSize: 100 });
+    await store.open();
+    await store.setMany({ a: DAY_1, b: DAY_1, c: DAY_3 });
+
+    const result = await store.merge({ a: DAY_2, d: DAY_2 }, { b: DAY_1, c: DAY_1 });
+
+    expect(result).toEqual({
+      added: 1,
+      removed: 1,
+      // What changed, for other tabs (null: marked unread)
+      changes: { a: DAY_2, b: null, d: DAY_2 },
+    });
+    expect(await store.getAll()).toEqual({ a: DAY_2, c: DAY_3, d: DAY_2 });
+    expect(store.get("b")).toBeUndefined();
+  });
+});
+
+/**
+ * In-memory stand-in for a storage backend, recording what an EncryptedBackend writes to it.
+ */
+function createMemoryStore(state: object | null = null, seen: Record<string, string> = {}) {
+  const store = { state: state as Record<string, any> | null, seen: { ...seen } };
+  const copy = <T>(value: T): T => JSON.parse(JSON.stringify(value));
+  const inner = {
+    context: {},
+    failSeenWrites: 0,
+    loadState: async () => copy(store.state),
+    loadSeen: async () => ({ ...store.seen }),
+    saveState: async (value: object) => {
+      store.state = copy(value);
+    },
+    saveSeen: async (upserts: [string, string][], deletes: string[]) => {
+      if (inner.failSeenWrites > 0) {
+        inner.failSeenWrites--;
+        throw new Error("Network error");
+      }
+      deletes.forEach((key) => delete store.seen[key]);
+      upserts.forEach(([key, value]) => (store.seen[key] = value));
+    },
+    compact: async () => {},
+  };
+  return { store, inner };
+}
+
+test.describe("Encrypted Sync", () => {
+  const DAY_1 = "2024-06-01T00:00:00.000Z";
+  const DAY_2 = "2024-06-02T00:00:00.000Z";
+  const PASSPHRASE = "correct horse battery";
+  const NEW_PASSPHRASE = "staple shelf lantern";
+
+  async function encrypted(inner: object, options: object) {
+    const { EncryptedBackend } = await import(SYNC_MODULE);
+    return new EncryptedBackend(inner, options);
+  }
+
+  test("state and seen entries are encrypted before they are stored", async () => {
+    const { store, inner } = createMemoryStore();
+    const backend = await encrypted(inner, { passphrase: PASSPHRASE });
+    const state = { lastUpdated: DAY_1, savedSearches: HOSTILE_FILTERS };
+
+    expect(await backend.checkPassphrase()).toBe("new");
+    await backend.saveState(state);
+    await backend.saveSeen(HOSTILE_POST_IDS.map((postId) => [postId, DAY_1]), []);
+
+    const stored = JSON.stringify(store);
+    expect(stored).not.toContain(DAY_1);
+    for (const text of [...HOSTILE_POST_IDS, ...HOSTILE_FILTERS]) {
+      expect(stored).not.toContain(JSON.stringify(text).slice(1, -1));
+    }
+    for (const key of Object.keys(store.seen)) {
+      expect(key).toMatch(/^[\w-]+$/);
+    }
+
+    const reader = await encrypted(inner, { passphrase: PASSPHRASE });
+    expect(await reader.loadState()).toEqual(state);
+    expect(Object.keys(await reader.loadSeen()).sort()).toEqual([...HOSTILE_POST_IDS].sort());
+  });
+
+  test("a wrong passphrase fails without writing anything", async () => {
+    const { store, inner } = createMemoryStore();
+    await (await encrypted(inner, { passphrase: PASSPHRASE })).saveState({ lastUpdated: DAY_1 });
+    const before = JSON.stringify(store);
+
+    const backend = await encrypted(inner, { passphrase: "not the passphrase" });
+    await expect(backend.checkPassphrase()).rejects.toMatchObject({ isWrongPassphrase: true });
+    await expect(backend.saveState({ lastUpdated: DAY_2 })).rejects.toMatchObject({ isWrongPassphrase: true });
+    await expect(backend.saveSeen([["did:plc:abc/3k", DAY_2]], [])).rejects.toMatchObject({ isWrongPassphrase: true });
+
+    expect(JSON.stringify(store)).toBe(before);
+  });
+
+  test("plaintext data is encrypted on the next save", async () => {
+    const { store, inner } = createMemoryStore({ lastUpdated: DAY_1 }, { "did:plc:abc/3k": DAY_1 });
+    const backend = await encrypted(inner, { passphrase: PASSPHRASE });
+
+    expect(await backend.checkPassphrase()).toBe("plaintext");
+    await backend.saveState({ lastUpdated: DAY_2 });
+
+    expect(Object.keys(store.seen)).not.toContain("did:plc:abc/3k");
+    const reader = await encrypted(inner, { passphrase: PASSPHRASE });
+    expect(await reader.loadSeen()).toEqual({ "did:plc:abc/3k": DAY_1 });
+  });
+
+  test("changing the passphrase re-encrypts everything, resuming after interruptions", async () => {
+    const { store, inner } = createMemoryStore();
+    const original = await encrypted(inner, { passphrase: PASSPHRASE });
+    await original.saveState({ lastUpdated: DAY_1 });
+    await original.saveSeen([["did:plc:abc/1", DAY_1], ["did:plc:abc/2", DAY_2]], []);
+
+    // The state is re-encrypted, but rewriting seen entries fails
+    const rotating = await encrypted(inner, { passphrase: NEW_PASSPHRASE, previousPassphrase: PASSPHRASE });
+    expect(await rotating.checkPassphrase()).toBe("rotation");
+    inner.failSeenWrites = 1;
+    await expect(rotating.saveState({ lastUpdated: DAY_2 })).rejects.toThrow("Network error");
+    expect(store.state?.previous).toBeDefined();
+
+    const resumed = await encrypted(inner, { passphrase: NEW_PASSPHRASE, previousPassphrase: PASSPHRASE });
+    expect(await resumed.loadSeen()).toEqual({ "did:plc:abc/1": DAY_1, "did:plc:abc/2": DAY_2 });
+    await resumed.saveState(await resumed.loadState());
+    expect(store.state?.previous).toBeUndefined();
+
+    const reader = await encrypted(inner, { passphrase: NEW_PASSPHRASE });
+    expect(await reader.checkPassphrase()).toBe("ok");
+    expect(await reader.loadSeen()).toEqual({ "did:plc:abc/1": DAY_1, "did:plc:abc/2": DAY_2 });
+    await expect((await encrypted(inner, { passphrase: PASSPHRASE })).loadState()).rejects.toMatchObject({
+      isWrongPassphrase: true,
+    });
+  });
+
+  test("passphrase settings are validated", async () => {
+    const { getRemoteConfigError, createRemoteBackend } = await import(SYNC_MODULE);
+    const config = (extra: object) => JSON.stringify({ backend: "webdav", url: "https://dav.example.com", ...extra });
+
+    expect(getRemoteConfigError(config({ passphrase: PASSPHRASE }))).toBeNull();
+    expect(getRemoteConfigError(config({ passphrase: "short" }))).toContain("at least");
+    expect(getRemoteConfigError(config({ previousPassphrase: PASSPHRASE }))).toContain("passphrase");
+    expect(createRemoteBackend(config({ passphrase: PASSPHRASE })).constructor.name).toBe("EncryptedBackend");
+    expect(createRemoteBackend(config({})).constructor.name).toBe("WebDavBackend");
+  });
+
+  test("PDS seen records with encrypted values merge in record order", async () => {
+    const { mergeSeenBatches } = await import(PDS_MODULE);
+    const { seen, removed } = mergeSeenBatches([
+      { seen: [{ post: "a", seenAt: "v1.first" }, { post: "b", seenAt: "v1.b" }] },
+      { seen: [{ post: "a", seenAt: "v1.second" }], removed: [{ post: "b", removedAt: DAY_1 }] },
+      { seen: [{ post: "c", seenAt: DAY_1 }, { post: "c", seenAt: DAY_2 }] },
+    ]);
+    expect(seen).toEqual({ a: "v1.second", c: DAY_2 });
+    expect(removed).toEqual({ b: DAY_1 });
+  });
+});
+
+/**
+ * In-memory PDS behind a logged-in api, serving listRecords a few records per page.
+ */
+function createPdsApi(pageSize = 100) {
+  const DID = "did:plc:navigator";
+  const records = new Map<string, Record<string, any>>();
+  let stateRecord: Record<string, any> | null = null;
+  let tid = 0;
+  const calls = { listRecords: [] as (string | undefined)[], applyWrites: [] as number[] };
+  const repo = {
+    getRecord: async () => {
+      if (!stateRecord) {
+        throw Object.assign(new Error("Could not locate record"), { error: "RecordNotFound" });
+      }
+      return { data: { value: stateRecord } };
+    },
+    putRecord: async ({ record }: { record: Record<string, any> }) => {
+      stateRecord = record;
+    },
+    listRecords: async ({ collection, limit, cursor }: { collection: string; limit: number; cursor?: string }) => {
+      calls.listRecords.push(cursor);
+      // Newest first, like a real PDS
+      const rkeys = [...records.keys()].sort().reverse();
+      const start = cursor ? rkeys.indexOf(cursor) + 1 : 0;
+      const page = rkeys.slice(start, start + Math.min(limit, pageSize));
+      return {
+        data: {
+          records: page.map((rkey) => ({ uri: `at://${DID}/${collection}/${rkey}`, value: records.get(rkey) })),
+          cursor: page.at(-1),
+        },
+      };
+    },
+    applyWrites: async ({ writes }: { writes: Record<string, any>[] }) => {
+      calls.applyWrites.push(writes.length);
+      for (const write of writes) {
+        if (write.$type.endsWith("#create")) {
+          records.set(`3k${String(++tid).padStart(10, "0")}`, write.value);
+        } else {
+          records.delete(write.rkey);
+        }
+      }
+    },
+  };
+  const api = { agent: { com: { atproto: { repo } } }, ensureSession: async () => ({ did: DID }) };
+  return { api, records, calls };
+}
+
+test.describe("PDS Sync", () => {
+  const DAY_1 = "2024-06-01T00:00:00.000Z";
+  const DAY_2 = "2024-06-02T00:00:00.000Z";
+  const DAY_3 = "2024-06-03T00:00:00.000Z";
+
+  async function createPdsBackend(pageSize?: number) {
+    const { createRemoteBackend } = await import(SYNC_MODULE);
+    const pds = createPdsApi(pageSize);
+    const backend = createRemoteBackend(JSON.stringify({ backend: "atproto" }), { api: pds.api });
+    return { backend, ...pds };
+  }
+
+  test("every backend gets the context, encrypted or not", async () => {
+    const { createRemoteBackend } = await import(SYNC_MODULE);
+    const context = { api: createPdsApi().api };
+    for (const backend of ["surrealdb", "webdav", "couchdb", "rest", "atproto"]) {
+      for (const passphrase of [undefined, "correct horse battery"]) {
+        const config = JSON.stringify({ backend, url: "https://sync.example.com", username: "user", password: "pass", passphrase });
+        expect(createRemoteBackend(config, context).context).toBe(context);
+      }
+    }
+  });
+
+  test("state round-trips through one record", async () => {
+    const { backend } = await createPdsBackend();
+
+    expect(await backend.loadState()).toBeNull();
+    await backend.saveState({ lastUpdated: DAY_1, savedSearches: HOSTILE_FILTERS });
+    await backend.saveState({ lastUpdated: DAY_2, savedSearches: HOSTILE_FILTERS });
+
+    expect(await backend.loadState()).toEqual({ lastUpdated: DAY_2, savedSearches: HOSTILE_FILTERS });
+  });
+
+  test("seen records merge by timestamp, whatever their order", async () => {
+    const { mergeSeenBatches } = await import(PDS_MODULE);
+    const { seen, removed } = mergeSeenBatches([
+      { seen: [{ post: "a", seenAt: DAY_3 }, { post: "b", seenAt: DAY_1 }, { post: "c", seenAt: DAY_2 }] },
+      // An older read of a, uploaded late by another device
+      { seen: [{ post: "a", seenAt: DAY_1 }], removed: [{ post: "b", removedAt: DAY_2 }, { post: "c", removedAt: DAY_1 }] },
+    ]);
+    expect(seen).toEqual({ a: DAY_3, c: DAY_2 });
+    expect(removed).toEqual({ b: DAY_2 });
+  });
+
+  test("seen records are read across pages, oldest first", async () => {
+    const { backend, calls } = await createPdsBackend(2);
+    for (const [postId, timestamp] of [["a", DAY_1], ["a", DAY_2], ["b", DAY_1], ["b", DAY_3], ["a", DAY_3]]) {
+      await backend.saveSeen([[postId, timestamp]], []);
+    }
+
+    calls.listRecords.length = 0;
+    expect(await backend.loadSeen()).toEqual({ a: DAY_3, b: DAY_3 });
+    // Three pages, then an empty one that ends the listing
+    expect(calls.listRecords).toHaveLength(4);
+    expect(calls.listRecords[0]).toBeUndefined();
+  });
+
+  test("unread marks are appended and keep older reads from coming back", async () => {
+    const { backend, records } = await createPdsBackend();
+    await backend.saveSeen([["a", DAY_1], ["b", DAY_1]], []);
+    await backend.saveSeen([], ["a"]);
+    await backend.saveSeen([["a", DAY_1]], []);
+
+    expect(records.size).toBe(3);
+    expect(await backend.loadSeen()).toEqual({ b: DAY_1 });
+  });
+
+  test("cleanup drops the oldest entries and compacts the records", async () => {
+    const { backend, records } = await createPdsBackend();
+    await backend.saveSeen([["a", DAY_1], ["b", DAY_2]], []);
+    await backend.saveSeen([["c", DAY_3]], []);
+    await backend.saveSeen([], ["b"]);
+
+    expect(await backend.cleanupSeen(1)).toEqual({ count: 2, deleted: 1 });
+
+    expect(records.size).toBe(1);
+    const [record] = records.values();
+    expect(record.seen).toEqual([{ post: "c", seenAt: DAY_3 }]);
+    expect(record.removed.map((entry: { post: string }) => entry.post)).toEqual(["b"]);
+    expect(await backend.loadSeen()).toEqual({ c: DAY_3 });
+  });
+
+  test("compaction waits for enough records unless posts must be forgotten", async () => {
+    const { backend, records } = await createPdsBackend();
+    await backend.saveSeen([["a", DAY_1], ["b", DAY_1]], []);
+    await backend.saveSeen([], ["a"]);
+
+    await backend.compact({ maxEntries: 10 });
+    expect(records.size).toBe(2);
+
+    await backend.compact({ forget: ["a"], maxEntries: 10 });
+    expect(records.size).toBe(1);
+    expect(JSON.stringify([...records.values()])).not.toContain('"a"');
+    expect(await backend.loadSeen()).toEqual({ b: DAY_1 });
+  });
+
+  test("large changes are split into records and applyWrites calls", async () => {
+    const { backend, records, calls } = await createPdsBackend();
+    const entries = Array.from({ length: 1201 }, (_, i): [string, string] => [`did:plc:abc/${i}`, DAY_1]);
+
+    await backend.saveSeen(entries, []);
+    expect(records.size).toBe(3);
+    expect(calls.applyWrites).toEqual([3]);
+
+    for (let i = 0; i < 247; i++) {
+      await backend.saveSeen([[`did:plc:abc/${i}`, DAY_2]], []);
+    }
+    calls.applyWrites.length = 0;
+    await backend.compact({ maxEntries: 10 });
+
+    // 3 compacted records are created, then the 250 old ones deleted
+    expect(calls.applyWrites).toEqual([200, 53]);
+    expect(records.size).toBe(3);
+    expect(Object.keys(await backend.loadSeen())).toHaveLength(1201);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Rule predicate tests for Bluesky Navigator
+ *
+ * Exercises rule and filter parsing directly (no browser needed): `has:` rules
+ * must know their content types, and `link:` rules must take a domain or a
+ * pasted URL and match its subdomains.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const RULE_MATCHER_MODULE = new URL("../../src/ruleMatcher.js", import.meta.url).href;
+const FILTER_MODULE = new URL("../../src/handlers/filterExpression.js", import.meta.url).href;
+
+test.describe("Content and link rules", () => {
+  test("has: rules accept known content types only", async () => {
+    const { compilePredicate } = await import(RULE_MATCHER_MODULE);
+
+    expect(compilePredicate("has", "Quote")).toEqual({ kind: "quote", error: null });
+    expect(compilePredicate("has", "gif").error).toBe(
+      'Unknown content type "has:gif" (use image, video, media, link, quote)'
+    );
+    expect(compilePredicate("has", "").kind).toBeNull();
+  });
+
+  test("link: rules take a domain or a pasted URL", async () => {
+    const { compilePredicate } = await import(RULE_MATCHER_MODULE);
+
+    expect(compilePredicate("link", "example.com").domain).toBe("example.com");
+    expect(compilePredicate("link", "https://www.Example.com/news?id=1#top").domain).toBe("example.com");
+    expect(compilePredicate("link", "example").error).toBe('Invalid link domain "link:example"');
+    expect(compilePredicate("link", "https://").domain).toBeNull();
+  });
+
+  test("link: rules match subdomains but not lookalike domains", async () => {
+    const { compilePredicate, matchesDomain } = await import(RULE_MATCHER_MODULE);
+    const predicate = compilePredicate("link", "example.com");
+
+    expect(matchesDomain(predicate, ["example.com"])).toBe(true);
+    expect(matchesDomain(predicate, ["WWW.example.com"])).toBe(true);
+    expect(matchesDomain(predicate, ["news.example.com"])).toBe(true);
+    expect(matchesDomain(predicate, ["notexample.com", "example.com.evil.net"])).toBe(false);
+    expect(matchesDomain(compilePredicate("link", "example"), ["example"])).toBe(false);
+  });
+
+  test("rule lines parse has: and link: predicates", async () => {
+    const { parseRuleLine } = await import(RULE_MATCHER_MODULE);
+
+    expect(parseRuleLine("deny has:video")).toEqual({ action: "deny", type: "has", mode: null, value: "video" });
+    expect(parseRuleLine("Allow LINK: example.com")).toEqual({
+      action: "allow",
+      type: "link",
+      mode: null,
+      value: "example.com",
+    });
+    expect(parseRuleLine('allow link:"https://example.com/page"')?.value).toBe("https://example.com/page");
+  });
+
+  test("filter bar link: terms keep a pasted URL whole", async () => {
+    const { compileFilter } = await import(FILTER_MODULE);
+
+    const { expression, error } = compileFilter("has:quote OR link:https://www.example.com/page?id=1 !link:nytimes.com");
+    expect(error).toBeNull();
+    const [hasTerm, linkTerms] = expression.operands;
+    expect(hasTerm.query).toBe("has:quote");
+    expect(linkTerms.operands[0]).toEqual({
+      type: "term",
+      matchType: null,
+      query: "link:https://www.example.com/page?id=1",
+      quoted: false,
+      invert: false,
+    });
+    expect(linkTerms.operands[1]).toEqual({
+      type: "not",
+      operand: { type: "term", matchType: null, query: "link:nytimes.com", quoted: false, invert: false },
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tab sync tests for Bluesky Navigator
+ *
+ * Exercises TabSync directly (no browser needed): messages must reach the other
+ * tabs, and exactly one tab leads at a time, handing over when it closes.
+ */
+
+import { test, expect } from "@playwright/test";
+
+// Loaded at runtime so the untyped source modules don't need declarations
+const TAB_SYNC_MODULE = new URL("../../src/TabSync.js", import.meta.url).href;
+const STATE_MANAGER_MODULE = new URL("../../src/StateManager.js", import.meta.url).href;
+
+type LockCallback = (lock: object | null) => unknown;
+
+/**
+ * A minimal in-memory stand-in for navigator.locks (one lock name is enough here).
+ */
+function createLockManager() {
+  let held = false;
+  const waiting: Array<() => void> = [];
+  return {
+    request(_name: string, options: { ifAvailable?: boolean; signal?: AbortSignal }, callback: LockCallback) {
+      return new Promise((resolve, reject) => {
+        const grant = () => {
+          held = true;
+          Promise.resolve(callback({})).then((value) => {
+            held = false;
+            waiting.shift()?.();
+            resolve(value);
+          });
+        };
+        if (!held) {
+          grant();
+        } else if (options.ifAvailable) {
+          Promise.resolve(callback(null)).then(resolve);
+        } else {
+          waiting.push(grant);
+          options.signal?.addEventListener("abort", () => {
+            waiting.splice(waiting.indexOf(grant), 1);
+            reject(new Error("Aborted"));
+          });
+        }
+      });
+    },
+  };
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+test.describe("Tab Sync", () => {
+  test("messages reach the other tabs but not the sender", async () => {
+    const { TabSync } = await import(TAB_SYNC_MODULE);
+    const received: Record<string, object[]> = { a: [], b: [] };
+    const channelName = "test-messages";
+    const a = new TabSync({ channelName, locks: null, onMessage: (m: object) => received.a.push(m) });
+    const b = new TabSync({ channelName, locks: null, onMessage: (m: object) => received.b.push(m) });
+
+    a.post({ type: "seen", seen: { post: "2024-06-01T12:00:00.000Z" } });
+    await nextTick();
+    a.close();
+    b.close();
+
+    expect(received.a).toEqual([]);
+    expect(received.b).toEqual([{ type: "seen", seen: { post: "2024-06-01T12:00:00.000Z" } }]);
+  });
+
+  test("one tab leads, and the next takes over when it closes", async () => {
+    const { TabSync } = await import(TAB_SYNC_MODULE);
+    const locks = createLockManager();
+    const takeovers: string[] = [];
+    const tab = (name: string) =>
+      new TabSync({ channelName: "test-leader", locks, onLeader: () => takeovers.push(name) });
+    const a = tab("a");
+    const b = tab("b");
+    const c = tab("c");
+
+    expect(await a.electLeader()).toBe(true);
+    expect(await b.electLeader()).toBe(false);
+    expect(await c.electLeader()).toBe(false);
+
+    // A waiting tab that closes leaves the line
+    b.close();
+    a.close();
+    await nextTick();
+    expect(takeovers).toEqual(["c"]);
+    expect(c.isLeader).toBe(true);
+    c.close();
+  });
+
+  test("every tab leads without Web Locks", async () => {
+    const { TabSync } = await import(TAB_SYNC_MODULE);
+    const a = new TabSync({ channelName: "test-no-locks", locks: null });
+    const b = new TabSync({ channelName: "test-no-locks", locks: null });
+
+    expect(await a.electLeader()).toBe(true);
+    expect(await b.electLeader()).toBe(true);
+    a.close();
+    b.close();
+  });
+
+  test("a timeout removed in one tab isn't restored by another tab's state", async () => {
+    const { StateManager } = await import(STATE_MANAGER_MODULE);
+    // Just the state handling of a tab; saving and syncing aren't under test
+    const createTab = (state: object) =>
+      Object.assign(Object.create(StateManager.prototype), {
+        state,
+        config: {},
+        listeners: [],
+        scheduleLocalSave() {},
+      });
+    const timeouts = { "a.bsky.social": 2000, "b.bsky.social": 3000 };
+    const a = createTab({ timeouts: { ...timeouts } });
+    const b = createTab({ timeouts: { ...timeouts } });
+
+    a.removeTimeouts(["a.bsky.social"]);
+    // b shares its state before it hears about the removal
+    a.receiveState({ ...b.state });
+    b.receiveState({ ...a.state });
+
+    expect(a.state.timeouts).toEqual({ "b.bsky.social": 3000 });
+    expect(b.state.timeouts).toEqual({ "b.bsky.social": 3000 });
+  });
+});